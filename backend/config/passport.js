@@ -5,40 +5,87 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
+// How long a GitHub sign-in that matched an existing account by email waits for
+// the owner to confirm it by signing in with their password
+export const PENDING_LINK_TTL_MS = 10 * 60 * 1000;
+
+/* The GitHub fields stored on a linked User */
+const githubFields = (profile) => ({
+    githubId: profile.id,
+    githubUsername: profile.username,
+    githubAvatarUrl: profile.photos?.[0]?.value,
+});
+
+/* The account's verified email, if GitHub shared one */
+const verifiedEmail = (profile) => {
+    const email = (profile.emails || []).find((e) => e.verified !== false);
+    return email ? email.value.toLowerCase() : null;
+};
+
+// Signing in with GitHub never attaches it to an existing account by itself:
+//   - linking happens from the profile page, which asks for a one-time token
+//     (POST /api/auth/github/link) and opens GET /api/auth/github/link?token= with it;
+//     authController notes who in `req.session.githubLink`
+//   - a sign-in whose email belongs to an existing account is parked in
+//     `req.session.pendingGithubLink` until the owner signs in with their password
+// Failures reach the callback route as `done(null, false, { reason })`. `state: true`
+// ties each callback to the browser that started the flow, so a code from someone
+// else's GitHub sign-in is refused.
 passport.use(
     new GitHubStrategy(
         {
             clientID: process.env.GITHUB_CLIENT_ID,
             clientSecret: process.env.GITHUB_CLIENT_SECRET,
             callbackURL: process.env.GITHUB_CALLBACK_URL || "http://localhost:5000/api/auth/github/callback",
+            passReqToCallback: true,
+            state: true,
         },
-        async (accessToken, refreshToken, profile, done) => {
-            try {
-                let user = await User.findOne({ githubId: profile.id });
+        async (req, accessToken, refreshToken, profile, done) => {
+            const linking = req.session?.githubLink;
 
-                if (!user) {
-                    // If user doesn't exist by githubId, check if one exists by email
-                    const email = profile.emails && profile.emails[0] ? profile.emails[0].value : null;
+            try {
+                const github = githubFields(profile);
+                const owner = await User.findOne({ githubId: profile.id });
 
-                    if (email) {
-                        user = await User.findOne({ email });
+                if (linking) {
+                    if (linking.expiresAt < Date.now()) {
+                        return done(null, false, { reason: "expired" });
                     }
-
-                    if (user) {
-                        // Update existing user with githubId
-                        user.githubId = profile.id;
-                        await user.save();
-                    } else {
-                        // Create new user
-                        user = await User.create({
-                            name: profile.displayName || profile.username,
-                            email: email || `${profile.username}@github.com`,
-                            githubId: profile.id,
-                            password: Math.random().toString(36).slice(-8), // Dummy password
-                        });
+                    if (owner && String(owner._id) !== linking.userId) {
+                        return done(null, false, { reason: "github-taken" });
                     }
+                    const user = await User.findByIdAndUpdate(
+                        linking.userId,
+                        { ...github, githubLinkedAt: new Date() },
+                        { new: true }
+                    );
+                    return user ? done(null, user, { linked: true }) : done(null, false, { reason: "error" });
+                }
+
+                if (owner) {
+                    // Keep the username and avatar current
+                    owner.githubUsername = github.githubUsername;
+                    owner.githubAvatarUrl = github.githubAvatarUrl;
+                    await owner.save();
+                    return done(null, owner);
+                }
+
+                const email = verifiedEmail(profile);
+                if (email && (await User.exists({ email }))) {
+                    req.session.pendingGithubLink = { ...github, email, expiresAt: Date.now() + PENDING_LINK_TTL_MS };
+                    return done(null, false, { reason: "link-required", email });
                 }
 
+                // New account; it has no password until the owner sets one
+                const user = await User.create({
+                    name: profile.displayName || profile.username,
+                    email: email || `${profile.username}@github.com`,
+                    ...github,
+                    githubLinkedAt: new Date(),
+                    // The placeholder @github.com address can't receive mail, so only a real one counts
+                    emailVerified: Boolean(email),
+                    emailVerifiedAt: email ? new Date() : undefined,
+                });
                 return done(null, user);
             } catch (error) {
                 return done(error, null);
@@ -0,0 +1,355 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import AuthToken from "../models/AuthToken.js";
+import ChatSession from "../models/ChatSession.js";
+import GitHubPullRequest from "../models/GitHubPullRequest.js";
+import Program from "../models/Program.js";
+import Project from "../models/Project.js";
+import Session from "../models/Session.js";
+import SuccessStory, { STORY_STATUSES } from "../models/SuccessStory.js";
+import User, { ROLES } from "../models/User.js";
+import { recordAudit } from "../services/auditLog.js";
+import { runIngestion } from "../services/ingestionService.js";
+import { revokeSessions } from "../services/sessions.js";
+
+// Every handler that changes something writes an audit entry (services/auditLog.js)
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// The fields an admin may set on each record; anything else in the body is ignored
+const PROGRAM_FIELDS = ["name", "description", "url", "image", "status", "difficulty", "timeline", "stipend"];
+const PROJECT_FIELDS = ["name", "description", "repositoryUrl", "programId", "techStack", "difficulty", "mentorshipAvailable"];
+
+/* ---------- Helpers ---------- */
+
+const paginate = (query) => {
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/** Mongoose validation and duplicate-key errors are the caller's fault, so they become 4xx. */
+const sendSaveError = (res, error, label) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    const message = error.errors ? Object.values(error.errors).map((e) => e.message).join(", ") : error.message;
+    return res.status(400).json({ success: false, message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: `A ${label} with that ${Object.keys(error.keyValue || {})[0] || "value"} already exists` });
+  }
+  console.error(`Admin ${label} error:`, error);
+  res.status(500).json({ success: false, message: "Server error" });
+};
+
+/* ---------- Users ---------- */
+
+// GET /api/admin/users?search=&role=&page=&limit=
+export const listUsers = async (req, res) => {
+  const { limit, page, skip } = paginate(req.query);
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegExp(String(req.query.search)), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  try {
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("name email role emailVerified githubId githubUsername createdAt"),
+      User.countDocuments(filter),
+    ]);
+    res.json({ success: true, users, total, page, limit });
+  } catch (error) {
+    console.error("Admin list users error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// PATCH /api/admin/users/:id/role  { role }
+export const updateUserRole = async (req, res) => {
+  const { role } = req.body;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(", ")}` });
+  }
+  if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: "User not found" });
+  // Otherwise the last admin could lock everyone out
+  if (String(req.user._id) === req.params.id) {
+    return res.status(400).json({ success: false, message: "You can't change your own role" });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, "user.role.update", { type: "user", id: user._id, label: user.email }, {
+      before: { role: previousRole },
+      after: { role },
+    });
+    res.json({ success: true, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+  } catch (error) {
+    sendSaveError(res, error, "user");
+  }
+};
+
+// POST /api/admin/users/:id/revoke-sessions
+// Signs the user out on every device
+export const revokeUserSessions = async (req, res) => {
+  if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: "User not found" });
+
+  try {
+    const user = await User.findById(req.params.id).select("email");
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const result = await revokeSessions({ user: user._id }, "revoked-by-admin");
+    await recordAudit(req, "user.sessions.revoke", { type: "user", id: user._id, label: user.email }, {
+      revoked: result.modifiedCount,
+    });
+    res.json({ success: true, revoked: result.modifiedCount });
+  } catch (error) {
+    console.error("Admin revoke sessions error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// DELETE /api/admin/users/:id
+// Removes the account along with its sessions, pending email links, conversations and PR history
+export const deleteUser = async (req, res) => {
+  if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: "User not found" });
+  if (String(req.user._id) === req.params.id) {
+    return res.status(400).json({ success: false, message: "You can't delete your own account here" });
+  }
+
+  try {
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    await Promise.all([
+      Session.deleteMany({ user: user._id }),
+      AuthToken.deleteMany({ user: user._id }),
+      ChatSession.deleteMany({ user: user._id }),
+      GitHubPullRequest.deleteMany({ user: user._id }),
+    ]);
+    await recordAudit(req, "user.delete", { type: "user", id: user._id, label: user.email }, {
+      before: { name: user.name, email: user.email, role: user.role },
+    });
+    res.json({ success: true, message: "User deleted" });
+  } catch (error) {
+    console.error("Admin delete user error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* ---------- Programs & projects ---------- */
+
+/**
+ * List/create/update/delete handlers for a curated collection, all audited. With
+ * `trackEdits`, the fields an admin sets are noted in `editedFields` so ingestion keeps them.
+ */
+const curatedResource = (Model, { label, fields, sort, populate, trackEdits = false }) => ({
+  list: async (req, res) => {
+    const { limit, page, skip } = paginate(req.query);
+    const filter = req.query.search
+      ? { name: new RegExp(escapeRegExp(String(req.query.search)), "i") }
+      : {};
+    try {
+      let query = Model.find(filter).sort(sort).skip(skip).limit(limit);
+      if (populate) query = query.populate(populate, "name");
+      const [items, total] = await Promise.all([query, Model.countDocuments(filter)]);
+      res.json({ success: true, items, total, page, limit });
+    } catch (error) {
+      console.error(`Admin list ${label} error:`, error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  },
+
+  create: async (req, res) => {
+    try {
+      const values = pick(req.body, fields);
+      const item = await Model.create({
+        ...values,
+        ...(trackEdits && { editedFields: Object.keys(values) }),
+        lastUpdated: new Date(),
+      });
+      await recordAudit(req, `${label}.create`, { type: label, id: item._id, label: item.name }, {
+        after: pick(item.toObject(), fields),
+      });
+      res.status(201).json({ success: true, item });
+    } catch (error) {
+      sendSaveError(res, error, label);
+    }
+  },
+
+  update: async (req, res) => {
+    if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: `${label} not found` });
+    const updates = pick(req.body, fields);
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ success: false, message: `Nothing to update. Editable fields: ${fields.join(", ")}` });
+    }
+
+    try {
+      const before = await Model.findById(req.params.id).lean();
+      if (!before) return res.status(404).json({ success: false, message: `${label} not found` });
+
+      const item = await Model.findByIdAndUpdate(
+        req.params.id,
+        {
+          ...updates,
+          lastUpdated: new Date(),
+          ...(trackEdits && { $addToSet: { editedFields: { $each: Object.keys(updates) } } }),
+        },
+        { new: true, runValidators: true }
+      );
+      await recordAudit(req, `${label}.update`, { type: label, id: item._id, label: item.name }, {
+        before: pick(before, Object.keys(updates)),
+        after: updates,
+      });
+      res.json({ success: true, item });
+    } catch (error) {
+      sendSaveError(res, error, label);
+    }
+  },
+
+  remove: async (req, res) => {
+    if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: `${label} not found` });
+    try {
+      const item = await Model.findByIdAndDelete(req.params.id);
+      if (!item) return res.status(404).json({ success: false, message: `${label} not found` });
+
+      await recordAudit(req, `${label}.delete`, { type: label, id: item._id, label: item.name }, {
+        before: pick(item.toObject(), fields),
+      });
+      res.json({ success: true, message: `${label} deleted` });
+    } catch (error) {
+      console.error(`Admin delete ${label} error:`, error);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  },
+});
+
+export const programs = curatedResource(Program, { label: "program", fields: PROGRAM_FIELDS, sort: { name: 1 } });
+export const projects = curatedResource(Project, {
+  label: "project",
+  fields: PROJECT_FIELDS,
+  sort: { lastUpdated: -1 },
+  populate: "programId",
+  trackEdits: true,
+});
+
+/* ---------- Ingestion ---------- */
+
+// One run at a time; a run takes minutes, so the request doesn't wait for it
+let ingestionRun = null;
+
+// POST /api/admin/ingestion
+export const triggerIngestion = async (req, res) => {
+  if (ingestionRun) {
+    return res.status(409).json({ success: false, message: "Ingestion is already running", startedAt: ingestionRun.startedAt });
+  }
+
+  const startedAt = new Date();
+  ingestionRun = { startedAt };
+  runIngestion()
+    .catch((error) => console.error("Admin-triggered ingestion failed:", error))
+    .finally(() => {
+      ingestionRun = null;
+    });
+
+  await recordAudit(req, "ingestion.run", { type: "ingestion", label: "GSoC + SWoC" });
+  res.status(202).json({ success: true, message: "Ingestion started", startedAt });
+};
+
+/* ---------- Moderation ---------- */
+
+// GET /api/admin/moderation/stories?status=pending
+export const listStoriesForReview = async (req, res) => {
+  const status = req.query.status || "pending";
+  if (!STORY_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `Status must be one of: ${STORY_STATUSES.join(", ")}` });
+  }
+  const { limit, page, skip } = paginate(req.query);
+
+  try {
+    const [stories, total] = await Promise.all([
+      SuccessStory.find({ status })
+        // Oldest first while waiting, so nothing sits in the queue forever
+        .sort(status === "pending" ? { createdAt: 1 } : { reviewedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("submittedBy", "name email")
+        .populate("reviewedBy", "name email"),
+      SuccessStory.countDocuments({ status }),
+    ]);
+    res.json({ success: true, stories, total, page, limit });
+  } catch (error) {
+    console.error("Moderation queue error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+// PATCH /api/admin/moderation/stories/:id  { status: "approved" | "rejected", note }
+export const reviewStory = async (req, res) => {
+  const { status, note } = req.body;
+  if (!["approved", "rejected"].includes(status)) {
+    return res.status(400).json({ success: false, message: "Status must be approved or rejected" });
+  }
+  if (!isValidId(req.params.id)) return res.status(404).json({ success: false, message: "Story not found" });
+
+  try {
+    const story = await SuccessStory.findById(req.params.id);
+    if (!story) return res.status(404).json({ success: false, message: "Story not found" });
+
+    const previousStatus = story.status;
+    story.status = status;
+    story.reviewNote = note;
+    story.reviewedBy = req.user._id;
+    story.reviewedAt = new Date();
+    await story.save();
+
+    await recordAudit(req, "story.review", { type: "story", id: story._id, label: story.name }, {
+      before: { status: previousStatus },
+      after: { status, note },
+    });
+    res.json({ success: true, story });
+  } catch (error) {
+    sendSaveError(res, error, "story");
+  }
+};
+
+/* ---------- Audit log ---------- */
+
+// GET /api/admin/audit-log?action=&actor=&targetType=&targetId=&page=&limit=
+export const getAuditLog = async (req, res) => {
+  const { limit, page, skip } = paginate(req.query);
+  const filter = {};
+  if (req.query.action) filter.action = req.query.action;
+  if (req.query.actor && isValidId(req.query.actor)) filter.actor = req.query.actor;
+  if (req.query.targetType) filter["target.type"] = req.query.targetType;
+  if (req.query.targetId) filter["target.id"] = req.query.targetId;
+
+  try {
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({ success: true, entries, total, page, limit });
+  } catch (error) {
+    console.error("Audit log error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,92 @@
+import AIResponseCache from "../models/AIResponseCache.js";
+import AIUsage, { USAGE_RETENTION_DAYS } from "../models/AIUsage.js";
+import User from "../models/User.js";
+import { getDailyLimits, usageDay } from "../middleware/aiQuota.js";
+
+const DEFAULT_DAYS = 7;
+const TOP_SUBJECTS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDays = (value) => {
+  const days = Number.parseInt(value, 10);
+  if (!Number.isFinite(days)) return DEFAULT_DAYS;
+  return Math.min(Math.max(days, 1), USAGE_RETENTION_DAYS);
+};
+
+// GET /api/admin/ai-usage?days=7
+// AI requests per day and per endpoint, the heaviest users and guest IPs, and what the cache holds
+export const getAIUsage = async (req, res) => {
+  const days = toDays(req.query.days);
+  const since = usageDay(new Date(Date.now() - (days - 1) * DAY_MS));
+  const inRange = { $match: { day: { $gte: since } } };
+
+  try {
+    const [daily, endpoints, top, cache] = await Promise.all([
+      AIUsage.aggregate([
+        inRange,
+        {
+          $group: {
+            _id: "$day",
+            requests: { $sum: "$count" },
+            cacheHits: { $sum: "$cacheHits" },
+            users: { $sum: { $cond: [{ $eq: ["$kind", "user"] }, 1, 0] } },
+            guests: { $sum: { $cond: [{ $eq: ["$kind", "ip"] }, 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      AIUsage.aggregate([
+        inRange,
+        { $project: { endpoint: { $objectToArray: "$endpoints" } } },
+        { $unwind: "$endpoint" },
+        { $group: { _id: "$endpoint.k", requests: { $sum: "$endpoint.v" } } },
+        { $sort: { requests: -1 } },
+      ]),
+      AIUsage.aggregate([
+        inRange,
+        {
+          $group: {
+            _id: "$subject",
+            kind: { $first: "$kind" },
+            user: { $first: "$user" },
+            requests: { $sum: "$count" },
+            cacheHits: { $sum: "$cacheHits" },
+          },
+        },
+        { $sort: { requests: -1 } },
+        { $limit: TOP_SUBJECTS },
+      ]),
+      AIResponseCache.aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        { $group: { _id: "$kind", entries: { $sum: 1 }, hits: { $sum: "$hits" } } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    const users = await User.find({ _id: { $in: top.map((t) => t.user).filter(Boolean) } }).select("name email");
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    res.status(200).json({
+      success: true,
+      days,
+      since,
+      limits: getDailyLimits(),
+      daily: daily.map(({ _id, ...totals }) => ({ day: _id, ...totals })),
+      endpoints: endpoints.map(({ _id, requests }) => ({ endpoint: _id, requests })),
+      topSubjects: top.map(({ _id, kind, user, requests, cacheHits }) => {
+        const account = user && userById.get(String(user));
+        return {
+          subject: _id,
+          kind,
+          ...(account && { user: { id: account._id, name: account.name, email: account.email } }),
+          requests,
+          cacheHits,
+        };
+      }),
+      cache: cache.map(({ _id, entries, hits }) => ({ kind: _id, entries, hits })),
+    });
+  } catch (error) {
+    console.error("AI usage error:", error);
+    res.status(500).json({ success: false, message: "Failed to load AI usage" });
+  }
+};
@@ -1,11 +1,53 @@
 
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import passport from "passport";
 import dotenv from "dotenv";
-import User from "../models/User.js";
+import GitHubPullRequest from "../models/GitHubPullRequest.js";
+import Session from "../models/Session.js";
+import User, { hasUsablePassword } from "../models/User.js";
 import sendEmail from "../utils/sendEmail.js";
+import { passwordChangedEmail, passwordResetEmail, verificationEmail } from "../utils/emailTemplates.js";
+import { TOKEN_LIFETIMES, consumeAuthToken, discardAuthTokens, issueAuthToken } from "../services/authTokens.js";
+import { queueGitHubSync } from "../services/githubActivity.js";
+import {
+  clearAuthCookies,
+  describeDevice,
+  endSession,
+  refreshSession,
+  revokeSessions,
+  startSession,
+} from "../services/sessions.js";
 dotenv.config();
 
+const MIN_PASSWORD_LENGTH = 6;
+
+const frontendPage = (page, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${process.env.FRONTEND_URL || "http://localhost:5500"}/frontend/pages/${page}${query ? `?${query}` : ""}`;
+};
+
+// Emailed links open these pages, which post the token back to the API
+const frontendLink = (page, token) => frontendPage(page, { token });
+
+/* Emails `user` a new verification link. Resolves false if one was sent less than a minute ago */
+const sendVerificationEmail = async (user, { welcome = false } = {}) => {
+  const token = await issueAuthToken(user._id, "verify-email");
+  if (!token) return false;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      ...verificationEmail({ name: user.name, url: frontendLink("verify-email.html", token), welcome }),
+    });
+  } catch (error) {
+    // A link nobody received shouldn't block asking for another one
+    await discardAuthTokens(user._id, "verify-email");
+    throw error;
+  }
+  return true;
+};
+
 
 
 
@@ -30,19 +72,10 @@ export const registerUser = async (req, res) => {
     password: hashedPassword,
   });
 
-  // Send Welcome Email
+  // Send Welcome Email, with the link that verifies the address
+  let emailSent = false;
   try {
-    await sendEmail({
-      to: email,
-      subject: "Welcome to OpenSource Compass 🚀",
-      html: `
-        <h2>Hello ${name} 👋</h2>
-        <p>Welcome to <b>OpenSource Compass</b>.</p>
-        <p>You can now track your progress and personalize your learning journey.</p>
-        <br/>
-        <p>— The OpenSource Compass Team</p>
-      `,
-    });
+    emailSent = await sendVerificationEmail(user, { welcome: true });
   } catch (error) {
     console.error("Welcome email failed to send:", error);
     // Continue even if email fails - don't block registration
@@ -50,7 +83,10 @@ export const registerUser = async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: "User registered & email sent",
+    emailSent,
+    message: emailSent
+      ? "User registered. Check your inbox to verify your email."
+      : "User registered, but the verification email could not be sent. Sign in to send it again.",
   });
 };
 
@@ -68,31 +104,30 @@ export const loginUser = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
+    if (!hasUsablePassword(user)) {
+      return res.status(401).json({
+        message: "This account signs in with GitHub. Continue with GitHub, or reset your password to add one.",
+      });
+    }
+
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-
+    const githubLinked = await confirmPendingGithubLink(req, user);
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-      maxAge: 24 * 60 * 60 * 1000,
-    });
+    // Short-lived access token + rotating refresh token, tied to a session for this device
+    await startSession(req, res, user);
 
     res.json({
       success: true,
+      githubLinked,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -101,20 +136,272 @@ export const loginUser = async (req, res) => {
 };
 
 
-export const logoutUser = (req, res) => {
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-  });
+export const logoutUser = async (req, res) => {
+  try {
+    // Revoke the session too, so a copied token stops working now rather than when it expires
+    await endSession(req, res);
+  } catch (error) {
+    console.error("Logout error:", error);
+    clearAuthCookies(res);
+  }
 
   res.json({ success: true, message: "Logged out successfully" });
 };
 
+// POST /api/auth/refresh
+// Renews the access token and rotates the refresh token. Other routes do this by
+// themselves when the access token has expired; this is for clients that renew ahead of time.
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { error } = await refreshSession(req, res);
+    if (error) return res.status(401).json({ success: false, message: error });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Refresh error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/auth/sessions
+// The devices this account is signed in on, most recently used first
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /api/auth/sessions/:id
+export const revokeSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Session not found" });
+  }
+
+  try {
+    const result = await revokeSessions({ _id: req.params.id, user: req.user._id }, "revoked-by-user");
+    if (!result.modifiedCount) return res.status(404).json({ message: "Session not found" });
+
+    const current = req.params.id === req.sessionId;
+    if (current) clearAuthCookies(res);
+    res.json({ success: true, current, message: current ? "Signed out of this device" : "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /api/auth/sessions
+// Signs the account out everywhere, this device included
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const result = await revokeSessions({ user: req.user._id }, "revoked-by-user");
+    clearAuthCookies(res);
+    res.json({ success: true, revoked: result.modifiedCount, message: "Signed out of all devices" });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 
 export const getUserProfile = async (req, res) => {
-  // User is already attached to req.user by protect middleware
-  res.json({ success: true, user: req.user });
+  // User is already attached to req.user by protect middleware, without the password
+  try {
+    const { password } = (await User.findById(req.user._id).select("password").lean()) || {};
+    res.json({ success: true, user: { ...req.user.toObject(), hasPassword: hasUsablePassword({ password }) } });
+  } catch (error) {
+    console.error("Profile error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// PUT /api/auth/password  { currentPassword, newPassword }
+// Changes the password, or sets the first one on an account created with GitHub
+export const setPassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (typeof newPassword !== "string" || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const hadPassword = hasUsablePassword(user);
+    if (hadPassword && !(typeof currentPassword === "string" && (await bcrypt.compare(currentPassword, user.password)))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    if (!hadPassword) {
+      return res.json({ success: true, message: "Password set. You can now also sign in with your email and password." });
+    }
+
+    // Keep this device signed in; anyone who knew the old password is signed out elsewhere
+    await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } }, "password-changed");
+    sendEmail({ to: user.email, ...passwordChangedEmail({ name: user.name, via: "profile" }) }).catch((error) =>
+      console.error("Password changed email failed to send:", error)
+    );
+    res.json({ success: true, message: "Password changed. Your other devices were signed out." });
+  } catch (error) {
+    console.error("Set password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/* ---------- GitHub account linking (the strategy is in config/passport.js) ---------- */
+
+/*
+ * Links the GitHub account from a sign-in that matched this user's email. Signing in
+ * with the password is the owner's confirmation; resolves true when it was linked.
+ */
+const confirmPendingGithubLink = async (req, user) => {
+  const pending = req.session?.pendingGithubLink;
+  if (!pending || pending.email !== user.email) return false;
+  delete req.session.pendingGithubLink;
+
+  if (pending.expiresAt < Date.now() || (await User.exists({ githubId: pending.githubId }))) return false;
+
+  user.githubId = pending.githubId;
+  user.githubUsername = pending.githubUsername;
+  user.githubAvatarUrl = pending.githubAvatarUrl;
+  user.githubLinkedAt = new Date();
+  // GitHub has confirmed they own the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  queueGitHubSync(user._id);
+  return true;
+};
+
+// GET /api/auth/github
+// Sign in (or sign up) with GitHub
+export const startGitHubSignIn = (req, res, next) => {
+  // A link started earlier in this browser and never finished must not capture this sign-in
+  delete req.session.githubLink;
+  passport.authenticate("github", { scope: ["user:email"] })(req, res, next);
+};
+
+// POST /api/auth/github/link
+// The profile page asks for a one-time token first; other sites can make the browser
+// open a URL but can't read this response, so they can't start a link for the user
+export const requestGitHubLink = async (req, res) => {
+  try {
+    const token = await issueAuthToken(req.user._id, "github-link");
+    res.json({ success: true, token });
+  } catch (error) {
+    console.error("GitHub link token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/auth/github/link?token=
+// Attaches a GitHub account to the signed-in user the token was issued to
+export const startGitHubLink = async (req, res, next) => {
+  delete req.session.githubLink;
+  let userId;
+  try {
+    userId = await consumeAuthToken(req.query.token, "github-link");
+  } catch (error) {
+    console.error("GitHub link token error:", error);
+  }
+  if (!userId || String(userId) !== String(req.user._id)) {
+    return res.redirect(frontendPage("profile.html", { github: "expired" }));
+  }
+
+  // Dropped by the callback, or ignored once it expires if GitHub never sends the user back
+  req.session.githubLink = { userId: String(req.user._id), expiresAt: Date.now() + TOKEN_LIFETIMES["github-link"] };
+  passport.authenticate("github", { scope: ["user:email"] })(req, res, next);
+};
+
+// GET /api/auth/github/callback
+// Sign-ins land on the dashboard and links on the profile page; problems are reported
+// to the page with `?github=<reason>`
+export const githubCallback = (req, res, next) => {
+  const linking = Boolean(req.session?.githubLink);
+
+  passport.authenticate("github", { session: false }, async (error, user, info = {}) => {
+    if (linking) delete req.session.githubLink;
+    if (error) console.error("GitHub sign-in error:", error);
+
+    // A newly linked account's contributor progress is filled in from GitHub straight away
+    if (user && (linking || !user.progress?.syncedAt)) queueGitHubSync(user._id);
+
+    if (linking) {
+      return res.redirect(frontendPage("profile.html", { github: user ? "linked" : info.reason || "error" }));
+    }
+    if (!user) {
+      return res.redirect(frontendPage("login.html", { github: error ? "error" : info.reason || "cancelled" }));
+    }
+
+    try {
+      await startSession(req, res, user);
+    } catch (sessionError) {
+      console.error("GitHub sign-in error:", sessionError);
+      return res.redirect(frontendPage("login.html", { github: "error" }));
+    }
+    res.redirect(frontendPage("dashboard.html"));
+  })(req, res, next);
+};
+
+// DELETE /api/auth/github
+export const unlinkGitHub = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.githubId) {
+      return res.status(400).json({ message: "No GitHub account is linked" });
+    }
+    if (!hasUsablePassword(user)) {
+      return res.status(400).json({ message: "Set a password before unlinking GitHub, or you won't be able to sign in" });
+    }
+
+    user.githubId = undefined;
+    user.githubUsername = undefined;
+    user.githubAvatarUrl = undefined;
+    user.githubLinkedAt = undefined;
+    // The contributor counters and PR history came from that account. The level is
+    // only undone if GitHub raised it, back to what the account had before
+    if (user.progress.levelBeforeGitHub) user.level = user.progress.levelBeforeGitHub;
+    Object.assign(user.progress, {
+      issuesSelected: 0,
+      prsOpened: 0,
+      prsMerged: 0,
+      currentStage: "NONE",
+      syncedAt: undefined,
+      lastSyncError: undefined,
+      levelBeforeGitHub: undefined,
+    });
+    await user.save();
+    await GitHubPullRequest.deleteMany({ user: user._id });
+
+    res.json({ success: true, message: "GitHub account unlinked and its contribution history removed" });
+  } catch (error) {
+    console.error("Unlink GitHub error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
 };
 
 export const trackGuideCompletion = async (req, res) => {
@@ -153,8 +440,121 @@ export const updateUserProfile = async (req, res) => {
     }
 
     await user.save();
-    res.json({ success: true, message: "Profile updated", user: { id: user._id, name: user.name, email: user.email } });
+    res.json({ success: true, message: "Profile updated", user: { id: user._id, name: user.name, email: user.email, emailVerified: user.emailVerified } });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+
+// POST /api/auth/verify-email/request
+// Sends the signed-in user a new verification link
+export const requestEmailVerification = async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ message: "Your email is already verified" });
+  }
+
+  try {
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(429).json({ message: "A verification email was just sent. Please wait a minute before asking again." });
+    }
+    res.json({ success: true, message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error("Verification email failed to send:", error);
+    res.status(500).json({ message: "Could not send the verification email. Please try again later." });
+  }
+};
+
+// POST /api/auth/verify-email/confirm
+// Works without signing in, since the link may be opened on another device
+export const confirmEmailVerification = async (req, res) => {
+  try {
+    const userId = await consumeAuthToken(req.body.token, "verify-email");
+    if (!userId) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired. Sign in to get a new one." });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ success: true, message: "Your email is verified. Thanks!" });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// POST /api/auth/forgot-password
+// Answers the same whether or not the account exists, so it can't be used to probe for emails
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== "string") {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    const token = user && (await issueAuthToken(user._id, "reset-password"));
+    if (token) {
+      try {
+        await sendEmail({
+          to: user.email,
+          ...passwordResetEmail({ name: user.name, url: frontendLink("reset-password.html", token) }),
+        });
+      } catch (error) {
+        await discardAuthTokens(user._id, "reset-password");
+        throw error;
+      }
+    }
+  } catch (error) {
+    console.error("Password reset email failed to send:", error);
+    return res.status(500).json({ message: "Could not send the reset email. Please try again later." });
+  }
+
+  res.json({
+    success: true,
+    message: "If an account exists for that email, a link to reset the password is on its way.",
+  });
+};
+
+// POST /api/auth/reset-password
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const userId = await consumeAuthToken(token, "reset-password");
+    if (!userId) {
+      return res.status(400).json({ message: "This reset link is invalid or has expired. Please ask for a new one." });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // Opening the emailed link proves the address belongs to them
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    // Whoever knew the old password may still be signed in somewhere
+    await revokeSessions({ user: user._id }, "password-reset");
+
+    sendEmail({ to: user.email, ...passwordChangedEmail({ name: user.name }) }).catch((error) =>
+      console.error("Password changed email failed to send:", error)
+    );
+
+    res.json({ success: true, message: "Your password has been reset and all devices were signed out. You can now sign in." });
   } catch (error) {
+    console.error("Password reset error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
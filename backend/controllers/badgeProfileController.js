@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { deriveEarnedBadges, isKnownScenario } from "../utils/playgroundBadges.js";
+
+const SHARE_ID_PATTERN = /^[\w-]{16}$/;
+
+/** Give the user a public profile id if they don't have one yet (saves the user). */
+export const ensureBadgeShareId = async (user) => {
+  if (!user.badgeShareId) {
+    user.badgeShareId = crypto.randomBytes(12).toString("base64url");
+    await user.save();
+  }
+  return user.badgeShareId;
+};
+
+// POST /api/badge-profile/share
+// Returns the signed-in user's public profile id, creating it on first use.
+// The profile is read from the account, so badges must be synced before they show up.
+export const createShareLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const shareId = await ensureBadgeShareId(user);
+    res.json({ success: true, shareId });
+  } catch (error) {
+    console.error("Failed to create badge share link:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/badge-profile/:shareId
+// Public: what the account behind a share link has earned. Nothing here comes from the URL
+// except the id, so a link can't be edited to claim more badges, and the badges are
+// rechecked against the synced completions rather than read from what the browser sent.
+export const getPublicProfile = async (req, res) => {
+  const { shareId } = req.params;
+  if (!SHARE_ID_PATTERN.test(shareId)) {
+    return res.status(404).json({ message: "Profile not found" });
+  }
+
+  try {
+    const user = await User.findOne({ badgeShareId: shareId }).select("name learningProgress");
+    if (!user) return res.status(404).json({ message: "Profile not found" });
+
+    const progress = user.learningProgress || {};
+    const stars = (progress.scenarioStats || [])
+      .filter((entry) => isKnownScenario(entry.scenarioId))
+      .reduce((sum, entry) => sum + (entry.best?.stars || 0), 0);
+
+    res.json({
+      success: true,
+      profile: {
+        name: user.name,
+        badges: deriveEarnedBadges(progress, progress.syncedAt),
+        completedScenarios: (progress.completedScenarios || []).filter((entry) => isKnownScenario(entry.scenarioId)).length,
+        stars,
+        speedruns: progress.speedruns || 0,
+        syncedAt: progress.syncedAt || null,
+        verified: true,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to load badge profile:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ChatSession, { GUEST_SESSION_TTL_DAYS } from "../models/ChatSession.js";
+import { generateText, hasProvider } from "../services/llmService.js";
+import { openEventStream, streamGeneration } from "../utils/eventStream.js";
+import { searchPassages } from "../utils/siteKnowledge.js";
+
+const MAX_MESSAGE_LENGTH = 1000;
+const PASSAGE_LIMIT = 4;
+const MAX_STORED_MESSAGES = 200;
+const TITLE_LENGTH = 60;
+
+// Earlier turns sent back to the model with each message. Whole exchanges are
+// dropped oldest first once either limit is reached, so the prompt stays well
+// inside the model's context window however long the conversation gets.
+const HISTORY_MAX_MESSAGES = 12;
+const HISTORY_MAX_CHARS = 8000;
+
+export const SYSTEM_PROMPT = `You are the OpenSource Compass mentor: a patient, encouraging guide for people making their first open source contributions.
+- Explain things simply, assume no prior experience, and suggest a concrete next step when it helps.
+- Each question comes with numbered passages from the OpenSource Compass website. Answer from those passages and the conversation so far, and cite every fact from a passage with its number in square brackets, e.g. [1] or [2][3].
+- If the passages don't cover the question, say so briefly instead of guessing.
+- Keep answers short and friendly: at most 150 words, plain Markdown, no headings.`;
+
+const NOTHING_FOUND =
+  "I couldn't find anything about that in OpenSource Compass's guides, programs, glossary or FAQ. " +
+  "Try rephrasing, or browse the guides for a starting point.";
+
+/* ---------- Sessions ---------- */
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const guestExpiry = () => new Date(Date.now() + GUEST_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const titleFrom = (message) =>
+  message.length > TITLE_LENGTH ? `${message.slice(0, TITLE_LENGTH).replace(/\s+\S*$/, "")}…` : message;
+
+/**
+ * The conversation, if the request may open it: its owner when it belongs to a user,
+ * or whoever holds the key (`X-Chat-Key` header) for a guest conversation. Anything
+ * else looks the same as a missing conversation.
+ */
+const findSession = async (req, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const session = await ChatSession.findById(id).select("+guestKeyHash");
+  if (!session) return null;
+
+  if (session.user) {
+    return req.user && session.user.equals(req.user._id) ? session : null;
+  }
+  const key = req.get("x-chat-key");
+  if (!key || !session.guestKeyHash) return null;
+  const given = Buffer.from(hashKey(key));
+  const stored = Buffer.from(session.guestKeyHash);
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored) ? session : null;
+};
+
+/** The most recent whole exchanges that fit the history budget, oldest first. */
+export const trimHistory = (messages, { maxMessages = HISTORY_MAX_MESSAGES, maxChars = HISTORY_MAX_CHARS } = {}) => {
+  const kept = [];
+  let chars = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    chars += messages[i].content.length;
+    if (kept.length >= maxMessages || chars > maxChars) break;
+    kept.unshift(messages[i]);
+  }
+  // Start on a user turn so the model never sees an answer without its question
+  while (kept.length && kept[0].role !== "user") kept.shift();
+  return kept;
+};
+
+const toClient = (session) => ({
+  id: session._id,
+  title: session.title,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  messages: session.messages.map(({ role, content, citations, createdAt }) => ({ role, content, citations, createdAt })),
+});
+
+/* ---------- Answers ---------- */
+
+/** Passages for this message; a follow-up that finds nothing on its own is searched with the previous question. */
+const retrieve = (message, history) => {
+  const passages = searchPassages(message, { limit: PASSAGE_LIMIT });
+  const previous = [...history].reverse().find((m) => m.role === "user");
+  if (passages.length || !previous) return passages;
+  return searchPassages(`${previous.content} ${message}`, { limit: PASSAGE_LIMIT });
+};
+
+const turnPrompt = (message, passages) => `Passages:
+${passages.map((p, i) => `[${i + 1}] ${p.title}\n${p.text}`).join("\n\n")}
+
+Question: ${message}`;
+
+/** Without a model, the best passage itself is the answer. */
+const extractiveReply = (passages) => {
+  const [best] = passages;
+  const text = best.text.length > 400 ? `${best.text.slice(0, 400).replace(/\s+\S*$/, "")}…` : best.text;
+  return `Here's what OpenSource Compass says in **${best.title}**:\n\n${text} [1]`;
+};
+
+/** Citations the reply actually refers to, in passage order; every passage if it cites none. */
+const citationsFor = (reply, passages) => {
+  const cited = new Set([...reply.matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1])));
+  const numbered = passages.map((p, i) => ({ n: i + 1, title: p.title, url: p.url, source: p.source }));
+  const used = numbered.filter((c) => cited.has(c.n));
+  return used.length ? used : numbered;
+};
+
+/** The earlier turns, then this question with its passages. */
+const chatRequest = (message, passages, history) => ({
+  system: SYSTEM_PROMPT,
+  messages: [
+    ...history.map(({ role, content }) => ({ role, content })),
+    { role: "user", content: turnPrompt(message, passages) },
+  ],
+});
+
+const generateReply = async (message, passages, history) => {
+  if (!hasProvider()) return extractiveReply(passages);
+
+  try {
+    return (await generateText(chatRequest(message, passages, history))).trim() || extractiveReply(passages);
+  } catch (error) {
+    // The passages still answer the question, just less fluently
+    console.error("Chat Model Error:", error.message || error);
+    return extractiveReply(passages);
+  }
+};
+
+/** generateReply, streamed. A reply cut short by a model error keeps what was already sent. */
+const streamReply = async (message, passages, history, stream) => {
+  let reply = "";
+  if (hasProvider()) {
+    try {
+      reply = (await streamGeneration(chatRequest(message, passages, history), stream)).trim();
+    } catch (error) {
+      if (stream.signal.aborted) throw error;
+      console.error("Chat Model Error:", error.message || error);
+    }
+  }
+  if (!reply) {
+    reply = extractiveReply(passages);
+    stream.send("token", { text: reply });
+  }
+  return reply;
+};
+
+/* ---------- Turns ---------- */
+
+/** The message from the body, or a 400 reason. */
+const readMessage = (body) => {
+  const message = typeof body?.message === "string" ? body.message.trim() : "";
+  if (!message) return { error: "Message required" };
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { message };
+};
+
+/**
+ * The conversation this message belongs to (a new one when no id is given) with the
+ * history and passages to answer from; null when the conversation can't be opened.
+ */
+const startTurn = async (req, message) => {
+  let session;
+  let guestKey;
+  if (req.body.conversationId) {
+    session = await findSession(req, req.body.conversationId);
+    if (!session) return null;
+  } else {
+    session = new ChatSession({ title: titleFrom(message) });
+    if (req.user) {
+      session.user = req.user._id;
+    } else {
+      guestKey = crypto.randomBytes(24).toString("base64url");
+      session.guestKeyHash = hashKey(guestKey);
+    }
+  }
+
+  const history = trimHistory(session.messages);
+  return { session, guestKey, history, passages: retrieve(message, history) };
+};
+
+/** Store the exchange and build the response body. */
+const finishTurn = async ({ session, guestKey, passages }, message, reply) => {
+  const grounded = passages.length > 0;
+  const citations = grounded ? citationsFor(reply, passages) : [];
+
+  session.messages.push({ role: "user", content: message }, { role: "assistant", content: reply, citations });
+  if (session.messages.length > MAX_STORED_MESSAGES) {
+    session.messages = session.messages.slice(-MAX_STORED_MESSAGES);
+  }
+  if (!session.user) session.expiresAt = guestExpiry();
+  await session.save();
+
+  return { conversationId: session._id, reply, citations, grounded, ...(guestKey && { guestKey }) };
+};
+
+/* ---------- Handlers ---------- */
+
+// POST /api/chat
+// Body: { message, conversationId? }. Starts a conversation when no id is given and answers
+// from the site's own content: { conversationId, reply, citations: [{ n, title, url, source }],
+// grounded, guestKey? }. `url` is relative to the site root. `guestKey` is only returned when
+// a signed-out visitor starts a conversation; send it back as `X-Chat-Key` to continue it.
+export const chat = async (req, res) => {
+  const { message, error } = readMessage(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const turn = await startTurn(req, message);
+    if (!turn) return res.status(404).json({ message: "Conversation not found" });
+
+    const reply = turn.passages.length ? await generateReply(message, turn.passages, turn.history) : NOTHING_FOUND;
+    res.json(await finishTurn(turn, message, reply));
+  } catch (error) {
+    console.error("Chat failed:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// POST /api/chat/stream
+// Same body as POST /api/chat. Replies over SSE: `token` events as the answer is written,
+// then `done` with the /api/chat response body. A conversation is only stored once the
+// answer is complete, so a stopped answer leaves no trace.
+export const chatStream = async (req, res) => {
+  const { message, error } = readMessage(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  let turn;
+  try {
+    turn = await startTurn(req, message);
+    if (!turn) return res.status(404).json({ message: "Conversation not found" });
+  } catch (error) {
+    console.error("Chat failed:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    let reply = NOTHING_FOUND;
+    if (turn.passages.length) {
+      reply = await streamReply(message, turn.passages, turn.history, stream);
+    } else {
+      stream.send("token", { text: reply });
+    }
+    if (stream.signal.aborted) return;
+    stream.end("done", await finishTurn(turn, message, reply));
+  } catch (error) {
+    if (stream.signal.aborted) return;
+    console.error("Chat failed:", error);
+    stream.end("error", { message: "Server error" });
+  }
+};
+
+// GET /api/chat/conversations
+// The signed-in user's conversations, most recent first, without their messages.
+export const listConversations = async (req, res) => {
+  try {
+    const sessions = await ChatSession.find({ user: req.user._id })
+      .sort({ updatedAt: -1 })
+      .limit(50)
+      .select("title createdAt updatedAt messages.role");
+
+    res.json({
+      success: true,
+      conversations: sessions.map((s) => ({
+        id: s._id,
+        title: s.title,
+        createdAt: s.createdAt,
+        updatedAt: s.updatedAt,
+        messageCount: s.messages.length,
+      })),
+    });
+  } catch (error) {
+    console.error("Failed to list conversations:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/chat/conversations/:id
+// One conversation with its messages, to resume it.
+export const getConversation = async (req, res) => {
+  try {
+    const session = await findSession(req, req.params.id);
+    if (!session) return res.status(404).json({ message: "Conversation not found" });
+
+    res.json({ success: true, conversation: toClient(session) });
+  } catch (error) {
+    console.error("Failed to load conversation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// DELETE /api/chat/conversations/:id
+export const deleteConversation = async (req, res) => {
+  try {
+    const session = await findSession(req, req.params.id);
+    if (!session) return res.status(404).json({ message: "Conversation not found" });
+
+    await session.deleteOne();
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Failed to delete conversation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
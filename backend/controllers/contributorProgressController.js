@@ -1,10 +1,17 @@
+import GitHubPullRequest from "../models/GitHubPullRequest.js";
 import User from "../models/User.js";
+import { isRateLimited, syncGitHubActivity } from "../services/githubActivity.js";
+
+const RECENT_PULL_REQUESTS = 10;
+
+// How often a user may ask for a sync themselves; the 3 AM job in cronService syncs everyone daily
+const syncCooldownMs = () => (Number(process.env.GITHUB_SYNC_COOLDOWN_MINUTES) || 15) * 60 * 1000;
 
 export const getContributorProgress = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select("progress level");
+    const user = await User.findById(userId).select("progress level githubId githubUsername");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -32,9 +39,19 @@ export const getContributorProgress = async (req, res) => {
       ];
     }
 
+    // Filled in for users who linked GitHub (services/githubActivity.js)
+    const recentPullRequests = user.githubId
+      ? await GitHubPullRequest.find({ user: user._id })
+        .sort({ openedAt: -1 })
+        .limit(RECENT_PULL_REQUESTS)
+        .select("repo number title url state openedAt mergedAt -_id")
+      : [];
+
     return res.status(200).json({
       level: user.level,
       progress: user.progress,
+      github: user.githubId ? { username: user.githubUsername } : null,
+      recentPullRequests,
       nextSteps,
     });
   } catch (error) {
@@ -43,3 +60,47 @@ export const getContributorProgress = async (req, res) => {
   }
 };
 
+// POST /api/contributor/progress/sync
+// Refreshes the signed-in user's progress from GitHub now
+export const syncContributorProgress = async (req, res) => {
+  if (!req.user.githubId) {
+    return res.status(400).json({ message: "Link your GitHub account from your profile to track your contributions" });
+  }
+
+  // The attempt is claimed before calling GitHub, so failed and concurrent requests
+  // count toward the cooldown as well
+  const cooldownMs = syncCooldownMs();
+  const now = new Date();
+  try {
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        $or: [
+          { "progress.lastSyncAttemptAt": null },
+          { "progress.lastSyncAttemptAt": { $lte: new Date(now.getTime() - cooldownMs) } },
+        ],
+      },
+      { "progress.lastSyncAttemptAt": now }
+    );
+    if (!claimed) {
+      const lastAttempt = req.user.progress?.lastSyncAttemptAt;
+      const waitMs = lastAttempt ? lastAttempt.getTime() + cooldownMs - now.getTime() : cooldownMs;
+      res.set("Retry-After", String(Math.ceil(Math.max(waitMs, 1000) / 1000)));
+      return res.status(429).json({ message: "Your progress was synced recently. Please try again in a few minutes." });
+    }
+  } catch (error) {
+    console.error("GitHub sync claim error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  try {
+    const user = await syncGitHubActivity(req.user._id);
+    return res.status(200).json({ success: true, level: user.level, progress: user.progress });
+  } catch (error) {
+    console.error("GitHub sync error:", error.message);
+    if (isRateLimited(error)) {
+      return res.status(503).json({ message: "GitHub is rate limiting us right now. Please try again later." });
+    }
+    return res.status(502).json({ message: "Could not fetch your activity from GitHub" });
+  }
+};
@@ -1,40 +1,49 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import axios from "axios";
-
-export const analyzeIssue = async (req, res) => {
-    const { issueUrl } = req.body;
-
-    if (!issueUrl) {
-        return res.status(400).json({ error: "Missing required field: issueUrl" });
+import { ISSUE_VALIDATION_SCHEMA } from "../schemas/aiResponses.js";
+import { aiCacheKey, cacheKey, readCache, writeCache } from "../services/aiCache.js";
+import { generateJSON, generateText } from "../services/llmService.js";
+import { openEventStream, replayCached, streamGeneration } from "../utils/eventStream.js";
+
+const ISSUE_URL_PATTERN = /github\.com\/([^/]+)\/([^/]+)\/(?:issues|pull)\/(\d+)/;
+
+// Fetched issues are kept for a week, but revalidated with their ETag on every use
+const GITHUB_ISSUE_CACHE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * The issue from the GitHub API. A conditional request with the cached copy's ETag
+ * comes back 304 when nothing changed, and GitHub doesn't count those against the
+ * rate limit.
+ */
+const fetchIssue = async (owner, repo, number) => {
+    const key = cacheKey("github-issue", `${owner}/${repo}#${number}`.toLowerCase());
+    const cached = await readCache(key);
+
+    const githubResponse = await axios.get(`https://api.github.com/repos/${owner}/${repo}/issues/${number}`, {
+        headers: {
+            'User-Agent': 'OpenSource-Compass-App',
+            ...(cached && { 'If-None-Match': cached.etag })
+        },
+        validateStatus: (status) => (status >= 200 && status < 300) || (cached && status === 304)
+    });
+
+    if (githubResponse.status === 304) return cached.issue;
+
+    const { title, body, user, html_url, state, created_at, updated_at } = githubResponse.data;
+    const issue = { title, body, user: { login: user.login }, html_url, state, created_at, updated_at };
+    if (githubResponse.headers.etag) {
+        await writeCache(key, { etag: githubResponse.headers.etag, issue }, GITHUB_ISSUE_CACHE_MS);
     }
+    return issue;
+};
 
-    try {
-        // Parse URL
-        const regex = /github\.com\/([^/]+)\/([^/]+)\/(?:issues|pull)\/(\d+)/;
-        const match = issueUrl.match(regex);
-
-        if (!match) {
-            return res.status(400).json({ error: "Invalid GitHub Issue or PR URL. Format: https://github.com/owner/repo/issues/123" });
-        }
-
-        const [_, owner, repo, number] = match;
-        const apiUrl = `https://api.github.com/repos/${owner}/${repo}/issues/${number}`;
-
-        const githubResponse = await axios.get(apiUrl, {
-            headers: {
-                'User-Agent': 'OpenSource-Compass-App'
-            }
-        });
-
-        const issueData = githubResponse.data;
-        const { title, body, user, html_url, state, created_at } = issueData;
-
-        // Call Gemini
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const modelName = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-        const model = genAI.getGenerativeModel({ model: modelName });
+/**
+ * Fetches the issue and builds the insight prompt shared by both analyze endpoints.
+ * `cacheKey` names the analysis of this issue as last edited, so an edit starts a new one.
+ */
+const prepareIssueAnalysis = async ([_, owner, repo, number]) => {
+    const { title, body, user, html_url, state, created_at, updated_at } = await fetchIssue(owner, repo, number);
 
-        const prompt = `
+    const prompt = `
         You are an expert open-source mentor and senior developer. Your goal is to help a contributor understand and tackle the following GitHub issue/PR.
 
         **Issue Details:**
@@ -55,20 +64,46 @@ export const analyzeIssue = async (req, res) => {
         **Disclaimer:** Remind the user that you are an AI assistant and they should verify details with the codebase.
         `;
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const analysis = response.text();
-
-        res.json({
-            analysis,
-            issueDetails: {
-                title,
-                url: html_url,
-                author: user.login,
-                state,
-                created_at
-            }
-        });
+    return {
+        prompt,
+        cacheKey: aiCacheKey("issue-analysis", `${owner}/${repo}#${number}`.toLowerCase(), updated_at),
+        issueDetails: {
+            title,
+            url: html_url,
+            author: user.login,
+            state,
+            created_at
+        }
+    };
+};
+
+export const analyzeIssue = async (req, res) => {
+    const { issueUrl } = req.body;
+
+    if (!issueUrl) {
+        return res.status(400).json({ error: "Missing required field: issueUrl" });
+    }
+
+    try {
+        // Parse URL
+        const match = issueUrl.match(ISSUE_URL_PATTERN);
+
+        if (!match) {
+            return res.status(400).json({ error: "Invalid GitHub Issue or PR URL. Format: https://github.com/owner/repo/issues/123" });
+        }
+
+        const { prompt, cacheKey, issueDetails } = await prepareIssueAnalysis(match);
+
+        const cached = await readCache(cacheKey);
+        if (cached) {
+            res.locals.aiCached = true;
+            return res.json({ analysis: cached.analysis, issueDetails, cached: true });
+        }
+
+        const analysis = await generateText(prompt);
+        await writeCache(cacheKey, { analysis });
+
+        res.json({ analysis, issueDetails });
 
     } catch (error) {
         console.error("Analysis Error:", error);
@@ -78,6 +113,54 @@ export const analyzeIssue = async (req, res) => {
     }
 };
 
+/**
+ * Same as analyzeIssue, but streams the report over SSE: a `meta` event with the
+ * issue details, `token` events as the analysis is written, then `done` with
+ * `{ analysis, issueDetails }` (plus `cached: true` when the analysis was reused).
+ * Input and GitHub errors are plain JSON as before.
+ */
+export const analyzeIssueStream = async (req, res) => {
+    const { issueUrl } = req.body;
+
+    if (!issueUrl) {
+        return res.status(400).json({ error: "Missing required field: issueUrl" });
+    }
+
+    const match = issueUrl.match(ISSUE_URL_PATTERN);
+    if (!match) {
+        return res.status(400).json({ error: "Invalid GitHub Issue or PR URL. Format: https://github.com/owner/repo/issues/123" });
+    }
+
+    let analysisInput;
+    let cached;
+    try {
+        analysisInput = await prepareIssueAnalysis(match);
+        cached = await readCache(analysisInput.cacheKey);
+    } catch (error) {
+        console.error("Analysis Error:", error);
+        return res.status(500).json({ error: "Failed to analyze issue. " + error.message });
+    }
+
+    const { prompt, cacheKey, issueDetails } = analysisInput;
+    const stream = openEventStream(res);
+    stream.send("meta", { issueDetails });
+
+    if (cached) {
+        res.locals.aiCached = true;
+        return replayCached(stream, cached.analysis, { analysis: cached.analysis, issueDetails });
+    }
+
+    try {
+        const analysis = await streamGeneration(prompt, stream);
+        if (!stream.signal.aborted) await writeCache(cacheKey, { analysis });
+        stream.end("done", { analysis, issueDetails });
+    } catch (error) {
+        if (stream.signal.aborted) return;
+        console.error("Analysis Error:", error);
+        stream.end("error", { error: "Failed to analyze issue. " + error.message });
+    }
+};
+
 const parseGitHubUrl = (url) => {
     try {
         const urlObj = new URL(url);
@@ -193,23 +276,28 @@ export const validateIssue = async (req, res) => {
     `;
 
     try {
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        // Default to gemini-2.5-flash per user request
-        const modelName = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent(prompt);
-        const responseText = result.response.text();
-
-        // Clean up markdown code blocks if Gemini adds them
-        const cleanedResponse = responseText.replace(/```json/g, '').replace(/```/g, '').trim();
+        // The prompt includes the repo's current issues, so a new issue changes the key
+        const cacheKey = aiCacheKey("issue-validation", prompt);
+        const cached = await readCache(cacheKey);
+        if (cached) {
+            res.locals.aiCached = true;
+            return res.json({ ...cached, cached: true });
+        }
 
-        const validationResult = JSON.parse(cleanedResponse);
+        const validationResult = await generateJSON(prompt, { schema: ISSUE_VALIDATION_SCHEMA });
+        await writeCache(cacheKey, validationResult);
 
         res.json(validationResult);
 
     } catch (error) {
-        console.error("Gemini/Validation Error:", error);
+        console.error("Validation Error:", error);
+        // Still malformed after the repair attempts: the model is at fault, not the request
+        if (error.code === "INVALID_OUTPUT") {
+            return res.status(502).json({
+                error: "The AI's report came back in an unexpected format. Please try again.",
+                code: "INVALID_AI_RESPONSE"
+            });
+        }
         res.status(500).json({
             error: "Failed to validate issue. Please try again. " + (error.message || "")
         });
@@ -0,0 +1,222 @@
+import User from "../models/User.js";
+import { findBadge } from "../utils/openBadges.js";
+import { deriveEarnedBadges, isKnownScenario } from "../utils/playgroundBadges.js";
+
+// Upper bounds on what one sync may store, so a tampered payload can't bloat the user document
+const MAX_ENTRIES = 500;
+const MAX_STARS = 3;
+
+/* ---------- Reading the browser payload ---------- */
+
+const isBadgeId = (id) => Boolean(findBadge(id));
+
+const toCount = (value) =>
+  Number.isFinite(Number(value)) ? Math.max(0, Math.floor(Number(value))) : 0;
+
+const toDate = (value, fallback) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+};
+
+const toBestSolve = (best) => {
+  if (!best || typeof best !== "object") return null;
+  const stars = toCount(best.stars);
+  if (stars < 1 || stars > MAX_STARS) return null;
+  return {
+    stars,
+    commands: toCount(best.commands),
+    hintsUsed: toCount(best.hintsUsed),
+    answerShown: Boolean(best.answerShown),
+    wrongCommands: toCount(best.wrongCommands),
+    timeMs: toCount(best.timeMs),
+    solvedAt: toDate(best.solvedAt, new Date()),
+  };
+};
+
+/**
+ * Convert the shape GitBadgeEngine keeps in localStorage
+ * ({ earnedBadges: { id: { earnedAt } }, completedScenarios: [id], scenarioStats: { id: {...} } })
+ * into the arrays stored on the user, dropping anything malformed or not in the playground.
+ * Earned badges only contribute their dates; which badges count is worked out on sync.
+ */
+const fromPlayground = (playground) => {
+  const now = new Date();
+  const stats = playground.scenarioStats && typeof playground.scenarioStats === "object"
+    ? playground.scenarioStats
+    : {};
+  const badges = playground.earnedBadges && typeof playground.earnedBadges === "object"
+    ? playground.earnedBadges
+    : {};
+  const scenarioIds = Array.isArray(playground.completedScenarios) ? playground.completedScenarios : [];
+
+  return {
+    completedScenarios: scenarioIds.filter(isKnownScenario).slice(0, MAX_ENTRIES).map((scenarioId) => ({
+      scenarioId,
+      // The browser keeps no completion time of its own; the best solve is the closest record
+      completedAt: toDate(stats[scenarioId]?.best?.solvedAt, now),
+    })),
+    earnedBadges: Object.keys(badges).filter(isBadgeId).slice(0, MAX_ENTRIES).map((badgeId) => ({
+      badgeId,
+      earnedAt: toDate(badges[badgeId]?.earnedAt, now),
+    })),
+    scenarioStats: Object.keys(stats).filter(isKnownScenario).slice(0, MAX_ENTRIES).map((scenarioId) => ({
+      scenarioId,
+      attempts: toCount(stats[scenarioId]?.attempts),
+      solves: toCount(stats[scenarioId]?.solves),
+      best: toBestSolve(stats[scenarioId]?.best),
+    })),
+    speedruns: toCount(playground.speedruns),
+    persistentSolves: toCount(playground.persistentSolves),
+  };
+};
+
+/* ---------- Merging ---------- */
+
+/** Same ordering as the playground: more stars, then fewer hints, then faster. */
+const betterSolve = (a, b) => {
+  if (!a?.stars) return b;
+  if (!b?.stars) return a;
+  if (a.stars !== b.stars) return a.stars > b.stars ? a : b;
+  if (a.hintsUsed !== b.hintsUsed) return a.hintsUsed < b.hintsUsed ? a : b;
+  return a.timeMs <= b.timeMs ? a : b;
+};
+
+/** Union two lists keyed by `key`, keeping the earliest date when both have an entry. */
+const mergeDated = (stored, incoming, key, dateField) => {
+  const byId = new Map(stored.map((entry) => [entry[key], { [key]: entry[key], [dateField]: entry[dateField] }]));
+  incoming.forEach((entry) => {
+    const existing = byId.get(entry[key]);
+    if (!existing || entry[dateField] < existing[dateField]) byId.set(entry[key], entry);
+  });
+  return [...byId.values()].slice(0, MAX_ENTRIES);
+};
+
+/**
+ * Counters take the larger value rather than adding up, so syncing the same
+ * browser twice (or after every scenario) never double counts.
+ */
+const mergeStats = (stored, incoming) => {
+  const byId = new Map(stored.map((entry) => [entry.scenarioId, {
+    scenarioId: entry.scenarioId,
+    attempts: entry.attempts,
+    solves: entry.solves,
+    best: entry.best?.stars ? entry.best : null,
+  }]));
+  incoming.forEach((entry) => {
+    const existing = byId.get(entry.scenarioId);
+    byId.set(entry.scenarioId, existing
+      ? {
+        scenarioId: entry.scenarioId,
+        attempts: Math.max(existing.attempts, entry.attempts),
+        solves: Math.max(existing.solves, entry.solves),
+        best: betterSolve(existing.best, entry.best),
+      }
+      : entry);
+  });
+  return [...byId.values()].slice(0, MAX_ENTRIES);
+};
+
+/* ---------- Response shape ---------- */
+
+/** The stored progress in the shape the browser keeps locally, ready to write back to localStorage. */
+const toClient = (progress = {}) => {
+  const scenarioStats = {};
+  (progress.scenarioStats || []).forEach((entry) => {
+    const best = entry.best?.stars
+      ? {
+        stars: entry.best.stars,
+        commands: entry.best.commands,
+        hintsUsed: entry.best.hintsUsed,
+        answerShown: entry.best.answerShown,
+        wrongCommands: entry.best.wrongCommands,
+        timeMs: entry.best.timeMs,
+        solvedAt: entry.best.solvedAt,
+      }
+      : null;
+    scenarioStats[entry.scenarioId] = { attempts: entry.attempts, solves: entry.solves, best };
+  });
+  const earnedBadges = {};
+  (progress.earnedBadges || []).forEach((entry) => {
+    earnedBadges[entry.badgeId] = { earnedAt: entry.earnedAt };
+  });
+
+  return {
+    playground: {
+      completedScenarios: (progress.completedScenarios || []).map((entry) => entry.scenarioId),
+      earnedBadges,
+      scenarioStats,
+      speedruns: progress.speedruns || 0,
+      persistentSolves: progress.persistentSolves || 0,
+    },
+    quiz: {
+      totalXP: progress.quizXP || 0,
+      unlockedLevel: progress.quizLevel || 1,
+    },
+    syncedAt: progress.syncedAt || null,
+  };
+};
+
+/* ---------- Handlers ---------- */
+
+// GET /api/learning-progress
+export const getLearningProgress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("learningProgress");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ success: true, progress: toClient(user.learningProgress) });
+  } catch (error) {
+    console.error("Failed to load learning progress:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// PUT /api/learning-progress
+// Body: { playground?: <GitBadgeEngine data>, quiz?: { totalXP, unlockedLevel } }.
+// Merges into what the account already has and returns the result. Earned badges are
+// recomputed from the merged completions, so the browser can't claim ones it hasn't earned.
+export const syncLearningProgress = async (req, res) => {
+  const { playground, quiz } = req.body || {};
+  if ((playground && typeof playground !== "object") || (quiz && typeof quiz !== "object")) {
+    return res.status(400).json({ message: "playground and quiz must be objects" });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const stored = user.learningProgress || {};
+    const next = {
+      completedScenarios: (stored.completedScenarios || []).filter((entry) => isKnownScenario(entry.scenarioId)),
+      earnedBadges: stored.earnedBadges || [],
+      scenarioStats: (stored.scenarioStats || []).filter((entry) => isKnownScenario(entry.scenarioId)),
+      speedruns: stored.speedruns || 0,
+      persistentSolves: stored.persistentSolves || 0,
+      quizXP: stored.quizXP || 0,
+      quizLevel: stored.quizLevel || 1,
+    };
+
+    if (playground) {
+      const incoming = fromPlayground(playground);
+      next.completedScenarios = mergeDated(next.completedScenarios, incoming.completedScenarios, "scenarioId", "completedAt");
+      next.earnedBadges = mergeDated(next.earnedBadges, incoming.earnedBadges, "badgeId", "earnedAt");
+      next.scenarioStats = mergeStats(next.scenarioStats, incoming.scenarioStats);
+      next.speedruns = Math.max(next.speedruns, incoming.speedruns);
+      next.persistentSolves = Math.max(next.persistentSolves, incoming.persistentSolves);
+    }
+    if (quiz) {
+      next.quizXP = Math.max(next.quizXP, toCount(quiz.totalXP));
+      next.quizLevel = Math.max(next.quizLevel, toCount(quiz.unlockedLevel) || 1);
+    }
+    next.syncedAt = new Date();
+    next.earnedBadges = deriveEarnedBadges(next, next.syncedAt);
+
+    user.learningProgress = next;
+    await user.save();
+
+    res.json({ success: true, progress: toClient(user.learningProgress) });
+  } catch (error) {
+    console.error("Failed to sync learning progress:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
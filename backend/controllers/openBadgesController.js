@@ -0,0 +1,77 @@
+import User from "../models/User.js";
+import { ensureBadgeShareId } from "./badgeProfileController.js";
+import {
+  assertionDocument,
+  badgeClassDocument,
+  badgeSvg,
+  findBadge,
+  issuerDocument,
+} from "../utils/openBadges.js";
+import { deriveEarnedBadges } from "../utils/playgroundBadges.js";
+
+// Ids in the hosted documents must be absolute URLs that resolve back to this API
+const apiBase = (req) => `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`}/api`;
+
+// GET /api/open-badges/issuer
+export const getIssuer = (req, res) => {
+  res.json(issuerDocument(apiBase(req)));
+};
+
+// GET /api/open-badges/badges/:badgeId
+export const getBadgeClass = (req, res) => {
+  const badge = findBadge(req.params.badgeId);
+  if (!badge) return res.status(404).json({ message: "Badge not found" });
+
+  res.json(badgeClassDocument(apiBase(req), badge));
+};
+
+// GET /api/open-badges/badges/:badgeId/image
+export const getBadgeImage = (req, res) => {
+  const badge = findBadge(req.params.badgeId);
+  if (!badge) return res.status(404).json({ message: "Badge not found" });
+
+  res.type("image/svg+xml").send(badgeSvg(badge));
+};
+
+// GET /api/open-badges/assertions/:shareId/:badgeId
+// Public, for hosted verification: backpacks re-fetch the assertion from its id.
+export const getAssertion = async (req, res) => {
+  const { shareId, badgeId } = req.params;
+  const badge = findBadge(badgeId);
+  if (!badge) return res.status(404).json({ message: "Assertion not found" });
+
+  try {
+    const user = await User.findOne({ badgeShareId: shareId }).select("email learningProgress");
+    const progress = user?.learningProgress;
+    const earned = progress && deriveEarnedBadges(progress, progress.syncedAt).find((b) => b.badgeId === badgeId);
+    if (!earned) return res.status(404).json({ message: "Assertion not found" });
+
+    res.json(assertionDocument(apiBase(req), { user, shareId, badge, earnedAt: earned.earnedAt }));
+  } catch (error) {
+    console.error("Failed to load assertion:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// GET /api/open-badges/assertions
+// The signed-in learner's assertions, one per earned badge, ready to bake into images.
+// Assertion ids hang off the public profile id, so one is created if needed.
+export const getMyAssertions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const shareId = await ensureBadgeShareId(user);
+    const progress = user.learningProgress || {};
+    const assertions = deriveEarnedBadges(progress, progress.syncedAt)
+      .map(({ badgeId, earnedAt }) => ({ badge: findBadge(badgeId), earnedAt }))
+      .map(({ badge, earnedAt }) =>
+        assertionDocument(apiBase(req), { user, shareId, badge, earnedAt })
+      );
+
+    res.json({ success: true, assertions });
+  } catch (error) {
+    console.error("Failed to build assertions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
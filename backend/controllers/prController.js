@@ -1,12 +1,9 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-export const generatePRDescription = async (req, res) => {
-    const { prLink, problem, changes, testing, limitations, projectRequirements, structureSettings } = req.body;
-
-    if (!prLink && (!problem || !changes)) {
-        return res.status(400).json({ error: "Missing required fields (either prLink or both problem and changes)" });
-    }
+import { aiCacheKey, readCache, writeCache } from "../services/aiCache.js";
+import { generateText } from "../services/llmService.js";
+import { openEventStream, replayCached, streamGeneration } from "../utils/eventStream.js";
 
+/** The PR description prompt shared by both generate endpoints. */
+const buildPRPrompt = ({ prLink, problem, changes, testing, limitations, projectRequirements, structureSettings }) => {
     // Build the sections list dynamically based on structure settings
     const sections = buildSectionsList(prLink, structureSettings);
 
@@ -31,24 +28,73 @@ export const generatePRDescription = async (req, res) => {
     Make the tone professional yet welcoming. Ensure the Markdown is well-formatted.
   `;
 
+    return prompt;
+};
+
+export const generatePRDescription = async (req, res) => {
+    const { prLink, problem, changes } = req.body;
+
+    if (!prLink && (!problem || !changes)) {
+        return res.status(400).json({ error: "Missing required fields (either prLink or both problem and changes)" });
+    }
+
+    const prompt = buildPRPrompt(req.body);
+
     try {
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        // Default to a modern model if env var is missing or old
-        const modelName = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const prDescription = response.text();
+        // The same inputs and settings give the same description, so reuse it
+        const cacheKey = aiCacheKey("pr-description", prompt);
+        const cached = await readCache(cacheKey);
+        if (cached) {
+            res.locals.aiCached = true;
+            return res.json({ ...cached, cached: true });
+        }
+
+        const prDescription = await generateText(prompt);
+        await writeCache(cacheKey, { prDescription });
 
         res.json({ prDescription });
     } catch (error) {
-        console.error("Gemini Error:", error);
+        console.error("PR Generation Error:", error);
         res.status(500).json({
             error: "Failed to generate PR description. Please check your API key and try again. " + (error.message || "")
         });
     }
 };
 
+/**
+ * Streaming generatePRDescription: `token` events, then `done` with `{ prDescription }`.
+ * A cached description arrives as a single `token` and `done` with `cached: true`.
+ */
+export const generatePRDescriptionStream = async (req, res) => {
+    const { prLink, problem, changes } = req.body;
+
+    if (!prLink && (!problem || !changes)) {
+        return res.status(400).json({ error: "Missing required fields (either prLink or both problem and changes)" });
+    }
+
+    const prompt = buildPRPrompt(req.body);
+    const cacheKey = aiCacheKey("pr-description", prompt);
+    const cached = await readCache(cacheKey);
+
+    const stream = openEventStream(res);
+    if (cached) {
+        res.locals.aiCached = true;
+        return replayCached(stream, cached.prDescription, cached);
+    }
+
+    try {
+        const prDescription = await streamGeneration(prompt, stream);
+        if (!stream.signal.aborted) await writeCache(cacheKey, { prDescription });
+        stream.end("done", { prDescription });
+    } catch (error) {
+        if (stream.signal.aborted) return;
+        console.error("PR Generation Error:", error);
+        stream.end("error", {
+            error: "Failed to generate PR description. Please check your API key and try again. " + (error.message || "")
+        });
+    }
+};
+
 /**
  * Builds the list of sections to include in the AI prompt,
  * based on the user's structure control toggles.
@@ -102,13 +148,8 @@ function buildSectionsList(prLink, settings) {
 
     return sectionEntries.join('\n    ');
 }
-export const improveSectionText = async (req, res) => {
-    const { text, fieldName, creativity, strictness } = req.body;
-
-    if (!text || !text.trim()) {
-        return res.status(400).json({ error: "No text provided to improve." });
-    }
-
+/** The rewrite prompt shared by both improve-section endpoints. */
+const buildImprovePrompt = ({ text, fieldName, creativity, strictness }) => {
     const fieldLabels = {
         prProblem: "Problem Statement",
         prChanges: "Changes Implemented",
@@ -154,19 +195,63 @@ export const improveSectionText = async (req, res) => {
     ${text}
     `;
 
+    return prompt;
+};
+
+export const improveSectionText = async (req, res) => {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+        return res.status(400).json({ error: "No text provided to improve." });
+    }
+
+    const prompt = buildImprovePrompt(req.body);
+
     try {
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const modelName = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const improvedText = response.text().trim();
+        const cacheKey = aiCacheKey("improve-section", prompt);
+        const cached = await readCache(cacheKey);
+        if (cached) {
+            res.locals.aiCached = true;
+            return res.json({ ...cached, cached: true });
+        }
+
+        const improvedText = (await generateText(prompt)).trim();
+        await writeCache(cacheKey, { improvedText });
 
         res.json({ improvedText });
     } catch (error) {
-        console.error("Gemini Improve Error:", error);
+        console.error("AI Improve Error:", error);
         res.status(500).json({
             error: "Failed to improve text. " + (error.message || "")
         });
     }
 };
+
+/** Streaming improveSectionText: `token` events, then `done` with `{ improvedText }`. */
+export const improveSectionTextStream = async (req, res) => {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+        return res.status(400).json({ error: "No text provided to improve." });
+    }
+
+    const prompt = buildImprovePrompt(req.body);
+    const cacheKey = aiCacheKey("improve-section", prompt);
+    const cached = await readCache(cacheKey);
+
+    const stream = openEventStream(res);
+    if (cached) {
+        res.locals.aiCached = true;
+        return replayCached(stream, cached.improvedText, cached);
+    }
+
+    try {
+        const improvedText = (await streamGeneration(prompt, stream)).trim();
+        if (!stream.signal.aborted) await writeCache(cacheKey, { improvedText });
+        stream.end("done", { improvedText });
+    } catch (error) {
+        if (stream.signal.aborted) return;
+        console.error("AI Improve Error:", error);
+        stream.end("error", { error: "Failed to improve text. " + (error.message || "") });
+    }
+};
@@ -0,0 +1,70 @@
+import SuccessStory from "../models/SuccessStory.js";
+
+const PUBLIC_FIELDS = "name role story prs year avatar createdAt";
+const MAX_LISTED = 100;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// GET /api/success-stories
+// Approved stories, newest first
+export const getApprovedStories = async (req, res) => {
+  try {
+    const stories = await SuccessStory.find({ status: "approved" })
+      .sort({ reviewedAt: -1 })
+      .limit(MAX_LISTED)
+      .select(PUBLIC_FIELDS);
+    res.json({ success: true, stories });
+  } catch (error) {
+    console.error("Success stories error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Stories one user can have waiting for review at once
+const MAX_PENDING_PER_USER = 3;
+
+// POST /api/success-stories
+// Queues a story for moderation; it isn't shown until a moderator approves it
+export const submitStory = async (req, res) => {
+  const { name, role, story, prs, year, avatar } = req.body;
+  if (!name || !story) {
+    return res.status(400).json({ message: "Name and story are required" });
+  }
+  if (avatar && !isHttpUrl(avatar)) {
+    return res.status(400).json({ message: "Avatar must be an http(s) URL" });
+  }
+
+  try {
+    const pending = await SuccessStory.countDocuments({ submittedBy: req.user._id, status: "pending" });
+    if (pending >= MAX_PENDING_PER_USER) {
+      return res.status(429).json({ message: "You already have stories waiting for review. Please wait until a moderator has looked at them." });
+    }
+
+    const submitted = await SuccessStory.create({
+      name,
+      role,
+      story,
+      prs: Number(prs) || 0,
+      year: Number(year) || new Date().getFullYear(),
+      avatar: avatar || undefined,
+      submittedBy: req.user._id,
+    });
+    res.status(201).json({
+      success: true,
+      id: submitted._id,
+      message: "Thanks! Your story will appear once a moderator has reviewed it.",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: Object.values(error.errors).map((e) => e.message).join(", ") });
+    }
+    console.error("Submit story error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import AIUsage from "../models/AIUsage.js";
+
+// Daily limits on AI requests, shared across every AI endpoint: per account for
+// signed-in users and per IP address for guests, counted per UTC day. Accounts
+// with an unverified email are counted per account but get the guest limit. Use after
+// `optionalAuth`. Requests that fail, and answers a handler serves from the cache
+// (it sets `res.locals.aiCached`), are given back, so only fresh generations count.
+const DEFAULT_DAILY_LIMITS = { user: 50, ip: 20 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toLimit = (value, fallback) => {
+  const limit = Number.parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+};
+
+/** The configured limits, from AI_DAILY_LIMIT_USER and AI_DAILY_LIMIT_IP. */
+export const getDailyLimits = () => ({
+  user: toLimit(process.env.AI_DAILY_LIMIT_USER, DEFAULT_DAILY_LIMITS.user),
+  ip: toLimit(process.env.AI_DAILY_LIMIT_IP, DEFAULT_DAILY_LIMITS.ip),
+});
+
+/** YYYY-MM-DD in UTC */
+export const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const quotaExceededMessage = (user, limit, limits) => {
+  let upgrade = "";
+  if (limits.user > limits.ip && !user) upgrade = " Sign in to get more.";
+  else if (limits.user > limits.ip && !user.emailVerified) upgrade = " Verify your email to get more.";
+  if (limit === 0) return `AI requests aren't available for this account.${upgrade}`;
+  return `You've used all ${limit} AI requests for today. The limit resets at midnight UTC.${upgrade}`;
+};
+
+/** Counts one request to `endpoint` against the caller's daily AI limit. */
+export const aiQuota = (endpoint) => async (req, res, next) => {
+  // Without a database there is nothing to count against
+  if (mongoose.connection.readyState !== 1) return next();
+
+  const kind = req.user ? "user" : "ip";
+  const subject = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+  const limits = getDailyLimits();
+  const limit = req.user?.emailVerified ? limits.user : limits.ip;
+  const now = new Date();
+  const day = usageDay(now);
+  const resetAt = new Date(Date.parse(day) + DAY_MS);
+
+  // Increment only while under the limit. At the limit the filter matches nothing,
+  // the upsert collides with today's row on the unique index, and the request is refused.
+  // A limit of 0 is refused up front: with no row for today yet, the upsert would insert one.
+  let usage = null;
+  if (limit > 0) {
+    try {
+      usage = await AIUsage.findOneAndUpdate(
+        { subject, day, count: { $lt: limit } },
+        {
+          $inc: { count: 1, [`endpoints.${endpoint}`]: 1 },
+          $setOnInsert: { kind, ...(req.user && { user: req.user._id }) },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        // A usage-tracking failure shouldn't take the AI features down with it
+        console.error("AI quota check failed:", error.message);
+        return next();
+      }
+    }
+  }
+
+  res.set({
+    "X-RateLimit-Limit": String(limit),
+    "X-RateLimit-Remaining": String(usage ? Math.max(0, limit - usage.count) : 0),
+    "X-RateLimit-Reset": String(Math.floor(resetAt.getTime() / 1000)),
+  });
+
+  if (!usage) {
+    res.set("Retry-After", String(Math.ceil((resetAt - now) / 1000)));
+    return res.status(429).json({
+      error: quotaExceededMessage(req.user, limit, limits),
+      code: "AI_QUOTA_EXCEEDED",
+      limit,
+      remaining: 0,
+      resetAt: resetAt.toISOString(),
+    });
+  }
+
+  res.once("close", () => {
+    const cached = Boolean(res.locals.aiCached);
+    const failed = res.statusCode >= 400 || Boolean(res.locals.aiFailed);
+    if (!cached && !failed) return;
+    AIUsage.updateOne(
+      { subject, day },
+      { $inc: { count: -1, [`endpoints.${endpoint}`]: -1, ...(cached && { cacheHits: 1 }) } }
+    ).catch((error) => console.error("AI quota refund failed:", error.message));
+  });
+
+  next();
+};
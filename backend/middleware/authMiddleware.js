@@ -26,55 +26,70 @@
 //     res.status(401).json({ message: "Not authorized, token invalid" });
 //   }
 // };
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
-import User from "../models/User.js";
+import { authenticateRequest } from "../services/sessions.js";
 
 dotenv.config();
 
+/* Signed-in requests only. Expired access tokens are renewed from the refresh cookie (see services/sessions.js) */
 export const protect = async (req, res, next) => {
-  let token;
-
-  /* 1️⃣ First priority: COOKIE (recommended) */
-  if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
-  }
-
-  /* 2️⃣ Fallback: Authorization Header (optional) */
-  if (
-    !token &&
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
-  }
-
-  /* ❌ No token */
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Not authorized, token missing",
-    });
-  }
-
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const user = await User.findById(decoded.id).select("-password");
+    const { user, sessionId, error } = await authenticateRequest(req, res);
 
-    if (!user) {
+    /* ❌ No token, or a revoked or expired session */
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: "User not found",
+        message: error,
       });
     }
 
     req.user = user; // 👈 attach full user
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    return res.status(401).json({
+    console.error("Auth error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+/* Like `protect`, but lets signed-out requests through with no `req.user` */
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const { user, sessionId } = await authenticateRequest(req, res);
+    if (user) {
+      req.user = user;
+      req.sessionId = sessionId;
+    }
+  } catch (error) {
+    // A failed session lookup just means a guest request
+    console.error("Auth error:", error);
+  }
+  next();
+};
+
+/* Use after `protect`. Blocks accounts that haven't confirmed their email address yet */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Please verify your email address first",
+    });
+  }
+  next();
+};
+
+/* Use after `protect`. Lets through only users with one of `roles`, e.g. authorize("moderator", "admin") */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
       success: false,
-      message: "Not authorized, token invalid or expired",
+      message: "You don't have permission to do that",
     });
   }
+  next();
 };
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// One cached AI answer (or upstream fetch), looked up by a hash of everything that
+// shaped it. Mongo removes entries once `expiresAt` passes.
+const AIResponseCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    kind: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    hits: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+AIResponseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AIResponseCache", AIResponseCacheSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Daily AI request counts are kept this long for the admin usage view
+export const USAGE_RETENTION_DAYS = 90;
+
+// One row per signed-in user or guest IP per UTC day
+const AIUsageSchema = new mongoose.Schema(
+  {
+    // "user:<id>" or "ip:<address>"
+    subject: { type: String, required: true },
+    kind: { type: String, enum: ["user", "ip"], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // YYYY-MM-DD in UTC, the window the daily limit applies to
+    day: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    // Requests answered from the cache; these don't count against the limit
+    cacheHits: { type: Number, default: 0 },
+    endpoints: { type: Map, of: Number, default: {} },
+  },
+  { timestamps: true }
+);
+
+AIUsageSchema.index({ subject: 1, day: 1 }, { unique: true });
+AIUsageSchema.index({ day: 1 });
+AIUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: USAGE_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model("AIUsage", AIUsageSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One entry per admin or moderator action, written by services/auditLog.js.
+// The actor's email and the target's label are copied in, so entries still read
+// correctly after the user or record is deleted.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorEmail: { type: String },
+    actorRole: { type: String },
+    // e.g. "user.role.update", "program.create", "story.review", "ingestion.run"
+    action: { type: String, required: true },
+    target: {
+      type: { type: String },
+      id: { type: String },
+      label: { type: String },
+    },
+    // What changed, e.g. { before: { role: "learner" }, after: { role: "moderator" } }
+    changes: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// A one-time link sent by email, or handed to the profile page to start linking
+// GitHub. Only a hash of the token is stored, so a leaked database can't be used
+// to verify addresses, reset passwords or link accounts. Mongo removes
+// tokens once `expiresAt` passes; a used token is deleted straight away.
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    purpose: { type: String, enum: ["verify-email", "reset-password", "github-link"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AuthTokenSchema.index({ user: 1, purpose: 1 });
+
+export default mongoose.model("AuthToken", AuthTokenSchema);
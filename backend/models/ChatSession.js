@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Guest conversations are dropped after this long without a new message
+export const GUEST_SESSION_TTL_DAYS = 30;
+
+const ChatMessageSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["user", "assistant"], required: true },
+    content: { type: String, required: true },
+    citations: [
+      {
+        _id: false,
+        n: Number,
+        title: String,
+        url: String,
+        source: String,
+      },
+    ],
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ChatSessionSchema = new mongoose.Schema(
+  {
+    // Signed-in conversations belong to the user; guest ones are opened with a key instead
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    guestKeyHash: { type: String, select: false },
+    title: { type: String, default: "New conversation" },
+    messages: [ChatMessageSchema],
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+ChatSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ChatSessionSchema.index({ user: 1, updatedAt: -1 });
+
+export default mongoose.model("ChatSession", ChatSessionSchema);
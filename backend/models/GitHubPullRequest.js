@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// A pull request a user with a linked GitHub account authored, as of the last
+// sync (services/githubActivity.js). The user's `progress` counters are totals
+// over these; PRs no longer found on GitHub are dropped on the next sync.
+const GitHubPullRequestSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    repo: { type: String, required: true }, // "owner/name"
+    number: { type: Number, required: true },
+    title: { type: String },
+    url: { type: String },
+    state: { type: String, enum: ["open", "closed", "merged"], required: true },
+    openedAt: { type: Date },
+    mergedAt: { type: Date },
+    closedAt: { type: Date },
+    syncedAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+GitHubPullRequestSchema.index({ user: 1, repo: 1, number: 1 }, { unique: true });
+GitHubPullRequestSchema.index({ user: 1, openedAt: -1 });
+
+export default mongoose.model("GitHubPullRequest", GitHubPullRequestSchema);
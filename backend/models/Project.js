@@ -17,6 +17,9 @@ const projectSchema = new mongoose.Schema({
     languages: [{ type: String }], // from GitHub languages API
     goodFirstIssueCount: { type: Number, default: 0 },
 
+    // Fields set through the admin API; ingestion leaves these alone
+    editedFields: [{ type: String }],
+
     lastUpdated: { type: Date, default: Date.now }
 });
 
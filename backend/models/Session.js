@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Refresh tokens that were rotated out are remembered this many at a time, so
+// presenting one again is recognised as reuse of a stolen token
+export const USED_TOKEN_HISTORY = 20;
+
+// One signed-in device. Access tokens name their session, so revoking it signs
+// that device out on its next request. Only hashes of refresh tokens are stored.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    usedTokenHashes: { type: [String], default: [] },
+    rotatedAt: { type: Date },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    // Updated whenever the access token is renewed, so accurate to its lifetime
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ usedTokenHashes: 1 });
+SessionSchema.index({ user: 1, lastSeenAt: -1 });
+
+export default mongoose.model("Session", SessionSchema);
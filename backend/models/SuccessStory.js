@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+export const STORY_STATUSES = ["pending", "approved", "rejected"];
+
+// Stories sent from the success stories page wait for a moderator before they are shown
+const SuccessStorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    role: { type: String, trim: true, maxlength: 120 },
+    story: { type: String, required: true, trim: true, maxlength: 300 },
+    prs: { type: Number, min: 0, default: 0 },
+    year: { type: Number, min: 2000, max: 2100 },
+    avatar: { type: String, trim: true, maxlength: 500 },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    status: { type: String, enum: STORY_STATUSES, default: "pending" },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true }
+);
+
+SuccessStorySchema.index({ status: 1, createdAt: -1 });
+SuccessStorySchema.index({ submittedBy: 1, status: 1 });
+
+export default mongoose.model("SuccessStory", SuccessStorySchema);
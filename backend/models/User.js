@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+// learner: everyone; mentor: reserved for mentorship features;
+// moderator: curates programs, projects and stories; admin: everything, including users
+export const ROLES = ["learner", "mentor", "moderator", "admin"];
+
 const UserSchema = new mongoose.Schema(
   {
     name: {
@@ -15,18 +19,43 @@ const UserSchema = new mongoose.Schema(
       lowercase: true,
       match: [/\S+@\S+\.\S+/, "Please provide a valid email"],
     },
+    // A bcrypt hash. Accounts created through GitHub have none until the owner sets one
     password: {
       type: String,
-      required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"],
     },
 
-    //  GITHUB AUTH
+    //  ACCESS CONTROL (see `authorize` in middleware/authMiddleware.js)
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "learner",
+    },
+
+    //  EMAIL VERIFICATION (unverified accounts can't share badges and get the guest AI limit)
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+
+    //  GITHUB AUTH (linked from the profile page, or by signing up with GitHub)
     githubId: {
       type: String,
       unique: true,
       sparse: true,
     },
+    githubUsername: {
+      type: String,
+    },
+    githubAvatarUrl: {
+      type: String,
+    },
+    githubLinkedAt: {
+      type: Date,
+    },
 
     //  NEW FIELDS FOR CONTRIBUTOR PROGRESS
     progress: {
@@ -47,6 +76,22 @@ const UserSchema = new mongoose.Schema(
         enum: ["NONE", "ISSUE_SELECTED", "PR_OPENED", "PR_MERGED"],
         default: "NONE",
       },
+      // Filled from GitHub for linked accounts (services/githubActivity.js)
+      syncedAt: {
+        type: Date,
+      },
+      lastSyncError: {
+        type: String,
+      },
+      // The level before GitHub sync first raised it, restored if GitHub is unlinked
+      levelBeforeGitHub: {
+        type: String,
+        enum: ["Beginner", "Intermediate", "Advanced"],
+      },
+      // When the user last asked for a sync, whether or not it worked; paces POST /sync
+      lastSyncAttemptAt: {
+        type: Date,
+      },
     },
 
     // TRACKING GUIDES AND MODULES
@@ -57,6 +102,53 @@ const UserSchema = new mongoose.Schema(
       }
     ],
 
+    // GIT PLAYGROUND & QUIZ PROGRESS (kept in localStorage by the browser, merged here on sync)
+    learningProgress: {
+      completedScenarios: [
+        {
+          _id: false,
+          scenarioId: { type: String, required: true },
+          completedAt: { type: Date, default: Date.now },
+        }
+      ],
+      earnedBadges: [
+        {
+          _id: false,
+          badgeId: { type: String, required: true },
+          earnedAt: { type: Date, default: Date.now },
+        }
+      ],
+      scenarioStats: [
+        {
+          _id: false,
+          scenarioId: { type: String, required: true },
+          attempts: { type: Number, default: 0 },
+          solves: { type: Number, default: 0 },
+          best: {
+            stars: { type: Number, min: 1, max: 3 },
+            commands: Number,
+            hintsUsed: Number,
+            answerShown: Boolean,
+            wrongCommands: Number,
+            timeMs: Number,
+            solvedAt: Date,
+          },
+        }
+      ],
+      speedruns: { type: Number, default: 0 },
+      persistentSolves: { type: Number, default: 0 },
+      quizXP: { type: Number, default: 0 },
+      quizLevel: { type: Number, default: 1 },
+      syncedAt: { type: Date },
+    },
+
+    // PUBLIC BADGE PROFILE (random id behind badges.html?share=...)
+    badgeShareId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
     //  ONBOARDING LEVEL
     level: {
       type: String,
@@ -67,5 +159,8 @@ const UserSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/* Whether the account can sign in with a password. Older GitHub sign-ups were given a random, unhashed one that never counts */
+export const hasUsablePassword = (user) => /^\$2[aby]\$\d{2}\$/.test(user?.password || "");
+
 export default mongoose.model("User", UserSchema);
 
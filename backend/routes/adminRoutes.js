@@ -0,0 +1,54 @@
+import express from "express";
+import {
+  deleteUser,
+  getAuditLog,
+  listStoriesForReview,
+  listUsers,
+  programs,
+  projects,
+  reviewStory,
+  revokeUserSessions,
+  triggerIngestion,
+  updateUserRole,
+} from "../controllers/adminController.js";
+import { getAIUsage } from "../controllers/aiUsageController.js";
+import { authorize, protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Moderators curate content; accounts, ingestion and usage data are admin-only
+const staff = authorize("moderator", "admin");
+const admin = authorize("admin");
+
+router.use(protect);
+
+// Users
+router.get("/users", admin, listUsers);
+router.patch("/users/:id/role", admin, updateUserRole);
+router.post("/users/:id/revoke-sessions", admin, revokeUserSessions);
+router.delete("/users/:id", admin, deleteUser);
+
+// Programs
+router.get("/programs", staff, programs.list);
+router.post("/programs", staff, programs.create);
+router.patch("/programs/:id", staff, programs.update);
+router.delete("/programs/:id", staff, programs.remove);
+
+// Projects
+router.get("/projects", staff, projects.list);
+router.post("/projects", staff, projects.create);
+router.patch("/projects/:id", staff, projects.update);
+router.delete("/projects/:id", staff, projects.remove);
+
+// Ingestion (GSoC / SWoC sync, otherwise run weekly by cronService)
+router.post("/ingestion", admin, triggerIngestion);
+
+// Moderation queues
+router.get("/moderation/stories", staff, listStoriesForReview);
+router.patch("/moderation/stories/:id", staff, reviewStory);
+
+// Reports
+router.get("/ai-usage", admin, getAIUsage);
+router.get("/audit-log", admin, getAuditLog);
+
+export default router;
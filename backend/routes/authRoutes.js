@@ -16,8 +16,6 @@
 
 // export default router;
 import express from "express";
-import passport from "passport";
-import jwt from "jsonwebtoken";
 import {
   registerUser,
   loginUser,
@@ -25,6 +23,20 @@ import {
   getUserProfile,
   trackGuideCompletion,
   updateUserProfile,
+  requestEmailVerification,
+  confirmEmailVerification,
+  forgotPassword,
+  resetPassword,
+  refreshAccessToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  setPassword,
+  startGitHubSignIn,
+  requestGitHubLink,
+  startGitHubLink,
+  githubCallback,
+  unlinkGitHub,
 } from "../controllers/authController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
@@ -34,32 +46,26 @@ router.post("/register", registerUser);
 router.post("/login", loginUser);
 router.post("/logout", logoutUser);
 router.get("/me", protect, getUserProfile);
+router.put("/password", protect, setPassword);
 
-// GitHub OAuth Routes
-router.get("/github", passport.authenticate("github", { scope: ["user:email"] }));
+// Sessions: one per signed-in device, each revocable
+router.post("/refresh", refreshAccessToken);
+router.get("/sessions", protect, listSessions);
+router.delete("/sessions", protect, revokeAllSessions);
+router.delete("/sessions/:id", protect, revokeSession);
 
-router.get(
-  "/github/callback",
-  passport.authenticate("github", { failureRedirect: "/login" }),
-  (req, res) => {
-    // Generate JWT for the user authenticated via GitHub
-    const token = jwt.sign(
-      { id: req.user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+// Email verification and password reset (links are emailed; tokens are single-use)
+router.post("/verify-email/request", protect, requestEmailVerification);
+router.post("/verify-email/confirm", confirmEmailVerification);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-      maxAge: 24 * 60 * 60 * 1000,
-    });
-
-    // Redirect to frontend dashboard or home
-    res.redirect(`${process.env.FRONTEND_URL || "http://localhost:5500"}/frontend/pages/dashboard.html`);
-  }
-);
+// GitHub OAuth Routes (linking an existing account needs a signed-in user)
+router.get("/github", startGitHubSignIn);
+router.post("/github/link", protect, requestGitHubLink);
+router.get("/github/link", protect, startGitHubLink);
+router.get("/github/callback", githubCallback);
+router.delete("/github", protect, unlinkGitHub);
 
 // Progress Tracking Route
 router.post("/track-guide", protect, trackGuideCompletion);
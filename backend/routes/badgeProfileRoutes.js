@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  createShareLink,
+  getPublicProfile,
+} from "../controllers/badgeProfileController.js";
+import { protect, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Shared badges are Open Badges asserted to the account email, so it must be confirmed
+router.post("/share", protect, requireVerifiedEmail, createShareLink);
+router.get("/:shareId", getPublicProfile);
+
+export default router;
@@ -1,43 +1,20 @@
 import express from "express";
-import axios from "axios";
+import {
+  chat,
+  chatStream,
+  deleteConversation,
+  getConversation,
+  listConversations,
+} from "../controllers/chatController.js";
+import { optionalAuth, protect } from "../middleware/authMiddleware.js";
+import { aiQuota } from "../middleware/aiQuota.js";
 
 const router = express.Router();
 
-router.post("/chat", async (req, res) => {
-  const { message } = req.body;
-
-  if (!message) {
-    return res.status(400).json({ error: "Message required" });
-  }
-
-  try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [
-          {
-            parts: [{ text: message }]
-          }
-        ]
-      },
-      {
-        headers: {
-          "Content-Type": "application/json"
-        }
-      }
-    );
-
-    const reply =
-      response.data.candidates?.[0]?.content?.parts?.[0]?.text ||
-      "No response";
-
-    res.json({ reply });
-  } catch (error) {
-    console.error("Gemini Error:", error.response?.data || error.message);
-    res.status(500).json({
-      error: error.response?.data || error.message
-    });
-  }
-});
+router.post("/chat", optionalAuth, aiQuota("chat"), chat);
+router.post("/chat/stream", optionalAuth, aiQuota("chat"), chatStream);
+router.get("/chat/conversations", protect, listConversations);
+router.get("/chat/conversations/:id", optionalAuth, getConversation);
+router.delete("/chat/conversations/:id", optionalAuth, deleteConversation);
 
 export default router;
@@ -1,8 +1,10 @@
 import express from "express";
-import { getContributorProgress } from "../controllers/contributorProgressController.js";
+import { getContributorProgress, syncContributorProgress } from "../controllers/contributorProgressController.js";
+import { protect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+router.post("/sync", protect, syncContributorProgress);
 router.get("/:userId", getContributorProgress);
 
 export default router;
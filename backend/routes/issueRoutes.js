@@ -1,9 +1,12 @@
 import express from "express";
-import { analyzeIssue, validateIssue } from "../controllers/issueController.js";
+import { analyzeIssue, analyzeIssueStream, validateIssue } from "../controllers/issueController.js";
+import { optionalAuth } from "../middleware/authMiddleware.js";
+import { aiQuota } from "../middleware/aiQuota.js";
 
 const router = express.Router();
 
-router.post("/analyze", analyzeIssue);
-router.post("/validate", validateIssue);
+router.post("/analyze", optionalAuth, aiQuota("issue-analyze"), analyzeIssue);
+router.post("/analyze/stream", optionalAuth, aiQuota("issue-analyze"), analyzeIssueStream);
+router.post("/validate", optionalAuth, aiQuota("issue-validate"), validateIssue);
 
 export default router;
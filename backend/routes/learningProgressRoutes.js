@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  getLearningProgress,
+  syncLearningProgress,
+} from "../controllers/learningProgressController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.get("/", protect, getLearningProgress);
+router.put("/", protect, syncLearningProgress);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getIssuer,
+  getBadgeClass,
+  getBadgeImage,
+  getAssertion,
+  getMyAssertions,
+} from "../controllers/openBadgesController.js";
+import { protect, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Open Badges 2.0 hosted documents
+router.get("/issuer", getIssuer);
+router.get("/badges/:badgeId", getBadgeClass);
+router.get("/badges/:badgeId/image", getBadgeImage);
+// Assertions are issued to the account email, so it must be confirmed (as for badge share links)
+router.get("/assertions", protect, requireVerifiedEmail, getMyAssertions);
+router.get("/assertions/:shareId/:badgeId", getAssertion);
+
+export default router;
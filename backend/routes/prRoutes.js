@@ -1,9 +1,18 @@
 import express from "express";
-import { generatePRDescription, improveSectionText } from "../controllers/prController.js";
+import {
+    generatePRDescription,
+    generatePRDescriptionStream,
+    improveSectionText,
+    improveSectionTextStream,
+} from "../controllers/prController.js";
+import { optionalAuth } from "../middleware/authMiddleware.js";
+import { aiQuota } from "../middleware/aiQuota.js";
 
 const router = express.Router();
 
-router.post("/generate-pr", generatePRDescription);
-router.post("/improve-section", improveSectionText);
+router.post("/generate-pr", optionalAuth, aiQuota("pr-generate"), generatePRDescription);
+router.post("/generate-pr/stream", optionalAuth, aiQuota("pr-generate"), generatePRDescriptionStream);
+router.post("/improve-section", optionalAuth, aiQuota("pr-improve"), improveSectionText);
+router.post("/improve-section/stream", optionalAuth, aiQuota("pr-improve"), improveSectionTextStream);
 
 export default router;
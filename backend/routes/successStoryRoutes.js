@@ -0,0 +1,11 @@
+import express from "express";
+import { getApprovedStories, submitStory } from "../controllers/successStoryController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.get("/", getApprovedStories);
+// Signed-in users only, so the moderation queue can't be flooded anonymously
+router.post("/", protect, submitStory);
+
+export default router;
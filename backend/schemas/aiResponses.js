@@ -0,0 +1,33 @@
+// JSON schemas for every structured reply an AI endpoint asks the model for.
+// llmService.generateJSON checks each reply against its schema and asks the
+// model to repair it when it doesn't match, so handlers and the pages that
+// render these replies can rely on the shape below.
+
+// POST /api/issue/validate, rendered by frontend/js/issue-validator.js
+export const ISSUE_VALIDATION_SCHEMA = {
+  type: "object",
+  required: ["status", "headline", "uniqueness_feedback", "related_issues", "project_context_feedback"],
+  additionalProperties: false,
+  properties: {
+    status: { type: "string", enum: ["Unique", "Duplicate", "Potential Duplicate"] },
+    headline: { type: "string", minLength: 1, maxLength: 200 },
+    uniqueness_feedback: { type: "string", minLength: 1 },
+    related_issues: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["number", "title", "status", "date", "relevance"],
+        additionalProperties: false,
+        properties: {
+          number: { type: "integer", minimum: 1 },
+          title: { type: "string", minLength: 1 },
+          status: { type: "string", enum: ["open", "closed"] },
+          date: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+          relevance: { type: "string", enum: ["Exact Duplicate", "Related"] },
+        },
+      },
+    },
+    project_context_feedback: { type: "string", minLength: 1 },
+  },
+};
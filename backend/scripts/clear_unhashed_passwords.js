@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from 'url';
+import connectDB from "../config/db.js";
+import User, { hasUsablePassword } from "../models/User.js";
+
+// ESM fix for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// GitHub sign-ups used to be given a random password stored as plain text.
+// Sign-in already ignores those; this removes them from the database. The
+// owners can still sign in with GitHub, or set a password from their profile
+// or with "Forgot your password?".
+const clearUnhashedPasswords = async () => {
+    await connectDB();
+
+    const users = await User.find({ password: { $exists: true } }).select("email password");
+    const unhashed = users.filter((user) => !hasUsablePassword(user));
+
+    if (unhashed.length) {
+        await User.updateMany({ _id: { $in: unhashed.map((user) => user._id) } }, { $unset: { password: 1 } });
+    }
+    console.log(`Removed ${unhashed.length} unhashed password(s).`);
+
+    await mongoose.disconnect();
+    process.exit();
+}
+
+clearUnhashedPasswords();
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from 'url';
+import connectDB from "../config/db.js";
+import User, { ROLES } from "../models/User.js";
+
+// ESM fix for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Usage: node scripts/set_role.js <email> <role>
+// The admin API can't grant the first admin role, so it is set from here.
+const setRole = async () => {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: node scripts/set_role.js <email> <${ROLES.join("|")}>`);
+        process.exit(1);
+    }
+
+    await connectDB();
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+    if (!user) {
+        console.error(`No user with email ${email}`);
+    } else {
+        console.log(`${user.email} is now ${user.role}.`);
+    }
+    await mongoose.disconnect();
+    process.exit(user ? 0 : 1);
+}
+
+setRole();
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from 'url';
+import connectDB from "../config/db.js";
+import { syncAllGitHubActivity, syncGitHubActivity } from "../services/githubActivity.js";
+
+// ESM fix for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Usage: node scripts/sync_github_activity.js [userId]
+// Without a user id, syncs every account with GitHub linked, the same as the 3 AM job that
+// server.js schedules through cronService; useful to catch up when the server was down then.
+const sync = async () => {
+    const [userId] = process.argv.slice(2);
+    await connectDB();
+
+    if (userId) {
+        const user = await syncGitHubActivity(userId);
+        console.log(user ? `Synced: ${JSON.stringify(user.progress)}` : "That user has no linked GitHub account.");
+    } else {
+        await syncAllGitHubActivity();
+    }
+
+    await mongoose.disconnect();
+    process.exit();
+}
+
+sync();
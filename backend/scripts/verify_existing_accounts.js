@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from 'url';
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+
+// ESM fix for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Run once when deploying email verification, before the new server starts.
+// Accounts created before it have no `emailVerified` field, which reads as false
+// and would take away badge sharing and the signed-in AI limit without warning.
+// They are marked verified; accounts created since then store the field, so
+// running this again changes nothing.
+const verifyExistingAccounts = async () => {
+    await connectDB();
+
+    const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing account(s) as verified.`);
+
+    await mongoose.disconnect();
+    process.exit();
+}
+
+verifyExistingAccounts();
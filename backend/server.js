@@ -2,11 +2,17 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import connectDB from "./config/db.js";
+import setupCronJobs from "./services/cronService.js";
 import authRoutes from "./routes/authRoutes.js";
 import contributorProgressRoutes from "./routes/contributorProgressRoutes.js";
+import learningProgressRoutes from "./routes/learningProgressRoutes.js";
+import badgeProfileRoutes from "./routes/badgeProfileRoutes.js";
+import openBadgesRoutes from "./routes/openBadgesRoutes.js";
 import chatRoute from "./routes/chat.route.js";
 import prRoutes from "./routes/prRoutes.js";
 import issueRoutes from "./routes/issueRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import successStoryRoutes from "./routes/successStoryRoutes.js";
 import session from "express-session";
 import passport from "./config/passport.js";
 import cookieParser from "cookie-parser";
@@ -17,7 +23,9 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: ["http://localhost:3000", "http://localhost:5500", "http://127.0.0.1:5500", "http://127.0.0.1:3000", "http://localhost:5503", "http://127.0.0.1:5503"],
-  credentials: true
+  credentials: true,
+  // Lets the pages read how many AI requests are left today
+  exposedHeaders: ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After"]
 }));
 app.use(express.json());
 app.use(cookieParser());
@@ -36,9 +44,14 @@ app.use("/api/issue", issueRoutes);
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/contributor/progress", contributorProgressRoutes);
+app.use("/api/learning-progress", learningProgressRoutes);
+app.use("/api/badge-profile", badgeProfileRoutes);
+app.use("/api/open-badges", openBadgesRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/success-stories", successStoryRoutes);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the scheduled jobs that need it
+connectDB().then(setupCronJobs);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () =>
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import AIResponseCache from "../models/AIResponseCache.js";
+import { getModelId } from "./llmService.js";
+
+// Repeat AI requests are answered from Mongo instead of paying for the same
+// generation again. Entries live for AI_CACHE_TTL_HOURS (24 by default; 0 turns
+// the cache off). Caching is best effort: with no database connection, or when a
+// read or write fails, requests simply go to the model.
+
+const DEFAULT_TTL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+const cacheTtlMs = () => {
+  const hours = Number(process.env.AI_CACHE_TTL_HOURS || DEFAULT_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours * HOUR_MS : 0;
+};
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * A cache key: `kind` followed by a hash of the normalized `parts`, so long
+ * prompts make short keys, e.g. cacheKey("github-issue", "facebook/react#1").
+ */
+export const cacheKey = (kind, ...parts) =>
+  `${kind}:${crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex")}`;
+
+/** A key for a model's answer; it includes the model, so switching models never serves the old one's answers. */
+export const aiCacheKey = (kind, ...parts) => cacheKey(kind, getModelId(), ...parts);
+
+/** The cached value for `key`, or null on a miss. */
+export const readCache = async (key) => {
+  if (!isConnected()) return null;
+  try {
+    // TTL deletion runs about once a minute, so skip entries that have expired but still exist
+    const entry = await AIResponseCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { projection: { value: 1 } }
+    ).lean();
+    return entry ? entry.value : null;
+  } catch (error) {
+    console.error("AI cache read failed:", error.message);
+    return null;
+  }
+};
+
+/** Store `value` under `key` for `ttlMs` (AI_CACHE_TTL_HOURS by default). */
+export const writeCache = async (key, value, ttlMs = cacheTtlMs()) => {
+  if (!isConnected() || !ttlMs) return;
+  try {
+    await AIResponseCache.updateOne(
+      { key },
+      {
+        $set: { kind: key.split(":")[0], value, expiresAt: new Date(Date.now() + ttlMs) },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("AI cache write failed:", error.message);
+  }
+};
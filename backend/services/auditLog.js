@@ -0,0 +1,26 @@
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * Records that the signed-in user did `action` to `target` ({ type, id, label }).
+ * A failed write is logged rather than thrown: by the time this runs the action
+ * has already happened, and the response should say so.
+ */
+export const recordAudit = async (req, action, target = {}, changes) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      target: {
+        type: target.type,
+        id: target.id !== undefined ? String(target.id) : undefined,
+        label: target.label,
+      },
+      changes,
+      ip: req.ip,
+    });
+  } catch (error) {
+    console.error(`Audit log write failed for ${action}:`, error);
+  }
+};
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How long an emailed link works, or the profile page's GitHub link hand-off
+export const TOKEN_LIFETIMES = {
+  "verify-email": 24 * HOUR_MS,
+  "reset-password": HOUR_MS,
+  "github-link": 10 * MINUTE_MS,
+};
+
+// At most one email of each kind per account per minute
+const RESEND_INTERVALS_MS = {
+  "verify-email": MINUTE_MS,
+  "reset-password": MINUTE_MS,
+};
+
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * A new token for `purpose` to put in an emailed link. It replaces any earlier one,
+ * so only the newest link works. Null when an email was sent less than a minute ago.
+ */
+export const issueAuthToken = async (userId, purpose) => {
+  const resendIntervalMs = RESEND_INTERVALS_MS[purpose];
+  const recent = resendIntervalMs && await AuthToken.exists({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - resendIntervalMs) },
+  });
+  if (recent) return null;
+
+  await AuthToken.deleteMany({ user: userId, purpose });
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[purpose]),
+  });
+  return token;
+};
+
+/**
+ * The id of the user a token was issued to, or null when it is unknown, expired or
+ * already used. The token is deleted as it is read, so it works only once.
+ */
+export const consumeAuthToken = async (token, purpose) => {
+  if (typeof token !== "string" || !TOKEN_PATTERN.test(token)) return null;
+  const record = await AuthToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+  return record ? record.user : null;
+};
+
+/** Drop a user's tokens for `purpose`, e.g. when the email carrying one could not be sent. */
+export const discardAuthTokens = (userId, purpose) => AuthToken.deleteMany({ user: userId, purpose });
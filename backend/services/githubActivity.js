@@ -0,0 +1,182 @@
+import axios from "axios";
+import GitHubPullRequest from "../models/GitHubPullRequest.js";
+import User from "../models/User.js";
+
+// Contributor progress for users who linked GitHub, from their public activity:
+//   prsOpened       pull requests they authored, in any state
+//   prsMerged       those that were merged
+//   issuesSelected  issues assigned to them
+// `level` is promoted (never demoted) once enough PRs are merged; the thresholds
+// are LEVEL_INTERMEDIATE_MERGED_PRS and LEVEL_ADVANCED_MERGED_PRS.
+
+const GITHUB_API = "https://api.github.com";
+const SEARCH_PAGE_SIZE = 100;
+// GitHub search stops at 1000 results
+const MAX_SEARCH_PAGES = 10;
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced"];
+
+// Search allows 30 requests a minute with a token and 10 without
+const searchDelayMs = () => (process.env.GITHUB_TOKEN ? 2000 : 6000);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const githubGet = async (path, params) => {
+  const response = await axios.get(`${GITHUB_API}${path}`, {
+    params,
+    timeout: 15000,
+    headers: {
+      Accept: "application/vnd.github.v3+json",
+      "User-Agent": "OpenSource-Compass-Tool",
+      ...(process.env.GITHUB_TOKEN && { Authorization: `token ${process.env.GITHUB_TOKEN}` }),
+    },
+  });
+  return response.data;
+};
+
+/* True when GitHub refused the request because the rate limit is used up */
+export const isRateLimited = (error) =>
+  error.response?.status === 429 ||
+  (error.response?.status === 403 && error.response.headers?.["x-ratelimit-remaining"] === "0");
+
+/** Merged-PR counts at which each level starts. */
+export const levelThresholds = () => ({
+  Intermediate: Number(process.env.LEVEL_INTERMEDIATE_MERGED_PRS) || 3,
+  Advanced: Number(process.env.LEVEL_ADVANCED_MERGED_PRS) || 10,
+});
+
+/** The level `prsMerged` earns, or `current` if that is already higher. */
+export const levelFor = (prsMerged, current = "Beginner") => {
+  const thresholds = levelThresholds();
+  const earned = [...LEVELS].reverse().find((level) => !thresholds[level] || prsMerged >= thresholds[level]);
+  return LEVELS.indexOf(earned) > LEVELS.indexOf(current) ? earned : current;
+};
+
+/** How far along the issue → PR → merge path the counters show the user is. */
+export const stageFor = ({ issuesSelected, prsOpened, prsMerged }) => {
+  if (prsMerged > 0) return "PR_MERGED";
+  if (prsOpened > 0) return "PR_OPENED";
+  if (issuesSelected > 0) return "ISSUE_SELECTED";
+  return "NONE";
+};
+
+/** Every search result for `query`, up to the 1000 GitHub returns. */
+const searchAll = async (query) => {
+  const items = [];
+  for (let page = 1; page <= MAX_SEARCH_PAGES; page++) {
+    if (page > 1) await sleep(searchDelayMs());
+    const data = await githubGet("/search/issues", { q: query, per_page: SEARCH_PAGE_SIZE, page });
+    items.push(...data.items);
+    if (data.items.length < SEARCH_PAGE_SIZE || items.length >= data.total_count) break;
+  }
+  return items;
+};
+
+/* What the dashboard shows when a sync fails */
+const syncErrorMessage = (error) => {
+  if (error.response?.status === 404) return "GitHub account not found";
+  if (isRateLimited(error)) return "GitHub rate limit reached; will retry later";
+  return "Could not reach GitHub";
+};
+
+const toPullRequest = (item) => {
+  const mergedAt = item.pull_request?.merged_at;
+  return {
+    repo: item.repository_url.split("/repos/")[1],
+    number: item.number,
+    title: item.title,
+    url: item.html_url,
+    state: mergedAt ? "merged" : item.state,
+    openedAt: item.created_at,
+    mergedAt: mergedAt || null,
+    closedAt: item.closed_at || null,
+  };
+};
+
+/**
+ * Pulls the user's PRs and assigned issues from GitHub, stores the PR history and
+ * updates `progress` and `level`. Resolves to the updated user, or null when the
+ * user has no linked GitHub account. GitHub errors are recorded on the user as
+ * `progress.lastSyncError` and rethrown.
+ */
+export const syncGitHubActivity = async (userId) => {
+  const user = await User.findById(userId).select("githubId githubUsername progress level");
+  if (!user?.githubId) return null;
+
+  const startedAt = new Date();
+  try {
+    // Searches go by username, which the owner can change and someone else can then
+    // take, so it is looked up from the numeric id every time
+    user.githubUsername = (await githubGet(`/user/${user.githubId}`)).login;
+
+    const pullRequests = (await searchAll(`type:pr author:${user.githubUsername}`)).map(toPullRequest);
+    await sleep(searchDelayMs());
+    const assigned = await githubGet("/search/issues", { q: `type:issue assignee:${user.githubUsername}`, per_page: 1 });
+
+    if (pullRequests.length) {
+      await GitHubPullRequest.bulkWrite(
+        pullRequests.map((pr) => ({
+          updateOne: {
+            filter: { user: user._id, repo: pr.repo, number: pr.number },
+            update: { $set: { ...pr, syncedAt: startedAt } },
+            upsert: true,
+          },
+        }))
+      );
+    }
+    // Deleted PRs, or ones from a GitHub account that has since been unlinked
+    await GitHubPullRequest.deleteMany({ user: user._id, syncedAt: { $lt: startedAt } });
+
+    const counts = {
+      issuesSelected: assigned.total_count,
+      prsOpened: pullRequests.length,
+      prsMerged: pullRequests.filter((pr) => pr.state === "merged").length,
+    };
+    Object.assign(user.progress, counts, {
+      currentStage: stageFor(counts),
+      syncedAt: startedAt,
+      lastSyncError: undefined,
+    });
+    const level = levelFor(counts.prsMerged, user.level);
+    // Remembered so unlinking GitHub can put back the level the account had without it
+    if (level !== user.level && !user.progress.levelBeforeGitHub) user.progress.levelBeforeGitHub = user.level;
+    user.level = level;
+    await user.save();
+    return user;
+  } catch (error) {
+    await User.updateOne({ _id: user._id }, { "progress.lastSyncError": syncErrorMessage(error) });
+    throw error;
+  }
+};
+
+/** Starts a sync without waiting for it, e.g. right after GitHub is linked. */
+export const queueGitHubSync = (userId) => {
+  syncGitHubActivity(userId).catch((error) => console.error(`GitHub sync failed for ${userId}:`, error.message));
+};
+
+/**
+ * Syncs every linked account, least recently synced first. Stops early when
+ * GitHub's rate limit runs out; the rest are picked up by the next run.
+ */
+export const syncAllGitHubActivity = async () => {
+  const users = await User.find({ githubId: { $exists: true, $ne: null } })
+    .sort({ "progress.syncedAt": 1 })
+    .select("_id");
+
+  let synced = 0;
+  for (const { _id } of users) {
+    try {
+      await syncGitHubActivity(_id);
+      synced++;
+    } catch (error) {
+      if (isRateLimited(error)) {
+        console.warn(`GitHub rate limit reached after syncing ${synced} of ${users.length} users`);
+        break;
+      }
+      console.error(`GitHub sync failed for ${_id}:`, error.message);
+    }
+    await sleep(searchDelayMs());
+  }
+  console.log(`GitHub activity synced for ${synced} of ${users.length} users.`);
+  return { synced, total: users.length };
+};
@@ -8,6 +8,19 @@ const HEADER = {
     }
 };
 
+/** Adds or refreshes a project by its URL without overwriting fields an admin has edited. */
+const upsertProject = async (projectData) => {
+    const existing = await Project.findOne({ repositoryUrl: projectData.repositoryUrl }).select("editedFields");
+    const edited = new Set(existing?.editedFields || []);
+    const update = Object.fromEntries(Object.entries(projectData).filter(([field]) => !edited.has(field)));
+
+    await Project.findOneAndUpdate(
+        { repositoryUrl: projectData.repositoryUrl }, // Match by URL
+        update,
+        { upsert: true, new: true }
+    );
+};
+
 export const ingestGSoC = async () => {
     console.log("Starting GSoC Ingestion...");
     try {
@@ -42,12 +55,7 @@ export const ingestGSoC = async () => {
                 lastUpdated: new Date()
             };
 
-            // Upsert
-            await Project.findOneAndUpdate(
-                { repositoryUrl: projectData.repositoryUrl }, // Match by URL
-                projectData,
-                { upsert: true, new: true }
-            );
+            await upsertProject(projectData);
             count++;
         }
         console.log(`Ingested ${count} GSoC organizations/projects.`);
@@ -105,11 +113,7 @@ export const ingestSWoC = async () => {
 
             if (!projectData.repositoryUrl) continue;
 
-            await Project.findOneAndUpdate(
-                { repositoryUrl: projectData.repositoryUrl },
-                projectData,
-                { upsert: true, new: true }
-            );
+            await upsertProject(projectData);
             count++;
         }
         console.log(`Ingested ${count} SWoC projects.`);
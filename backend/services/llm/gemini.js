@@ -0,0 +1,40 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+const modelName = (request) => request.model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+const getModel = (request, json) =>
+  new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({
+    model: modelName(request),
+    ...(request.system && { systemInstruction: request.system }),
+    generationConfig: {
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(json && { responseMimeType: "application/json" }),
+    },
+  });
+
+// Gemini calls the assistant "model"
+const toContents = (messages) =>
+  messages.map((m) => ({ role: m.role === "assistant" ? "model" : "user", parts: [{ text: m.content }] }));
+
+const generateText = async (request, { json = false } = {}) => {
+  const result = await getModel(request, json).generateContent(
+    { contents: toContents(request.messages) },
+    { signal: request.signal }
+  );
+  return result.response.text();
+};
+
+async function* stream(request) {
+  const result = await getModel(request, false).generateContentStream(
+    { contents: toContents(request.messages) },
+    { signal: request.signal }
+  );
+  for await (const chunk of result.stream) {
+    const text = chunk.text();
+    if (text) yield text;
+  }
+}
+
+export default { name: "gemini", modelName, generateText, stream };
@@ -0,0 +1,66 @@
+// Speaks the OpenAI Chat Completions API, which OpenAI and most self-hosted servers
+// share: Ollama (OPENAI_BASE_URL=http://localhost:11434/v1), llama.cpp's server,
+// vLLM, LM Studio and others. Local servers usually need no OPENAI_API_KEY.
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+const modelName = (request) => request.model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+
+const complete = async (request, { json = false, stream = false } = {}) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }),
+    },
+    body: JSON.stringify({
+      model: modelName(request),
+      messages: [
+        ...(request.system ? [{ role: "system", content: request.system }] : []),
+        ...request.messages.map(({ role, content }) => ({ role, content })),
+      ],
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(json && { response_format: { type: "json_object" } }),
+      stream,
+    }),
+    signal: request.signal,
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error?.message || `Chat completion failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+};
+
+const generateText = async (request, { json = false } = {}) => {
+  const data = await (await complete(request, { json })).json();
+  return data.choices?.[0]?.message?.content || "";
+};
+
+/** Reads the `data:` lines of the streamed completion until `[DONE]`. */
+async function* stream(request) {
+  const response = await complete(request, { stream: true });
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      const text = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+export default { name: "openai", modelName, generateText, stream };
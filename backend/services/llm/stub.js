@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Canned answers so the backend runs with no API key or network, and always
+// answers the same prompt the same way. Each fixture has a `match` string; the
+// first one found anywhere in the prompt (system text included) supplies the
+// answer, as `text` or, for JSON requests, `json`. A fixture without `match`
+// is the fallback. LLM_STUB_FIXTURES points at a different fixture file, and
+// LLM_STUB_DELAY_MS slows streaming down to watch it render.
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures.json");
+
+const fixtureCache = new Map();
+
+const loadFixtures = () => {
+  const file = path.resolve(process.env.LLM_STUB_FIXTURES || DEFAULT_FIXTURES);
+  if (!fixtureCache.has(file)) {
+    fixtureCache.set(file, JSON.parse(fs.readFileSync(file, "utf-8")));
+  }
+  return fixtureCache.get(file);
+};
+
+const findFixture = (request) => {
+  const prompt = [request.system || "", ...request.messages.map((m) => m.content)].join("\n").toLowerCase();
+  const fixtures = loadFixtures();
+  return (
+    fixtures.find((f) => f.match && prompt.includes(f.match.toLowerCase())) ||
+    fixtures.find((f) => !f.match) ||
+    { text: "" }
+  );
+};
+
+const abortError = () => Object.assign(new Error("The operation was aborted"), { name: "AbortError" });
+
+const generateText = async (request, { json = false } = {}) => {
+  if (request.signal?.aborted) throw abortError();
+  const fixture = findFixture(request);
+  if (fixture.json !== undefined && (json || fixture.text === undefined)) return JSON.stringify(fixture.json);
+  return fixture.text ?? "";
+};
+
+/** The fixture's text a word at a time, like a real model streaming. */
+async function* stream(request) {
+  const text = await generateText(request);
+  const delay = Number(process.env.LLM_STUB_DELAY_MS) || 0;
+  for (const piece of text.match(/\s*\S+\s*/g) || []) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    if (request.signal?.aborted) throw abortError();
+    yield piece;
+  }
+}
+
+// Named after the fixture file, so switching fixtures never serves a cached answer from the old set
+const modelName = () => path.basename(process.env.LLM_STUB_FIXTURES || DEFAULT_FIXTURES, ".json");
+
+export default { name: "stub", modelName, generateText, stream };
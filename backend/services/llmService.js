@@ -0,0 +1,181 @@
+import geminiProvider from "./llm/gemini.js";
+import openaiCompatibleProvider from "./llm/openaiCompatible.js";
+import stubProvider from "./llm/stub.js";
+import { validateSchema } from "../utils/jsonSchema.js";
+
+// Every AI feature talks to the model through this module, so which model runs
+// is configuration rather than code:
+//   LLM_PROVIDER=gemini   Google Gemini (GEMINI_API_KEY, GEMINI_MODEL)
+//   LLM_PROVIDER=openai   any OpenAI-compatible API, including local servers such as
+//                         Ollama or llama.cpp (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL)
+//   LLM_PROVIDER=stub     canned answers from fixtures; no key or network needed
+// Without LLM_PROVIDER, Gemini is used when GEMINI_API_KEY is set, then an
+// OpenAI-compatible server when OPENAI_BASE_URL or OPENAI_API_KEY is set.
+// LLM_MODEL overrides the provider's default model.
+//
+// A request is a prompt string or { system, messages: [{ role: "user" | "assistant", content }],
+// temperature, signal }. `signal` cancels the call.
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiCompatibleProvider,
+  stub: stubProvider,
+};
+
+export class LLMError extends Error {
+  constructor(message, { provider, status, code, details, cause } = {}) {
+    super(message, { cause });
+    this.name = "LLMError";
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** The configured provider's name, or null when no model is configured. */
+export const getProviderName = () => {
+  const configured = process.env.LLM_PROVIDER?.trim().toLowerCase();
+  if (configured) return configured;
+  if (process.env.GEMINI_API_KEY) return "gemini";
+  if (process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY) return "openai";
+  return null;
+};
+
+export const hasProvider = () => getProviderName() !== null;
+
+// Read on every call rather than at import, since server.js loads .env after its imports
+const getProvider = () => {
+  const name = getProviderName();
+  if (!name) {
+    throw new LLMError("No AI model is configured. Set GEMINI_API_KEY, or LLM_PROVIDER (see .env.example).");
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new LLMError(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(", ")}.`);
+  }
+  return provider;
+};
+
+/**
+ * "provider:model" for the model that would answer right now, e.g. "gemini:gemini-2.5-flash",
+ * or null when none is usable. Cached answers are keyed on it.
+ */
+export const getModelId = () => {
+  const provider = PROVIDERS[getProviderName()];
+  if (!provider) return null;
+  return `${provider.name}:${provider.modelName({ model: process.env.LLM_MODEL || undefined })}`;
+};
+
+const toRequest = (input) => {
+  const request = typeof input === "string" ? { prompt: input } : { ...input };
+  if (request.prompt !== undefined) {
+    request.messages = [...(request.messages || []), { role: "user", content: request.prompt }];
+    delete request.prompt;
+  }
+  if (!request.messages?.length) throw new LLMError("An LLM request needs a prompt or messages");
+  request.model = process.env.LLM_MODEL || undefined;
+  return request;
+};
+
+/** Provider errors become LLMErrors; cancellations pass through untouched. */
+const wrap = (provider, error) => {
+  if (error.name === "AbortError" || error instanceof LLMError) return error;
+  return new LLMError(error.message || String(error), { provider: provider.name, status: error.status, cause: error });
+};
+
+/** The model's whole answer as text. */
+export const generateText = async (input) => {
+  const provider = getProvider();
+  try {
+    return await provider.generateText(toRequest(input));
+  } catch (error) {
+    throw wrap(provider, error);
+  }
+};
+
+// How many times a reply that breaks its schema is sent back to the model to fix
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+/** JSON from a reply, tolerating Markdown code fences and prose around the object. */
+const parseJSON = (text) => {
+  const cleaned = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(cleaned.slice(start, end + 1));
+  }
+};
+
+/** A reply's parsed `value` and its parse or schema `errors`, which are empty when it is usable. */
+const checkReply = (text, schema) => {
+  let value;
+  try {
+    value = parseJSON(text);
+  } catch (error) {
+    return { errors: [`the reply is not valid JSON (${error.message})`] };
+  }
+  return { value, errors: schema ? validateSchema(value, schema) : [] };
+};
+
+/**
+ * The model's answer parsed as JSON. The provider is asked for JSON output where it
+ * supports it. With a `schema` (see schemas/aiResponses.js) the schema is added to the
+ * instructions and the reply is validated against it; a reply that doesn't parse or
+ * match is sent back with the problems listed, up to `repairAttempts` times. After
+ * that it fails with an LLMError whose `code` is "INVALID_OUTPUT" and whose
+ * `details` lists what was still wrong.
+ */
+export const generateJSON = async (input, { schema, repairAttempts = DEFAULT_REPAIR_ATTEMPTS } = {}) => {
+  const provider = getProvider();
+  const request = toRequest(input);
+  if (schema) {
+    const shape = `Reply with a single JSON object that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+    request.system = request.system ? `${request.system}\n\n${shape}` : shape;
+  }
+
+  let errors = [];
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    let text;
+    try {
+      text = await provider.generateText(request, { json: true });
+    } catch (error) {
+      throw wrap(provider, error);
+    }
+
+    const reply = checkReply(text, schema);
+    if (!reply.errors.length) return reply.value;
+    errors = reply.errors;
+
+    // Show the model its reply and what is wrong with it, and ask again
+    request.messages = [
+      ...request.messages,
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `That reply can't be used:\n${errors.map((e) => `- ${e}`).join("\n")}\n` +
+          "Reply again with only the corrected JSON object.",
+      },
+    ];
+  }
+
+  console.warn(`${provider.name} reply still invalid after ${repairAttempts} repair attempt(s):`, errors);
+  throw new LLMError("The AI returned a reply in an unexpected format", {
+    provider: provider.name,
+    code: "INVALID_OUTPUT",
+    details: errors,
+  });
+};
+
+/** The model's answer as it is written: an async iterable of text pieces. */
+export async function* stream(input) {
+  const provider = getProvider();
+  try {
+    yield* provider.stream(toRequest(input));
+  } catch (error) {
+    throw wrap(provider, error);
+  }
+}
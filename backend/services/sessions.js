@@ -0,0 +1,206 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session, { USED_TOKEN_HISTORY } from "../models/Session.js";
+import User from "../models/User.js";
+
+// Sign-in is a short-lived access token (a JWT in the `token` cookie, or a Bearer
+// header) plus a long-lived refresh token (the `refreshToken` cookie). Each refresh
+// token works once: using it renews the access token and replaces the refresh token.
+// If a replaced one turns up again, someone has a copy, so the whole session is revoked.
+
+export const ACCESS_COOKIE = "token";
+export const REFRESH_COOKIE = "refreshToken";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Parallel requests from one page may all carry the refresh token that the first
+// of them rotates; for this long after a rotation that isn't treated as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const accessTokenMinutes = () => Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const sessionDays = () => Number(process.env.SESSION_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(32).toString("hex");
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+});
+
+// The refresh cookie goes to every API route so any of them can renew an expired access token
+const refreshCookieOptions = () => ({ ...cookieOptions(), path: "/api" });
+
+const setAccessCookie = (res, session) => {
+  const token = jwt.sign(
+    { id: session.user, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${accessTokenMinutes()}m` }
+  );
+  res.cookie(ACCESS_COOKIE, token, { ...cookieOptions(), maxAge: accessTokenMinutes() * MINUTE_MS });
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), maxAge: sessionDays() * DAY_MS });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+/** Opens a session for `user` on this device and sets both cookies. */
+export const startSession = async (req, res, user) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: (req.get("user-agent") || "").slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + sessionDays() * DAY_MS),
+  });
+  setAccessCookie(res, session);
+  setRefreshCookie(res, refreshToken);
+  return session;
+};
+
+export const revokeSessions = (filter, reason) =>
+  Session.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+/**
+ * Renews the sign-in from the refresh cookie: a new access token and a new refresh
+ * token, with the session's expiry pushed back. Resolves to `{ session }`, or
+ * `{ error }` (with the cookies cleared) when the refresh token can't be used.
+ */
+export const refreshSession = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return { error: "Not authorized, token missing" };
+
+  const now = new Date();
+  const presentedHash = hashToken(presented);
+  const refreshToken = newRefreshToken();
+
+  // Atomic, so of several requests racing with the same token only one rotates it
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip: req.ip,
+        expiresAt: new Date(now.getTime() + sessionDays() * DAY_MS),
+      },
+      $push: { usedTokenHashes: { $each: [presentedHash], $slice: -USED_TOKEN_HISTORY } },
+    },
+    { new: true }
+  );
+  if (session) {
+    setAccessCookie(res, session);
+    setRefreshCookie(res, refreshToken);
+    return { session };
+  }
+
+  const rotated = await Session.findOne({ usedTokenHashes: presentedHash });
+  if (rotated && !rotated.revokedAt && rotated.expiresAt > now) {
+    const justRotated = rotated.usedTokenHashes[rotated.usedTokenHashes.length - 1] === presentedHash &&
+      now - rotated.rotatedAt < ROTATION_GRACE_MS;
+    if (justRotated) {
+      // Lost the race to a parallel request, whose response carries the new refresh token
+      setAccessCookie(res, rotated);
+      return { session: rotated };
+    }
+
+    console.warn(`Refresh token reuse on session ${rotated._id}; revoking it`);
+    await revokeSessions({ _id: rotated._id }, "refresh-token-reuse");
+  }
+
+  clearAuthCookies(res);
+  return { error: "Your session has ended. Please sign in again." };
+};
+
+/**
+ * The signed-in user for a request, renewing an expired access token from the
+ * refresh cookie on the way. Resolves to `{ user, sessionId }` or `{ error }`.
+ */
+export const authenticateRequest = async (req, res) => {
+  let token = req.cookies?.[ACCESS_COOKIE];
+  if (!token && req.headers.authorization?.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1];
+  }
+
+  let sessionId;
+  let userId;
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Tokens from before sessions existed name none, and can't be revoked, so they no longer count
+      if (!decoded.sid) return { error: "Your session has ended. Please sign in again." };
+      const active = await Session.exists({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!active) {
+        clearAuthCookies(res);
+        return { error: "This session was signed out. Please sign in again." };
+      }
+      sessionId = decoded.sid;
+      userId = decoded.id;
+    } catch (error) {
+      if (error.name !== "TokenExpiredError" || !req.cookies?.[REFRESH_COOKIE]) {
+        return { error: "Not authorized, token invalid or expired" };
+      }
+    }
+  }
+
+  if (!sessionId) {
+    const refreshed = await refreshSession(req, res);
+    if (refreshed.error) return refreshed;
+    sessionId = refreshed.session._id;
+    userId = refreshed.session.user;
+  }
+
+  const user = await User.findById(userId).select("-password");
+  if (!user) return { error: "User not found" };
+  return { user, sessionId: String(sessionId) };
+};
+
+/** Revokes the session this request belongs to, if any, and clears the cookies. */
+export const endSession = async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE];
+  if (refreshToken) {
+    await revokeSessions({ refreshTokenHash: hashToken(refreshToken) }, "logout");
+  } else if (req.cookies?.[ACCESS_COOKIE]) {
+    // An expired access token still says which session it was
+    const decoded = jwt.decode(req.cookies[ACCESS_COOKIE]);
+    if (decoded?.sid) await revokeSessions({ _id: decoded.sid }, "logout");
+  }
+  clearAuthCookies(res);
+};
+
+/** "Chrome on Windows" style label for a session's user agent. */
+export const describeDevice = (userAgent = "") => {
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"],
+  ];
+  const systems = [
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/CrOS/, "ChromeOS"],
+    [/Linux/, "Linux"],
+  ];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
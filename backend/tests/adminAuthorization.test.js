@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import cookieParser from "cookie-parser";
+import express from "express";
+import mongoose from "mongoose";
+import Program from "../models/Program.js";
+import User from "../models/User.js";
+import adminRoutes from "../routes/adminRoutes.js";
+import { ACCESS_COOKIE, startSession } from "../services/sessions.js";
+import { fakeQuery, fakeRequest, fakeResponse, fakeSessions, listen, withEnv } from "./helpers.js";
+
+// Signs in real sessions (against the in-memory Session collection) and calls the
+// admin API through `protect` and `authorize`, the way the dashboard does.
+const setup = async (t) => {
+  withEnv(t, { JWT_SECRET: "test-secret" });
+  const sessions = fakeSessions(t);
+  const users = new Map();
+  t.mock.method(User, "findById", (id) => fakeQuery(users.get(String(id)) || null));
+  t.mock.method(User, "find", () => fakeQuery([]));
+  t.mock.method(User, "countDocuments", async () => 0);
+  t.mock.method(Program, "find", () => fakeQuery([]));
+  t.mock.method(Program, "countDocuments", async () => 0);
+
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/admin", adminRoutes);
+  const url = await listen(t, app);
+
+  /** Fetch options carrying a signed-in `role`'s access token. */
+  const as = async (role) => {
+    const user = { _id: new mongoose.Types.ObjectId(), role, emailVerified: true };
+    users.set(String(user._id), user);
+    const res = fakeResponse();
+    await startSession(fakeRequest(), res, user);
+    return { headers: { cookie: `${ACCESS_COOKIE}=${res.cookies[ACCESS_COOKIE]}` } };
+  };
+  const call = (route, options = {}) => fetch(`${url}/api/admin${route}`, options);
+  return { as, call, sessions };
+};
+
+test("signed-out requests are refused", async (t) => {
+  const { call } = await setup(t);
+  const res = await call("/users");
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).message, "Not authorized, token missing");
+});
+
+test("regular users can't reach any admin route", async (t) => {
+  const { as, call } = await setup(t);
+  const user = await as("user");
+  for (const route of ["/users", "/programs", "/moderation/stories", "/audit-log"]) {
+    const res = await call(route, user);
+    assert.equal(res.status, 403, route);
+    assert.equal((await res.json()).message, "You don't have permission to do that");
+  }
+});
+
+test("moderators curate content but can't manage accounts or run ingestion", async (t) => {
+  const { as, call } = await setup(t);
+  const moderator = await as("moderator");
+
+  assert.equal((await call("/programs", moderator)).status, 200);
+  assert.equal((await call("/users", moderator)).status, 403);
+  assert.equal((await call("/ai-usage", moderator)).status, 403);
+  const promote = await call(`/users/${new mongoose.Types.ObjectId()}/role`, {
+    method: "PATCH",
+    headers: { ...moderator.headers, "content-type": "application/json" },
+    body: JSON.stringify({ role: "admin" }),
+  });
+  assert.equal(promote.status, 403);
+  assert.equal((await call("/ingestion", { ...moderator, method: "POST" })).status, 403);
+});
+
+test("admins reach the admin-only routes", async (t) => {
+  const { as, call } = await setup(t);
+  const admin = await as("admin");
+
+  const res = await call("/users", admin);
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).users, []);
+  assert.equal((await call("/programs", admin)).status, 200);
+});
+
+test("a revoked session loses admin access straight away", async (t) => {
+  const { as, call, sessions } = await setup(t);
+  const admin = await as("admin");
+  sessions[0].revokedAt = new Date();
+
+  const res = await call("/users", admin);
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).message, "This session was signed out. Please sign in again.");
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import express from "express";
+import mongoose from "mongoose";
+import { aiQuota, usageDay } from "../middleware/aiQuota.js";
+import AIUsage from "../models/AIUsage.js";
+import { eventually, listen, pretendConnected, withEnv } from "./helpers.js";
+
+/** In-memory AIUsage rows keyed by subject, with the unique index on subject + day. */
+const fakeUsage = (t) => {
+  const rows = new Map();
+  t.mock.method(AIUsage, "findOneAndUpdate", async (filter, update) => {
+    const row = rows.get(filter.subject);
+    if (row && row.count < filter.count.$lt) {
+      row.count += 1;
+      return row;
+    }
+    if (row) throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    const created = { subject: filter.subject, day: filter.day, count: 1, ...update.$setOnInsert };
+    rows.set(filter.subject, created);
+    return created;
+  });
+  t.mock.method(AIUsage, "updateOne", async (filter, update) => {
+    rows.get(filter.subject).count += update.$inc.count;
+  });
+  return rows;
+};
+
+/** An AI endpoint behind the quota. `?fail` makes the handler error and `?cached` answers from the cache. */
+const startApp = (t, user) => {
+  const app = express();
+  app.use((req, res, next) => {
+    if (user) req.user = user;
+    next();
+  });
+  app.post("/ai", aiQuota("chat"), (req, res) => {
+    if (req.query.fail !== undefined) return res.status(502).json({ error: "The AI service failed" });
+    if (req.query.cached !== undefined) res.locals.aiCached = true;
+    res.json({ answer: "ok" });
+  });
+  return listen(t, app);
+};
+
+const post = (url, query = "") => fetch(`${url}/ai${query}`, { method: "POST" });
+
+test("guests are refused once they reach the daily limit", async (t) => {
+  withEnv(t, { AI_DAILY_LIMIT_IP: "2", AI_DAILY_LIMIT_USER: "5" });
+  pretendConnected(t);
+  const rows = fakeUsage(t);
+  const url = await startApp(t);
+
+  const first = await post(url);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-ratelimit-limit"), "2");
+  assert.equal(first.headers.get("x-ratelimit-remaining"), "1");
+  assert.equal((await post(url)).status, 200);
+
+  const refused = await post(url);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers.get("x-ratelimit-remaining"), "0");
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+  const body = await refused.json();
+  assert.equal(body.code, "AI_QUOTA_EXCEEDED");
+  assert.match(body.error, /used all 2 AI requests.*Sign in to get more/);
+  assert.equal(rows.get("ip:127.0.0.1").day, usageDay());
+  assert.equal(rows.get("ip:127.0.0.1").count, 2);
+});
+
+test("a limit of 0 refuses every request without recording usage", async (t) => {
+  withEnv(t, { AI_DAILY_LIMIT_IP: "0", AI_DAILY_LIMIT_USER: "0" });
+  pretendConnected(t);
+  const rows = fakeUsage(t);
+
+  const guestUrl = await startApp(t);
+  const guest = await post(guestUrl);
+  assert.equal(guest.status, 429);
+  assert.equal((await guest.json()).error, "AI requests aren't available for this account.");
+
+  const userUrl = await startApp(t, { _id: new mongoose.Types.ObjectId(), emailVerified: true });
+  const signedIn = await post(userUrl);
+  assert.equal(signedIn.status, 429);
+  assert.equal(signedIn.headers.get("x-ratelimit-limit"), "0");
+
+  assert.equal(AIUsage.findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(rows.size, 0);
+});
+
+test("accounts with an unverified email get the guest limit, counted per account", async (t) => {
+  withEnv(t, { AI_DAILY_LIMIT_IP: "1", AI_DAILY_LIMIT_USER: "5" });
+  pretendConnected(t);
+  const rows = fakeUsage(t);
+  const user = { _id: new mongoose.Types.ObjectId(), emailVerified: false };
+  const url = await startApp(t, user);
+
+  assert.equal((await post(url)).status, 200);
+  const refused = await post(url);
+  assert.equal(refused.status, 429);
+  assert.match((await refused.json()).error, /Verify your email to get more/);
+  assert.equal(rows.get(`user:${user._id}`).kind, "user");
+});
+
+test("failed and cached answers are given back", async (t) => {
+  withEnv(t, { AI_DAILY_LIMIT_IP: "1" });
+  pretendConnected(t);
+  const rows = fakeUsage(t);
+  const url = await startApp(t);
+  const count = () => rows.get("ip:127.0.0.1").count;
+
+  assert.equal((await post(url, "?fail")).status, 502);
+  await eventually(() => count() === 0);
+  assert.equal((await post(url, "?cached")).status, 200);
+  await eventually(() => count() === 0);
+
+  assert.equal((await post(url)).status, 200);
+  assert.equal((await post(url)).status, 429);
+});
+
+test("without a database connection requests are not counted", async (t) => {
+  withEnv(t, { AI_DAILY_LIMIT_IP: "0" });
+  fakeUsage(t);
+  const url = await startApp(t);
+
+  assert.equal((await post(url)).status, 200);
+  assert.equal(AIUsage.findOneAndUpdate.mock.callCount(), 0);
+});
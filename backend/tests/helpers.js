@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+// Shared by the tests in this folder. There is no database here: the model methods
+// the code under test calls are swapped for in-memory versions with `t.mock.method`,
+// and put back when the test ends.
+
+/** Sets environment variables for the rest of test `t`. */
+export const withEnv = (t, vars) => {
+  const saved = Object.fromEntries(Object.keys(vars).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  t.after(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+/** Makes code that checks `mongoose.connection.readyState` see a live connection. */
+export const pretendConnected = (t) => {
+  Object.defineProperty(mongoose.connection, "readyState", { value: 1, configurable: true });
+  t.after(() => {
+    delete mongoose.connection.readyState;
+  });
+};
+
+/** Serves `app` on a free port until the test ends; resolves to its base URL. */
+export const listen = async (t, app) => {
+  const server = await new Promise((resolve) => {
+    const started = app.listen(0, "127.0.0.1", () => resolve(started));
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+/** Waits for `check()` to hold, for work a handler does after its response is sent. */
+export const eventually = async (check, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for the condition");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+/** A mongoose query stand-in: chainable, and resolves to `result` when awaited. */
+export const fakeQuery = (result) => {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    select: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+/** Request and response objects with just what services/sessions.js uses. */
+export const fakeRequest = (cookies = {}) => ({
+  cookies,
+  headers: {},
+  ip: "127.0.0.1",
+  get: () => "node-test",
+});
+
+export const fakeResponse = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie: (name, value) => {
+      cookies[name] = value;
+    },
+    clearCookie: (name) => {
+      cookies[name] = null;
+    },
+  };
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === "revokedAt" && value === null) return !doc.revokedAt;
+    if (key === "expiresAt") return doc.expiresAt > value.$gt;
+    return String(doc[key]) === String(value);
+  });
+
+/**
+ * An in-memory Session collection covering the queries services/sessions.js makes.
+ * Returns the array of stored sessions, for tests to inspect or age.
+ */
+export const fakeSessions = (t) => {
+  const sessions = [];
+  t.mock.method(Session, "create", async (doc) => {
+    const session = { _id: new mongoose.Types.ObjectId(), usedTokenHashes: [], ...doc };
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    const session = sessions.find((s) => matches(s, filter));
+    if (!session) return null;
+    const { $each, $slice } = update.$push.usedTokenHashes;
+    Object.assign(session, update.$set);
+    session.usedTokenHashes = [...session.usedTokenHashes, ...$each].slice($slice);
+    return session;
+  });
+  t.mock.method(Session, "findOne", async (filter) =>
+    sessions.find((s) => s.usedTokenHashes.includes(filter.usedTokenHashes)) || null
+  );
+  t.mock.method(Session, "updateMany", async (filter, update) => {
+    sessions.filter((s) => matches(s, filter)).forEach((s) => Object.assign(s, update));
+  });
+  t.mock.method(Session, "exists", async ({ _id, user, revokedAt, expiresAt }) => {
+    const found = sessions.find((s) => matches(s, { _id, user, revokedAt, expiresAt }));
+    return found ? { _id: found._id } : null;
+  });
+  return sessions;
+};
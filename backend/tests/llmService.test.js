@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { ISSUE_VALIDATION_SCHEMA } from "../schemas/aiResponses.js";
+import stubProvider from "../services/llm/stub.js";
+import { generateJSON, LLMError } from "../services/llmService.js";
+import { validateSchema } from "../utils/jsonSchema.js";
+import { withEnv } from "./helpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The fixtures answer with a reply that breaks the schema until they are shown the
+// repair request; "always broken" prompts never get a usable reply
+const FIXTURES = path.join(__dirname, "fixtures", "llm-repair.json");
+
+const useStub = (t) => {
+  withEnv(t, { LLM_PROVIDER: "stub", LLM_STUB_FIXTURES: FIXTURES });
+  t.mock.method(console, "warn", () => {});
+  return t.mock.method(stubProvider, "generateText");
+};
+
+test("a reply that breaks the schema is sent back with its problems and repaired", async (t) => {
+  const calls = useStub(t);
+
+  const result = await generateJSON("Is this issue new? Crash on login", { schema: ISSUE_VALIDATION_SCHEMA });
+  assert.equal(result.status, "Duplicate");
+  assert.equal(result.related_issues[0].number, 12);
+  assert.equal(calls.mock.callCount(), 2);
+
+  const repairRequest = calls.mock.calls[1].arguments[0];
+  const repairPrompt = repairRequest.messages.at(-1).content;
+  assert.match(repairPrompt, /status must be one of: Unique, Duplicate, Potential Duplicate/);
+  assert.match(repairPrompt, /uniqueness_feedback is required/);
+  assert.match(repairPrompt, /related_issues\[0\]\.status must be one of: open, closed/);
+  assert.match(repairPrompt, /confidence is not allowed/);
+  assert.equal(repairRequest.messages.at(-2).role, "assistant");
+  assert.match(repairRequest.system, /matches this JSON Schema/);
+});
+
+test("JSON wrapped in a code fence and prose is accepted as it is", async (t) => {
+  const calls = useStub(t);
+
+  const result = await generateJSON("fenced reply please", { schema: ISSUE_VALIDATION_SCHEMA });
+  assert.equal(result.status, "Unique");
+  assert.equal(calls.mock.callCount(), 1);
+});
+
+test("a reply still broken after the repair attempts fails with INVALID_OUTPUT", async (t) => {
+  const calls = useStub(t);
+
+  await assert.rejects(
+    generateJSON("always broken", { schema: ISSUE_VALIDATION_SCHEMA, repairAttempts: 1 }),
+    (error) => {
+      assert.ok(error instanceof LLMError);
+      assert.equal(error.code, "INVALID_OUTPUT");
+      assert.ok(error.details.includes("headline is required"));
+      return true;
+    }
+  );
+  assert.equal(calls.mock.callCount(), 2);
+});
+
+test("validateSchema reports every problem with its path", () => {
+  const errors = validateSchema(
+    { status: "Unique", headline: " ", uniqueness_feedback: "ok", project_context_feedback: "ok",
+      related_issues: [{ number: 1.5, title: "x", status: "open", date: "5 Jan", relevance: "Related" }] },
+    ISSUE_VALIDATION_SCHEMA
+  );
+  assert.deepEqual(errors, [
+    "headline must not be empty",
+    "related_issues[0].number must be integer, not number",
+    "related_issues[0].date must match ^\\d{4}-\\d{2}-\\d{2}$",
+  ]);
+  assert.deepEqual(validateSchema([], ISSUE_VALIDATION_SCHEMA), ["the reply must be object, not array"]);
+});
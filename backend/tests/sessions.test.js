@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { REFRESH_COOKIE, refreshSession, startSession } from "../services/sessions.js";
+import { fakeRequest, fakeResponse, fakeSessions, withEnv } from "./helpers.js";
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const signIn = async () => {
+  const res = fakeResponse();
+  await startSession(fakeRequest(), res, user);
+  return res.cookies[REFRESH_COOKIE];
+};
+
+const refresh = async (refreshToken) => {
+  const res = fakeResponse();
+  const result = await refreshSession(fakeRequest({ [REFRESH_COOKIE]: refreshToken }), res);
+  return { ...result, cookies: res.cookies };
+};
+
+const setup = (t) => {
+  withEnv(t, { JWT_SECRET: "test-secret" });
+  t.mock.method(console, "warn", () => {});
+  return fakeSessions(t);
+};
+
+test("refreshing rotates the refresh token and renews the access token", async (t) => {
+  const sessions = setup(t);
+  const first = await signIn();
+
+  const renewed = await refresh(first);
+  assert.equal(String(renewed.session._id), String(sessions[0]._id));
+  assert.ok(renewed.cookies.token, "a new access token is set");
+  assert.ok(renewed.cookies[REFRESH_COOKIE], "a new refresh token is set");
+  assert.notEqual(renewed.cookies[REFRESH_COOKIE], first);
+
+  const again = await refresh(renewed.cookies[REFRESH_COOKIE]);
+  assert.ok(again.session, "the replacement token works in turn");
+  assert.equal(sessions[0].usedTokenHashes.length, 2);
+});
+
+test("reusing a rotated refresh token revokes the session", async (t) => {
+  const sessions = setup(t);
+  const stolen = await signIn();
+  const second = (await refresh(stolen)).cookies[REFRESH_COOKIE];
+  const third = (await refresh(second)).cookies[REFRESH_COOKIE];
+
+  const replay = await refresh(stolen);
+  assert.equal(replay.error, "Your session has ended. Please sign in again.");
+  assert.equal(replay.cookies[REFRESH_COOKIE], null, "the cookies are cleared");
+  assert.ok(sessions[0].revokedAt);
+  assert.equal(sessions[0].revokedReason, "refresh-token-reuse");
+
+  // The legitimate holder of the newest token is signed out too
+  assert.ok((await refresh(third)).error);
+});
+
+test("a token rotated moments ago by a parallel request is not treated as reuse", async (t) => {
+  const sessions = setup(t);
+  const first = await signIn();
+  await refresh(first);
+
+  const raced = await refresh(first);
+  assert.equal(String(raced.session._id), String(sessions[0]._id));
+  assert.ok(raced.cookies.token, "the access token is renewed");
+  assert.equal(raced.cookies[REFRESH_COOKIE], undefined, "the refresh token comes from the winning response");
+  assert.equal(sessions[0].revokedAt, undefined);
+
+  // Outside the grace period the same token counts as reuse
+  sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+  assert.ok((await refresh(first)).error);
+  assert.equal(sessions[0].revokedReason, "refresh-token-reuse");
+});
+
+test("unknown and expired refresh tokens are refused without revoking anything", async (t) => {
+  const sessions = setup(t);
+  const token = await signIn();
+
+  assert.ok((await refresh("not-a-token")).error);
+  assert.equal((await refresh(undefined)).error, "Not authorized, token missing");
+
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  assert.ok((await refresh(token)).error);
+  assert.equal(Session.updateMany.mock.callCount(), 0);
+});
@@ -0,0 +1,56 @@
+// Emails the auth flows send through sendEmail. Each returns { subject, html }.
+// Names are user input, so they are escaped before going into the HTML.
+
+const escapeHTML = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const button = (url, label) => `
+  <p>
+    <a href="${escapeHTML(url)}" style="display:inline-block;padding:12px 24px;border-radius:10px;background:#c89b2c;color:#ffffff;font-weight:700;text-decoration:none;">${label}</a>
+  </p>
+  <p style="font-size:13px;color:#666;">Or paste this link into your browser:<br/>${escapeHTML(url)}</p>
+`;
+
+const signOff = `
+  <br/>
+  <p>— The OpenSource Compass Team</p>
+`;
+
+/** Sent on sign-up (welcome) and whenever a signed-in user asks for a new link. */
+export const verificationEmail = ({ name, url, welcome = false }) => ({
+  subject: welcome ? "Welcome to OpenSource Compass 🚀 Please confirm your email" : "Confirm your email for OpenSource Compass",
+  html: `
+    <h2>Hello ${escapeHTML(name)} 👋</h2>
+    ${welcome ? "<p>Welcome to <b>OpenSource Compass</b>. You can now track your progress and personalize your learning journey.</p>" : ""}
+    <p>Please confirm this is your email address. Until you do, sharing badges is turned off and AI features have a lower daily limit.</p>
+    ${button(url, "Verify my email")}
+    <p>The link works once and expires in 24 hours.</p>
+    ${signOff}
+  `,
+});
+
+export const passwordResetEmail = ({ name, url }) => ({
+  subject: "Reset your OpenSource Compass password",
+  html: `
+    <h2>Hello ${escapeHTML(name)} 👋</h2>
+    <p>Someone asked to reset the password for your <b>OpenSource Compass</b> account.</p>
+    ${button(url, "Choose a new password")}
+    <p>The link works once and expires in 1 hour. If you didn't ask for this, you can ignore this email; your password stays the same.</p>
+    ${signOff}
+  `,
+});
+
+/** Sent after a password reset (`via: "reset"`) or a change from the profile page (`via: "profile"`). */
+export const passwordChangedEmail = ({ name, via = "reset" }) => ({
+  subject: "Your OpenSource Compass password was changed",
+  html: `
+    <h2>Hello ${escapeHTML(name)} 👋</h2>
+    <p>The password for your <b>OpenSource Compass</b> account was just changed ${via === "profile" ? "from your profile page" : "using a reset link"}.</p>
+    <p>If this wasn't you, reset your password again straight away and check your email account's security.</p>
+    ${signOff}
+  `,
+});
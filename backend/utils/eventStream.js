@@ -0,0 +1,69 @@
+import { stream as streamText } from "../services/llmService.js";
+
+// Server-Sent Events for the AI endpoints. A stream sends `token` events as the
+// model writes, then one `done` event carrying the same body the non-streaming
+// endpoint would return, or an `error` event if generation fails part way.
+
+// Comment lines keep idle proxies from closing the connection while the model thinks
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch the response to an event stream. The returned `signal` aborts when the
+ * client disconnects (or presses stop), so the model call can be cancelled
+ * instead of running on for nobody.
+ */
+export const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (controller.signal.aborted || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    signal: controller.signal,
+    send,
+    end: (event, data) => {
+      // The status is already 200, so tell the AI quota this request failed
+      if (event === "error") res.locals.aiFailed = true;
+      send(event, data);
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+};
+
+/**
+ * Answer a stream from the cache: the whole cached `text` as one `token` event,
+ * then `done` with `body` marked `cached: true`.
+ */
+export const replayCached = (stream, text, body) => {
+  stream.send("token", { text });
+  stream.end("done", { ...body, cached: true });
+};
+
+/** Stream the model's answer to the client as `token` events; resolves to the full text. */
+export const streamGeneration = async (request, stream) => {
+  const input = typeof request === "string" ? { prompt: request } : request;
+  let text = "";
+  for await (const piece of streamText({ ...input, signal: stream.signal })) {
+    if (stream.signal.aborted) break;
+    text += piece;
+    stream.send("token", { text: piece });
+  }
+  return text;
+};
@@ -0,0 +1,76 @@
+// A small JSON Schema validator for the structured replies the AI endpoints ask for.
+// It covers the keywords those schemas use: type (including "integer"), enum,
+// required, properties, additionalProperties: false, items, minItems, maxItems,
+// minLength, maxLength, pattern, minimum and maximum.
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+/**
+ * Every way `value` breaks `schema`, as readable messages such as
+ * `related_issues[0].status must be one of: open, closed`. Empty when valid.
+ */
+export const validateSchema = (value, schema, path = "") => {
+  const at = path || "the reply";
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    return [`${at} must be ${types.join(" or ")}, not ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${at} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ""}${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) errors.push(...validateSchema(child, properties[key], childPath));
+      else if (schema.additionalProperties === false) errors.push(`${childPath} is not allowed`);
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,100 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const OPEN_BADGES_CONTEXT = "https://w3id.org/openbadges/v2";
+
+// The playground loads the same file, so the hosted BadgeClasses can never
+// drift from what it awards.
+const BADGES_FILE = path.resolve(__dirname, "../../frontend/data/git_badges.json");
+
+let badgeDefinitions = null;
+
+/** Badge id, title, description, level, colors and unlock rule from git_badges.json. */
+export const getBadgeDefinitions = () => {
+  if (!badgeDefinitions) {
+    badgeDefinitions = JSON.parse(fs.readFileSync(BADGES_FILE, "utf-8")).badges;
+  }
+  return badgeDefinitions;
+};
+
+export const findBadge = (badgeId) => getBadgeDefinitions().find((b) => b.id === badgeId) || null;
+
+/* ---------- Documents ---------- */
+
+export const issuerDocument = (apiBase) => ({
+  "@context": OPEN_BADGES_CONTEXT,
+  type: "Issuer",
+  id: `${apiBase}/open-badges/issuer`,
+  name: "OpenSource Compass",
+  url: process.env.FRONTEND_URL || "http://localhost:5500",
+  email: process.env.EMAIL_FROM || "noreply@opensource-compass.org",
+  description: "Guides, roadmaps and a hands-on Git Playground for new open source contributors.",
+});
+
+export const badgeClassDocument = (apiBase, badge) => ({
+  "@context": OPEN_BADGES_CONTEXT,
+  type: "BadgeClass",
+  id: `${apiBase}/open-badges/badges/${badge.id}`,
+  name: badge.title,
+  description: badge.description,
+  image: `${apiBase}/open-badges/badges/${badge.id}/image`,
+  criteria: {
+    id: `${process.env.FRONTEND_URL || "http://localhost:5500"}/frontend/pages/git-playground.html`,
+    narrative: `${badge.description} Earned in the OpenSource Compass Git Playground, where every scenario is checked against a simulated repository.`,
+  },
+  issuer: `${apiBase}/open-badges/issuer`,
+  tags: ["git", "open-source", badge.level.toLowerCase()],
+});
+
+/**
+ * Hosted Assertion for one earned badge. The recipient is the account email, hashed
+ * with a salt derived from the user and badge so the document is the same on every fetch.
+ */
+export const assertionDocument = (apiBase, { user, shareId, badge, earnedAt }) => {
+  const salt = crypto.createHash("sha256").update(`${user._id}:${badge.id}`).digest("hex").slice(0, 16);
+  const identity = crypto.createHash("sha256").update(`${user.email}${salt}`).digest("hex");
+  return {
+    "@context": OPEN_BADGES_CONTEXT,
+    type: "Assertion",
+    id: `${apiBase}/open-badges/assertions/${shareId}/${badge.id}`,
+    recipient: { type: "email", hashed: true, salt, identity: `sha256$${identity}` },
+    badge: `${apiBase}/open-badges/badges/${badge.id}`,
+    image: `${apiBase}/open-badges/badges/${badge.id}/image`,
+    issuedOn: new Date(earnedAt).toISOString(),
+    verification: { type: "hosted" },
+  };
+};
+
+/* ---------- Image ---------- */
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+
+/**
+ * Standalone SVG for a badge: the badge's gradient, its initials and title, and its level.
+ * Font Awesome glyphs aren't available outside the site, hence the initials.
+ */
+export const badgeSvg = (badge) => {
+  const [from, to] = (badge.gradient.match(/#[0-9a-f]{3,8}/gi) || [badge.color, badge.color]);
+  const initials = badge.title.split(/\s+/).map((word) => word[0]).join("").slice(0, 3).toUpperCase();
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="240" viewBox="0 0 240 240">
+  <title>${escapeXml(badge.title)}</title>
+  <defs>
+    <linearGradient id="badge-gradient" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${from}"/>
+      <stop offset="1" stop-color="${to || from}"/>
+    </linearGradient>
+  </defs>
+  <circle cx="120" cy="120" r="112" fill="#0d1117" stroke="url(#badge-gradient)" stroke-width="8"/>
+  <circle cx="120" cy="96" r="50" fill="url(#badge-gradient)"/>
+  <text x="120" y="110" text-anchor="middle" font-family="Inter, Arial, sans-serif" font-size="38" font-weight="700" fill="#ffffff">${escapeXml(initials)}</text>
+  <text x="120" y="178" text-anchor="middle" font-family="Inter, Arial, sans-serif" font-size="17" font-weight="600" fill="#f0f6fc">${escapeXml(badge.title)}</text>
+  <text x="120" y="202" text-anchor="middle" font-family="Inter, Arial, sans-serif" font-size="11" letter-spacing="2" fill="${from}">${escapeXml(badge.level.toUpperCase())} · OPENSOURCE COMPASS</text>
+</svg>
+`;
+};
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getBadgeDefinitions } from "./openBadges.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Badges are worked out here from the synced completions, with the same rules and
+// scenario list the playground uses, rather than taken from what the browser claims.
+const SCENARIOS_FILE = path.resolve(__dirname, "../../frontend/data/git_scenarios.json");
+const MAX_STARS = 3;
+
+let scenarios = null;
+
+/** Id, title, description and level of every playground scenario. */
+export const getScenarios = () => {
+  if (!scenarios) {
+    scenarios = JSON.parse(fs.readFileSync(SCENARIOS_FILE, "utf-8")).scenarios.map(
+      ({ id, title, description, level }) => ({ id, title, description, level })
+    );
+  }
+  return scenarios;
+};
+
+export const isKnownScenario = (scenarioId) => getScenarios().some((s) => s.id === scenarioId);
+
+/** Same counts as GitBadgeEngine's buildStats, from the arrays stored on the user. */
+const buildStats = (progress) => {
+  const all = getScenarios();
+  const ids = (progress.completedScenarios || []).map((entry) => entry.scenarioId).filter(isKnownScenario);
+  const completed = all.filter((s) => ids.includes(s.id));
+  const levelOf = (id) => all.find((s) => s.id === id)?.level;
+
+  const countByKeyword = (list, keywords) =>
+    list.filter((s) => keywords.some((k) =>
+      s.title.toLowerCase().includes(k) ||
+      s.description.toLowerCase().includes(k) ||
+      s.id.toLowerCase().includes(k)
+    )).length;
+
+  const best = (progress.scenarioStats || [])
+    .filter((entry) => entry.best?.stars && isKnownScenario(entry.scenarioId))
+    .map((entry) => ({ id: entry.scenarioId, solve: entry.best }));
+
+  return {
+    totalCompleted: ids.length,
+    scenarioIds: ids,
+    beginnerCompleted: completed.filter((s) => s.level === "Beginner").length,
+    intermediateCompleted: completed.filter((s) => s.level === "Intermediate").length,
+    advancedCompleted: completed.filter((s) => s.level === "Advanced").length,
+    beginnerTotal: all.filter((s) => s.level === "Beginner").length,
+    intermediateTotal: all.filter((s) => s.level === "Intermediate").length,
+    advancedTotal: all.filter((s) => s.level === "Advanced").length,
+    allScenariosTotal: all.length,
+    branchingCompleted: countByKeyword(completed, ["branch", "checkout", "switch"]),
+    mergeCompleted: countByKeyword(completed, ["merge", "conflict"]),
+    rebaseCompleted: countByKeyword(completed, ["rebase"]),
+    stashCompleted: countByKeyword(completed, ["stash"]),
+    remoteCompleted: countByKeyword(completed, ["push", "pull", "remote", "clone", "fetch"]),
+    speedruns: progress.speedruns || 0,
+    unassistedSolves: best.filter((b) => !b.solve.hintsUsed && !b.solve.answerShown).length,
+    threeStarCount: best.filter((b) => b.solve.stars === MAX_STARS).length,
+    advancedThreeStarCount: best.filter((b) => b.solve.stars === MAX_STARS && levelOf(b.id) === "Advanced").length,
+    persistentSolves: progress.persistentSolves || 0,
+  };
+};
+
+/** A rule from git_badges.json: `{ stat, atLeast }`, `{ stat, allOf }` or `{ scenario }`. */
+const meetsRule = (rule, stats) => {
+  if (rule.scenario) return stats.scenarioIds.includes(rule.scenario);
+  if (rule.allOf) return stats[rule.allOf] > 0 && stats[rule.stat] >= stats[rule.allOf];
+  return stats[rule.stat] >= rule.atLeast;
+};
+
+/**
+ * The badges `progress` qualifies for, as `[{ badgeId, earnedAt }]`. Dates come from
+ * `progress.earnedBadges` when it has the badge; anything else counts as earned now.
+ */
+export const deriveEarnedBadges = (progress = {}, now = new Date()) => {
+  const stats = buildStats(progress);
+  const earnedAt = new Map((progress.earnedBadges || []).map((entry) => [entry.badgeId, entry.earnedAt]));
+  return getBadgeDefinitions()
+    .filter((badge) => meetsRule(badge.rule, stats))
+    .map((badge) => ({ badgeId: badge.id, earnedAt: earnedAt.get(badge.id) || now }));
+};
@@ -0,0 +1,190 @@
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The chat assistant answers from the site's own content, read straight from the
+// frontend so answers and citations always match what the pages say.
+const FRONTEND = path.resolve(__dirname, "../../frontend");
+const GUIDE_PAGES = ["pages/guides.html", "pages/guides/ethics-licensing.html"];
+
+const STOP_WORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "be", "been", "do", "does", "did", "i", "me", "my", "you", "your",
+  "we", "our", "it", "its", "to", "of", "in", "on", "for", "with", "and", "or", "but", "if", "at", "by",
+  "as", "from", "that", "this", "these", "those", "what", "which", "who", "how", "when", "where", "why",
+  "can", "could", "should", "would", "will", "about", "into", "so", "not", "no", "there", "they", "them",
+]);
+
+// BM25 tuning: how quickly repeated words stop adding score, and how much long passages are penalised
+const K1 = 1.2;
+const B = 0.75;
+
+let knowledge = null;
+
+/* ---------- Text ---------- */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", mdash: "—", ndash: "–", hellip: "…" };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/** Visible text of an HTML fragment, whitespace collapsed. */
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+/** Light suffix stripping so "branches" finds "branch" and "contributing" finds "contribute". */
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  let w = word.replace(/(ies)$/, "y").replace(/(ing|ed|es|s)$/, "");
+  if (w.length < 3) w = word;
+  return w.endsWith("e") && w.length > 3 ? w.slice(0, -1) : w;
+};
+
+export const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[a-z0-9#+]+/g) || [])
+    .filter((word) => !STOP_WORDS.has(word))
+    .map(stem);
+
+/* ---------- Sources ---------- */
+
+const read = (file) => fs.readFileSync(path.join(FRONTEND, file), "utf-8");
+
+/**
+ * One passage per guide section, or per sub-heading when a section has them.
+ * Sections with an id link straight to it.
+ */
+const guidePassages = () =>
+  GUIDE_PAGES.flatMap((page) => {
+    const html = read(page);
+    const title = htmlToText((html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1] || "")
+      .replace(/\s*[-|]\s*OpenSource Compass$/i, "");
+    const pageTitle = !title || /^OpenSource Compass$/i.test(title) ? "Guides" : title;
+    // Buttons are "Mark as Completed" and similar controls, not content
+    const sections = (html.match(/<section\b[^>]*>[\s\S]*?<\/section>/gi) || [])
+      .map((section) => section.replace(/<button\b[\s\S]*?<\/button>/gi, " "));
+
+    return sections.flatMap((section) => {
+      const id = (section.match(/^<section\b[^>]*\bid="([^"]+)"/i) || [])[1];
+      const heading = htmlToText((section.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || [])[1] || "");
+      if (!heading) return [];
+      const url = `frontend/${page}${id ? `#${id}` : ""}`;
+
+      const parts = section.split(/(?=<h4\b)/i);
+      if (parts.length <= 2) {
+        return [{ source: "guide", title: `${pageTitle}: ${heading}`, url, text: htmlToText(section) }];
+      }
+      const intro = htmlToText(parts[0]);
+      return parts.slice(1).map((part) => {
+        const subheading = htmlToText((part.match(/<h4\b[^>]*>([\s\S]*?)<\/h4>/i) || [])[1] || "");
+        return { source: "guide", title: `${heading}: ${subheading}`, url, text: `${intro} ${htmlToText(part)}` };
+      });
+    });
+  });
+
+/** Initials of a program name, which is how people usually ask about it ("GSoC", "GSSoC" for GirlScript). */
+const acronym = (name) =>
+  name.split(/\s+/).map((word) => (word.match(/[A-Z]/g) || [word[0]]).join("")).join("").toLowerCase();
+
+const programPassages = () =>
+  JSON.parse(read("data/programs.json")).map((program) => ({
+    source: "program",
+    title: program.name,
+    url: "frontend/pages/programs.html",
+    text: [
+      `${program.name} (${acronym(program.name)}): ${program.description}`,
+      program.status && `Status: ${program.status}.`,
+      program.difficulty && `Difficulty: ${program.difficulty}.`,
+      program.timeline && `Timeline: ${program.timeline}.`,
+      program.stipend && `Stipend (pay): ${program.stipend}.`,
+      program.contributions?.length && `Typical contributions: ${program.contributions.join(", ")}.`,
+      program.url && `Official site: ${program.url}`,
+    ].filter(Boolean).join(" "),
+  }));
+
+/** The glossary page keeps its terms in an inline `glossaryData` array; evaluate just that literal. */
+const glossaryPassages = () => {
+  const literal = (read("pages/glossary.html").match(/const glossaryData = (\[[\s\S]*?\]);/) || [])[1];
+  if (!literal) return [];
+  const terms = vm.runInNewContext(`(${literal})`, {});
+  return terms.map((item) => ({
+    source: "glossary",
+    title: `Glossary: ${item.term}`,
+    url: "frontend/pages/glossary.html",
+    text: `${item.term}: ${item.def} Example: ${item.example}`,
+  }));
+};
+
+const faqPassages = () =>
+  (read("pages/faq.html").match(/<div class="faq-item">[\s\S]*?<div class="faq-answer">[\s\S]*?<\/div>/gi) || [])
+    .map((item) => {
+      const question = htmlToText((item.match(/<button class="faq-question">([\s\S]*?)<\/button>/i) || [])[1] || "");
+      const answer = htmlToText((item.match(/<div class="faq-answer">([\s\S]*?)<\/div>/i) || [])[1] || "");
+      return { source: "faq", title: `FAQ: ${question}`, url: "frontend/pages/faq.html", text: `${question} ${answer}` };
+    })
+    // The page repeats some questions in more than one section
+    .filter((passage, i, all) => passage.text.trim() && all.findIndex((p) => p.text === passage.text) === i);
+
+/* ---------- Index ---------- */
+
+/** Every passage with its term counts, plus document frequencies for BM25. Built once, on first use. */
+export const getKnowledge = () => {
+  if (!knowledge) {
+    const passages = [...guidePassages(), ...programPassages(), ...glossaryPassages(), ...faqPassages()]
+      .map((passage, i) => {
+        const tokens = tokenize(`${passage.title} ${passage.text}`);
+        const counts = {};
+        tokens.forEach((t) => { counts[t] = (counts[t] || 0) + 1; });
+        return { id: i, ...passage, length: tokens.length, counts };
+      });
+
+    const documentFrequency = {};
+    passages.forEach((p) => Object.keys(p.counts).forEach((t) => {
+      documentFrequency[t] = (documentFrequency[t] || 0) + 1;
+    }));
+    const averageLength = passages.reduce((sum, p) => sum + p.length, 0) / (passages.length || 1);
+
+    knowledge = { passages, documentFrequency, averageLength };
+  }
+  return knowledge;
+};
+
+/**
+ * The passages that best answer `query`, best first, as `{ id, source, title, url, text, score }`.
+ * Only passages scoring at least `minScore` are returned, so an empty list means the
+ * site has nothing relevant to say.
+ */
+export const searchPassages = (query, { limit = 4, minScore = 2 } = {}) => {
+  const { passages, documentFrequency, averageLength } = getKnowledge();
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  return passages
+    .map((p) => {
+      const score = terms.reduce((sum, t) => {
+        const tf = p.counts[t];
+        if (!tf) return sum;
+        const idf = Math.log(1 + (passages.length - documentFrequency[t] + 0.5) / (documentFrequency[t] + 0.5));
+        return sum + idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * p.length) / averageLength)));
+      }, 0);
+      return { p, score };
+    })
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ p, score }) => ({ id: p.id, source: p.source, title: p.title, url: p.url, text: p.text, score }));
+};
@@ -0,0 +1,153 @@
+// ============================================================
+// GitHub Account & Password (profile page)
+// Links or unlinks the user's GitHub account, and sets or changes
+// the password. Accounts created with GitHub have no password until
+// one is set here, and GitHub can only be unlinked once they do.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --------------- CONSTANTS ---------------
+    const AUTH_URL = 'http://localhost:5000/api/auth';
+
+    // `?github=` values the backend sends back after a link attempt
+    const LINK_RESULTS = {
+        linked: { text: 'Your GitHub account is now linked.', isError: false },
+        'github-taken': { text: 'That GitHub account is already linked to another OpenSource Compass account.', isError: true },
+        expired: { text: 'That GitHub link request expired. Please try again.', isError: true },
+        error: { text: 'Could not link your GitHub account. Please try again.', isError: true }
+    };
+
+    const account = document.getElementById('githubAccount');
+    const linkBtn = document.getElementById('githubLinkButton');
+    const unlinkBtn = document.getElementById('githubUnlinkButton');
+    const githubStatus = document.getElementById('githubStatus');
+    const passwordForm = document.getElementById('passwordForm');
+    const currentPasswordInput = document.getElementById('currentPassword');
+    const newPasswordInput = document.getElementById('newPassword');
+    const passwordStatus = document.getElementById('passwordStatus');
+    if (!account) return;
+
+    let hasPassword = false;
+
+    // --------------- HELPERS ---------------
+
+    function showStatus(el, text, isError) {
+        el.textContent = text;
+        el.style.color = isError ? '#c53030' : '#27ae60';
+    }
+
+    function renderAccount(user) {
+        account.innerHTML = '';
+        hasPassword = user.hasPassword;
+
+        if (user.githubId) {
+            if (user.githubAvatarUrl) {
+                const avatar = document.createElement('img');
+                avatar.src = user.githubAvatarUrl;
+                avatar.alt = '';
+                account.appendChild(avatar);
+            }
+            const name = document.createElement('a');
+            name.href = `https://github.com/${encodeURIComponent(user.githubUsername || '')}`;
+            name.target = '_blank';
+            name.rel = 'noopener';
+            name.textContent = user.githubUsername ? `@${user.githubUsername}` : 'Linked';
+            account.appendChild(name);
+        } else {
+            account.textContent = 'No GitHub account linked.';
+        }
+
+        linkBtn.hidden = Boolean(user.githubId);
+        unlinkBtn.hidden = !user.githubId;
+        unlinkBtn.disabled = !hasPassword;
+        unlinkBtn.title = hasPassword ? '' : 'Set a password first so you can still sign in';
+
+        currentPasswordInput.hidden = !hasPassword;
+        currentPasswordInput.required = hasPassword;
+        document.getElementById('passwordTitle').textContent = hasPassword ? 'Change Password' : 'Set a Password';
+    }
+
+    /** Reports the result of a link attempt, then drops it from the address bar so a reload doesn't repeat it. */
+    function showLinkResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = LINK_RESULTS[params.get('github')];
+        if (!result) return;
+
+        showStatus(githubStatus, result.text, result.isError);
+        params.delete('github');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
+    // --------------- REQUESTS ---------------
+
+    async function loadAccount() {
+        try {
+            const response = await fetch(`${AUTH_URL}/me`, { credentials: 'include' });
+            if (!response.ok) return;
+            const data = await response.json();
+            renderAccount(data.user);
+        } catch (error) {
+            console.error('Load account error:', error);
+            showStatus(githubStatus, 'Could not load your account details.', true);
+        }
+    }
+
+    linkBtn.addEventListener('click', async () => {
+        linkBtn.disabled = true;
+        try {
+            // A one-time token proves the link was started from this page
+            const response = await fetch(`${AUTH_URL}/github/link`, { method: 'POST', credentials: 'include' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            // GitHub redirects back to this page with ?github=<result>
+            window.location.href = `${AUTH_URL}/github/link?token=${encodeURIComponent(data.token)}`;
+        } catch (error) {
+            console.error('Link GitHub error:', error);
+            showStatus(githubStatus, LINK_RESULTS.error.text, true);
+            linkBtn.disabled = false;
+        }
+    });
+
+    unlinkBtn.addEventListener('click', async () => {
+        if (!confirm('Unlink your GitHub account? Your synced pull requests and contributor level are removed, and you will sign in with your email and password.')) return;
+        unlinkBtn.disabled = true;
+        try {
+            const response = await fetch(`${AUTH_URL}/github`, { method: 'DELETE', credentials: 'include' });
+            const data = await response.json();
+            showStatus(githubStatus, data.message, !response.ok);
+            await loadAccount();
+        } catch (error) {
+            console.error('Unlink GitHub error:', error);
+            showStatus(githubStatus, 'Could not unlink your GitHub account.', true);
+            unlinkBtn.disabled = false;
+        }
+    });
+
+    passwordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const response = await fetch(`${AUTH_URL}/password`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    currentPassword: hasPassword ? currentPasswordInput.value : undefined,
+                    newPassword: newPasswordInput.value
+                })
+            });
+            const data = await response.json();
+            showStatus(passwordStatus, data.message || 'Could not save your password.', !response.ok);
+            if (response.ok) {
+                passwordForm.reset();
+                await loadAccount();
+            }
+        } catch (error) {
+            console.error('Set password error:', error);
+            showStatus(passwordStatus, 'Server error. Please try again later.', true);
+        }
+    });
+
+    showLinkResult();
+    loadAccount();
+});
@@ -0,0 +1,98 @@
+// ============================================================
+// Signed-in Devices (profile page)
+// Lists the account's sessions with device, IP and last activity,
+// and signs out one device or all of them.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --------------- CONSTANTS ---------------
+    const SESSIONS_URL = 'http://localhost:5000/api/auth/sessions';
+
+    const list = document.getElementById('sessionList');
+    const revokeAllBtn = document.getElementById('revokeAllSessions');
+    const status = document.getElementById('sessionStatus');
+    if (!list) return;
+
+    // --------------- HELPERS ---------------
+
+    function formatDate(value) {
+        return new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /** Revoking the current session signs this browser out, so leave for the login page. */
+    function signedOut() {
+        localStorage.removeItem('currentUser');
+        window.location.href = 'login.html';
+    }
+
+    function renderSessions(sessions) {
+        list.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+
+            const details = document.createElement('div');
+            const device = document.createElement('strong');
+            device.textContent = session.device + (session.current ? ' (this device)' : '');
+            const meta = document.createElement('span');
+            meta.textContent = `${session.ip || 'Unknown IP'} · last active ${formatDate(session.lastSeenAt)}`;
+            details.append(device, meta);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = session.current ? 'Sign out' : 'Revoke';
+            button.addEventListener('click', () => revokeSession(session, button));
+
+            item.append(details, button);
+            list.appendChild(item);
+        });
+    }
+
+    // --------------- REQUESTS ---------------
+
+    async function loadSessions() {
+        try {
+            const response = await fetch(SESSIONS_URL, { credentials: 'include' });
+            if (response.status === 401) return signedOut();
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            renderSessions(data.sessions);
+        } catch (error) {
+            console.error('Load sessions error:', error);
+            status.textContent = 'Could not load your devices.';
+        }
+    }
+
+    async function revokeSession(session, button) {
+        button.disabled = true;
+        try {
+            const response = await fetch(`${SESSIONS_URL}/${encodeURIComponent(session.id)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            if (data.current) return signedOut();
+            status.textContent = data.message;
+            await loadSessions();
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            status.textContent = error.message || 'Could not revoke that session.';
+            button.disabled = false;
+        }
+    }
+
+    revokeAllBtn.addEventListener('click', async () => {
+        if (!confirm('Sign out of every device, including this one?')) return;
+        try {
+            const response = await fetch(SESSIONS_URL, { method: 'DELETE', credentials: 'include' });
+            if (!response.ok) throw new Error((await response.json()).message);
+            signedOut();
+        } catch (error) {
+            console.error('Revoke sessions error:', error);
+            status.textContent = error.message || 'Could not sign out of all devices.';
+        }
+    });
+
+    loadSessions();
+});
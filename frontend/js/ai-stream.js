@@ -0,0 +1,92 @@
+// ============================================================
+// AI Stream Client
+// Reads the Server-Sent Events the backend's `/stream` AI endpoints
+// send: `token` events while the model writes, then `done` with the
+// same body the non-streaming endpoint returns (or `error`).
+// EventSource can only GET, so this POSTs with fetch and parses the
+// stream itself. Pass an AbortSignal to stop generating.
+// ============================================================
+
+const AIStream = (() => {
+    /** Split an SSE block into its event name and parsed data. */
+    function parseEvent(block) {
+        let event = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith(':')) return; // keep-alive comment
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') event = value;
+            else if (field === 'data') data.push(value);
+        });
+        if (!data.length) return null;
+        return { event, data: JSON.parse(data.join('\n')) };
+    }
+
+    /**
+     * POST `body` as JSON and stream the reply. `onToken(text, fullText)` runs for
+     * every piece of text and `onEvent(name, data)` for any other event (e.g. `meta`).
+     * Resolves to the `done` payload. Rejects with the server's message when the
+     * request is refused or generation fails, and with an AbortError when stopped.
+     */
+    async function post(url, body, { headers = {}, credentials, signal, onToken, onEvent } = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+            credentials,
+            body: JSON.stringify(body),
+            signal
+        });
+
+        // Refusals (bad input, not found) come back as ordinary JSON
+        const type = response.headers.get('Content-Type') || '';
+        if (!response.ok || !type.includes('text/event-stream')) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error || data.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const message = parseEvent(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+                if (!message) continue;
+
+                if (message.event === 'token') {
+                    text += message.data.text;
+                    if (onToken) onToken(message.data.text, text);
+                } else if (message.event === 'done') {
+                    reader.cancel();
+                    return message.data;
+                } else if (message.event === 'error') {
+                    reader.cancel();
+                    throw new Error(message.data.error || message.data.message || 'Generation failed');
+                } else if (onEvent) {
+                    onEvent(message.event, message.data);
+                }
+            }
+        }
+        throw new Error('The connection closed before the answer was complete');
+    }
+
+    /** True for the rejection a stop button causes, which isn't worth reporting. */
+    const isAbort = error => error && error.name === 'AbortError';
+
+    return { post, isAbort };
+})();
+
+if (typeof window !== 'undefined') {
+    window.AIStream = AIStream;
+}
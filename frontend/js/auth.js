@@ -13,6 +13,15 @@ async function initAuth() {
 
     const loginForm = document.getElementById('loginForm');
     if (loginForm) loginForm.addEventListener('submit', handleLogin);
+    if (loginForm) showGithubSignInResult();
+
+    const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+    if (forgotPasswordForm) forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+
+    const resetPasswordForm = document.getElementById('resetPasswordForm');
+    if (resetPasswordForm) resetPasswordForm.addEventListener('submit', handleResetPassword);
+
+    if (document.getElementById('verifyEmailStatus')) handleVerifyEmailPage();
 }
 
 async function checkAuthStatus() {
@@ -67,6 +76,7 @@ function updateUI(user) {
                 <div class="profile-menu-item" style="font-weight:600; color:var(--gold-bright); border-bottom: 1px solid var(--border); margin-bottom: 5px;">${user.name}</div>
                 <a href="${getCorrectPath('frontend/pages/dashboard.html')}" class="profile-menu-item">📊 Dashboard</a>
                 <a href="${getCorrectPath('frontend/pages/profile.html')}" class="profile-menu-item">👤 Profile</a>
+                ${user.emailVerified === false ? `<a href="${getCorrectPath('frontend/pages/verify-email.html')}" class="profile-menu-item" style="color:#c53030;">⚠️ Verify your email</a>` : ''}
                 <hr style="border: 0.5px solid var(--border); margin: 5px 0;">
                 <a href="#" class="profile-menu-item logout-btn" id="logoutBtn">Logout</a>
             </div>
@@ -74,6 +84,7 @@ function updateUI(user) {
         navLinks.appendChild(profileDropdown);
 
         document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+        showVerificationNotice(user);
     } else {
         // User is logged out
         const loginLink = document.createElement('a');
@@ -139,7 +150,9 @@ async function handleSignup(e) {
         const data = await response.json();
 
         if (response.ok) {
-            alert('Account created! Please login.');
+            alert(data.emailSent
+                ? 'Account created! Check your inbox for a link to verify your email, then login.'
+                : 'Account created, but we could not send the verification email. Please login to send it again.');
             window.location.href = 'login.html';
         } else {
             errorEl.textContent = data.message || 'Signup failed';
@@ -151,6 +164,143 @@ async function handleSignup(e) {
     }
 }
 
+// --------------- GitHub sign-in ---------------
+
+// `?github=` values the backend sends back to the login page
+const GITHUB_SIGN_IN_RESULTS = {
+    'link-required': { text: 'An account with your GitHub email already exists. Sign in with your password to link GitHub to it.', isError: false },
+    cancelled: { text: 'GitHub sign-in was cancelled.', isError: true },
+    error: { text: 'GitHub sign-in failed. Please try again.', isError: true }
+};
+
+function showGithubSignInResult() {
+    const result = GITHUB_SIGN_IN_RESULTS[new URLSearchParams(window.location.search).get('github')];
+    if (result) showAuthMessage(document.getElementById('loginError'), result.text, result.isError);
+}
+
+// --------------- Email verification & password reset ---------------
+
+/** Shows the message in a page's `.error-message` / `.success-message` box. */
+function showAuthMessage(el, message, isError) {
+    el.textContent = message;
+    el.className = isError ? 'error-message' : 'success-message';
+    el.style.display = 'block';
+}
+
+/** Fills `#emailVerificationNotice` (dashboard) for accounts that haven't confirmed their email. */
+function showVerificationNotice(user) {
+    const notice = document.getElementById('emailVerificationNotice');
+    if (!notice || user.emailVerified !== false) return;
+
+    notice.hidden = false;
+    const button = notice.querySelector('button');
+    if (button) button.addEventListener('click', () => resendVerificationEmail(button, notice.querySelector('.verify-notice-status')));
+}
+
+async function resendVerificationEmail(button, statusEl) {
+    button.disabled = true;
+    try {
+        const response = await fetch(`${API_URL}/auth/verify-email/request`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        statusEl.textContent = data.message || (response.ok ? 'Verification email sent.' : 'Could not send the email.');
+    } catch (error) {
+        statusEl.textContent = 'Server error. Please try again later.';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    const email = document.getElementById('forgotEmail').value;
+    const messageEl = document.getElementById('forgotPasswordMessage');
+
+    try {
+        const response = await fetch(`${API_URL}/auth/forgot-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const data = await response.json();
+        showAuthMessage(messageEl, data.message || 'Something went wrong', !response.ok);
+        if (response.ok) e.target.reset();
+    } catch (error) {
+        showAuthMessage(messageEl, 'Server error. Please try again later.', true);
+    }
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+    const token = new URLSearchParams(window.location.search).get('token');
+    const password = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmNewPassword').value;
+    const messageEl = document.getElementById('resetPasswordMessage');
+
+    if (!token) {
+        showAuthMessage(messageEl, 'This page needs the link from your reset email.', true);
+        return;
+    }
+    if (password !== confirmPassword) {
+        showAuthMessage(messageEl, 'Passwords do not match', true);
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/auth/reset-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, password })
+        });
+        const data = await response.json();
+        showAuthMessage(messageEl, data.message || 'Password reset failed', !response.ok);
+        if (response.ok) {
+            e.target.remove();
+            document.getElementById('resetPasswordDone').hidden = false;
+        }
+    } catch (error) {
+        showAuthMessage(messageEl, 'Server error. Please try again later.', true);
+    }
+}
+
+/** With `?token=` the link from the email is confirmed; without, signed-in users can ask for a new one. */
+async function handleVerifyEmailPage() {
+    const statusEl = document.getElementById('verifyEmailStatus');
+    const resend = document.getElementById('verifyEmailResend');
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (!token) {
+        const user = getCurrentUser();
+        if (user && user.emailVerified) {
+            showAuthMessage(statusEl, 'Your email is already verified.', false);
+        } else if (user) {
+            statusEl.textContent = `We sent a link to ${user.email}. Didn't get it?`;
+            resend.hidden = false;
+            resend.addEventListener('click', () => resendVerificationEmail(resend, statusEl));
+        } else {
+            statusEl.textContent = 'Open the link from your verification email, or login to get a new one.';
+        }
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/auth/verify-email/confirm`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+        showAuthMessage(statusEl, data.message || 'Verification failed', !response.ok);
+        // Drop the used token from the address bar and refresh the cached user
+        window.history.replaceState(null, '', window.location.pathname);
+        if (response.ok) await checkAuthStatus();
+    } catch (error) {
+        showAuthMessage(statusEl, 'Server error. Please try again later.', true);
+    }
+}
+
 async function handleLogout(e) {
     if (e) e.preventDefault();
     try {
@@ -189,4 +339,4 @@ function getCorrectPath(path) {
 function getCurrentUser() {
     const user = localStorage.getItem('currentUser');
     return user ? JSON.parse(user) : null;
-}
\ No newline at end of file
+}
\ No newline at end of file
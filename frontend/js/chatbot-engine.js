@@ -0,0 +1,278 @@
+// ============================================================
+// FAQ Chatbot — Intent Matcher
+// Scores every intent in data/chatbot_data.json against a message
+// word by word instead of by substring, so "hi" no longer matches
+// inside "this". Words are stemmed, small typos are forgiven, rare
+// words count for more than common ones, and a short conversation
+// context lets follow-ups like "what about its stipend?" resolve to
+// the topic just discussed. No DOM code here; chatbot.js renders it.
+// ============================================================
+
+const ChatbotEngine = (() => {
+    // --------------- CONSTANTS ---------------
+    const CONFIDENT = 0.6; // at or above: answer directly
+    const SUGGEST = 0.2; // between this and CONFIDENT: offer "did you mean" suggestions
+    const MAX_SUGGESTIONS = 3;
+    const TYPO_WEIGHT = 0.8; // a word matched through a typo counts a little less
+    const CONTEXT_TURNS = 3; // follow-ups can lean on a topic for this many messages
+
+    // Words that point back at the previous topic rather than naming a new one
+    const REFERENCE_WORDS = new Set(['it', 'its', 'they', 'them', 'their', 'that', 'this', 'those', 'there', 'one']);
+    const FOLLOW_UP_LEAD = /^(?:(?:and|so|ok|okay)\s+)?(?:what|how)\s+about\s+|^(?:and|also)\s+/;
+
+    // Never picked as a conversation topic
+    const STOP_LIST = [
+        'a', 'an', 'the', 'is', 'are', 'was', 'be', 'do', 'doe', 'i', 'me', 'my', 'you', 'your', 'we',
+        'to', 'of', 'in', 'on', 'for', 'with', 'and', 'or', 'vs', 'what', 'who', 'when', 'where', 'why',
+        'how', 'which', 'can', 'should', 'much', 'get', 'git', 'github', ...REFERENCE_WORDS
+    ];
+
+    // --------------- TEXT ---------------
+
+    /** Lowercased words; keeps `c#`, `c++`, `next.js` and `package.json` whole. */
+    function words(text) {
+        return String(text).toLowerCase().replace(/'s\b/g, '').match(/[a-z0-9#+]+(?:[.-][a-z0-9]+)*/g) || [];
+    }
+
+    /** Light suffix stripping, enough for "branches"/"branch" and "merging"/"merge" to meet. */
+    function stem(word) {
+        if (word.length <= 3 || /[^a-z]/.test(word)) return word;
+        let w = word;
+        if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+        else if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+        else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+        else if (w.endsWith('es') && /(?:ch|sh|x|ss)es$/.test(w)) w = w.slice(0, -2);
+        else if (w.endsWith('s') && !w.endsWith('ss') && w.length > 3) w = w.slice(0, -1);
+        if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1); // committ -> commit
+        if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+        return w;
+    }
+
+    const tokenize = text => words(text).map(stem);
+
+    const STOP_WORDS = new Set(STOP_LIST.map(stem));
+
+    /** Edit distance with adjacent swaps, giving up once it exceeds `max`. */
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) { rows[i][j] = j; continue; }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+                rows[i][j] = d;
+                best = Math.min(best, d);
+            }
+            if (i > 0 && best > max) return max + 1;
+        }
+        return rows[a.length][b.length];
+    }
+
+    const typoAllowance = token => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+    // --------------- INDEX ---------------
+
+    /**
+     * Precompute what matching needs from the intents: each pattern's tokens, how
+     * many intents use each token (rarer tokens weigh more), and each intent's topic.
+     */
+    function createIndex(intents) {
+        const entries = intents
+            .filter(intent => intent.patterns && intent.patterns.length)
+            .map(intent => ({
+                intent,
+                patterns: intent.patterns.map(text => ({ text, tokens: [...new Set(tokenize(text))] }))
+                    .filter(p => p.tokens.length)
+            }));
+
+        const intentCount = {};
+        entries.forEach(entry => {
+            new Set(entry.patterns.flatMap(p => p.tokens)).forEach(t => {
+                intentCount[t] = (intentCount[t] || 0) + 1;
+            });
+        });
+        const weights = {};
+        Object.keys(intentCount).forEach(t => {
+            weights[t] = Math.log(1 + entries.length / intentCount[t]);
+        });
+
+        entries.forEach(entry => { entry.topic = topicOf(entry, weights); });
+
+        return {
+            entries,
+            weights,
+            vocabulary: Object.keys(weights),
+            fallback: intents.find(i => i.tag === 'unknown') || intents.find(i => i.tag === 'default') || null
+        };
+    }
+
+    /** The word an intent is about: the non-stop-word most of its patterns share, rarest first on ties. */
+    function topicOf(entry, weights) {
+        const counts = {};
+        entry.patterns.forEach(p => p.tokens.forEach(t => {
+            if (!STOP_WORDS.has(t)) counts[t] = (counts[t] || 0) + 1;
+        }));
+        const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || weights[b] - weights[a]);
+        return ranked.length ? ranked[0] : null;
+    }
+
+    /** Query tokens, each mapped to an indexed token when it is a near-miss spelling of one. */
+    function resolveTokens(index, tokens) {
+        return [...new Set(tokens)].map(token => {
+            if (index.weights[token] !== undefined) return { token, factor: 1 };
+            const max = typoAllowance(token);
+            let best = null;
+            let bestDistance = max + 1;
+            if (max) {
+                index.vocabulary.forEach(candidate => {
+                    if (candidate.length < 4) return;
+                    const d = distance(token, candidate, max);
+                    if (d < bestDistance) { best = candidate; bestDistance = d; }
+                });
+            }
+            return best ? { token: best, factor: TYPO_WEIGHT } : { token, factor: 1 };
+        });
+    }
+
+    // --------------- SCORING ---------------
+
+    /**
+     * How well the query covers one pattern, 0–1. Mostly whether every word of the
+     * pattern is present (squared, so missing a rare word costs a lot), softened by
+     * how much of the query the pattern explains. Words only the context supplied
+     * (`fromContext`) can't match a pattern on their own.
+     */
+    function scorePattern(index, pattern, query) {
+        const weightOf = t => index.weights[t] || Math.log(1 + index.entries.length);
+        let matched = 0;
+        let patternWeight = 0;
+        let ownWords = false;
+        pattern.tokens.forEach(t => {
+            patternWeight += weightOf(t);
+            const hit = query.find(q => q.token === t);
+            if (!hit) return;
+            matched += weightOf(t) * hit.factor;
+            if (!hit.fromContext) ownWords = true;
+        });
+        if (!ownWords) return 0;
+        const queryWeight = query.reduce((sum, q) => sum + weightOf(q.token), 0);
+        const patternCover = matched / patternWeight;
+        const queryCover = Math.min(1, matched / queryWeight);
+        return patternCover * patternCover * (0.6 + 0.4 * queryCover);
+    }
+
+    /** Every intent's best pattern, highest score first; on a tie the narrower intent (fewer patterns) wins. */
+    function rank(index, query) {
+        return index.entries
+            .map(entry => {
+                let best = { score: 0, pattern: null };
+                entry.patterns.forEach(pattern => {
+                    const score = scorePattern(index, pattern, query);
+                    if (score > best.score) best = { score, pattern };
+                });
+                return { entry, ...best };
+            })
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.patterns.length - b.entry.patterns.length);
+    }
+
+    function pick(responses) {
+        return responses[Math.floor(Math.random() * responses.length)];
+    }
+
+    /** A suggestion reads as the pattern that came closest, e.g. "Gsoc stipend". */
+    function suggestionText(result) {
+        const text = result.pattern.text;
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // --------------- PUBLIC API ---------------
+
+    /** Conversation state to pass back into `match`; remembers the last topic for a few turns. */
+    function createContext() {
+        return { tag: null, topic: null, turnsLeft: 0 };
+    }
+
+    /**
+     * Match a message against the index. Returns `{ status, intent, response,
+     * confidence, suggestions, usedContext, context }` where `status` is 'matched',
+     * 'suggest' (low confidence, see `suggestions`) or 'unknown'; `context` is the
+     * state to pass with the next message.
+     */
+    function match(index, text, context = createContext()) {
+        const lowered = String(text).toLowerCase().trim();
+        const isFollowUp = FOLLOW_UP_LEAD.test(lowered);
+        const raw = words(lowered.replace(FOLLOW_UP_LEAD, ''));
+        const tokens = raw.map(stem);
+        const query = resolveTokens(index, tokens);
+
+        let ranked = rank(index, query);
+        let usedContext = false;
+
+        // Lean on the previous topic when the message points back at it or names nothing new
+        const topic = context.turnsLeft > 0 ? context.topic : null;
+        if (topic && ranked.length && !tokens.includes(topic)) {
+            const refersBack = isFollowUp || raw.some(w => REFERENCE_WORDS.has(w));
+            if (refersBack || ranked[0].score < CONFIDENT) {
+                const withTopic = rank(index, [...query, { token: topic, factor: 1, fromContext: true }]);
+                if (withTopic.length && withTopic[0].score > ranked[0].score) {
+                    ranked = withTopic;
+                    usedContext = true;
+                }
+            }
+        }
+
+        const top = ranked[0];
+        const next = { ...context, turnsLeft: Math.max(0, context.turnsLeft - 1) };
+
+        if (top && top.score >= CONFIDENT) {
+            const matchedTopic = top.entry.topic;
+            return {
+                status: 'matched',
+                intent: top.entry.intent.tag,
+                response: pick(top.entry.intent.responses),
+                confidence: top.score,
+                suggestions: [],
+                usedContext,
+                context: {
+                    tag: top.entry.intent.tag,
+                    // Keep the conversation's subject when the answer was about one facet of it
+                    topic: usedContext ? topic : matchedTopic || topic,
+                    turnsLeft: CONTEXT_TURNS
+                }
+            };
+        }
+
+        const suggestions = [...new Set(ranked.filter(r => r.score >= SUGGEST).map(suggestionText))].slice(0, MAX_SUGGESTIONS);
+        if (suggestions.length) {
+            return { status: 'suggest', intent: null, response: null, confidence: top.score, suggestions, usedContext, context: next };
+        }
+
+        return {
+            status: 'unknown',
+            intent: null,
+            response: index.fallback ? pick(index.fallback.responses) : null,
+            confidence: top ? top.score : 0,
+            suggestions: [],
+            usedContext: false,
+            context: next
+        };
+    }
+
+    return {
+        CONFIDENT,
+        SUGGEST,
+        tokenize,
+        createIndex,
+        createContext,
+        match,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.ChatbotEngine = ChatbotEngine;
+}
@@ -1,6 +1,15 @@
 document.body.classList.add("has-chatbot");
 
+// Site root, worked out from this script's own URL, so source links resolve from any page depth
+const CHATBOT_SITE_ROOT = document.currentScript
+    ? document.currentScript.src.replace(/frontend\/js\/chatbot\.js(?:\?.*)?$/, '')
+    : `${window.location.origin}/`;
+
 document.addEventListener('DOMContentLoaded', () => {
+    const CHAT_API_URL = 'http://localhost:5000/api/chat';
+    // The assistant's conversation follows the visitor from page to page for this tab
+    const CONVERSATION_KEY = 'osc_chatConversation';
+
     // DOM Elements - Create dynamically to be less intrusive
     document.body.classList.add("has-chatbot");
 
@@ -45,7 +54,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const suggestionsContainer = document.getElementById("chatSuggestions");
 
 
-    let intents = [];
+    let index = ChatbotEngine.createIndex([]);
+    let context = ChatbotEngine.createContext(); // topic of the last answer, for follow-up questions
 
     const suggestions = [
         "Know about Open Source",
@@ -79,18 +89,18 @@ document.addEventListener('DOMContentLoaded', () => {
     fetch('../data/chatbot_data.json')
         .then(response => response.json())
         .then(data => {
-            intents = data.intents;
+            index = ChatbotEngine.createIndex(data.intents);
         })
         .catch(error => {
             console.error('Error loading chatbot data:', error);
             // Fallback if fetch fails
-            intents = [
+            index = ChatbotEngine.createIndex([
                 {
                     tag: "greeting",
                     patterns: ["hi", "hello"],
                     responses: ["Hello! I'm having trouble connecting to my brain, but I'm here!"]
                 }
-            ];
+            ]);
         });
 
     // Toggle Chat
@@ -106,9 +116,17 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Send Message Logic
+    let activeRequest = null; // AbortController while the assistant's answer streams in
+
+    function setStreaming(streaming) {
+        sendBtn.classList.toggle('is-streaming', streaming);
+        sendBtn.textContent = streaming ? '■' : '➤';
+        sendBtn.title = streaming ? 'Stop generating' : '';
+    }
+
     function sendMessage() {
         const text = chatInput.value.trim();
-        if (!text) return;
+        if (!text || activeRequest) return;
 
         // Add User Message
         addMessage(text, 'user');
@@ -116,23 +134,40 @@ document.addEventListener('DOMContentLoaded', () => {
         chatInput.style.height = "auto";
 
         // Process Bot Response
-        // Simulate thinking time
         // Show typing indicator
         typingIndicator.style.display = 'block';
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+        activeRequest = new AbortController();
+        setStreaming(true);
+        let live = null;
+
         // Simulate thinking time
-        setTimeout(() => {
+        setTimeout(async () => {
+            const response = await getBotResponse(text, activeRequest.signal, partial => {
+                // The assistant's answer appears as it is written
+                if (!live) {
+                    typingIndicator.style.display = 'none';
+                    live = addMessage('', 'bot streaming');
+                }
+                live.querySelector('.message-text').innerHTML = parseMarkdown(partial);
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            });
+
+            activeRequest = null;
+            setStreaming(false);
             // Hide typing indicator before showing message
             typingIndicator.style.display = 'none';
-
-            const response = getBotResponse(text);
-            addMessage(response, 'bot');
+            if (live) live.remove();
+            addMessage(response.text, 'bot', response.suggestions, response.citations);
         }, 800);
 
     }
 
-    sendBtn.addEventListener('click', sendMessage);
+    sendBtn.addEventListener('click', () => {
+        if (activeRequest) activeRequest.abort();
+        else sendMessage();
+    });
     // Auto resize textarea
     chatInput.addEventListener("input", function () {
         this.style.height = "auto";
@@ -198,7 +233,7 @@ function parseMarkdown(text) {
 
 
 
-    function addMessage(text, sender) {
+    function addMessage(text, sender, suggestions = [], citations = []) {
     const msgDiv = document.createElement('div');
     msgDiv.className = `message ${sender}`;
 
@@ -213,6 +248,44 @@ function parseMarkdown(text) {
     timestamp.textContent = getCurrentTime();
 
     msgDiv.appendChild(messageText);
+
+    // Pages the assistant's answer came from
+    if (citations.length) {
+        const sources = document.createElement('div');
+        sources.className = 'message-sources';
+        sources.innerHTML = '<span class="message-sources-label">Sources:</span>';
+        const list = document.createElement('ol');
+        citations.forEach(citation => {
+            const item = document.createElement('li');
+            item.value = citation.n;
+            const link = document.createElement('a');
+            link.href = new URL(citation.url, CHATBOT_SITE_ROOT).href;
+            link.textContent = citation.title;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        sources.appendChild(list);
+        msgDiv.appendChild(sources);
+    }
+
+    // "Did you mean" chips for low-confidence answers
+    if (suggestions.length) {
+        const chips = document.createElement('div');
+        chips.className = 'suggestions';
+        suggestions.forEach(suggestion => {
+            const chip = document.createElement('button');
+            chip.className = 'suggestion-chip';
+            chip.textContent = suggestion;
+            chip.addEventListener('click', () => {
+                chatInput.value = suggestion;
+                sendMessage();
+                chips.remove();
+            });
+            chips.appendChild(chip);
+        });
+        msgDiv.appendChild(chips);
+    }
+
     msgDiv.appendChild(timestamp);
 
     // ⭐ ADD RATING ONLY FOR BOT MESSAGES
@@ -246,29 +319,92 @@ function parseMarkdown(text) {
 
     messagesContainer.appendChild(msgDiv);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    return msgDiv;
 }
 
 
 
-    function getBotResponse(input) {
-        input = input.toLowerCase();
+    /** Guest conversations are opened with the key the server handed out when they started. */
+    function chatHeaders(conversation) {
+        return conversation && conversation.guestKey ? { 'X-Chat-Key': conversation.guestKey } : {};
+    }
 
-        for (const intent of intents) {
-            for (const pattern of intent.patterns) {
-                if (input.includes(pattern.toLowerCase())) {
-                    const responses = intent.responses;
-                    return responses[Math.floor(Math.random() * responses.length)];
-                }
+    /**
+     * Ask the AI assistant, which answers from the site's guides, programs, glossary and FAQ.
+     * Messages continue one stored conversation, so follow-ups can build on earlier answers.
+     * The answer streams in through `onToken(textSoFar)`. Resolves to `{ reply, citations }`,
+     * `{ reply, stopped: true }` when `signal` stops it, the limit message when today's AI
+     * requests are used up, or null when it has nothing grounded to say or is unreachable.
+     */
+    async function askAssistant(message, signal, onToken) {
+        let conversation = JSON.parse(sessionStorage.getItem(CONVERSATION_KEY) || 'null');
+        let text = '';
+        const ask = () => AIStream.post(`${CHAT_API_URL}/stream`, {
+            message,
+            conversationId: conversation ? conversation.id : undefined
+        }, {
+            headers: chatHeaders(conversation),
+            credentials: 'include',
+            signal,
+            onToken: (_, soFar) => {
+                text = soFar;
+                onToken(soFar);
+            }
+        });
+
+        try {
+            let data;
+            try {
+                data = await ask();
+            } catch (error) {
+                // Expired or deleted: start a fresh conversation instead
+                if (error.status !== 404 || !conversation) throw error;
+                conversation = null;
+                data = await ask();
+            }
+            if (!conversation) {
+                conversation = { id: data.conversationId, guestKey: data.guestKey || null };
+                sessionStorage.setItem(CONVERSATION_KEY, JSON.stringify(conversation));
             }
+            return data.grounded ? data : null;
+        } catch (error) {
+            if (AIStream.isAbort(error)) return { reply: text, citations: [], stopped: true };
+            // Out of AI requests for today: say so rather than falling back to a vague answer
+            if (error.status === 429) return { reply: error.message, citations: [] };
+            console.error('Chat assistant unavailable:', error);
+            return null;
         }
+    }
 
-        // Fallback
-        const fallback = intents.find(i => i.tag === 'unknown') || intents.find(i => i.tag === 'default');
-        if (fallback) {
-            const responses = fallback.responses;
-            return responses[Math.floor(Math.random() * responses.length)];
+    /**
+     * `{ text, suggestions, citations }` for a message; see ChatbotEngine.match for how intents
+     * are scored. Anything the FAQ intents don't cover confidently goes to the AI assistant.
+     */
+    async function getBotResponse(input, signal, onToken) {
+        const result = ChatbotEngine.match(index, input, context);
+        context = result.context;
+
+        if (result.status === 'matched') {
+            return { text: result.response, suggestions: [], citations: [] };
         }
 
-        return "I'm not sure about that. Try asking about open source programs or guides.";
+        const answer = await askAssistant(input, signal, onToken);
+        if (answer && answer.stopped) {
+            return { text: answer.reply ? `${answer.reply.trimEnd()} …(stopped)` : 'Okay, I stopped.', suggestions: [], citations: [] };
+        }
+        if (answer) {
+            return { text: answer.reply, suggestions: result.suggestions, citations: answer.citations };
+        }
+
+        if (result.status === 'suggest') {
+            return { text: "I'm not quite sure what you mean. Did you mean one of these?", suggestions: result.suggestions, citations: [] };
+        }
+
+        // Fallback
+        return {
+            text: result.response || "I'm not sure about that. Try asking about open source programs or guides.",
+            suggestions: [],
+            citations: []
+        };
     }
 });
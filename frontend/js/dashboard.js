@@ -1,4 +1,4 @@
-const API_URL = 'http://localhost:5000/api';
+// API_URL is declared by auth.js, which dashboard.html loads first
 
 document.addEventListener('DOMContentLoaded', function () {
     loadDashboard();
@@ -28,6 +28,9 @@ async function loadDashboard() {
             renderProgress(data.user);
             // Sync local storage with fresh data
             localStorage.setItem('currentUser', JSON.stringify(data.user));
+            // Merge this browser's playground and quiz progress into the account
+            loadLearningProgress();
+            loadContributorProgress(data.user._id);
         } else {
             // Session might have expired on server
             localStorage.removeItem('currentUser');
@@ -37,9 +40,145 @@ async function loadDashboard() {
         console.error('Failed to load progress:', error);
         // If offline or error, try to render with what we have
         renderProgress(user);
+        if (window.GitBadgeEngine) await GitBadgeEngine.ready;
+        renderLearningProgress(ProgressSync.collectLocal(), false);
     }
 }
 
+async function loadLearningProgress() {
+    if (window.GitBadgeEngine) await GitBadgeEngine.ready;
+    const synced = await ProgressSync.sync();
+    renderLearningProgress(synced || ProgressSync.collectLocal(), Boolean(synced));
+}
+
+/** Git Playground scenarios, badges and stars plus quiz XP, in the shape ProgressSync returns. */
+function renderLearningProgress(progress, synced) {
+    const playground = progress.playground || { completedScenarios: [], earnedBadges: {}, scenarioStats: {} };
+    const earned = Object.keys(playground.earnedBadges || {});
+    const stars = Object.values(playground.scenarioStats || {})
+        .reduce((sum, entry) => sum + (entry.best ? entry.best.stars : 0), 0);
+
+    document.getElementById('scenarioCount').textContent = (playground.completedScenarios || []).length;
+    document.getElementById('badgeCount').textContent = earned.length;
+    document.getElementById('starCount').textContent = stars;
+    document.getElementById('quizXP').textContent = progress.quiz.totalXP;
+    document.getElementById('quizLevel').textContent = `Quiz XP · Level ${progress.quiz.unlockedLevel}`;
+
+    const badgeList = document.getElementById('badgeList');
+    badgeList.innerHTML = '';
+    if (!earned.length) {
+        badgeList.innerHTML = '<span style="color: var(--text-mid);">No badges yet. Solve a scenario in the <a href="git-playground.html">Git Playground</a> to earn your first one.</span>';
+    }
+    earned
+        .sort((a, b) => new Date(playground.earnedBadges[b].earnedAt) - new Date(playground.earnedBadges[a].earnedAt))
+        .forEach(id => {
+            const badge = window.GitBadgeEngine ? GitBadgeEngine.getBadgeById(id) : null;
+            const chip = document.createElement('span');
+            chip.className = 'badge-chip';
+            chip.innerHTML = badge
+                ? `<i class="fas ${badge.icon}" style="color: ${badge.color};"></i> ${badge.title}`
+                : `<i class="fas fa-medal"></i> ${id}`;
+            badgeList.appendChild(chip);
+        });
+
+    document.getElementById('learningSyncStatus').textContent = synced
+        ? 'Synced with your account, so this progress follows you to any device.'
+        : 'Showing progress saved in this browser; it will sync once the server is reachable.';
+}
+
+// --------------- GitHub contributions ---------------
+
+const STAGE_LABELS = {
+    NONE: 'Level · No activity yet',
+    ISSUE_SELECTED: 'Level · Working on an issue',
+    PR_OPENED: 'Level · PR opened',
+    PR_MERGED: 'Level · PR merged'
+};
+
+/** Counters and recent PRs the backend syncs from the user's linked GitHub account. */
+async function loadContributorProgress(userId) {
+    try {
+        const response = await fetch(`${API_URL}/contributor/progress/${encodeURIComponent(userId)}`, {
+            credentials: 'include'
+        });
+        if (!response.ok) return;
+        renderContributorProgress(await response.json());
+    } catch (error) {
+        console.error('Failed to load contributor progress:', error);
+    }
+}
+
+function renderContributorProgress(data) {
+    const progress = data.progress || {};
+    document.getElementById('prsOpened').textContent = progress.prsOpened || 0;
+    document.getElementById('prsMerged').textContent = progress.prsMerged || 0;
+    document.getElementById('issuesSelected').textContent = progress.issuesSelected || 0;
+    document.getElementById('contributorLevel').textContent = data.level;
+    document.getElementById('contributorStage').textContent = STAGE_LABELS[progress.currentStage] || 'Level';
+
+    const status = document.getElementById('githubSyncStatus');
+    document.getElementById('githubSyncButton').hidden = !data.github;
+    if (!data.github) {
+        status.innerHTML = '<a href="profile.html">Link your GitHub account</a> to track your pull requests and issues here.';
+    } else if (progress.lastSyncError) {
+        status.textContent = `Last sync failed: ${progress.lastSyncError}.`;
+    } else if (progress.syncedAt) {
+        status.textContent = `Synced from @${data.github.username} on ${new Date(progress.syncedAt).toLocaleString()}.`;
+    } else {
+        status.textContent = `Fetching your activity from @${data.github.username}...`;
+    }
+
+    const list = document.getElementById('pullRequestList');
+    list.innerHTML = '';
+    (data.recentPullRequests || []).forEach(pr => {
+        const badgeClass = { merged: 'completed', open: 'pending', closed: 'closed' }[pr.state];
+        const item = document.createElement('div');
+        item.className = 'guide-item';
+        item.innerHTML = `
+            <div class="guide-info">
+                <div class="guide-icon"><i class="fas fa-code-branch"></i></div>
+                <div>
+                    <a class="pull-request-link" target="_blank" rel="noopener"></a>
+                    <span style="display:block; font-size:0.8rem; color:var(--text-mid)"></span>
+                </div>
+            </div>
+            <span class="status-badge ${badgeClass}" style="white-space: nowrap; text-transform: capitalize;">${pr.state}</span>
+        `;
+        // Titles and repo names come from GitHub, so they're set as text
+        const link = item.querySelector('.pull-request-link');
+        link.href = pr.url;
+        link.textContent = pr.title;
+        item.querySelector('span').textContent = `${pr.repo} #${pr.number}`;
+        list.appendChild(item);
+    });
+}
+
+const githubSyncButton = document.getElementById('githubSyncButton');
+if (githubSyncButton) {
+    githubSyncButton.addEventListener('click', async () => {
+        const status = document.getElementById('githubSyncStatus');
+        githubSyncButton.disabled = true;
+        status.textContent = 'Syncing with GitHub...';
+        try {
+            const response = await fetch(`${API_URL}/contributor/progress/sync`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                status.textContent = data.message || 'Sync failed. Please try again later.';
+                return;
+            }
+            await loadContributorProgress(getCurrentUser()._id);
+        } catch (error) {
+            console.error('GitHub sync error:', error);
+            status.textContent = 'Server error. Please try again later.';
+        } finally {
+            githubSyncButton.disabled = false;
+        }
+    });
+}
+
 function renderProgress(user) {
     const completedGuides = user.completedGuides || [];
     const completedCount = completedGuides.length;
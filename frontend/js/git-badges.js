@@ -8,203 +8,55 @@ const GitBadgeEngine = (() => {
     // --------------- STORAGE KEY ---------------
     const STORAGE_KEY = 'gitPlayground_badges';
 
+    // --------------- SCORING ---------------
+    const MAX_STARS = 3;
+    const MISTAKE_ALLOWANCE = 2; // wrong commands a solve can have and still earn full stars
+    const PERSISTENCE_MISTAKES = 5; // wrong commands that make a solve count for "Never Give Up"
+
     // --------------- BADGE DEFINITIONS ---------------
-    const BADGE_DEFINITIONS = [
-        // ---- BEGINNER ----
-        {
-            id: 'git-beginner',
-            title: 'Git Beginner',
-            description: 'Complete your very first Git scenario.',
-            level: 'Beginner',
-            icon: 'fa-seedling',
-            color: '#27c93f',
-            gradient: 'linear-gradient(135deg, #27c93f, #1fa835)',
-            rule: (stats) => stats.totalCompleted >= 1,
-        },
-        {
-            id: 'first-scenario',
-            title: 'First Scenario Completed',
-            description: 'You solved your first Git challenge!',
-            level: 'Beginner',
-            icon: 'fa-flag-checkered',
-            color: '#58a6ff',
-            gradient: 'linear-gradient(135deg, #58a6ff, #388bfd)',
-            rule: (stats) => stats.totalCompleted >= 1,
-        },
-        {
-            id: 'five-down',
-            title: 'High Five',
-            description: 'Complete 5 scenarios.',
-            level: 'Beginner',
-            icon: 'fa-hand-peace',
-            color: '#f0883e',
-            gradient: 'linear-gradient(135deg, #f0883e, #d97b30)',
-            rule: (stats) => stats.totalCompleted >= 5,
-        },
-        {
-            id: 'branch-explorer',
-            title: 'Branch Explorer',
-            description: 'Complete 3 branching scenarios.',
-            level: 'Beginner',
-            icon: 'fa-code-branch',
-            color: '#d2a8ff',
-            gradient: 'linear-gradient(135deg, #d2a8ff, #bc8cf2)',
-            rule: (stats) => stats.branchingCompleted >= 3,
-        },
-        {
-            id: 'init-master',
-            title: 'Init Master',
-            description: 'Complete the "Initialize Repository" scenario.',
-            level: 'Beginner',
-            icon: 'fa-play-circle',
-            color: '#3fb950',
-            gradient: 'linear-gradient(135deg, #3fb950, #2ea043)',
-            rule: (stats) => stats.scenarioIds.includes('beg-01'),
-        },
-
-        // ---- INTERMEDIATE ----
-        {
-            id: 'merge-conflict-survivor',
-            title: 'Merge Conflict Survivor',
-            description: 'Complete a merge-related scenario.',
-            level: 'Intermediate',
-            icon: 'fa-code-merge',
-            color: '#f778ba',
-            gradient: 'linear-gradient(135deg, #f778ba, #da3b8a)',
-            rule: (stats) => stats.mergeCompleted >= 1,
-        },
-        {
-            id: 'ten-streak',
-            title: 'Double Digits',
-            description: 'Complete 10 scenarios.',
-            level: 'Intermediate',
-            icon: 'fa-fire',
-            color: '#f85149',
-            gradient: 'linear-gradient(135deg, #f85149, #da3633)',
-            rule: (stats) => stats.totalCompleted >= 10,
-        },
-        {
-            id: 'stash-ninja',
-            title: 'Stash Ninja',
-            description: 'Complete a stash-related scenario.',
-            level: 'Intermediate',
-            icon: 'fa-box-archive',
-            color: '#79c0ff',
-            gradient: 'linear-gradient(135deg, #79c0ff, #58a6ff)',
-            rule: (stats) => stats.stashCompleted >= 1,
-        },
-        {
-            id: 'remote-rider',
-            title: 'Remote Rider',
-            description: 'Complete 3 remote/push/pull scenarios.',
-            level: 'Intermediate',
-            icon: 'fa-cloud-upload-alt',
-            color: '#7ee787',
-            gradient: 'linear-gradient(135deg, #7ee787, #56d364)',
-            rule: (stats) => stats.remoteCompleted >= 3,
-        },
-        {
-            id: 'twenty-five-club',
-            title: '25 Club',
-            description: 'Complete 25 scenarios.',
-            level: 'Intermediate',
-            icon: 'fa-award',
-            color: '#e3b341',
-            gradient: 'linear-gradient(135deg, #e3b341, #d29922)',
-            rule: (stats) => stats.totalCompleted >= 25,
-        },
-        {
-            id: 'level-sweeper-beg',
-            title: 'Beginner Sweep',
-            description: 'Complete all Beginner-level scenarios.',
-            level: 'Intermediate',
-            icon: 'fa-broom',
-            color: '#a5d6ff',
-            gradient: 'linear-gradient(135deg, #a5d6ff, #79c0ff)',
-            rule: (stats) => stats.beginnerTotal > 0 && stats.beginnerCompleted >= stats.beginnerTotal,
-        },
-
-        // ---- ADVANCED ----
-        {
-            id: 'rebase-master',
-            title: 'Rebase Master',
-            description: 'Complete a rebase scenario.',
-            level: 'Advanced',
-            icon: 'fa-layer-group',
-            color: '#ffa657',
-            gradient: 'linear-gradient(135deg, #ffa657, #f0883e)',
-            rule: (stats) => stats.rebaseCompleted >= 1,
-        },
-        {
-            id: 'scenario-speedrunner',
-            title: 'Scenario Speedrunner',
-            description: 'Complete any scenario on the first command (no mistakes).',
-            level: 'Advanced',
-            icon: 'fa-bolt',
-            color: '#ffbd2e',
-            gradient: 'linear-gradient(135deg, #ffbd2e, #e3a520)',
-            rule: (stats) => stats.speedruns >= 1,
-        },
-        {
-            id: 'fifty-legend',
-            title: 'Half-Century Legend',
-            description: 'Complete 50 scenarios.',
-            level: 'Advanced',
-            icon: 'fa-trophy',
-            color: '#ffd700',
-            gradient: 'linear-gradient(135deg, #ffd700, #e6c200)',
-            rule: (stats) => stats.totalCompleted >= 50,
-        },
-        {
-            id: 'century',
-            title: 'Century',
-            description: 'Complete 100 scenarios — true Git mastery.',
-            level: 'Advanced',
-            icon: 'fa-crown',
-            color: '#ff6ec7',
-            gradient: 'linear-gradient(135deg, #ff6ec7, #e855b3)',
-            rule: (stats) => stats.totalCompleted >= 100,
-        },
-        {
-            id: 'level-sweeper-int',
-            title: 'Intermediate Sweep',
-            description: 'Complete all Intermediate-level scenarios.',
-            level: 'Advanced',
-            icon: 'fa-check-double',
-            color: '#d2a8ff',
-            gradient: 'linear-gradient(135deg, #d2a8ff, #bc8cf2)',
-            rule: (stats) => stats.intermediateTotal > 0 && stats.intermediateCompleted >= stats.intermediateTotal,
-        },
-        {
-            id: 'level-sweeper-adv',
-            title: 'Advanced Sweep',
-            description: 'Complete all Advanced-level scenarios.',
-            level: 'Advanced',
-            icon: 'fa-star',
-            color: '#f85149',
-            gradient: 'linear-gradient(135deg, #f85149, #da3633)',
-            rule: (stats) => stats.advancedTotal > 0 && stats.advancedCompleted >= stats.advancedTotal,
-        },
-        {
-            id: 'completionist',
-            title: 'Completionist',
-            description: 'Complete every single scenario in the Git Playground.',
-            level: 'Advanced',
-            icon: 'fa-gem',
-            color: '#00ffff',
-            gradient: 'linear-gradient(135deg, #00ffff, #00cccc)',
-            rule: (stats) => stats.allScenariosTotal > 0 && stats.totalCompleted >= stats.allScenariosTotal,
-        },
-    ];
+    // Titles, colors and unlock rules live in data/git_badges.json, which the
+    // server also reads to host Open Badges and to check synced progress.
+    const DATA_URL = '../data/git_badges.json';
+    const BADGE_DEFINITIONS = [];
+
+    /** Resolves once the badge definitions are loaded; callers that render badges wait on it. */
+    const ready = fetch(DATA_URL)
+        .then(res => {
+            if (!res.ok) throw new Error(`Badge definitions could not be loaded (HTTP ${res.status}).`);
+            return res.json();
+        })
+        .then(data => { BADGE_DEFINITIONS.push(...data.badges); })
+        .catch(err => console.error(err.message));
+
+    /**
+     * Whether `stats` meet a badge rule from the JSON: `{ stat, atLeast }`,
+     * `{ stat, allOf }` (every one of a non-empty total) or `{ scenario }`.
+     */
+    function meetsRule(rule, stats) {
+        if (rule.scenario) return stats.scenarioIds.includes(rule.scenario);
+        if (rule.allOf) return stats[rule.allOf] > 0 && stats[rule.stat] >= stats[rule.allOf];
+        return stats[rule.stat] >= rule.atLeast;
+    }
 
     // --------------- INTERNAL HELPERS ---------------
 
     function loadData() {
+        let data = null;
         try {
             const raw = localStorage.getItem(STORAGE_KEY);
-            if (raw) return JSON.parse(raw);
+            if (raw) data = JSON.parse(raw);
         } catch (_) { /* corrupt data */ }
-        return { earnedBadges: {}, completedScenarios: [], speedruns: 0 };
+        data = data || { earnedBadges: {}, completedScenarios: [], speedruns: 0 };
+        data.scenarioStats = data.scenarioStats || {}; // saved before attempts were tracked
+        return data;
+    }
+
+    /** Keep the better of two solves: more stars, then fewer hints, then faster. */
+    function betterSolve(a, b) {
+        if (!a) return b;
+        if (a.stars !== b.stars) return a.stars > b.stars ? a : b;
+        if (a.hintsUsed !== b.hintsUsed) return a.hintsUsed < b.hintsUsed ? a : b;
+        return a.timeMs <= b.timeMs ? a : b;
     }
 
     function saveData(data) {
@@ -214,7 +66,7 @@ const GitBadgeEngine = (() => {
     /** Build aggregated stats from the completed scenario IDs list. */
     function buildStats(data, allScenarios) {
         const ids = data.completedScenarios || [];
-        const scenarios = allScenarios || window.gitScenarios || [];
+        const scenarios = allScenarios || [];
 
         const completed = scenarios.filter(s => ids.includes(s.id));
         const beginnerAll = scenarios.filter(s => s.level === 'Beginner');
@@ -229,6 +81,11 @@ const GitBadgeEngine = (() => {
                 s.id.toLowerCase().includes(k)
             )).length;
 
+        const best = Object.keys(data.scenarioStats)
+            .map(id => ({ id, solve: data.scenarioStats[id].best }))
+            .filter(b => b.solve);
+        const levelOf = id => (scenarios.find(s => s.id === id) || {}).level;
+
         return {
             totalCompleted: ids.length,
             scenarioIds: ids,
@@ -245,13 +102,40 @@ const GitBadgeEngine = (() => {
             stashCompleted: countByKeyword(completed, ['stash']),
             remoteCompleted: countByKeyword(completed, ['push', 'pull', 'remote', 'clone', 'fetch']),
             speedruns: data.speedruns || 0,
+            unassistedSolves: best.filter(b => !b.solve.hintsUsed && !b.solve.answerShown).length,
+            threeStarCount: best.filter(b => b.solve.stars === MAX_STARS).length,
+            advancedThreeStarCount: best.filter(b => b.solve.stars === MAX_STARS && levelOf(b.id) === 'Advanced').length,
+            persistentSolves: data.persistentSolves || 0,
         };
     }
 
     // --------------- PUBLIC API ---------------
 
-    /** Mark a scenario as completed and evaluate badge unlocks. Returns array of newly earned badges. */
-    function onScenarioComplete(scenarioId, commandCount) {
+    /**
+     * Stars for one solve: 3 with no hints and at most a couple of wrong commands,
+     * one less for each hint revealed or for more mistakes, and 1 if the answer was shown.
+     */
+    function rateAttempt({ hintsUsed = 0, answerShown = false, wrongCommands = 0 } = {}) {
+        if (answerShown) return 1;
+        const stars = MAX_STARS - hintsUsed - (wrongCommands > MISTAKE_ALLOWANCE ? 1 : 0);
+        return Math.max(1, stars);
+    }
+
+    /** Count another attempt at a scenario (loading or restarting it). */
+    function onScenarioStart(scenarioId) {
+        const data = loadData();
+        const entry = data.scenarioStats[scenarioId] || { attempts: 0, solves: 0, best: null };
+        entry.attempts += 1;
+        data.scenarioStats[scenarioId] = entry;
+        saveData(data);
+    }
+
+    /**
+     * Mark a scenario as completed and evaluate badge unlocks against the full scenario list.
+     * `attempt` is how it went: `{ hintsUsed, answerShown, wrongCommands, timeMs }`; its
+     * star rating is kept when it beats the best so far. Returns array of newly earned badges.
+     */
+    function onScenarioComplete(scenarioId, commandCount, allScenarios, attempt = {}) {
         const data = loadData();
 
         // Deduplicate
@@ -264,14 +148,31 @@ const GitBadgeEngine = (() => {
             data.speedruns = (data.speedruns || 0) + 1;
         }
 
+        const solve = {
+            stars: rateAttempt(attempt),
+            commands: commandCount || 0,
+            hintsUsed: attempt.hintsUsed || 0,
+            answerShown: !!attempt.answerShown,
+            wrongCommands: attempt.wrongCommands || 0,
+            timeMs: attempt.timeMs || 0,
+            solvedAt: new Date().toISOString(),
+        };
+        const entry = data.scenarioStats[scenarioId] || { attempts: 1, solves: 0, best: null };
+        entry.solves += 1;
+        entry.best = betterSolve(entry.best, solve);
+        data.scenarioStats[scenarioId] = entry;
+        if (solve.wrongCommands >= PERSISTENCE_MISTAKES) {
+            data.persistentSolves = (data.persistentSolves || 0) + 1;
+        }
+
         // Evaluate all badge rules
-        const stats = buildStats(data);
+        const stats = buildStats(data, allScenarios);
         const newlyEarned = [];
 
         BADGE_DEFINITIONS.forEach(badge => {
             if (data.earnedBadges[badge.id]) return; // already earned
             try {
-                if (badge.rule(stats)) {
+                if (meetsRule(badge.rule, stats)) {
                     data.earnedBadges[badge.id] = {
                         earnedAt: new Date().toISOString(),
                     };
@@ -309,29 +210,24 @@ const GitBadgeEngine = (() => {
             total,
             percent: total > 0 ? Math.round((earned / total) * 100) : 0,
             completedScenarios: data.completedScenarios.length,
+            stars: countStars(data),
         };
     }
 
-    /** Get shareable profile data as a base64 URL-safe string. */
-    function getShareableProfileData() {
-        const data = loadData();
-        const profile = {
-            badges: Object.keys(data.earnedBadges),
-            scenarios: data.completedScenarios.length,
-            speedruns: data.speedruns || 0,
-            exportedAt: new Date().toISOString(),
-        };
-        return btoa(JSON.stringify(profile));
+    /** Best star rating summed over every solved scenario. */
+    function countStars(data) {
+        return Object.values(data.scenarioStats).reduce((sum, entry) => sum + (entry.best ? entry.best.stars : 0), 0);
     }
 
-    /** Generate a shareable URL for the badge profile. */
-    function getShareableURL() {
-        const profileData = getShareableProfileData();
-        const base = window.location.origin + window.location.pathname.replace(/[^/]*$/, '');
-        return `${base}badges.html?profile=${profileData}`;
+    /** Attempts and best solve for one scenario: `{ attempts, solves, best }`, or null if never started. */
+    function getScenarioStats(scenarioId) {
+        return loadData().scenarioStats[scenarioId] || null;
     }
 
-    /** Parse profile data from a base64 string (for badge profile page). */
+    /**
+     * Parse an old `badges.html?profile=` link: base64 JSON that anyone can edit, so
+     * the profile page shows it as unverified. Verified links go through ProgressSync.
+     */
     function parseProfileData(encoded) {
         try {
             return JSON.parse(atob(encoded));
@@ -355,17 +251,39 @@ const GitBadgeEngine = (() => {
         return loadData().completedScenarios || [];
     }
 
+    /** Everything stored locally, for syncing to the signed-in account. */
+    function exportData() {
+        return loadData();
+    }
+
+    /** Replace local progress with the account's merged copy returned by the server. */
+    function importData(progress) {
+        saveData({
+            ...loadData(),
+            earnedBadges: progress.earnedBadges || {},
+            completedScenarios: progress.completedScenarios || [],
+            scenarioStats: progress.scenarioStats || {},
+            speedruns: progress.speedruns || 0,
+            persistentSolves: progress.persistentSolves || 0,
+        });
+    }
+
     return {
+        MAX_STARS,
+        ready,
+        rateAttempt,
+        onScenarioStart,
         onScenarioComplete,
+        getScenarioStats,
         getAllBadges,
         getEarnedBadges,
         getProgress,
-        getShareableURL,
-        getShareableProfileData,
         parseProfileData,
         getBadgeById,
         resetAll,
         getCompletedScenarios,
+        exportData,
+        importData,
         BADGE_DEFINITIONS,
     };
 })();
@@ -0,0 +1,2193 @@
+// ============================================================
+// Git Playground — Commit Graph Engine
+// In-memory object model behind the simulator: commits with parents
+// and file snapshots, branch refs, tags, HEAD, the index and the
+// working tree, plus remotes with object stores of their own.
+// Everything is plain data so a repository can be
+// cloned with JSON for replay snapshots; no DOM access in here.
+// ============================================================
+
+const GitEngine = (() => {
+    // --------------- CONSTANTS ---------------
+    const DEFAULT_BRANCH = 'main';
+    const DEFAULT_AUTHOR = 'User <user@example.com>';
+    const DEFAULT_PATH = '/home/user/projects';
+    const DEFAULT_REMOTE_URL = 'https://github.com/user/repo.git';
+    const TEAMMATE_AUTHOR = 'Alex Rivera <alex@example.com>';
+    const MINUTE = 60 * 1000;
+    const TODO_ACTIONS = { p: 'pick', r: 'reword', e: 'edit', s: 'squash', f: 'fixup', d: 'drop' }; // `git rebase -i` commands by abbreviation
+
+    // --------------- ERRORS ---------------
+
+    /** Build the error raised by repository and working-tree operations. The message is what git (or the shell) would print. */
+    function gitError(message) {
+        const err = new Error(message);
+        err.name = 'GitError';
+        return err;
+    }
+
+    // --------------- OBJECT IDS ---------------
+
+    function fnv1a(str, seed) {
+        let h = (0x811c9dc5 ^ seed) >>> 0;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /** 40-hex-digit id derived from the object content (not SHA-1, but shaped like it). */
+    function objectId(content) {
+        let id = '';
+        for (let seed = 0; seed < 5; seed++) id += fnv1a(content, seed * 0x9e3779b9);
+        return id;
+    }
+
+    function shortHash(hash) {
+        return hash ? hash.slice(0, 7) : '';
+    }
+
+    // --------------- REPOSITORY ---------------
+
+    /** Create an empty repository whose HEAD points at an unborn branch. */
+    function createRepository(options = {}) {
+        return {
+            path: options.path || DEFAULT_PATH,
+            initialized: true, // false for a plain directory that still needs `git init`
+            commits: {},
+            branches: {},
+            tags: {},
+            head: { branch: options.branch || DEFAULT_BRANCH, detached: null },
+            reflogs: {}, // 'HEAD' or a branch name -> [{ hash, message }], newest first
+            index: {},
+            workdir: {},
+            directories: [], // empty directories; ones holding files are implied by their paths
+            stashes: [],
+            unmerged: {}, // path -> { kind, base, ours, theirs } while a conflict is unresolved
+            operation: null, // merge, rebase, cherry-pick or revert waiting for --continue / --abort
+            origHead: null, // ORIG_HEAD: where HEAD was before the last reset, merge or rebase moved it
+            config: { global: { ...options.globalConfig }, local: {} }, // `git config` values by scope, keys lower-cased
+            remotes: {}, // name -> { url, commits, branches, tags }
+            remoteBranches: {}, // remote-tracking refs such as 'origin/main'
+            upstreams: {}, // branch -> { remote, branch }
+            clock: 0,
+            createdAt: options.createdAt || Date.now(),
+        };
+    }
+
+    function cloneRepository(repo) {
+        return JSON.parse(JSON.stringify(repo));
+    }
+
+    function headCommit(repo) {
+        return repo.head.detached || repo.branches[repo.head.branch] || null;
+    }
+
+    function currentBranch(repo) {
+        return repo.head.detached ? null : repo.head.branch;
+    }
+
+    function treeOf(repo, hash) {
+        return hash ? repo.commits[hash].tree : {};
+    }
+
+    function headTree(repo) {
+        return treeOf(repo, headCommit(repo));
+    }
+
+    /**
+     * Store a new commit object and return its id. Each commit advances the repository
+     * clock by a minute; `store` lets a remote's commits share the same timeline.
+     */
+    function writeCommit(repo, { tree, parents, message, author }, store = repo.commits) {
+        repo.clock += 1;
+        const timestamp = repo.createdAt + repo.clock * MINUTE;
+        const hash = objectId(JSON.stringify([tree, parents, message, timestamp, repo.clock]));
+        store[hash] = {
+            hash,
+            parents: [...parents],
+            message,
+            author: author || DEFAULT_AUTHOR,
+            timestamp,
+            tree: { ...tree },
+        };
+        return hash;
+    }
+
+    /** Point the current branch (or the detached HEAD) at another commit. */
+    function updateHead(repo, hash) {
+        if (repo.head.detached) repo.head.detached = hash;
+        else repo.branches[repo.head.branch] = hash;
+    }
+
+    // --------------- REFLOG ---------------
+
+    function subjectOf(repo, hash) {
+        return repo.commits[hash].message.split('\n')[0];
+    }
+
+    /** Add an entry to one ref's reflog ('HEAD' or a branch name). */
+    function logRef(repo, ref, hash, message) {
+        if (!hash) return;
+        (repo.reflogs[ref] = repo.reflogs[ref] || []).unshift({ hash, message });
+    }
+
+    /** Record where HEAD now points, in HEAD's reflog and the checked-out branch's. */
+    function logHead(repo, message) {
+        const hash = headCommit(repo);
+        logRef(repo, 'HEAD', hash, message);
+        if (currentBranch(repo)) logRef(repo, currentBranch(repo), hash, message);
+    }
+
+    /** `git reflog [show] [<ref>]`: entries newest first, each with its `ref@{n}` selector. */
+    function reflog(repo, ref = 'HEAD') {
+        const name = ref === '@' ? 'HEAD' : ref.replace(/^refs\/heads\//, '');
+        if (name !== 'HEAD' && !repo.branches[name]) throw unknownRevision(ref);
+        return (repo.reflogs[name] || []).map((e, n) => ({ ...e, selector: `${ref}@{${n}}` }));
+    }
+
+    /** `<ref>@{n}`: where the ref was n moves ago. A bare `@{n}` means the current branch. */
+    function reflogEntry(repo, ref, n) {
+        const name = ref === '' ? currentBranch(repo) || 'HEAD' : ref === '@' ? 'HEAD' : ref;
+        const entries = repo.reflogs[name];
+        if (!entries) return null;
+        if (n >= entries.length) throw gitError(`fatal: log for '${ref || name}' only has ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`);
+        return entries[n].hash;
+    }
+
+    /** The branch (or commit) HEAD was on before its n-th most recent switch, for `git checkout -` and `@{-n}`. */
+    function previousCheckout(repo, n = 1) {
+        const moves = (repo.reflogs.HEAD || []).map(e => /^checkout: moving from (\S+) to \S+$/.exec(e.message)).filter(Boolean);
+        if (n > moves.length) return null;
+        return moves[n - 1][1];
+    }
+
+    // --------------- REVISIONS ---------------
+
+    function unknownRevision(rev) {
+        return gitError(`fatal: ambiguous argument '${rev}': unknown revision or path not in the working tree.`);
+    }
+
+    function resolveName(repo, name) {
+        if (name === 'HEAD' || name === '@') return headCommit(repo);
+        if (name === 'ORIG_HEAD') return repo.origHead || null;
+        const previous = /^@\{-(\d+)\}$/.exec(name);
+        if (previous) {
+            const target = previousCheckout(repo, Number(previous[1]));
+            return target && resolveName(repo, target);
+        }
+        const at = /^(.*)@\{(\d+)\}$/.exec(name);
+        if (at) return reflogEntry(repo, at[1], Number(at[2]));
+        if (repo.branches[name]) return repo.branches[name];
+        if (repo.tags[name]) return repo.tags[name];
+        const tracking = name.replace(/^(?:refs\/)?remotes\//, '');
+        if (repo.remoteBranches[tracking]) return repo.remoteBranches[tracking];
+        if (/^[0-9a-f]{4,40}$/.test(name)) {
+            const matches = Object.keys(repo.commits).filter(h => h.startsWith(name));
+            if (matches.length > 1) throw gitError(`error: short object ID ${name} is ambiguous`);
+            if (matches.length === 1) return matches[0];
+        }
+        return null;
+    }
+
+    /** Resolve a revision such as `HEAD~2`, `main^`, `v1.0` or an abbreviated hash to a full commit id. */
+    function resolveRevision(repo, rev) {
+        const [, name, suffix] = /^(.*?)((?:[~^]\d*)*)$/.exec(rev);
+        let hash = resolveName(repo, name);
+        if (!hash) throw unknownRevision(rev);
+
+        const steps = suffix.match(/[~^]\d*/g) || [];
+        steps.forEach(step => {
+            const n = step.length > 1 ? parseInt(step.slice(1), 10) : 1;
+            if (step[0] === '~') {
+                for (let i = 0; i < n && hash; i++) hash = repo.commits[hash].parents[0];
+            } else if (n > 0) {
+                hash = repo.commits[hash].parents[n - 1];
+            }
+            if (!hash) throw unknownRevision(rev);
+        });
+        return hash;
+    }
+
+    function isValidRefName(name) {
+        return !!name && name !== 'HEAD' && !name.startsWith('-') && !name.endsWith('/') &&
+            !name.endsWith('.lock') && !name.includes('..') && !/[\s~^:?*[\\]/.test(name);
+    }
+
+    // --------------- GRAPH QUERIES ---------------
+
+    /** Every commit reachable from `hash`, including itself. */
+    function ancestors(repo, hash) {
+        const seen = new Set();
+        const stack = hash ? [hash] : [];
+        while (stack.length) {
+            const h = stack.pop();
+            if (seen.has(h)) continue;
+            seen.add(h);
+            stack.push(...repo.commits[h].parents);
+        }
+        return seen;
+    }
+
+    function isAncestor(repo, ancestor, descendant) {
+        return ancestors(repo, descendant).has(ancestor);
+    }
+
+    /** Best common ancestor of two commits (the most recent one reachable from both). */
+    function mergeBase(repo, a, b) {
+        const fromA = ancestors(repo, a);
+        const common = [...ancestors(repo, b)].filter(h => fromA.has(h));
+        common.sort((x, y) => repo.commits[y].timestamp - repo.commits[x].timestamp);
+        return common[0] || null;
+    }
+
+    function byNewest(repo) {
+        return (x, y) => repo.commits[y].timestamp - repo.commits[x].timestamp;
+    }
+
+    /**
+     * Commits for `git log`, newest first.
+     * `revs` may contain `A..B` ranges; `all` starts from every branch, remote-tracking ref and tag.
+     */
+    function log(repo, { revs = [], all = false, limit } = {}) {
+        const include = new Set();
+        const exclude = new Set();
+        const starts = revs.length || all ? [...revs] : ['HEAD'];
+        if (all) starts.push(...Object.keys(repo.branches), ...Object.keys(repo.remoteBranches), ...Object.keys(repo.tags));
+
+        starts.forEach(rev => {
+            const range = rev.split('..');
+            if (range.length === 2) {
+                ancestors(repo, resolveRevision(repo, range[0] || 'HEAD')).forEach(h => exclude.add(h));
+                ancestors(repo, resolveRevision(repo, range[1] || 'HEAD')).forEach(h => include.add(h));
+            } else if (rev === 'HEAD' && !headCommit(repo)) {
+                throw gitError(`fatal: your current branch '${currentBranch(repo)}' does not have any commits yet`);
+            } else {
+                ancestors(repo, resolveRevision(repo, rev)).forEach(h => include.add(h));
+            }
+        });
+
+        const hashes = [...include].filter(h => !exclude.has(h)).sort(byNewest(repo));
+        return (limit ? hashes.slice(0, limit) : hashes).map(h => repo.commits[h]);
+    }
+
+    /** Ref labels per commit, in `git log --decorate` order: HEAD, branches, remote-tracking refs, tags. */
+    function decorations(repo) {
+        const labels = {};
+        const add = (hash, label) => { (labels[hash] = labels[hash] || []).push(label); };
+        const branch = currentBranch(repo);
+
+        if (repo.head.detached) add(repo.head.detached, 'HEAD');
+        if (branch && repo.branches[branch]) add(repo.branches[branch], `HEAD -> ${branch}`);
+        Object.keys(repo.branches).sort().forEach(name => {
+            if (name !== branch) add(repo.branches[name], name);
+        });
+        Object.keys(repo.remoteBranches).sort().forEach(name => add(repo.remoteBranches[name], name));
+        Object.keys(repo.tags).sort().forEach(name => add(repo.tags[name], `tag: ${name}`));
+        return labels;
+    }
+
+    // --------------- TREES ---------------
+
+    /** File-level changes between two snapshots: [{ path, status: 'A' | 'M' | 'D' }]. */
+    function diffTrees(from, to) {
+        const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+        return paths
+            .filter(p => from[p] !== to[p])
+            .map(p => ({ path: p, status: from[p] === undefined ? 'A' : to[p] === undefined ? 'D' : 'M' }));
+    }
+
+    function sameTree(a, b) {
+        return diffTrees(a, b).length === 0;
+    }
+
+    /**
+     * Three-way merge of two snapshots against their base. Files changed on only one
+     * side take that side; files changed on both are merged line by line, and any
+     * overlap becomes a conflict whose `content` carries the marker text.
+     */
+    function mergeTrees(base, ours, theirs, labels = {}) {
+        const tree = {};
+        const conflicts = [];
+        const autoMerged = [];
+        const paths = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+        [...paths].sort().forEach(p => {
+            const b = base[p], o = ours[p], t = theirs[p];
+            let merged;
+            if (o === t || b === t) merged = o;
+            else if (b === o) merged = t;
+            else if (o === undefined || t === undefined) {
+                const kind = o === undefined ? 'deleted by us' : 'deleted by them';
+                conflicts.push({ path: p, kind, base: b, ours: o, theirs: t, content: o === undefined ? t : o });
+                merged = o;
+            } else {
+                const result = merge3(b || '', o, t, labels);
+                if (result.clean) {
+                    autoMerged.push(p);
+                    merged = result.content;
+                } else {
+                    const kind = b === undefined ? 'both added' : 'both modified';
+                    conflicts.push({ path: p, kind, base: b, ours: o, theirs: t, content: result.content });
+                    merged = o;
+                }
+            }
+            if (merged !== undefined) tree[p] = merged;
+        });
+        return { tree, conflicts, autoMerged };
+    }
+
+    /** Tracked files whose working copy differs from the index. */
+    function unstagedChanges(repo) {
+        return Object.keys(repo.index).sort()
+            .filter(p => repo.workdir[p] !== repo.index[p])
+            .map(p => ({ path: p, status: repo.workdir[p] === undefined ? 'D' : 'M' }));
+    }
+
+    /** Untracked paths as `git status` lists them: a directory without tracked files shows up once as `dir/`. */
+    function untrackedPaths(repo) {
+        const tracked = Object.keys(repo.index);
+        const listed = new Set();
+        Object.keys(repo.workdir).filter(p => !(p in repo.index)).forEach(p => {
+            const parts = p.split('/');
+            let entry = p;
+            for (let depth = 1; depth < parts.length; depth++) {
+                const dir = parts.slice(0, depth).join('/');
+                if (!tracked.some(t => t.startsWith(`${dir}/`))) {
+                    entry = `${dir}/`;
+                    break;
+                }
+            }
+            listed.add(entry);
+        });
+        return [...listed].sort();
+    }
+
+    function status(repo) {
+        const resolved = c => !(c.path in repo.unmerged);
+        return {
+            branch: currentBranch(repo),
+            detached: repo.head.detached,
+            staged: diffTrees(headTree(repo), repo.index).filter(resolved),
+            unstaged: unstagedChanges(repo).filter(resolved),
+            untracked: untrackedPaths(repo).filter(p => !(p in repo.unmerged)),
+            unmerged: Object.keys(repo.unmerged).sort().map(p => ({ path: p, kind: repo.unmerged[p].kind })),
+            operation: repo.operation,
+            tracking: trackingStatus(repo),
+        };
+    }
+
+    /**
+     * Move the index and working tree from one snapshot to another, keeping local
+     * changes to files that do not differ between the two. Refuses (before touching
+     * anything) when a local change or an untracked file would be overwritten.
+     */
+    function checkoutTree(repo, from, to, operation = 'checkout') {
+        const changed = diffTrees(from, to).map(c => c.path);
+        const overwritten = [];
+        const untracked = [];
+
+        changed.forEach(p => {
+            const { index, workdir } = repo;
+            if (index[p] === to[p] && workdir[p] === to[p]) return;
+            if (from[p] === undefined && index[p] === undefined) {
+                if (workdir[p] !== undefined) untracked.push(p);
+            } else if (index[p] !== from[p] || workdir[p] !== index[p]) {
+                overwritten.push(p);
+            }
+        });
+
+        const advice = operation === 'checkout' ? 'switch branches' : operation;
+        if (overwritten.length) throw localChangesError(overwritten, operation, advice);
+        if (untracked.length) {
+            throw gitError(`error: The following untracked working tree files would be overwritten by ${operation}:\n\t${untracked.join('\n\t')}\nPlease move or remove them before you ${advice}.\nAborting`);
+        }
+
+        changed.forEach(p => {
+            if (to[p] === undefined) {
+                delete repo.index[p];
+                delete repo.workdir[p];
+            } else {
+                repo.index[p] = to[p];
+                repo.workdir[p] = to[p];
+            }
+        });
+    }
+
+    function localChangesError(paths, operation, advice = operation) {
+        return gitError(`error: Your local changes to the following files would be overwritten by ${operation}:\n\t${paths.join('\n\t')}\nPlease commit your changes or stash them before you ${advice}.\nAborting`);
+    }
+
+    function requireCleanIndex(repo, operation) {
+        const staged = diffTrees(headTree(repo), repo.index).map(c => c.path);
+        if (staged.length) throw localChangesError(staged, operation);
+    }
+
+    // --------------- LINE DIFFS ---------------
+
+    function splitLines(content) {
+        if (content === undefined || content === '') return [];
+        const lines = content.split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+
+    /** Longest-common-subsequence lengths: `lcs[i][j]` covers `a[i..]` and `b[j..]`. */
+    function lcsTable(a, b) {
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        return lcs;
+    }
+
+    /** Line-level edit script between two texts (LCS): [{ type: ' ' | '-' | '+', line }]. */
+    function diffLines(oldText, newText) {
+        const a = splitLines(oldText);
+        const b = splitLines(newText);
+        const lcs = lcsTable(a, b);
+
+        const ops = [];
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: ' ', line: a[i] });
+                i++; j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ type: '-', line: a[i++] });
+            } else {
+                ops.push({ type: '+', line: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: '-', line: a[i++] });
+        while (j < b.length) ops.push({ type: '+', line: b[j++] });
+        return ops;
+    }
+
+    /** For each line of `a`, the index of the line of `b` it is matched with (or -1). */
+    function matchLines(a, b) {
+        const lcs = lcsTable(a, b);
+        const matches = new Array(a.length).fill(-1);
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) matches[i++] = j++;
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++;
+            else j++;
+        }
+        return matches;
+    }
+
+    function sameLines(x, y) {
+        return x.length === y.length && x.every((line, i) => line === y[i]);
+    }
+
+    /**
+     * Line-level three-way merge (diff3). Base lines kept by both sides anchor the
+     * walk; each stretch between anchors takes whichever side changed it, and a
+     * stretch both sides changed differently is wrapped in conflict markers.
+     */
+    function merge3(baseText, oursText, theirsText, { ours: oursLabel = 'HEAD', theirs: theirsLabel = 'theirs' } = {}) {
+        const base = splitLines(baseText);
+        const ours = splitLines(oursText);
+        const theirs = splitLines(theirsText);
+        const inOurs = matchLines(base, ours);
+        const inTheirs = matchLines(base, theirs);
+
+        const lines = [];
+        let clean = true;
+        let b = 0, o = 0, t = 0;
+        while (b < base.length || o < ours.length || t < theirs.length) {
+            if (b < base.length && inOurs[b] === o && inTheirs[b] === t) {
+                lines.push(base[b]);
+                b++; o++; t++;
+                continue;
+            }
+            // Next base line both sides still have after the current position
+            let next = b;
+            while (next < base.length && !(inOurs[next] >= o && inTheirs[next] >= t)) next++;
+            const nextOurs = next < base.length ? inOurs[next] : ours.length;
+            const nextTheirs = next < base.length ? inTheirs[next] : theirs.length;
+
+            const baseChunk = base.slice(b, next);
+            const oursChunk = ours.slice(o, nextOurs);
+            const theirsChunk = theirs.slice(t, nextTheirs);
+            if (sameLines(oursChunk, baseChunk)) lines.push(...theirsChunk);
+            else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) lines.push(...oursChunk);
+            else {
+                clean = false;
+                lines.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+            }
+            b = next; o = nextOurs; t = nextTheirs;
+        }
+        return { clean, content: lines.length ? `${lines.join('\n')}\n` : '' };
+    }
+
+    /** Group an edit script into unified-diff hunks with `context` lines around each change. */
+    function toHunks(ops, context = 3) {
+        const hunks = [];
+        let current = null;
+        let oldLine = 1, newLine = 1;
+        let trailing = 0; // unchanged lines since the last change in the open hunk
+
+        ops.forEach((op, k) => {
+            if (op.type !== ' ') {
+                if (!current) {
+                    const lead = [];
+                    for (let back = k - 1; back >= 0 && lead.length < context && ops[back].type === ' '; back--) lead.unshift(ops[back]);
+                    current = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: [...lead] };
+                    hunks.push(current);
+                }
+                current.lines.push(op);
+                trailing = 0;
+            } else if (current) {
+                if (trailing < context) {
+                    current.lines.push(op);
+                    trailing++;
+                } else {
+                    const nextChange = ops.slice(k).findIndex(o => o.type !== ' ');
+                    if (nextChange === -1 || nextChange > context) current = null;
+                    else { current.lines.push(op); trailing++; }
+                }
+            }
+            if (op.type !== '+') oldLine++;
+            if (op.type !== '-') newLine++;
+        });
+
+        hunks.forEach(h => {
+            h.oldLines = h.lines.filter(l => l.type !== '+').length;
+            h.newLines = h.lines.filter(l => l.type !== '-').length;
+            if (!h.oldLines) h.oldStart -= 1;
+            if (!h.newLines) h.newStart -= 1;
+        });
+        return hunks;
+    }
+
+    function countChanges(oldText, newText) {
+        const ops = diffLines(oldText, newText);
+        return {
+            insertions: ops.filter(o => o.type === '+').length,
+            deletions: ops.filter(o => o.type === '-').length,
+        };
+    }
+
+    /** Attach per-file insertion/deletion counts to a change list (for diffstats). */
+    function withStats(changes, from, to) {
+        return changes.map(c => ({ ...c, ...countChanges(from[c.path], to[c.path]) }));
+    }
+
+    /**
+     * Unified diff between two snapshots, one entry per changed file:
+     * { path, status, oldId, newId, hunks, noNewlineOld, noNewlineNew }.
+     */
+    function diffSnapshots(from, to, pathspecs = []) {
+        let changes = diffTrees(from, to);
+        if (pathspecs.length) {
+            const wanted = new Set(pathspecs.flatMap(spec => matchPaths(spec, changes.map(c => c.path))));
+            changes = changes.filter(c => wanted.has(c.path));
+        }
+        return changes.map(c => ({
+            ...c,
+            oldId: from[c.path] === undefined ? null : objectId(from[c.path]),
+            newId: to[c.path] === undefined ? null : objectId(to[c.path]),
+            hunks: toHunks(diffLines(from[c.path], to[c.path])),
+            noNewlineOld: !!from[c.path] && !from[c.path].endsWith('\n'),
+            noNewlineNew: !!to[c.path] && !to[c.path].endsWith('\n'),
+        }));
+    }
+
+    /** Tracked part of the working tree (what `git diff` compares against). */
+    function trackedWorkdir(repo, tracked = repo.index) {
+        const tree = {};
+        Object.keys(tracked).forEach(p => {
+            if (repo.workdir[p] !== undefined) tree[p] = repo.workdir[p];
+        });
+        return tree;
+    }
+
+    /**
+     * `git diff` family. Default compares the index with the working tree; `staged`
+     * compares HEAD (or `revs[0]`) with the index; one rev compares it with the
+     * working tree; two revs (or `A..B`) compare commits.
+     */
+    function diff(repo, { staged = false, revs = [], paths = [] } = {}) {
+        const [first, second] = revs.length === 1 && revs[0].includes('..') ? revs[0].split('..') : revs;
+        const tree = rev => treeOf(repo, resolveRevision(repo, rev || 'HEAD'));
+
+        if (second !== undefined) return diffSnapshots(tree(first), tree(second), paths);
+        if (staged) return diffSnapshots(first ? tree(first) : headTree(repo), repo.index, paths);
+        if (first) {
+            const base = tree(first);
+            return diffSnapshots(base, trackedWorkdir(repo, { ...base, ...repo.index }), paths);
+        }
+        return diffSnapshots(repo.index, trackedWorkdir(repo), paths);
+    }
+
+    /** The patch a commit introduces relative to its first parent. */
+    function commitDiff(repo, hash) {
+        const c = repo.commits[hash];
+        return diffSnapshots(treeOf(repo, c.parents[0]), c.tree);
+    }
+
+    // --------------- INDEX ---------------
+
+    /** Expand a pathspec (`.`, a directory or a file) against a set of candidate paths. */
+    function matchPaths(spec, candidates) {
+        const clean = spec.replace(/^\.\//, '').replace(/\/$/, '');
+        if (clean === '.' || clean === '') return candidates;
+        return candidates.filter(p => p === clean || p.startsWith(`${clean}/`));
+    }
+
+    /** `git add`: copy working-tree content (including deletions) into the index. */
+    function addPaths(repo, pathspecs) {
+        const candidates = [...new Set([...Object.keys(repo.workdir), ...Object.keys(repo.index)])].sort();
+        const specs = pathspecs.map(spec => (spec === '-A' || spec === '--all') ? '.' : spec);
+        const paths = new Set();
+
+        specs.forEach(spec => {
+            const matched = matchPaths(spec, candidates);
+            if (!matched.length && spec !== '.') {
+                throw gitError(`fatal: pathspec '${spec}' did not match any files`);
+            }
+            matched.forEach(p => paths.add(p));
+        });
+
+        paths.forEach(p => {
+            if (repo.workdir[p] === undefined) delete repo.index[p];
+            else repo.index[p] = repo.workdir[p];
+            delete repo.unmerged[p];
+        });
+        return [...paths];
+    }
+
+    /** Stage modifications and deletions of tracked files (`git commit -a`). */
+    function addTracked(repo) {
+        unstagedChanges(repo).forEach(({ path }) => {
+            if (repo.workdir[path] === undefined) delete repo.index[path];
+            else repo.index[path] = repo.workdir[path];
+        });
+    }
+
+    /**
+     * Restore paths from the index (default) or from a commit. With `staged`, only the
+     * index is reset to the source (unstaging); otherwise the working copy is overwritten.
+     */
+    function restorePaths(repo, pathspecs, { source, staged = false } = {}) {
+        const from = source ? treeOf(repo, resolveRevision(repo, source)) : (staged ? headTree(repo) : repo.index);
+        const candidates = [...new Set([...Object.keys(from), ...Object.keys(repo.index), ...Object.keys(repo.workdir)])].sort();
+        const restored = [];
+
+        pathspecs.forEach(spec => {
+            const matched = matchPaths(spec, candidates).filter(p => staged || p in from);
+            if (!matched.length) {
+                throw gitError(`error: pathspec '${spec}' did not match any file(s) known to git`);
+            }
+            matched.forEach(p => {
+                const target = staged ? repo.index : repo.workdir;
+                if (from[p] === undefined) delete target[p];
+                else target[p] = from[p];
+                restored.push(p);
+            });
+        });
+        return restored;
+    }
+
+    /** `git checkout --ours/--theirs <paths>`: take one side of a conflict into the working tree. */
+    function checkoutConflictSide(repo, pathspecs, side) {
+        const conflicted = Object.keys(repo.unmerged).sort();
+        const restored = [];
+        pathspecs.forEach(spec => {
+            const matched = matchPaths(spec, conflicted);
+            if (!matched.length) {
+                const known = matchPaths(spec, Object.keys(repo.index)).length;
+                throw gitError(known ? `error: path '${spec}' does not have ${side === 'ours' ? 'our' : 'their'} version` : `error: pathspec '${spec}' did not match any file(s) known to git`);
+            }
+            matched.forEach(p => {
+                const content = repo.unmerged[p][side];
+                if (content === undefined) throw gitError(`error: path '${p}' does not have ${side === 'ours' ? 'our' : 'their'} version`);
+                repo.workdir[p] = content;
+                restored.push(p);
+            });
+        });
+        return restored;
+    }
+
+    // --------------- COMMITS ---------------
+
+    function nothingToCommit(repo) {
+        const { unstaged, untracked } = status(repo);
+        if (unstaged.length) return gitError('no changes added to commit (use "git add" and/or "git commit -a")');
+        if (untracked.length) return gitError('nothing added to commit but untracked files present (use "git add" to track)');
+        return gitError('nothing to commit, working tree clean');
+    }
+
+    function requireResolved(repo, action) {
+        if (!Object.keys(repo.unmerged).length) return;
+        throw gitError(`error: ${action} is not possible because you have unmerged files.\nhint: Fix them up in the work tree, and then use 'git add/rm <file>'\nhint: as appropriate to mark resolution and make a commit.\nfatal: Exiting because of an unresolved conflict.`);
+    }
+
+    /**
+     * `git commit`: snapshot the index as a new commit on top of HEAD. While a merge
+     * or a pick is stopped on a conflict, this is what records the resolution.
+     */
+    function commit(repo, message, { all = false, allowEmpty = false, amend = false } = {}) {
+        requireResolved(repo, 'Committing');
+        if (all) addTracked(repo);
+
+        const head = headCommit(repo);
+        if (amend && !head) throw gitError('fatal: You have nothing to amend.');
+        const op = repo.operation;
+        if (amend && op && op.type === 'merge') throw gitError('fatal: You are in the middle of a merge -- cannot amend.');
+        const picked = op && op.current && !amend ? repo.commits[op.current] : null;
+        const merging = op && op.type === 'merge';
+
+        const parents = amend ? repo.commits[head].parents : merging ? [head, op.theirs] : (head ? [head] : []);
+        const base = amend ? treeOf(repo, parents[0]) : headTree(repo);
+        const changes = withStats(diffTrees(base, repo.index), base, repo.index);
+        if (!changes.length && !allowEmpty && !amend && !merging) throw nothingToCommit(repo);
+
+        const hash = writeCommit(repo, {
+            tree: repo.index,
+            parents,
+            message: message || (amend ? repo.commits[head].message : merging ? op.message : picked ? pickMessage(repo, picked.hash) : ''),
+            author: picked && op.type !== 'revert' ? picked.author : configuredAuthor(repo),
+        });
+        updateHead(repo, hash);
+        const action = amend ? 'commit (amend)' : merging ? 'commit (merge)' : picked
+            ? (op.type === 'rebase' ? 'rebase (continue)' : op.type)
+            : parents.length ? 'commit' : 'commit (initial)';
+        logHead(repo, `${action}: ${subjectOf(repo, hash)}`);
+
+        if (merging) repo.operation = null;
+        else if (picked) {
+            op.current = null;
+            op.picked.push({ from: picked.hash, to: hash, changes });
+            if (op.type !== 'rebase' && !op.todo.length) repo.operation = null;
+        }
+        return { hash, branch: currentBranch(repo), root: parents.length === 0, changes };
+    }
+
+    // --------------- CONFIG ---------------
+
+    /** `section.name` (or `section.sub.name`) with the section and name lower-cased, as git compares them. */
+    function configKey(key) {
+        const parts = String(key).split('.');
+        if (parts.length < 2) throw gitError(`error: key does not contain a section: ${key}`);
+        if (parts.some(part => !part)) throw gitError(`error: invalid key: ${key}`);
+        parts[0] = parts[0].toLowerCase();
+        parts[parts.length - 1] = parts[parts.length - 1].toLowerCase();
+        return parts.join('.');
+    }
+
+    function configScopes(repo, scope) {
+        if (!repo.config) repo.config = { global: {}, local: {} }; // repositories saved before config existed
+        if (scope === 'local' && repo.initialized === false) throw gitError('fatal: not in a git directory');
+        return repo.config;
+    }
+
+    /** Scopes a read looks in, most specific first; outside a repository only the global one. */
+    function readScopes(repo, scope) {
+        if (scope) return [scope];
+        return repo.initialized === false ? ['global'] : ['local', 'global'];
+    }
+
+    /** `git config [--global] <key> <value>`; without a scope the value goes in the repository's config. */
+    function setConfig(repo, key, value, scope = 'local') {
+        const name = configKey(key);
+        configScopes(repo, scope)[scope][name] = value;
+        return { key: name, value, scope };
+    }
+
+    /** `git config [--global] <key>`: a repository value wins over a global one unless `scope` picks one. Undefined when unset. */
+    function getConfig(repo, key, scope) {
+        const name = configKey(key);
+        const config = configScopes(repo, scope);
+        const found = readScopes(repo, scope).find(s => Object.prototype.hasOwnProperty.call(config[s], name));
+        return found ? config[found][name] : undefined;
+    }
+
+    /** `git config [--global] --unset <key>`; false when the key was not set. */
+    function unsetConfig(repo, key, scope = 'local') {
+        const name = configKey(key);
+        const values = configScopes(repo, scope)[scope];
+        if (!Object.prototype.hasOwnProperty.call(values, name)) return false;
+        delete values[name];
+        return true;
+    }
+
+    /** `git config --list`: `[{ scope, key, value }]`, global values first like git. */
+    function listConfig(repo, scope) {
+        const config = configScopes(repo, scope);
+        return readScopes(repo, scope).reverse()
+            .flatMap(s => Object.keys(config[s]).map(key => ({ scope: s, key, value: config[s][key] })));
+    }
+
+    /** Author for new commits from `user.name` / `user.email`; undefined (the default author) when no name is set. */
+    function configuredAuthor(repo) {
+        if (!repo.config) return undefined;
+        const name = getConfig(repo, 'user.name');
+        return name ? `${name} <${getConfig(repo, 'user.email') || 'user@example.com'}>` : undefined;
+    }
+
+    // --------------- BRANCHES & TAGS ---------------
+
+    function createBranch(repo, name, startPoint = 'HEAD', { force = false } = {}) {
+        if (!isValidRefName(name)) throw gitError(`fatal: '${name}' is not a valid branch name.`);
+        if (repo.branches[name] && !force) throw gitError(`fatal: A branch named '${name}' already exists.`);
+        if (!headCommit(repo) && startPoint === 'HEAD') {
+            throw gitError(`fatal: not a valid object name: '${currentBranch(repo)}'`);
+        }
+        if (force && name === currentBranch(repo)) {
+            throw gitError(`fatal: cannot force update the current branch.`);
+        }
+        const hash = resolveRevision(repo, startPoint);
+        repo.branches[name] = hash;
+        logRef(repo, name, hash, `branch: Created from ${startPoint}`);
+        return { name, hash };
+    }
+
+    /** `git branch -d/-D`: refuses to drop the checked-out branch or (without force) unmerged work. */
+    function deleteBranch(repo, name, { force = false } = {}) {
+        const hash = repo.branches[name];
+        if (!hash) throw gitError(`error: branch '${name}' not found.`);
+        if (name === currentBranch(repo)) {
+            throw gitError(`error: Cannot delete branch '${name}' checked out at '${repo.path}'`);
+        }
+        if (!force && !isAncestor(repo, hash, headCommit(repo))) {
+            throw gitError(`error: The branch '${name}' is not fully merged.\nIf you are sure you want to delete it, run 'git branch -D ${name}'.`);
+        }
+        delete repo.branches[name];
+        delete repo.upstreams[name];
+        delete repo.reflogs[name];
+        return { name, hash };
+    }
+
+    function renameBranch(repo, oldName, newName, { force = false } = {}) {
+        const isCurrent = oldName === currentBranch(repo);
+        if (!isCurrent && !repo.branches[oldName]) throw gitError(`error: refname refs/heads/${oldName} not found\nfatal: Branch rename failed`);
+        if (!isValidRefName(newName)) throw gitError(`fatal: '${newName}' is not a valid branch name.`);
+        if (repo.branches[newName] && !force && newName !== oldName) throw gitError(`fatal: A branch named '${newName}' already exists.`);
+
+        if (repo.branches[oldName]) {
+            repo.branches[newName] = repo.branches[oldName];
+            if (newName !== oldName) delete repo.branches[oldName];
+        }
+        if (repo.upstreams[oldName] && newName !== oldName) {
+            repo.upstreams[newName] = repo.upstreams[oldName];
+            delete repo.upstreams[oldName];
+        }
+        if (newName !== oldName) {
+            repo.reflogs[newName] = repo.reflogs[oldName] || [];
+            delete repo.reflogs[oldName];
+            logRef(repo, newName, repo.branches[newName], `Branch: renamed refs/heads/${oldName} to refs/heads/${newName}`);
+        }
+        if (isCurrent) repo.head.branch = newName;
+        return { oldName, newName };
+    }
+
+    function createTag(repo, name, rev = 'HEAD', { force = false } = {}) {
+        if (!isValidRefName(name)) throw gitError(`fatal: '${name}' is not a valid tag name.`);
+        if (repo.tags[name] && !force) throw gitError(`fatal: tag '${name}' already exists`);
+        if (rev === 'HEAD' && !headCommit(repo)) throw gitError(`fatal: Failed to resolve 'HEAD' as a valid ref.`);
+        const hash = resolveRevision(repo, rev);
+        repo.tags[name] = hash;
+        return { name, hash };
+    }
+
+    function deleteTag(repo, name) {
+        const hash = repo.tags[name];
+        if (!hash) throw gitError(`error: tag '${name}' not found.`);
+        delete repo.tags[name];
+        return { name, hash };
+    }
+
+    // --------------- CHECKOUT ---------------
+
+    /**
+     * `git checkout` / `git switch` for refs. Switching to a branch attaches HEAD,
+     * anything else resolvable (hash, tag, `HEAD~1`) detaches it. A name that only
+     * exists as exactly one remote-tracking branch creates a local branch tracking it.
+     * `-` (or `@{-n}`) goes back to whatever HEAD was on before the last (n-th) switch, as found in the reflog.
+     */
+    function checkout(repo, target, { create = false, startPoint = 'HEAD', detach = false } = {}) {
+        const from = headTree(repo);
+        if (Object.keys(repo.unmerged).length) {
+            throw gitError(`${Object.keys(repo.unmerged).sort().map(p => `${p}: needs merge`).join('\n')}\nerror: you need to resolve your current index first`);
+        }
+        const back = target === '-' ? '1' : (/^@\{-(\d+)\}$/.exec(target) || [])[1];
+        if (back) {
+            target = previousCheckout(repo, Number(back));
+            if (!target) throw gitError('error: no previous branch to switch back to');
+        }
+        const previous = currentBranch(repo) || headCommit(repo);
+        const result = switchHead(repo, target, { create, startPoint, detach, from });
+        if (result.type !== 'already') logRef(repo, 'HEAD', headCommit(repo), `checkout: moving from ${previous} to ${result.branch || target}`);
+        return result;
+    }
+
+    function switchHead(repo, target, { create, startPoint, detach, from }) {
+
+        if (create) {
+            if (!isValidRefName(target)) throw gitError(`fatal: '${target}' is not a valid branch name.`);
+            if (repo.branches[target]) throw gitError(`fatal: A branch named '${target}' already exists.`);
+            if (!headCommit(repo) && startPoint === 'HEAD') {
+                repo.head = { branch: target, detached: null };
+                return { type: 'new-branch', branch: target, hash: null };
+            }
+            const hash = resolveRevision(repo, startPoint);
+            checkoutTree(repo, from, treeOf(repo, hash));
+            repo.branches[target] = hash;
+            logRef(repo, target, hash, `branch: Created from ${startPoint}`);
+            repo.head = { branch: target, detached: null };
+            return { type: 'new-branch', branch: target, hash };
+        }
+
+        const remoteMatches = Object.keys(repo.remoteBranches).filter(ref => ref.slice(ref.indexOf('/') + 1) === target);
+        if (!repo.branches[target] && !detach && remoteMatches.length === 1 && !create) {
+            const tracking = remoteMatches[0];
+            const result = switchHead(repo, target, { create: true, startPoint: tracking, from });
+            setUpstream(repo, target, tracking);
+            return { ...result, tracking };
+        }
+
+        if (repo.branches[target] && !detach) {
+            if (target === currentBranch(repo)) return { type: 'already', branch: target, hash: repo.branches[target] };
+            const hash = repo.branches[target];
+            checkoutTree(repo, from, treeOf(repo, hash));
+            repo.head = { branch: target, detached: null };
+            return { type: 'branch', branch: target, hash };
+        }
+
+        const hash = resolveRevision(repo, target);
+        checkoutTree(repo, from, treeOf(repo, hash));
+        repo.head = { branch: repo.head.branch, detached: hash };
+        return { type: 'detached', hash, message: repo.commits[hash].message };
+    }
+
+    // --------------- RESET ---------------
+
+    /** Make the index and working tree match `tree`, deleting tracked files it does not have. */
+    function resetWorkingTree(repo, tree) {
+        const tracked = new Set([...Object.keys(repo.index), ...Object.keys(headTree(repo)), ...Object.keys(repo.unmerged)]);
+        tracked.forEach(p => { if (!(p in tree)) delete repo.workdir[p]; });
+        Object.assign(repo.workdir, tree);
+        repo.index = { ...tree };
+        repo.unmerged = {};
+    }
+
+    /** `git reset [--soft | --mixed | --hard] <commit>`: move HEAD and optionally the index and working tree. */
+    function reset(repo, rev = 'HEAD', mode = 'mixed') {
+        if (!headCommit(repo)) throw gitError(`fatal: ambiguous argument 'HEAD': unknown revision or path not in the working tree.`);
+        const hash = resolveRevision(repo, rev);
+        const tree = treeOf(repo, hash);
+        const op = repo.operation;
+        if (mode === 'soft' && op && op.type === 'merge') throw gitError('fatal: Cannot do a soft reset in the middle of a merge.');
+
+        if (mode === 'hard') resetWorkingTree(repo, tree);
+        if (mode !== 'soft') {
+            repo.index = { ...tree };
+            repo.unmerged = {};
+            // A reset ends a merge or cherry-pick; a rebase keeps going until --continue or --abort
+            if (op && op.type !== 'rebase') repo.operation = null;
+            else if (op) op.current = null;
+        }
+
+        repo.origHead = headCommit(repo);
+        updateHead(repo, hash);
+        logHead(repo, `reset: moving to ${rev}`);
+        return { hash, mode, message: repo.commits[hash].message };
+    }
+
+    /** `git reset <paths>`: unstage by copying HEAD's version back into the index. */
+    function resetPaths(repo, pathspecs, rev = 'HEAD') {
+        return restorePaths(repo, pathspecs, { staged: true, source: headCommit(repo) ? rev : undefined });
+    }
+
+    // --------------- MERGE / REBASE / CHERRY-PICK ---------------
+
+    function defaultMergeMessage(repo, rev) {
+        const branch = currentBranch(repo);
+        const into = branch && branch !== 'main' && branch !== 'master' ? ` into ${branch}` : '';
+        const kind = repo.branches[rev] ? 'branch' : repo.remoteBranches[rev] ? 'remote-tracking branch' : 'commit';
+        return `Merge ${kind} '${rev}'${into}`;
+    }
+
+    /** Refuse to start a merge, rebase, cherry-pick or revert while another one is stopped. */
+    function requireNoOperation(repo) {
+        const op = repo.operation;
+        if (!op) return;
+        if (op.type === 'merge') {
+            throw gitError('fatal: You have not concluded your merge (MERGE_HEAD exists).\nPlease, commit your changes before you merge.');
+        }
+        if (op.type === 'rebase') {
+            throw gitError('fatal: It seems that there is already a rebase-merge directory, and\nI wonder if you are in the middle of another rebase.\nTry: git rebase (--continue | --abort | --skip)');
+        }
+        throw gitError(`error: ${op.type} is already in progress\nhint: try "git ${op.type} (--continue | --abort | --skip)"`);
+    }
+
+    function requireOperation(repo, type, action) {
+        const op = repo.operation;
+        if (op && op.type === type) return op;
+        if (type === 'merge') {
+            throw gitError(`fatal: There is no merge ${action === 'abort' ? 'to abort' : 'in progress'} (MERGE_HEAD missing).`);
+        }
+        if (type === 'rebase') throw gitError('fatal: No rebase in progress?');
+        throw gitError('error: no cherry-pick or revert in progress');
+    }
+
+    /**
+     * Write a merge result into the index and working tree. Clean paths are staged;
+     * conflicted ones get the marker text in the working tree and are recorded as
+     * unmerged, with our version left in the index.
+     */
+    function applyMergeResult(repo, result, operation) {
+        const dirty = result.conflicts.map(c => c.path).filter(p => repo.workdir[p] !== repo.index[p]);
+        if (dirty.length) throw localChangesError(dirty, operation);
+        checkoutTree(repo, headTree(repo), result.tree, operation);
+        result.conflicts.forEach(c => {
+            repo.workdir[c.path] = c.content;
+            repo.unmerged[c.path] = { kind: c.kind, base: c.base, ours: c.ours, theirs: c.theirs };
+        });
+    }
+
+    /**
+     * `git merge <rev>`. Fast-forwards when possible (unless `ff: 'no'`), otherwise
+     * records a merge commit with two parents. Overlapping changes stop the merge
+     * with conflict markers in the working tree until it is committed or aborted.
+     * `squash` stages the merged result without committing or recording a merge.
+     * `action` names the command in the reflog (`git pull` merges too).
+     */
+    function merge(repo, rev, { ff = 'auto', message, squash = false, action = `merge ${rev}` } = {}) {
+        requireNoOperation(repo);
+        const ours = headCommit(repo);
+        const theirs = resolveRevision(repo, rev);
+        const oursTree = headTree(repo);
+        const theirsTree = treeOf(repo, theirs);
+
+        if (ours && isAncestor(repo, theirs, ours)) return { type: 'up-to-date' };
+
+        if (squash) {
+            requireCleanIndex(repo, 'merge');
+            const result = mergeTrees(treeOf(repo, ours && mergeBase(repo, ours, theirs)), oursTree, theirsTree, { theirs: rev });
+            applyMergeResult(repo, result, 'merge');
+            return {
+                type: 'squash',
+                conflicts: result.conflicts,
+                autoMerged: result.autoMerged,
+                changes: withStats(diffTrees(oursTree, result.tree), oursTree, result.tree),
+            };
+        }
+
+        if (!ours || (isAncestor(repo, ours, theirs) && ff !== 'no')) {
+            checkoutTree(repo, oursTree, theirsTree, 'merge');
+            repo.origHead = ours;
+            updateHead(repo, theirs);
+            logHead(repo, `${action}: Fast-forward`);
+            return { type: 'fast-forward', from: ours, to: theirs, changes: withStats(diffTrees(oursTree, theirsTree), oursTree, theirsTree) };
+        }
+        if (ff === 'only') throw gitError('fatal: Not possible to fast-forward, aborting.');
+
+        requireCleanIndex(repo, 'merge');
+        const base = mergeBase(repo, ours, theirs);
+        const result = mergeTrees(treeOf(repo, base), oursTree, theirsTree, { theirs: rev });
+        const mergeMessage = message || defaultMergeMessage(repo, rev);
+        applyMergeResult(repo, result, 'merge');
+        repo.origHead = ours;
+
+        if (result.conflicts.length) {
+            repo.operation = { type: 'merge', theirs, label: rev, message: mergeMessage, origHead: ours };
+            return { type: 'conflict', conflicts: result.conflicts, autoMerged: result.autoMerged };
+        }
+        const hash = writeCommit(repo, { tree: result.tree, parents: [ours, theirs], message: mergeMessage });
+        updateHead(repo, hash);
+        logHead(repo, `${action}: Merge made by the 'ort' strategy.`);
+        return { type: 'merge', hash, autoMerged: result.autoMerged, changes: withStats(diffTrees(oursTree, result.tree), oursTree, result.tree) };
+    }
+
+    /** Commits reachable from `head` but not from `upstream`, oldest first, without merges. */
+    function commitsToReplay(repo, upstream, head) {
+        const excluded = ancestors(repo, upstream);
+        return [...ancestors(repo, head)]
+            .filter(h => !excluded.has(h) && repo.commits[h].parents.length <= 1)
+            .sort((x, y) => repo.commits[x].timestamp - repo.commits[y].timestamp);
+    }
+
+    /** How a picked commit is named in conflict markers: `abc1234 (subject)`. */
+    function pickLabel(repo, hash) {
+        return `${shortHash(hash)} (${subjectOf(repo, hash)})`;
+    }
+
+    /** The message for a picked commit: its own, or for a revert the one git writes. */
+    function pickMessage(repo, hash) {
+        if (repo.operation.type !== 'revert') return repo.commits[hash].message;
+        return `Revert "${subjectOf(repo, hash)}"\n\nThis reverts commit ${hash}.`;
+    }
+
+    /**
+     * Apply one commit's change on top of HEAD (backwards, for a revert). A clean pick is
+     * committed straight away; a conflicting one is left in the working tree as `operation.current`.
+     */
+    function pickCommit(repo, hash) {
+        const picked = repo.commits[hash];
+        const oursTree = headTree(repo);
+        const reverting = repo.operation.type === 'revert';
+        const [from, to] = reverting ? [picked.tree, treeOf(repo, picked.parents[0])] : [treeOf(repo, picked.parents[0]), picked.tree];
+        const label = reverting ? `parent of ${pickLabel(repo, hash)}` : pickLabel(repo, hash);
+        const result = mergeTrees(from, oursTree, to, { theirs: label });
+        applyMergeResult(repo, result, repo.operation.type);
+
+        if (result.conflicts.length) {
+            repo.operation.current = hash;
+            return { type: 'conflict', hash, conflicts: result.conflicts, autoMerged: result.autoMerged };
+        }
+        if (sameTree(result.tree, oursTree)) return { type: 'empty', hash };
+
+        const head = headCommit(repo);
+        const newHash = writeCommit(repo, {
+            tree: result.tree,
+            parents: head ? [head] : [],
+            message: pickMessage(repo, hash),
+            author: reverting ? configuredAuthor(repo) : picked.author,
+        });
+        updateHead(repo, newHash);
+        return { type: 'picked', hash, newHash, changes: withStats(diffTrees(oursTree, result.tree), oursTree, result.tree) };
+    }
+
+    /** A rebase keeps a commit as it is when its parent is already HEAD, instead of copying it. */
+    function reuseCommit(repo, step) {
+        const commit = repo.commits[step.hash];
+        if (repo.operation.type !== 'rebase' || step.action === 'squash' || step.action === 'fixup') return null;
+        if (commit.parents[0] !== headCommit(repo)) return null;
+        const from = headTree(repo);
+        checkoutTree(repo, from, commit.tree, 'rebase');
+        updateHead(repo, step.hash);
+        return { type: 'picked', hash: step.hash, newHash: step.hash, changes: withStats(diffTrees(from, commit.tree), from, commit.tree) };
+    }
+
+    /**
+     * Work through the operation's todo list until it is empty or a step stops. A
+     * rebase drops picks that became empty; a cherry-pick or revert stops on them, like git.
+     */
+    function runSequencer(repo) {
+        const op = repo.operation;
+        while (op.todo.length) {
+            const step = op.todo.shift();
+            op.done.push(step);
+            if (step.action === 'drop') continue;
+            const result = reuseCommit(repo, step) || pickCommit(repo, step.hash);
+            if (result.type === 'conflict') {
+                op.pending = step;
+                return { ...result, step: op.done.length, total: op.done.length + op.todo.length };
+            }
+            if (result.type === 'empty' && op.type !== 'rebase') {
+                op.current = step.hash;
+                return { ...result, picks: op.picked };
+            }
+            if (result.type === 'empty') {
+                op.skipped.push(step.hash);
+                continue;
+            }
+            op.picked.push({ from: step.hash, to: result.newHash, changes: result.changes });
+            const stop = completeStep(repo, step);
+            if (stop) return stop;
+        }
+        return finishSequencer(repo);
+    }
+
+    /**
+     * Finish a step once its commit is at HEAD: fold a squash or fixup into the commit
+     * before it, write the reflog entry (unless `commit` already did), and stop where the
+     * learner has to act: for a new message (reword, squash) or to amend (edit).
+     */
+    function completeStep(repo, step, { logged = false } = {}) {
+        const op = repo.operation;
+        op.pending = null;
+        if (op.type !== 'rebase') {
+            if (!logged) logHead(repo, `${op.type}: ${subjectOf(repo, headCommit(repo))}`);
+            return null;
+        }
+
+        if (step.action === 'squash' || step.action === 'fixup') {
+            const head = repo.commits[headCommit(repo)];
+            const previous = repo.commits[head.parents[0]];
+            const message = step.action === 'squash' ? `${previous.message}\n\n${head.message}` : previous.message;
+            const hash = writeCommit(repo, { tree: head.tree, parents: previous.parents, message, author: previous.author });
+            updateHead(repo, hash);
+            op.picked[op.picked.length - 1].to = hash;
+            logged = false;
+        }
+        const hash = headCommit(repo);
+        const position = { step: op.done.length, total: op.done.length + op.todo.length };
+        if (step.action === 'reword' || step.action === 'squash') {
+            op.awaitingMessage = step.action; // logged once the message is written
+            return { type: 'message', action: step.action, hash, message: repo.commits[hash].message, ...position };
+        }
+        if (!logged) logRef(repo, 'HEAD', hash, `${op.action} (${step.action}): ${subjectOf(repo, hash)}`);
+        if (step.action === 'edit') return { type: 'edit', hash, ...position };
+        return null;
+    }
+
+    /** Give HEAD the message written after `reword` / `squash`; lines starting with `#` are comments. */
+    function rewordHead(repo, message) {
+        const op = repo.operation;
+        const head = repo.commits[headCommit(repo)];
+        const cleaned = message === undefined ? head.message : message.split('\n').filter(line => !line.startsWith('#')).join('\n').trim();
+        if (!cleaned) throw gitError('Aborting commit due to empty commit message.');
+
+        if (cleaned !== head.message) {
+            const hash = writeCommit(repo, { tree: head.tree, parents: head.parents, message: cleaned, author: head.author });
+            updateHead(repo, hash);
+            op.picked[op.picked.length - 1].to = hash;
+        }
+        logRef(repo, 'HEAD', headCommit(repo), `${op.action} (${op.awaitingMessage}): ${subjectOf(repo, headCommit(repo))}`);
+        op.awaitingMessage = false;
+    }
+
+    function finishSequencer(repo) {
+        const op = repo.operation;
+        repo.operation = null;
+        if (op.type !== 'rebase') return { type: 'picked', branch: currentBranch(repo), picks: op.picked };
+
+        const tip = headCommit(repo);
+        if (op.branch) {
+            repo.branches[op.branch] = tip;
+            repo.head = { branch: op.branch, detached: null };
+            logRef(repo, op.branch, tip, `${op.action} (finish): refs/heads/${op.branch} onto ${op.onto}`);
+            logRef(repo, 'HEAD', tip, `${op.action} (finish): returning to refs/heads/${op.branch}`);
+        }
+        const type = op.interactive || op.picked.length || op.skipped.length ? 'rebased' : 'fast-forward';
+        return { type, branch: op.branch, onto: op.onto, replayed: op.picked, skipped: op.skipped, hash: tip };
+    }
+
+    /** Checks shared by `git rebase` and the todo list for `git rebase -i`. */
+    function prepareRebase(repo, upstreamRev, onto) {
+        requireNoOperation(repo);
+        const head = headCommit(repo);
+        if (!head) throw gitError(`fatal: invalid upstream '${upstreamRev}'`);
+        const upstream = resolveRevision(repo, upstreamRev);
+        const ontoHash = onto ? resolveRevision(repo, onto) : upstream;
+
+        const { staged, unstaged } = status(repo);
+        if (staged.length || unstaged.length) {
+            throw gitError('error: cannot rebase: You have unstaged changes.\nerror: Please commit or stash them.');
+        }
+        return { head, upstream, ontoHash };
+    }
+
+    /** The todo list `git rebase -i` opens in the editor: one `pick` per commit, oldest first, then git's help text. */
+    function rebaseTodo(repo, upstreamRev, { onto } = {}) {
+        const { head, upstream, ontoHash } = prepareRebase(repo, upstreamRev, onto);
+        const hashes = commitsToReplay(repo, upstream, head);
+        const lines = hashes.length ? hashes.map(h => `pick ${shortHash(h)} ${subjectOf(repo, h)}`) : ['noop'];
+        return [
+            ...lines,
+            '',
+            `# Rebase ${shortHash(upstream)}..${shortHash(head)} onto ${shortHash(ontoHash)} (${hashes.length} ${hashes.length === 1 ? 'command' : 'commands'})`,
+            '#',
+            '# Commands:',
+            '# p, pick <commit> = use commit',
+            '# r, reword <commit> = use commit, but edit the commit message',
+            '# e, edit <commit> = use commit, but stop for amending',
+            '# s, squash <commit> = use commit, but meld into previous commit',
+            '# f, fixup <commit> = like "squash" but keep only the previous',
+            '#                    commit\'s log message',
+            '# d, drop <commit> = remove commit',
+            '#',
+            '# These lines can be re-ordered; they are executed from top to bottom.',
+            '#',
+            '# If you remove a line here THAT COMMIT WILL BE LOST.',
+            '#',
+            '# However, if you remove everything, the rebase will be aborted.',
+            '',
+        ].join('\n');
+    }
+
+    /** Turn an edited todo list into steps; blank lines, comments and `noop` are ignored. */
+    function parseTodo(repo, text) {
+        const steps = [];
+        text.split('\n').forEach((raw, i) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#') || line === 'noop') return;
+            const [word, rev] = line.split(/\s+/);
+            const action = TODO_ACTIONS[word] || (Object.values(TODO_ACTIONS).includes(word) ? word : null);
+            const hash = action && rev ? resolveName(repo, rev) : null;
+            if (!hash || !repo.commits[hash]) throw gitError(`error: invalid line ${i + 1}: ${line}`);
+            if ((action === 'squash' || action === 'fixup') && !steps.some(st => st.action !== 'drop')) {
+                throw gitError(`error: cannot '${action}' without a previous commit`);
+            }
+            steps.push({ action, hash });
+        });
+        return steps;
+    }
+
+    /**
+     * `git rebase <upstream>`: detach at `upstream` (or `onto`) and replay the current
+     * branch's own commits there, then move the branch to the result. Passing `todo`
+     * (the edited `rebaseTodo` text) makes it `git rebase -i`; an empty todo does nothing.
+     * `action` names the command in the reflog (`git pull --rebase` rebases too).
+     */
+    function rebase(repo, upstreamRev, { onto, todo, action = 'rebase' } = {}) {
+        const { head, upstream, ontoHash } = prepareRebase(repo, upstreamRev, onto);
+        const branch = currentBranch(repo);
+        const interactive = todo !== undefined;
+        const steps = interactive
+            ? parseTodo(repo, todo)
+            : commitsToReplay(repo, upstream, head).map(hash => ({ action: 'pick', hash }));
+
+        if (interactive && !steps.length) return { type: 'noop', branch };
+        if (!interactive && mergeBase(repo, upstream, head) === ontoHash) {
+            return { type: 'up-to-date', branch };
+        }
+
+        checkoutTree(repo, headTree(repo), treeOf(repo, ontoHash), 'rebase');
+        repo.origHead = head;
+        repo.head = { branch: repo.head.branch, detached: ontoHash };
+        logRef(repo, 'HEAD', ontoHash, `${action} (start): checkout ${onto || upstreamRev}`);
+        repo.operation = {
+            type: 'rebase',
+            action,
+            interactive,
+            branch,
+            origHead: head,
+            onto: ontoHash,
+            todo: steps,
+            done: [],
+            picked: [],
+            skipped: [],
+            current: null,
+            pending: null, // step stopped on a conflict; squash / reword still to do after it is resolved
+            awaitingMessage: false, // 'reword' or 'squash' while HEAD waits for its new message
+        };
+        return runSequencer(repo);
+    }
+
+    /** Start a cherry-pick or revert of `revs`; both run one commit at a time, like a rebase. */
+    function startPicks(repo, type, revs) {
+        requireNoOperation(repo);
+        const hashes = [].concat(revs).map(rev => resolveRevision(repo, rev));
+        hashes.forEach(hash => {
+            if (repo.commits[hash].parents.length > 1) {
+                throw gitError(`error: commit ${hash} is a merge but no -m option was given.\nfatal: ${type} failed`);
+            }
+        });
+        requireCleanIndex(repo, type);
+
+        repo.operation = {
+            type,
+            origHead: headCommit(repo),
+            todo: hashes.map(hash => ({ action: type === 'revert' ? 'revert' : 'pick', hash })),
+            done: [],
+            picked: [],
+            skipped: [],
+            current: null,
+            pending: null,
+        };
+        return runSequencer(repo);
+    }
+
+    /** `git cherry-pick <commit>...`: copy each commit's change onto HEAD as a new commit. */
+    function cherryPick(repo, revs) {
+        return startPicks(repo, 'cherry-pick', revs);
+    }
+
+    /** `git revert <commit>...`: add a commit undoing each one's change, in the order given. */
+    function revert(repo, revs) {
+        return startPicks(repo, 'revert', revs);
+    }
+
+    /**
+     * `--continue`: for a merge, commit the resolution; for a rebase, cherry-pick or revert,
+     * commit the stopped pick (a rebase drops it if nothing is left) and carry on.
+     * `message` is the text written for a rebase step waiting on one (reword, squash).
+     */
+    function continueOperation(repo, type, { message } = {}) {
+        const op = requireOperation(repo, type, 'continue');
+        const conflicted = Object.keys(repo.unmerged).sort();
+        if (conflicted.length) {
+            throw gitError(`${conflicted.map(p => `${p}: needs merge`).join('\n')}\nYou must edit all merge conflicts and then\nmark them as resolved using git add`);
+        }
+        if (type === 'merge') return commit(repo);
+
+        if (op.awaitingMessage) rewordHead(repo, message);
+        if (op.current) {
+            if (diffTrees(headTree(repo), repo.index).length) commit(repo);
+            else if (type !== 'rebase') throw emptyPickError(type);
+            else {
+                op.skipped.push(op.current);
+                op.current = null;
+                op.pending = null;
+            }
+        } else if (type === 'rebase' && diffTrees(headTree(repo), repo.index).length) {
+            throw gitError("error: you have staged changes in your working tree\nIf these changes are meant to be squashed into the previous commit, run:\n\n  git commit --amend\n\nIf they are meant to go into a new commit, run:\n\n  git commit\n\nIn both cases, once you're done, continue with:\n\n  git rebase --continue");
+        }
+        // `commit` ends a cherry-pick or revert with nothing left to do; the sequencer finishes it here instead
+        repo.operation = op;
+        if (op.pending) {
+            const stop = completeStep(repo, op.pending, { logged: true });
+            if (stop) return stop;
+        }
+        return runSequencer(repo);
+    }
+
+    function emptyPickError(type) {
+        return gitError(`The previous ${type} is now empty, possibly due to conflict resolution.\nIf you wish to commit it anyway, use:\n\n    git commit --allow-empty\n\nOtherwise, please use 'git ${type} --skip'`);
+    }
+
+    /** `--skip`: throw away the stopped pick and carry on with the rest. */
+    function skipOperation(repo, type) {
+        const op = requireOperation(repo, type, 'skip');
+        resetWorkingTree(repo, headTree(repo));
+        if (op.current) op.skipped.push(op.current);
+        op.current = null;
+        op.pending = null;
+        op.awaitingMessage = false;
+        return runSequencer(repo);
+    }
+
+    /** `--abort`: put HEAD, the index and the working tree back where the operation started. */
+    function abortOperation(repo, type) {
+        const op = requireOperation(repo, type, 'abort');
+        resetWorkingTree(repo, treeOf(repo, op.origHead));
+        if (type === 'rebase') {
+            repo.head = op.branch ? { branch: op.branch, detached: null } : { branch: repo.head.branch, detached: op.origHead };
+            logRef(repo, 'HEAD', op.origHead, `${op.action} (abort): returning to ${op.branch ? `refs/heads/${op.branch}` : op.origHead}`);
+        } else if (op.origHead) {
+            updateHead(repo, op.origHead);
+            if (type !== 'merge') logHead(repo, `reset: moving to ${op.origHead}`);
+        }
+        repo.operation = null;
+        return { type, hash: op.origHead, branch: currentBranch(repo) };
+    }
+
+    // --------------- WORKING TREE FILES ---------------
+
+    /** Normalise a path relative to the repository root; throws for paths that leave it. */
+    function normalizePath(path, command) {
+        const parts = [];
+        path.split('/').forEach(part => {
+            if (part === '' || part === '.') return;
+            if (part === '..') {
+                if (!parts.length) throw gitError(`${command}: ${path}: Permission denied (outside the playground)`);
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    function isDirectory(repo, path) {
+        if (path === '') return true;
+        return repo.directories.includes(path) ||
+            [...repo.directories, ...Object.keys(repo.workdir)].some(p => p.startsWith(`${path}/`));
+    }
+
+    function parentDirectory(path) {
+        return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    }
+
+    /** Keep a directory around once its last file goes, like a real filesystem would. */
+    function keepDirectory(repo, dir) {
+        if (dir && !isDirectory(repo, dir)) repo.directories.push(dir);
+    }
+
+    function pruneDirectories(repo) {
+        repo.directories = repo.directories.filter(d => !Object.keys(repo.workdir).some(p => p.startsWith(`${d}/`)));
+    }
+
+    /** Immediate entries of a directory: [{ name, type: 'file' | 'dir' }], sorted by name. */
+    function listDirectory(repo, path = '') {
+        const dir = normalizePath(path, 'ls');
+        if (repo.workdir[dir] !== undefined) return [{ name: dir, type: 'file' }];
+        if (!isDirectory(repo, dir)) throw gitError(`ls: cannot access '${path}': No such file or directory`);
+
+        const prefix = dir ? `${dir}/` : '';
+        const entries = {};
+        [...Object.keys(repo.workdir), ...repo.directories.map(d => `${d}/`)].forEach(p => {
+            if (!p.startsWith(prefix) || p === prefix) return;
+            const rest = p.slice(prefix.length);
+            const slash = rest.indexOf('/');
+            if (slash === -1) entries[rest] = 'file';
+            else entries[rest.slice(0, slash)] = 'dir';
+        });
+        return Object.keys(entries).sort().map(name => ({ name, type: entries[name] }));
+    }
+
+    function readFile(repo, path) {
+        const file = normalizePath(path, 'cat');
+        if (repo.workdir[file] !== undefined) return repo.workdir[file];
+        if (isDirectory(repo, file)) throw gitError(`cat: ${path}: Is a directory`);
+        throw gitError(`cat: ${path}: No such file or directory`);
+    }
+
+    /** Create or overwrite (or with `append`, extend) a working-tree file. */
+    function writeFile(repo, path, content, { append = false, command = 'bash' } = {}) {
+        const file = normalizePath(path, command);
+        if (!file || isDirectory(repo, file)) {
+            throw gitError(`${command}: ${path}: Is a directory`);
+        }
+        if (!isDirectory(repo, parentDirectory(file))) {
+            throw gitError(`${command}: ${path}: No such file or directory`);
+        }
+        repo.workdir[file] = append ? (repo.workdir[file] || '') + content : content;
+        pruneDirectories(repo);
+        return file;
+    }
+
+    /** `touch`: create an empty file, leaving existing content alone. */
+    function touchFile(repo, path) {
+        const file = normalizePath(path, 'touch');
+        if (repo.workdir[file] !== undefined || isDirectory(repo, file)) return file;
+        return writeFile(repo, path, '', { command: 'touch' });
+    }
+
+    function makeDirectory(repo, path, { parents = false } = {}) {
+        const dir = normalizePath(path, 'mkdir');
+        if (repo.workdir[dir] !== undefined || isDirectory(repo, dir)) {
+            if (parents && repo.workdir[dir] === undefined) return dir;
+            throw gitError(`mkdir: cannot create directory '${path}': File exists`);
+        }
+        const parent = parentDirectory(dir);
+        if (!isDirectory(repo, parent)) {
+            if (!parents) throw gitError(`mkdir: cannot create directory '${path}': No such file or directory`);
+            makeDirectory(repo, parent, { parents: true });
+        }
+        repo.directories.push(dir);
+        repo.directories = repo.directories.filter(d => !dir.startsWith(`${d}/`));
+        return dir;
+    }
+
+    /** `rm [-r] [-f]`: delete files (and with `recursive`, directories) from the working tree. */
+    function removePath(repo, path, { recursive = false, force = false } = {}) {
+        const target = normalizePath(path, 'rm');
+        if (repo.workdir[target] !== undefined) {
+            delete repo.workdir[target];
+            keepDirectory(repo, parentDirectory(target));
+            return [target];
+        }
+        if (target && isDirectory(repo, target)) {
+            if (!recursive) throw gitError(`rm: cannot remove '${path}': Is a directory`);
+            const removed = Object.keys(repo.workdir).filter(p => p.startsWith(`${target}/`));
+            removed.forEach(p => delete repo.workdir[p]);
+            repo.directories = repo.directories.filter(d => d !== target && !d.startsWith(`${target}/`));
+            keepDirectory(repo, parentDirectory(target));
+            return removed;
+        }
+        if (force) return [];
+        throw gitError(`rm: cannot remove '${path}': No such file or directory`);
+    }
+
+    // --------------- GIT FILE COMMANDS ---------------
+
+    /** `git rm [--cached] [-r]`: stop tracking paths (and delete them unless `cached`). */
+    function removeTracked(repo, pathspecs, { cached = false, recursive = false } = {}) {
+        const tracked = [...new Set([...Object.keys(repo.index), ...Object.keys(repo.unmerged)])].sort();
+        const removed = [];
+        pathspecs.forEach(spec => {
+            const clean = normalizePath(spec, 'git rm');
+            const matched = matchPaths(spec, tracked);
+            if (!matched.length) throw gitError(`fatal: pathspec '${spec}' did not match any files`);
+            if (!recursive && !tracked.includes(clean) && clean !== '') {
+                throw gitError(`fatal: not removing '${spec}' recursively without -r`);
+            }
+            matched.forEach(p => {
+                delete repo.index[p];
+                delete repo.unmerged[p];
+                if (!cached && repo.workdir[p] !== undefined) {
+                    delete repo.workdir[p];
+                    keepDirectory(repo, parentDirectory(p));
+                }
+                removed.push(p);
+            });
+        });
+        return removed;
+    }
+
+    /** `git mv`: rename a tracked file in both the index and the working tree. */
+    function moveTracked(repo, source, destination) {
+        const from = normalizePath(source, 'git mv');
+        let to = normalizePath(destination, 'git mv');
+        if (repo.index[from] === undefined) throw gitError(`fatal: not under version control, source=${from}, destination=${to}`);
+        if (isDirectory(repo, to) && repo.workdir[to] === undefined) to = to ? `${to}/${from.split('/').pop()}` : from.split('/').pop();
+        if (repo.workdir[to] !== undefined) throw gitError(`fatal: destination exists, source=${from}, destination=${to}`);
+        if (!isDirectory(repo, parentDirectory(to))) throw gitError(`fatal: renaming '${from}' failed: No such file or directory`);
+
+        repo.index[to] = repo.index[from];
+        delete repo.index[from];
+        if (repo.workdir[from] !== undefined) {
+            repo.workdir[to] = repo.workdir[from];
+            delete repo.workdir[from];
+        }
+        keepDirectory(repo, parentDirectory(from));
+        pruneDirectories(repo);
+        return { from, to };
+    }
+
+    /** `git clean`: untracked files that would be (or, unless `dryRun`, are) deleted. */
+    function clean(repo, { dryRun = false, directories = false } = {}) {
+        const untracked = Object.keys(repo.workdir).filter(p => !(p in repo.index)).sort();
+        const removed = [];
+        untracked.forEach(p => {
+            const dir = p.split('/')[0];
+            const inUntrackedDir = p.includes('/') && !Object.keys(repo.index).some(t => t.startsWith(`${dir}/`));
+            if (inUntrackedDir && !directories) return;
+            const label = inUntrackedDir ? `${dir}/` : p;
+            if (!removed.includes(label)) removed.push(label);
+            if (!dryRun) delete repo.workdir[p];
+        });
+        if (directories && !dryRun) {
+            repo.directories.filter(d => !removed.includes(`${d}/`)).forEach(d => removed.push(`${d}/`));
+            repo.directories = [];
+        }
+        return removed;
+    }
+
+    // --------------- STASH ---------------
+
+    /** `git stash`: save tracked changes (staged and unstaged), then reset them to HEAD. */
+    function stashPush(repo, message) {
+        const head = headCommit(repo);
+        if (!head) throw gitError('You do not have the initial commit yet');
+        const conflicted = Object.keys(repo.unmerged).sort();
+        if (conflicted.length) {
+            throw gitError(`${conflicted.map(p => `${p}: needs merge`).join('\n')}\nerror: could not write index`);
+        }
+        const { staged, unstaged } = status(repo);
+        if (!staged.length && !unstaged.length) return null;
+
+        const base = headTree(repo);
+        const tracked = new Set([...Object.keys(base), ...Object.keys(repo.index)]);
+        const workdir = {};
+        tracked.forEach(p => { if (repo.workdir[p] !== undefined) workdir[p] = repo.workdir[p]; });
+
+        const branch = currentBranch(repo) || '(no branch)';
+        const subject = repo.commits[head].message.split('\n')[0];
+        const entry = {
+            base: head,
+            index: { ...repo.index },
+            workdir,
+            message: message ? `On ${branch}: ${message}` : `WIP on ${branch}: ${shortHash(head)} ${subject}`,
+        };
+        repo.stashes.unshift(entry);
+
+        tracked.forEach(p => {
+            if (base[p] === undefined) {
+                delete repo.index[p];
+                delete repo.workdir[p];
+            } else {
+                repo.index[p] = base[p];
+                repo.workdir[p] = base[p];
+            }
+        });
+        return entry;
+    }
+
+    function stashEntry(repo, ref = 'stash@{0}') {
+        const match = /^(?:stash@\{(\d+)\}|(\d+))$/.exec(ref);
+        const n = match ? parseInt(match[1] ?? match[2], 10) : -1;
+        if (!repo.stashes.length) throw gitError('No stash entries found.');
+        if (n < 0 || n >= repo.stashes.length) throw gitError(`error: ${ref} is not a valid reference`);
+        return n;
+    }
+
+    /** `git stash apply/pop`: merge a stash's working-tree changes into the current tree. */
+    function stashApply(repo, ref, { pop = false } = {}) {
+        const n = stashEntry(repo, ref);
+        const entry = repo.stashes[n];
+        const base = treeOf(repo, entry.base);
+        const current = trackedWorkdir(repo, { ...repo.index, ...headTree(repo) });
+        const result = mergeTrees(base, current, entry.workdir);
+        if (result.conflicts.length) {
+            throw gitError(`${result.conflicts.map(c => `CONFLICT (content): Merge conflict in ${c.path}`).join('\n')}\nThe stash entry is kept in case you need it again.`);
+        }
+
+        diffTrees(current, result.tree).forEach(({ path }) => {
+            if (result.tree[path] === undefined) delete repo.workdir[path];
+            else repo.workdir[path] = result.tree[path];
+        });
+        // Files the stash had newly added stay staged, as with real git
+        Object.keys(entry.index).filter(p => base[p] === undefined).forEach(p => {
+            if (repo.workdir[p] !== undefined) repo.index[p] = repo.workdir[p];
+        });
+
+        if (pop) repo.stashes.splice(n, 1);
+        return { index: n, entry };
+    }
+
+    function stashDrop(repo, ref) {
+        const n = stashEntry(repo, ref);
+        const [entry] = repo.stashes.splice(n, 1);
+        return { index: n, entry };
+    }
+
+    // --------------- REMOTES ---------------
+
+    /** `git remote add`: register a remote with an empty object store of its own. */
+    function addRemote(repo, name, url) {
+        if (repo.remotes[name]) throw gitError(`error: remote ${name} already exists.`);
+        if (!isValidRefName(name) || name.includes('/')) throw gitError(`fatal: '${name}' is not a valid remote name`);
+        repo.remotes[name] = { url, commits: {}, branches: {}, tags: {} };
+        return repo.remotes[name];
+    }
+
+    function getRemote(repo, name) {
+        const remote = repo.remotes[name];
+        if (!remote) {
+            throw gitError(`fatal: '${name}' does not appear to be a git repository\nfatal: Could not read from remote repository.\n\nPlease make sure you have the correct access rights\nand the repository exists.`);
+        }
+        return remote;
+    }
+
+    /** Remote-tracking refs (`origin/main`) stored for one remote. */
+    function trackingRefs(repo, name) {
+        return Object.keys(repo.remoteBranches).filter(ref => ref.startsWith(`${name}/`)).sort();
+    }
+
+    /** `git remote remove`: forget the remote, its tracking refs and any upstreams pointing at it. */
+    function removeRemote(repo, name) {
+        if (!repo.remotes[name]) throw gitError(`error: No such remote: '${name}'`);
+        delete repo.remotes[name];
+        trackingRefs(repo, name).forEach(ref => { delete repo.remoteBranches[ref]; });
+        Object.keys(repo.upstreams).forEach(b => { if (repo.upstreams[b].remote === name) delete repo.upstreams[b]; });
+    }
+
+    function renameRemote(repo, oldName, newName) {
+        if (!repo.remotes[oldName]) throw gitError(`error: No such remote: '${oldName}'`);
+        if (repo.remotes[newName]) throw gitError(`error: remote ${newName} already exists.`);
+        if (!isValidRefName(newName) || newName.includes('/')) throw gitError(`fatal: '${newName}' is not a valid remote name`);
+        repo.remotes[newName] = repo.remotes[oldName];
+        delete repo.remotes[oldName];
+        trackingRefs(repo, oldName).forEach(ref => {
+            repo.remoteBranches[`${newName}/${ref.slice(oldName.length + 1)}`] = repo.remoteBranches[ref];
+            delete repo.remoteBranches[ref];
+        });
+        Object.values(repo.upstreams).forEach(u => { if (u.remote === oldName) u.remote = newName; });
+    }
+
+    /** Copy every commit reachable from `tips` that `to` does not have yet. */
+    function copyCommits(from, to, tips) {
+        const stack = tips.filter(Boolean);
+        while (stack.length) {
+            const hash = stack.pop();
+            if (to[hash]) continue;
+            to[hash] = from[hash];
+            stack.push(...from[hash].parents);
+        }
+    }
+
+    function refUpdateType(repo, from, to) {
+        if (!from) return 'new';
+        if (from === to) return 'up-to-date';
+        return isAncestor(repo, from, to) ? 'fast-forward' : 'forced';
+    }
+
+    /**
+     * `git fetch`: copy the remote's new commits and move the remote-tracking refs.
+     * Local branches and the working tree are never touched. With `prune`, refs
+     * for branches deleted on the remote are removed too.
+     */
+    function fetch(repo, name = 'origin', { prune = false } = {}) {
+        const remote = getRemote(repo, name);
+        const updates = [];
+
+        Object.keys(remote.branches).sort().forEach(branch => {
+            const ref = `${name}/${branch}`;
+            const from = repo.remoteBranches[ref] || null;
+            const to = remote.branches[branch];
+            copyCommits(remote.commits, repo.commits, [to]);
+            const type = refUpdateType(repo, from, to);
+            if (type === 'up-to-date') return;
+            repo.remoteBranches[ref] = to;
+            updates.push({ name: branch, ref, from, to, type });
+        });
+        Object.keys(remote.tags).sort().forEach(tag => {
+            if (repo.tags[tag]) return;
+            copyCommits(remote.commits, repo.commits, [remote.tags[tag]]);
+            repo.tags[tag] = remote.tags[tag];
+            updates.push({ name: tag, ref: tag, from: null, to: remote.tags[tag], type: 'new-tag' });
+        });
+        if (prune) {
+            trackingRefs(repo, name).filter(ref => !remote.branches[ref.slice(name.length + 1)]).forEach(ref => {
+                updates.push({ name: ref.slice(name.length + 1), ref, from: repo.remoteBranches[ref], to: null, type: 'deleted' });
+                delete repo.remoteBranches[ref];
+            });
+        }
+        return { remote: name, url: remote.url, updates };
+    }
+
+    /** Work out `<src>:<dst>` for `git push`; a bare name pushes a branch (or tag) to the same name. */
+    function parsePushSpec(repo, spec) {
+        const force = spec.startsWith('+');
+        const [srcName, dstName] = spec.replace(/^\+/, '').split(':');
+        const src = srcName === 'HEAD' ? (currentBranch(repo) || 'HEAD') : srcName;
+        const isTag = !repo.branches[src] && !!repo.tags[src];
+        let hash = null;
+        try {
+            hash = repo.branches[src] || repo.tags[src] || resolveRevision(repo, src);
+        } catch (_) {
+            hash = null;
+        }
+        const dst = dstName || (src === 'HEAD' ? null : src);
+        return { src, dst, hash, isTag, force };
+    }
+
+    /**
+     * `git push`. Each ref is copied to the remote unless the remote has moved on:
+     * a tip we have never fetched is rejected as "fetch first", one we have but are
+     * not built on as "non-fast-forward". `force` overrides both; `lease` only
+     * forces over the tip we last fetched ("stale info" otherwise).
+     */
+    function push(repo, name, specs = [], { force = false, lease = false, setUpstream = false, tags = false, remove = false } = {}) {
+        const branch = currentBranch(repo);
+        const upstream = branch && repo.upstreams[branch];
+        const remoteName = name || (upstream ? upstream.remote : Object.keys(repo.remotes).includes('origin') ? 'origin' : null);
+        if (!remoteName) {
+            throw gitError('fatal: No configured push destination.\nEither specify the URL from the command-line or configure a remote repository using\n\n    git remote add <name> <url>\n\nand then push using the remote name\n\n    git push <name>');
+        }
+        const remote = getRemote(repo, remoteName);
+        const failed = message => gitError(`${message}\nerror: failed to push some refs to '${remote.url}'`);
+
+        let refspecs = [...specs];
+        if (!refspecs.length && !tags) {
+            if (!branch) {
+                throw gitError(`fatal: You are not currently on a branch.\nTo push the history leading to the current (detached HEAD)\nstate now, use\n\n    git push ${remoteName} HEAD:<name-of-remote-branch>`);
+            }
+            if (!upstream && !setUpstream) {
+                throw gitError(`fatal: The current branch ${branch} has no upstream branch.\nTo push the current branch and set the remote as upstream, use\n\n    git push --set-upstream ${remoteName} ${branch}`);
+            }
+            refspecs = [upstream && !setUpstream ? `${branch}:${upstream.branch}` : branch];
+        }
+
+        const results = [];
+        if (remove) {
+            refspecs.forEach(dst => {
+                if (!remote.branches[dst]) throw failed(`error: unable to delete '${dst}': remote ref does not exist`);
+                results.push({ src: null, dst, from: remote.branches[dst], to: null, type: 'deleted' });
+                delete remote.branches[dst];
+                delete repo.remoteBranches[`${remoteName}/${dst}`];
+            });
+            return { remote: remoteName, url: remote.url, results, rejected: false };
+        }
+
+        refspecs.forEach(spec => {
+            const { src, dst, hash, isTag, force: plus } = parsePushSpec(repo, spec);
+            if (!hash) throw failed(`error: src refspec ${src} does not match any`);
+            if (!dst) throw failed(`error: The destination you provided is not a full refname.\nDid you mean to push '${src}:refs/heads/${src}'?`);
+
+            const refs = isTag ? remote.tags : remote.branches;
+            const from = refs[dst] || null;
+            const tracking = `${remoteName}/${dst}`;
+            const result = { src, dst, from, to: hash, isTag, type: refUpdateType(repo, from, hash) };
+            results.push(result);
+
+            if (result.type === 'up-to-date') return;
+            if (from && isTag && !(force || plus)) result.reason = 'already exists';
+            else if (from && lease && from !== repo.remoteBranches[tracking]) result.reason = 'stale info';
+            else if (from && !(force || plus || lease) && !repo.commits[from]) result.reason = 'fetch first';
+            else if (result.type === 'forced' && !(force || plus || lease)) result.reason = 'non-fast-forward';
+            if (result.reason) {
+                result.type = 'rejected';
+                return;
+            }
+
+            copyCommits(repo.commits, remote.commits, [hash]);
+            refs[dst] = hash;
+            if (!isTag) repo.remoteBranches[tracking] = hash;
+            if (setUpstream && repo.branches[src]) repo.upstreams[src] = { remote: remoteName, branch: dst };
+        });
+
+        if (tags) {
+            Object.keys(repo.tags).sort().forEach(tag => {
+                const from = remote.tags[tag] || null;
+                const to = repo.tags[tag];
+                if (from === to) return;
+                const result = { src: tag, dst: tag, from, to, isTag: true, type: from ? 'rejected' : 'new' };
+                results.push(result);
+                if (from) {
+                    result.reason = 'already exists';
+                    return;
+                }
+                copyCommits(repo.commits, remote.commits, [to]);
+                remote.tags[tag] = to;
+            });
+        }
+        return { remote: remoteName, url: remote.url, results, rejected: results.some(r => r.type === 'rejected') };
+    }
+
+    /** Ahead/behind counts of a local branch against its upstream, or null when it has none. */
+    function trackingStatus(repo, branch = currentBranch(repo)) {
+        const config = branch && repo.upstreams[branch];
+        if (!config) return null;
+        const upstream = `${config.remote}/${config.branch}`;
+        const theirs = repo.remoteBranches[upstream];
+        if (!theirs) return { upstream, gone: true, ahead: 0, behind: 0 };
+
+        const mine = ancestors(repo, repo.branches[branch]);
+        const other = ancestors(repo, theirs);
+        return {
+            upstream,
+            gone: false,
+            ahead: [...mine].filter(h => !other.has(h)).length,
+            behind: [...other].filter(h => !mine.has(h)).length,
+        };
+    }
+
+    /** `git branch --set-upstream-to=<remote>/<branch>`; passing null unsets it. */
+    function setUpstream(repo, branch, ref) {
+        if (!branch || !repo.branches[branch]) throw gitError(`fatal: branch '${branch || 'HEAD'}' does not exist`);
+        if (ref === null) {
+            if (!repo.upstreams[branch]) throw gitError(`fatal: branch '${branch}' has no upstream information`);
+            delete repo.upstreams[branch];
+            return null;
+        }
+        const tracking = ref.replace(/^(?:refs\/)?remotes\//, '');
+        const slash = tracking.indexOf('/');
+        if (!repo.remoteBranches[tracking] || !repo.remotes[tracking.slice(0, slash)]) {
+            throw gitError(`fatal: the requested upstream branch '${ref}' does not exist`);
+        }
+        repo.upstreams[branch] = { remote: tracking.slice(0, slash), branch: tracking.slice(slash + 1) };
+        return tracking;
+    }
+
+    /** `git pull`: fetch, then merge (or with `rebase`, rebase onto) the upstream branch. */
+    function pull(repo, name, branchName, { rebase: useRebase = false, ff = 'auto' } = {}) {
+        const branch = currentBranch(repo);
+        const configured = branch && repo.upstreams[branch];
+        let source = configured;
+        if (branchName) source = { remote: name, branch: branchName };
+        else if (name && (!configured || configured.remote !== name)) {
+            getRemote(repo, name);
+            throw gitError(`You asked to pull from the remote '${name}', but did not specify\na branch. Because this is not the default configured remote\nfor your current branch, you must specify a branch on the command line.`);
+        }
+        if (!source) {
+            if (!branch) throw gitError('You are not currently on a branch.\nPlease specify which branch you want to merge with.\n\n    git pull <remote> <branch>');
+            throw gitError(`There is no tracking information for the current branch.\nPlease specify which branch you want to merge with.\n\n    git pull <remote> <branch>\n\nIf you wish to set tracking information for this branch you can do so with:\n\n    git branch --set-upstream-to=origin/<branch> ${branch}`);
+        }
+
+        // `git pull . <branch>` takes the branch from this repository, so there is nothing to fetch
+        if (source.remote === '.') {
+            if (!repo.branches[source.branch]) throw gitError(`fatal: couldn't find remote ref ${source.branch}`);
+            const result = useRebase
+                ? rebase(repo, source.branch, { action: 'pull --rebase' })
+                : merge(repo, source.branch, { ff, action: `pull . ${source.branch}` });
+            return { fetched: null, upstream: source.branch, rebase: useRebase, result };
+        }
+
+        const fetched = fetch(repo, source.remote);
+        const ref = `${source.remote}/${source.branch}`;
+        if (!repo.remoteBranches[ref]) throw gitError(`fatal: couldn't find remote ref ${source.branch}`);
+        const url = fetched.url.replace(/\.git$/, '');
+        const result = useRebase
+            ? rebase(repo, ref, { action: 'pull --rebase' })
+            : merge(repo, ref, { ff, message: `Merge branch '${source.branch}' of ${url}`, action: 'pull' });
+        return { fetched, upstream: ref, rebase: useRebase, result };
+    }
+
+    /**
+     * Record a commit directly on a remote branch, as if a teammate had pushed it.
+     * `files` maps paths to new content (null deletes); by default the teammate adds
+     * a line to CONTRIBUTORS.md.
+     */
+    function remoteCommit(repo, name, branch, { message, files, author = TEAMMATE_AUTHOR } = {}) {
+        const remote = getRemote(repo, name);
+        const parent = remote.branches[branch] || null;
+        const tree = { ...(parent ? remote.commits[parent].tree : {}) };
+        const changes = files || { 'CONTRIBUTORS.md': `${tree['CONTRIBUTORS.md'] || ''}- ${author.split(' <')[0]}: ${message}\n` };
+        Object.keys(changes).forEach(p => {
+            if (changes[p] === null) delete tree[p];
+            else tree[p] = changes[p];
+        });
+        const hash = writeCommit(repo, { tree, parents: parent ? [parent] : [], message, author }, remote.commits);
+        remote.branches[branch] = hash;
+        return { hash, remote: name, branch, message, author };
+    }
+
+    // --------------- SEEDING ---------------
+
+    /** Apply `{ path: content }` edits to a tree; a `null` content deletes the path. */
+    function applyFiles(tree, files = {}) {
+        const next = { ...tree };
+        Object.keys(files).forEach(p => {
+            if (files[p] === null) delete next[p];
+            else next[p] = files[p];
+        });
+        return next;
+    }
+
+    /**
+     * Build a repository from a declarative scenario setup (see frontend/data/git_scenarios.json).
+     * `commits` are listed oldest first; each lands on `branch` (default: the initial branch),
+     * creating it at `from` when it does not exist yet. A commit without `files` appends a line
+     * to CHANGELOG.md so history still has real content, and each one is written to the reflog.
+     * After `head` is checked out, `resetTo` hard-resets it and `deletedBranches` are force-deleted
+     * (mistakes for the learner to undo from the reflog). Then `files`
+     * and `staged` seed the working tree and index, `stashes` are pushed oldest first, and
+     * `inProgress` starts a merge, rebase or cherry-pick that may stop on conflicts.
+     * An `origin` remote is set up with the default branch published unless `remote` is
+     * `false`; otherwise `remote` can list other published `branches`, hold back the newest
+     * `unpushed` commits, add teammate `commits` the user has not fetched yet, and leave
+     * `stale` tracking refs whose branch was deleted on the remote.
+     */
+    function fromSetup(setup = {}) {
+        const branchName = setup.branch || DEFAULT_BRANCH;
+        const repo = createRepository({ branch: branchName });
+        if (setup.init === false) {
+            repo.initialized = false;
+            repo.workdir = applyFiles({}, setup.files);
+            return repo;
+        }
+
+        // The reflog reads as if the learner had made these commits, switching branches as they went
+        const commits = setup.commits || [{ message: 'Initial commit' }];
+        let onBranch = branchName;
+        commits.forEach(c => {
+            const target = c.branch || branchName;
+            if (!(target in repo.branches)) {
+                repo.branches[target] = c.from ? resolveRevision(repo, c.from) : (repo.branches[branchName] || null);
+                logRef(repo, target, repo.branches[target], `branch: Created from ${c.from || branchName}`);
+            }
+            const parent = repo.branches[target];
+            if (target !== onBranch && parent) {
+                logRef(repo, 'HEAD', parent, `checkout: moving from ${onBranch} to ${target}`);
+                onBranch = target;
+            }
+            const tree = treeOf(repo, parent);
+            const files = c.files || (parent
+                ? { 'CHANGELOG.md': `${tree['CHANGELOG.md'] || ''}- ${c.message}\n` }
+                : { 'README.md': '# Project\n' });
+            const hash = writeCommit(repo, {
+                tree: applyFiles(tree, files),
+                parents: parent ? [parent] : [],
+                message: c.message,
+                author: c.author,
+            });
+            repo.branches[target] = hash;
+            onBranch = target;
+            const entry = `${parent ? 'commit' : 'commit (initial)'}: ${subjectOf(repo, hash)}`;
+            logRef(repo, 'HEAD', hash, entry);
+            logRef(repo, target, hash, entry);
+        });
+        Object.keys(repo.branches).forEach(name => { if (!repo.branches[name]) delete repo.branches[name]; });
+        const tip = repo.branches[branchName];
+        if (onBranch !== branchName) logRef(repo, 'HEAD', tip, `checkout: moving from ${onBranch} to ${branchName}`);
+        (setup.branches || []).forEach(name => {
+            if (!tip || repo.branches[name]) return;
+            repo.branches[name] = tip;
+            logRef(repo, name, tip, `branch: Created from ${branchName}`);
+        });
+        Object.keys(setup.tags || {}).forEach(name => { repo.tags[name] = resolveRevision(repo, setup.tags[name]); });
+
+        const remoteState = setup.remote === false ? null : setup.remote || {};
+        if (remoteState) {
+            const origin = addRemote(repo, 'origin', remoteState.url || DEFAULT_REMOTE_URL);
+            const published = remoteState.branches || [repo.branches[DEFAULT_BRANCH] ? DEFAULT_BRANCH : branchName];
+            published.forEach(name => {
+                const local = repo.branches[name];
+                if (!local) return;
+                const pushed = name === branchName && remoteState.unpushed
+                    ? resolveRevision(repo, `${local}~${remoteState.unpushed}`)
+                    : local;
+                copyCommits(repo.commits, origin.commits, [pushed]);
+                origin.branches[name] = pushed;
+                repo.remoteBranches[`origin/${name}`] = pushed;
+                repo.upstreams[name] = { remote: 'origin', branch: name };
+            });
+            (remoteState.stale || []).forEach(name => { repo.remoteBranches[`origin/${name}`] = tip; });
+            (remoteState.commits || []).forEach(c => {
+                remoteCommit(repo, 'origin', c.branch || published[0], { message: c.message, files: c.files, author: c.author });
+            });
+        }
+
+        repo.index = { ...headTree(repo) };
+        repo.workdir = { ...repo.index };
+        if (setup.head && setup.head !== branchName) checkout(repo, setup.head, { detach: !repo.branches[setup.head] });
+        if (setup.resetTo) reset(repo, setup.resetTo, 'hard');
+        (setup.deletedBranches || []).forEach(name => deleteBranch(repo, name, { force: true }));
+
+        (setup.stashes || []).forEach(s => {
+            repo.workdir = applyFiles(repo.workdir, s.files);
+            stashPush(repo, s.message);
+        });
+        repo.index = applyFiles(repo.index, setup.staged);
+        repo.workdir = applyFiles(applyFiles(repo.workdir, setup.staged), setup.files);
+
+        const op = setup.inProgress;
+        if (op && op.merge) merge(repo, op.merge);
+        else if (op && op.rebase) rebase(repo, op.rebase);
+        else if (op && op.cherryPick) cherryPick(repo, [op.cherryPick]);
+        return repo;
+    }
+
+    return {
+        DEFAULT_BRANCH,
+        createRepository,
+        cloneRepository,
+        fromSetup,
+        shortHash,
+        headCommit,
+        currentBranch,
+        headTree,
+        resolveRevision,
+        isAncestor,
+        mergeBase,
+        log,
+        decorations,
+        diffTrees,
+        diffLines,
+        diff,
+        commitDiff,
+        reflog,
+        status,
+        listDirectory,
+        readFile,
+        writeFile,
+        touchFile,
+        makeDirectory,
+        removePath,
+        addPaths,
+        restorePaths,
+        commit,
+        setConfig,
+        getConfig,
+        unsetConfig,
+        listConfig,
+        createBranch,
+        deleteBranch,
+        renameBranch,
+        createTag,
+        deleteTag,
+        checkout,
+        reset,
+        resetPaths,
+        removeTracked,
+        moveTracked,
+        clean,
+        stashPush,
+        stashApply,
+        stashDrop,
+        checkoutConflictSide,
+        addRemote,
+        removeRemote,
+        renameRemote,
+        fetch,
+        push,
+        pull,
+        trackingStatus,
+        setUpstream,
+        remoteCommit,
+        merge,
+        rebaseTodo,
+        rebase,
+        cherryPick,
+        revert,
+        continueOperation,
+        skipOperation,
+        abortOperation,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GitEngine = GitEngine;
+}
@@ -0,0 +1,234 @@
+// ============================================================
+// Git Playground — Commit Graph
+// Draws a GitEngine repository as an SVG commit graph: one row per
+// commit (newest on top), one lane per line of history, and ref
+// labels for HEAD, branches, remote-tracking refs and tags.
+// Elements are keyed by commit hash / ref name and reused between
+// renders, so a command's effect animates instead of redrawing.
+// ============================================================
+
+const GitGraph = (() => {
+    // --------------- CONSTANTS ---------------
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const ROW_HEIGHT = 34;
+    const LANE_WIDTH = 20;
+    const PADDING = 16;
+    const NODE_RADIUS = 6;
+    const LANE_COLORS = 6; // .lane-0 ... .lane-5 in git-playground.css
+    const CHAR_WIDTH = 6.6; // Fira Code at 11px; labels are sized without measuring text
+    const LABEL_GAP = 6;
+    const EXIT_MS = 350;
+    const STAGGER_MS = 120; // delay between commits that appear in the same render (e.g. a rebase replaying them)
+
+    // --------------- LAYOUT ---------------
+
+    /**
+     * Work out rows, lanes, edges and ref labels for everything reachable from HEAD,
+     * branches, remote-tracking refs and tags. Pure: takes a repository, returns plain data.
+     */
+    function layout(repo) {
+        const head = GitEngine.headCommit(repo);
+        const commits = GitEngine.log(repo, { revs: head ? ['HEAD'] : [], all: true });
+
+        // Children are always newer than their parents, so newest-first is a topological order
+        const lanes = []; // lane -> hash of the commit expected next in that lane
+        const nodes = commits.map((c, row) => {
+            let lane = lanes.indexOf(c.hash);
+            if (lane === -1) {
+                lane = lanes.indexOf(null);
+                if (lane === -1) lane = lanes.length;
+            }
+            // Other lanes waiting for this commit end here
+            lanes.forEach((h, i) => { if (h === c.hash) lanes[i] = null; });
+            lanes[lane] = c.parents[0] || null;
+            c.parents.slice(1).forEach(p => {
+                if (lanes.includes(p)) return;
+                const free = lanes.indexOf(null);
+                if (free === -1) lanes.push(p);
+                else lanes[free] = p;
+            });
+            while (lanes.length && lanes[lanes.length - 1] === null) lanes.pop();
+            return { hash: c.hash, message: c.message.split('\n')[0], parents: c.parents, row, lane };
+        });
+
+        const byHash = {};
+        nodes.forEach(n => { byHash[n.hash] = n; });
+        const edges = [];
+        nodes.forEach(n => n.parents.forEach(p => {
+            if (byHash[p]) edges.push({ from: n.hash, to: p, lane: Math.max(n.lane, byHash[p].lane) }); // colored like the side line
+        }));
+
+        const branch = GitEngine.currentBranch(repo);
+        const refs = [];
+        if (head) refs.push({ name: 'HEAD', text: repo.head.detached ? 'HEAD' : `HEAD → ${branch}`, kind: 'head', hash: head });
+        Object.keys(repo.branches).sort().forEach(name => {
+            if (name !== branch || repo.head.detached) refs.push({ name: `refs/heads/${name}`, text: name, kind: 'branch', hash: repo.branches[name] });
+        });
+        Object.keys(repo.remoteBranches).sort().forEach(name => {
+            refs.push({ name: `refs/remotes/${name}`, text: name, kind: 'remote', hash: repo.remoteBranches[name] });
+        });
+        Object.keys(repo.tags).sort().forEach(name => {
+            refs.push({ name: `refs/tags/${name}`, text: name, kind: 'tag', hash: repo.tags[name] });
+        });
+
+        const laneCount = Math.max(1, ...nodes.map(n => n.lane + 1));
+        return { nodes, edges, refs: refs.filter(r => byHash[r.hash]), laneCount, head };
+    }
+
+    // --------------- GEOMETRY ---------------
+
+    const laneX = lane => PADDING + lane * LANE_WIDTH;
+    const rowY = row => PADDING + row * ROW_HEIGHT;
+    const labelWidth = text => Math.round(text.length * CHAR_WIDTH + 12);
+
+    /** Branch-offs bend just above the parent; merges bend just below the child, like `git log --graph`. */
+    function edgePath(child, parent) {
+        const x1 = laneX(child.lane), y1 = rowY(child.row);
+        const x2 = laneX(parent.lane), y2 = rowY(parent.row);
+        const half = ROW_HEIGHT / 2;
+        if (x1 === x2) return `M${x1} ${y1} L${x2} ${y2}`;
+        if (x1 > x2) return `M${x1} ${y1} L${x1} ${y2 - ROW_HEIGHT} C${x1} ${y2 - half} ${x2} ${y2 - half} ${x2} ${y2}`;
+        return `M${x1} ${y1} C${x1} ${y1 + half} ${x2} ${y1 + half} ${x2} ${y1 + ROW_HEIGHT} L${x2} ${y2}`;
+    }
+
+    // --------------- RENDERING ---------------
+
+    function svgElement(tag, attrs = {}) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+        return el;
+    }
+
+    function place(el, x, y) {
+        el.style.transform = `translate(${x}px, ${y}px)`;
+    }
+
+    /**
+     * Bind a renderer to an `<svg>` element. `render(repo, { animate })` redraws it;
+     * with `animate: false` (loading a scenario, resetting) nothing fades or slides.
+     */
+    function create(svg) {
+        const layers = {
+            edges: svg.appendChild(svgElement('g', { class: 'graph-edges' })),
+            nodes: svg.appendChild(svgElement('g', { class: 'graph-nodes' })),
+            refs: svg.appendChild(svgElement('g', { class: 'graph-refs' })),
+        };
+        const empty = svg.appendChild(svgElement('text', { class: 'graph-empty', x: PADDING, y: PADDING + 4 }));
+        const live = { edges: new Map(), nodes: new Map(), refs: new Map() };
+
+        /** Reuse the element for `key`, create it with `build`, and return it with whether it is new. */
+        function keep(kind, key, build, seen) {
+            seen.add(key);
+            let el = live[kind].get(key);
+            const isNew = !el;
+            if (isNew) {
+                el = build();
+                live[kind].set(key, el);
+                layers[kind].appendChild(el);
+            }
+            el.classList.remove('graph-exit');
+            return { el, isNew };
+        }
+
+        function sweep(kind, seen, animate) {
+            live[kind].forEach((el, key) => {
+                if (seen.has(key)) return;
+                live[kind].delete(key);
+                if (!animate) { el.remove(); return; }
+                el.classList.add('graph-exit');
+                setTimeout(() => el.remove(), EXIT_MS);
+            });
+        }
+
+        function render(repo, { animate = true } = {}) {
+            const seen = { edges: new Set(), nodes: new Set(), refs: new Set() };
+            svg.classList.toggle('graph-static', !animate);
+
+            if (!repo || repo.initialized === false) {
+                empty.textContent = 'Not a git repository yet. Run git init.';
+                ['edges', 'nodes', 'refs'].forEach(kind => sweep(kind, seen[kind], false));
+                svg.setAttribute('width', 260);
+                svg.setAttribute('height', 40);
+                return;
+            }
+
+            const graph = layout(repo);
+            empty.textContent = graph.nodes.length ? '' : 'No commits yet.';
+            const byHash = {};
+            graph.nodes.forEach(n => { byHash[n.hash] = n; });
+            const labelX = laneX(graph.laneCount - 1) + LANE_WIDTH;
+
+            graph.edges.forEach(e => {
+                const child = byHash[e.from], parent = byHash[e.to];
+                const { el } = keep('edges', `${e.from}-${e.to}`, () => svgElement('path', { class: 'graph-edge' }), seen.edges);
+                el.setAttribute('d', edgePath(child, parent));
+                el.setAttribute('class', `graph-edge lane-${e.lane % LANE_COLORS}`);
+            });
+
+            // Refs are laid out per commit first, so each row knows where its message starts
+            const refX = {};
+            const refsByHash = {};
+            graph.refs.forEach(r => {
+                const x = refX[r.hash] || labelX;
+                refX[r.hash] = x + labelWidth(r.text) + LABEL_GAP;
+                (refsByHash[r.hash] = refsByHash[r.hash] || []).push({ ...r, x });
+            });
+
+            // New commits appear oldest first, so a rebase visibly replays them one by one
+            let entering = 0;
+            [...graph.nodes].reverse().forEach(n => {
+                const { el, isNew } = keep('nodes', n.hash, () => {
+                    const g = svgElement('g', { class: 'graph-commit' });
+                    g.appendChild(svgElement('circle', { r: NODE_RADIUS }));
+                    g.appendChild(svgElement('text', { class: 'graph-hash', y: 4 }));
+                    g.appendChild(svgElement('title'));
+                    return g;
+                }, seen.nodes);
+                const x = laneX(n.lane), y = rowY(n.row);
+                el.setAttribute('class', `graph-commit lane-${n.lane % LANE_COLORS}${n.hash === graph.head ? ' is-head' : ''}`);
+                el.querySelector('title').textContent = `${GitEngine.shortHash(n.hash)} ${n.message}`;
+                const text = el.querySelector('.graph-hash');
+                text.setAttribute('x', (refX[n.hash] || labelX) - x);
+                text.textContent = `${GitEngine.shortHash(n.hash)} ${n.message}`;
+                place(el, x, y);
+                if (isNew && animate) {
+                    el.classList.add('graph-enter');
+                    el.style.animationDelay = `${entering * STAGGER_MS}ms`;
+                    entering += 1;
+                }
+            });
+
+            graph.refs.forEach(r => {
+                const { x } = refsByHash[r.hash].find(l => l.name === r.name);
+                const { el, isNew } = keep('refs', r.name, () => {
+                    const g = svgElement('g');
+                    g.appendChild(svgElement('rect', { y: -9, height: 18, rx: 9 }));
+                    g.appendChild(svgElement('text', { x: 6, y: 4 }));
+                    return g;
+                }, seen.refs);
+                el.setAttribute('class', `graph-ref graph-ref-${r.kind}`);
+                el.querySelector('rect').setAttribute('width', labelWidth(r.text));
+                el.querySelector('text').textContent = r.text;
+                place(el, x, rowY(byHash[r.hash].row));
+                if (isNew && animate) el.classList.add('graph-enter');
+            });
+
+            ['edges', 'nodes', 'refs'].forEach(kind => sweep(kind, seen[kind], animate));
+
+            const widest = Math.max(0, ...graph.nodes.map(n => (refX[n.hash] || labelX) + (GitEngine.shortHash(n.hash).length + 1 + n.message.length) * CHAR_WIDTH));
+            svg.setAttribute('width', Math.ceil(Math.max(260, widest + PADDING)));
+            svg.setAttribute('height', Math.max(40, rowY(graph.nodes.length - 1) + PADDING));
+        }
+
+        return { render };
+    }
+
+    return {
+        layout,
+        create,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GitGraph = GitGraph;
+}
@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const commandInput = document.getElementById('command-input');
     const sendBtn = document.getElementById('send-btn');
     const terminalWindow = document.querySelector('.terminal-window');
+    const terminalAssist = document.getElementById('terminal-assist');
 
     // Scenarios UI
     const scenariosView = document.getElementById('scenarios-view');
@@ -32,19 +33,47 @@ document.addEventListener('DOMContentLoaded', () => {
     const replayReadonlyOverlay = document.getElementById('replay-readonly-overlay');
     const terminalInputArea = document.getElementById('terminal-input-area');
 
+    // Commit Graph UI
+    const terminalSection = document.querySelector('.terminal-section');
+    const graphToggleBtn = document.getElementById('graph-toggle-btn');
+    const commitGraphSvg = document.getElementById('commit-graph');
+
+    // Files waiting in the free-play working tree, so `git add .` has something to stage
+    const STARTER_FILES = {
+        'index.html': '<!DOCTYPE html>\n<html>\n  <body>\n    <h1>Hello, Compass!</h1>\n    <script src="app.js"></script>\n  </body>\n</html>\n',
+        'app.js': "console.log('Hello from the playground');\n",
+        'style.css': 'body {\n  font-family: sans-serif;\n}\n'
+    };
+
+    // Scenario hints come as a nudge then the command; the full answer is the last tier
+    const HINT_TIER_LABELS = ['Nudge', 'Command'];
+    const AUTO_HINT_AFTER = 3; // failed commands in a row before the next hint shows itself
+
+    function createDefaultRepo() {
+        return GitEngine.fromSetup({ files: STARTER_FILES });
+    }
+
     // --- State ---
     const state = {
         history: [],
         currentDir: '~/projects',
-        currentBranch: 'main',
-        branches: ['main'],
-        staged: [],
+        repo: createDefaultRepo(), // GitEngine repository: commits, refs, HEAD, index, working tree
         commandDelay: 300,
-        commits: [
-            { hash: '8f23a1', msg: 'Initial commit', author: 'User', date: new Date().toDateString() }
-        ],
         activeScenario: null, // { id, ... }
-        completedScenarios: []
+        scenarioSolved: false, // goals already met, so the success box isn't repeated
+        hintsShown: 0, // hints revealed for the active scenario; the solution comes after the last one
+        attempt: null, // { startedAt, wrongCommands, failStreak, answerShown } for the active scenario
+        remoteEvents: [], // scripted teammate pushes still waiting for their trigger
+        completedScenarios: [],
+        editorOpen: false,
+        pendingCommands: [] // rest of an `&&` chain, waiting for the editor to close
+    };
+
+    // --- Input State (history recall, Ctrl+R search) ---
+    const inputState = {
+        cursor: null, // index into state.history while browsing with the arrow keys
+        draft: '', // what was typed before browsing or searching started
+        search: null // { query, index } during a Ctrl+R reverse search
     };
 
     // --- Replay Mode State ---
@@ -56,8 +85,15 @@ document.addEventListener('DOMContentLoaded', () => {
         savedState: null        // Full state backup before entering replay
     };
 
-    // Load available scenarios from global or safe fallback
-    const allScenarios = window.gitScenarios || [];
+    // Filled from data/git_scenarios.json once the loader has validated it
+    let allScenarios = [];
+
+    const commitGraph = commitGraphSvg ? GitGraph.create(commitGraphSvg) : null;
+
+    /** Redraw the commit graph panel; replay passes the repository of the step it shows. */
+    function renderGraph(repo = state.repo, options) {
+        if (commitGraph) commitGraph.render(repo, options);
+    }
 
     // Restore completed scenarios from badge engine
     const savedCompletedIds = (window.GitBadgeEngine) ? GitBadgeEngine.getCompletedScenarios() : [];
@@ -79,10 +115,16 @@ document.addEventListener('DOMContentLoaded', () => {
         const div = document.createElement('div');
         div.className = 'command-line';
         div.style.marginBottom = '0.5rem';
-        const promptBranch = state.currentBranch ? ` (<span style="color: #d2a8ff;">${state.currentBranch}</span>)` : '';
+        const op = state.repo.operation;
+        const rebasing = op && op.type === 'rebase' && op.branch;
+        const headLabel = rebasing ? op.branch : state.repo.head.detached ? `(${GitEngine.shortHash(state.repo.head.detached)}...)`
+            : state.repo.initialized === false ? '' : GitEngine.currentBranch(state.repo);
+        const opLabel = !op ? '' : op.type === 'merge' ? '|MERGING' : op.type === 'rebase' ? `|REBASE ${op.done.length}/${op.done.length + op.todo.length}`
+            : op.type === 'revert' ? '|REVERTING' : '|CHERRY-PICKING';
+        const promptBranch = headLabel ? ` (<span style="color: #d2a8ff;">${headLabel}${opLabel}</span>)` : '';
         div.innerHTML = `
             <span style="color: var(--primary-gold);">user@compass</span>:<span style="color: #58a6ff;">${state.currentDir}</span>${promptBranch}$ 
-            <span style="color: #e6edf3;">${cmd}</span>
+            <span style="color: #e6edf3;">${escapeHtml(cmd)}</span>
         `;
         terminalOutput.appendChild(div);
     }
@@ -101,6 +143,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     <i class="fas fa-flag"></i> <strong>Goal:</strong> ${state.activeScenario.description}
                 </div>
                 <div class="scenario-banner-actions">
+                    <button id="hint-scenario-btn" title="Reveal the next hint">Hint</button>
                     <button id="quit-scenario-btn" title="Quit Scenario">Quit</button>
                 </div>
             `;
@@ -108,271 +151,1598 @@ document.addEventListener('DOMContentLoaded', () => {
             const terminalBar = terminalWindow.querySelector('.terminal-bar');
             terminalBar.after(banner);
 
+            document.getElementById('hint-scenario-btn').addEventListener('click', () => {
+                showHint();
+                commandInput.focus();
+            });
             document.getElementById('quit-scenario-btn').addEventListener('click', quitScenario);
         }
     }
 
-    function simulateGitCommand(cmd) {
-        setTimeout(() => {
-            const trimmed = cmd.trim();
-            const args = trimmed.split(/\s+/);
-            const mainCmd = args[0];
-            const subCmd = args[1];
-
-            // 1. Handle Non-Git Core Commands
-            if (trimmed === 'help') {
-                addOutput(`
-                    <div style="color: #8b949e">Available Commands:</div>
-                    <div style="padding-left: 1rem; color: var(--primary-gold); display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
-                        <div>git init</div>
-                        <div>git clone [url]</div>
-                        <div>git status</div>
-                        <div>git add [file]</div>
-                        <div>git commit -m "msg"</div>
-                        <div>git push</div>
-                        <div>git pull</div>
-                        <div>git branch [name]</div>
-                        <div>git checkout [branch]</div>
-                        <div>git merge [branch]</div>
-                        <div>git log</div>
-                        <div>git diff</div>
-                        <div>git remote -v</div>
-                        <div>git stash</div>
-                        <div>git reset</div>
-                        <div>clear</div>
-                    </div>
-                `);
+    /**
+     * Render plain git output (newlines, tabs, aligned columns) as terminal HTML.
+     */
+    function formatText(text) {
+        return escapeHtml(text)
+            .replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;')
+            .replace(/^ /gm, '&nbsp;')
+            .replace(/ {2}/g, ' &nbsp;')
+            .replace(/\n/g, '<br>');
+    }
+
+    function colorize(text, color) {
+        return `<span style="color: ${color}">${formatText(text)}</span>`;
+    }
+
+    function plural(n, word) {
+        return `${n} ${word}${n === 1 ? '' : 's'}`;
+    }
+
+    /** " 2 files changed, 3 insertions(+)" line for a list of changes carrying line counts. */
+    function formatStatSummary(changes) {
+        const insertions = changes.reduce((n, c) => n + (c.insertions || 0), 0);
+        const deletions = changes.reduce((n, c) => n + (c.deletions || 0), 0);
+        let summary = ` ${plural(changes.length, 'file')} changed`;
+        if (insertions || !deletions) summary += `, ${plural(insertions, 'insertion')}(+)`;
+        if (deletions || !insertions) summary += `, ${plural(deletions, 'deletion')}(-)`;
+        return summary;
+    }
+
+    /** Summary line plus the create/delete mode lines git prints after a commit. */
+    function formatChangeSummary(changes) {
+        if (!changes.length) return '';
+        const lines = [formatStatSummary(changes)];
+        changes.forEach(c => {
+            if (c.status === 'A') lines.push(` create mode 100644 ${c.path}`);
+            if (c.status === 'D') lines.push(` delete mode 100644 ${c.path}`);
+        });
+        return lines.join('\n');
+    }
+
+    /** Per-file `path | 3 ++-` lines followed by the summary, as printed by merges and `--stat`. */
+    function formatDiffStat(changes) {
+        if (!changes.length) return '';
+        const width = Math.max(...changes.map(c => c.path.length));
+        const lines = changes.map(c => {
+            const total = (c.insertions || 0) + (c.deletions || 0);
+            return ` ${c.path.padEnd(width)} | ${total} ${'+'.repeat(c.insertions || 0)}${'-'.repeat(c.deletions || 0)}`;
+        });
+        return [...lines, formatChangeSummary(changes)].join('\n');
+    }
+
+    /** Colored unified diff for the file entries returned by `GitEngine.diff`. */
+    function formatPatch(fileDiffs) {
+        const bold = text => `<strong>${formatText(text)}</strong>`;
+        return fileDiffs.map(f => {
+            const lines = [bold(`diff --git a/${f.path} b/${f.path}`)];
+            if (f.status === 'A') lines.push(bold('new file mode 100644'));
+            if (f.status === 'D') lines.push(bold('deleted file mode 100644'));
+            const oldId = GitEngine.shortHash(f.oldId) || '0000000';
+            const newId = GitEngine.shortHash(f.newId) || '0000000';
+            lines.push(bold(`index ${oldId}..${newId}${f.status === 'M' ? ' 100644' : ''}`));
+            lines.push(bold(f.status === 'A' ? '--- /dev/null' : `--- a/${f.path}`));
+            lines.push(bold(f.status === 'D' ? '+++ /dev/null' : `+++ b/${f.path}`));
+
+            f.hunks.forEach(h => {
+                const oldRange = h.oldLines === 1 ? `${h.oldStart}` : `${h.oldStart},${h.oldLines}`;
+                const newRange = h.newLines === 1 ? `${h.newStart}` : `${h.newStart},${h.newLines}`;
+                lines.push(colorize(`@@ -${oldRange} +${newRange} @@`, '#79c0ff'));
+                h.lines.forEach(l => {
+                    if (l.type === '+') lines.push(colorize(`+${l.line}`, '#3fb950'));
+                    else if (l.type === '-') lines.push(colorize(`-${l.line}`, '#f85149'));
+                    else lines.push(formatText(` ${l.line}`));
+                });
+            });
+            if (f.noNewlineOld || f.noNewlineNew) lines.push(formatText('\\ No newline at end of file'));
+            return lines.join('<br>');
+        }).join('<br>');
+    }
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toString().replace(/ GMT.*$/, '');
+    }
+
+    function formatDecorations(labels) {
+        if (!labels || !labels.length) return '';
+        const parts = labels.map(l => {
+            if (l.startsWith('HEAD')) return colorize(l, '#58a6ff');
+            if (l.startsWith('tag:')) return colorize(l, '#e3b341');
+            if (state.repo.remoteBranches[l]) return colorize(l, '#f85149');
+            return colorize(l, '#3fb950');
+        });
+        return ` <span style="color: #e3b341">(</span>${parts.join('<span style="color: #e3b341">, </span>')}<span style="color: #e3b341">)</span>`;
+    }
+
+    function formatCommitHeader(commit, labels) {
+        let html = `<span style="color: #d2a8ff;">commit ${commit.hash}</span>${formatDecorations(labels)}<br>`;
+        if (commit.parents.length > 1) {
+            html += `Merge: ${commit.parents.map(GitEngine.shortHash).join(' ')}<br>`;
+        }
+        html += `Author: ${escapeHtml(commit.author)}<br>Date:&nbsp;&nbsp; ${formatDate(commit.timestamp)}<br><br>`;
+        html += commit.message.split('\n').map(line => `&nbsp;&nbsp;&nbsp;&nbsp;${escapeHtml(line)}`).join('<br>');
+        return html;
+    }
+
+    const MESSAGE_FLAG = /^-(a?)m(.*)$/; // -m, -am, and -m"text" which the shell joins into one word
+    const MESSAGE_COMMANDS = ['commit', 'merge', 'stash', 'tag']; // `-m` means "message" only for these (`branch -m` renames)
+
+    /** Call `found(message, index, wordCount, keepAll)` for each `-m` / `--message` option in `words`. */
+    function eachMessageFlag(words, found) {
+        for (let i = 0; i < words.length; i++) {
+            const match = MESSAGE_FLAG.exec(words[i]);
+            if (words[i].startsWith('--message=')) {
+                found(words[i].slice('--message='.length), i, 1, false);
+            } else if (words[i] === '--message' || (match && !match[2])) {
+                found(words[i + 1] ?? '', i, 2, !!(match && match[1]));
+                i += 1;
+            } else if (match) {
+                found(match[2], i, 1, !!match[1]);
+            }
+        }
+    }
+
+    /** The commit message given with `-m`, or null. Several `-m` become separate paragraphs, as in git. */
+    function parseMessageFlag(words) {
+        const messages = [];
+        eachMessageFlag(words, message => messages.push(message));
+        return messages.length ? messages.join('\n\n') : null;
+    }
+
+    /** `words` without their `-m <message>` options (`-am` keeps its `-a`), so messages never leak into operands. */
+    function withoutMessage(words) {
+        const kept = [...words];
+        const found = [];
+        eachMessageFlag(words, (message, i, count, all) => found.push({ i, count, all }));
+        found.reverse().forEach(({ i, count, all }) => kept.splice(i, count, ...(all ? ['-a'] : [])));
+        return kept;
+    }
+
+    /** Split `git <cmd>` arguments into flags and positional operands (everything after `--` is a path). */
+    function splitArgs(args) {
+        const dashDash = args.indexOf('--');
+        const before = dashDash === -1 ? args : args.slice(0, dashDash);
+        return {
+            flags: before.filter(a => a.startsWith('-')),
+            operands: before.filter(a => !a.startsWith('-')),
+            paths: dashDash === -1 ? [] : args.slice(dashDash + 1)
+        };
+    }
+
+    function isRevision(rev) {
+        try {
+            GitEngine.resolveRevision(state.repo, rev);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    function formatStatusLine(change) {
+        const label = { A: 'new file:   ', M: 'modified:   ', D: 'deleted:    ' }[change.status];
+        return `\t${label}${change.path}`;
+    }
+
+    const UNMERGED_CODES = { 'both modified': 'UU', 'both added': 'AA', 'deleted by us': 'DU', 'deleted by them': 'UD' };
+
+    /** `Auto-merging` / `CONFLICT` lines for a merge result, in path order as git prints them. */
+    function formatConflicts(result, theirsLabel) {
+        const entries = result.autoMerged.map(p => ({ path: p, lines: [`Auto-merging ${p}`] }));
+        result.conflicts.forEach(c => {
+            let lines;
+            if (c.kind === 'deleted by us' || c.kind === 'deleted by them') {
+                const [deleted, modified] = c.kind === 'deleted by us' ? ['HEAD', theirsLabel] : [theirsLabel, 'HEAD'];
+                lines = [`CONFLICT (modify/delete): ${c.path} deleted in ${deleted} and modified in ${modified}. Version ${modified} of ${c.path} left in tree.`];
+            } else {
+                lines = [`Auto-merging ${c.path}`, `CONFLICT (${c.kind === 'both added' ? 'add/add' : 'content'}): Merge conflict in ${c.path}`];
+            }
+            entries.push({ path: c.path, lines });
+        });
+        return entries.sort((x, y) => x.path.localeCompare(y.path)).flatMap(e => e.lines).join('\n');
+    }
+
+    /** The "what is in progress" block `git status` prints while a merge, rebase, cherry-pick or revert is stopped. */
+    function formatOperationStatus(op, resolved) {
+        if (op.type === 'merge') {
+            return resolved
+                ? 'All conflicts fixed but you are still merging.\n  (use "git commit" to conclude merge)'
+                : 'You have unmerged paths.\n  (fix conflicts and run "git commit")\n  (use "git merge --abort" to abort the merge)';
+        }
+        if (op.type === 'rebase') {
+            const target = op.branch ? `branch '${op.branch}'` : 'detached HEAD';
+            const next = resolved ? '  (all conflicts fixed: run "git rebase --continue")' : '  (fix conflicts and then run "git rebase --continue")\n  (use "git rebase --skip" to skip this patch)';
+            return `You are currently rebasing ${target} on '${GitEngine.shortHash(op.onto)}'.\n${next}\n  (use "git rebase --abort" to check out the original branch)`;
+        }
+        const type = op.type;
+        const doing = type === 'revert' ? 'reverting' : 'cherry-picking';
+        const next = resolved ? `  (all conflicts fixed: run "git ${type} --continue")` : `  (fix conflicts and run "git ${type} --continue")`;
+        return `You are currently ${doing} commit ${GitEngine.shortHash(op.current || op.done[op.done.length - 1].hash)}.\n${next}\n  (use "git ${type} --skip" to skip this patch)\n  (use "git ${type} --abort" to cancel the ${type} operation)`;
+    }
+
+    function reportCommit(result) {
+        const where = result.branch ? result.branch : 'detached HEAD';
+        const root = result.root ? ' (root-commit)' : '';
+        const subject = state.repo.commits[result.hash].message.split('\n')[0];
+        addOutput(formatText([`[${where}${root} ${GitEngine.shortHash(result.hash)}] ${subject}`, formatChangeSummary(result.changes)].filter(Boolean).join('\n')), 'success');
+    }
+
+    /** Print a `git merge` result (also used by `git pull`); returns false when it stopped on a conflict. */
+    function reportMerge(result, before, label) {
+        if (result.type === 'up-to-date') {
+            addOutput(`Already up to date.`, 'info');
+        } else if (result.type === 'fast-forward') {
+            const range = `${GitEngine.shortHash(before)}..${GitEngine.shortHash(result.to)}`;
+            addOutput(formatText([`Updating ${range}`, 'Fast-forward', formatDiffStat(result.changes)].filter(Boolean).join('\n')), 'success');
+        } else if (result.type === 'conflict') {
+            addOutput(formatText(`${formatConflicts(result, label)}\nAutomatic merge failed; fix conflicts and then commit the result.`), 'error');
+            return false;
+        } else if (result.type === 'squash') {
+            if (result.conflicts.length) {
+                addOutput(formatText(`${formatConflicts(result, label)}\nSquash commit -- not updating HEAD\nAutomatic merge failed; fix conflicts and then commit the result.`), 'error');
+                return false;
+            }
+            const autoMerged = result.autoMerged.map(p => `Auto-merging ${p}`);
+            addOutput(formatText([...autoMerged, 'Squash commit -- not updating HEAD', formatDiffStat(result.changes)].filter(Boolean).join('\n')), 'success');
+        } else {
+            const autoMerged = result.autoMerged.map(p => `Auto-merging ${p}`);
+            addOutput(formatText([...autoMerged, `Merge made by the 'ort' strategy.`, formatDiffStat(result.changes)].filter(Boolean).join('\n')), 'success');
+        }
+    }
+
+    /** One `   abc1234..def5678  main -> origin/main` line per updated ref, as fetch and push print them. */
+    function formatRefUpdate(update, from, to) {
+        const range = update.type === 'forced'
+            ? `${GitEngine.shortHash(update.from)}...${GitEngine.shortHash(update.to)}`
+            : update.from && update.to ? `${GitEngine.shortHash(update.from)}..${GitEngine.shortHash(update.to)}` : '';
+        const summary = {
+            new: update.isTag ? '* [new tag]' : '* [new branch]',
+            'new-tag': '* [new tag]',
+            deleted: '- [deleted]',
+            forced: `+ ${range}`,
+            'fast-forward': `  ${range}`,
+            rejected: '! [rejected]'
+        }[update.type];
+        const refs = to ? `${from.padEnd(10)} -> ${to}` : from;
+        const note = update.type === 'forced' ? ' (forced update)' : update.reason ? ` (${update.reason})` : '';
+        return ` ${summary.padEnd(19)} ${refs}${note}`;
+    }
+
+    function formatFetch(fetched) {
+        if (!fetched.updates.length) return '';
+        const lines = fetched.updates.map(u => (u.type === 'deleted'
+            ? formatRefUpdate(u, '(none)', u.ref)
+            : formatRefUpdate(u, u.name, u.type === 'new-tag' ? u.name : u.ref)));
+        return [`From ${fetched.url.replace(/\.git$/, '')}`, ...lines].join('\n');
+    }
+
+    /** The "Your branch is ahead of 'origin/main' by 1 commit." paragraph of `git status`. */
+    function formatTracking(tracking) {
+        const { upstream, ahead, behind } = tracking;
+        if (tracking.gone) return `Your branch is based on '${upstream}', but the upstream is gone.\n  (use "git branch --unset-upstream" to fixup)`;
+        if (ahead && behind) {
+            return `Your branch and '${upstream}' have diverged,\nand have ${ahead} and ${behind} different commits each, respectively.\n  (use "git pull" if you want to integrate the remote branch with yours)`;
+        }
+        if (ahead) return `Your branch is ahead of '${upstream}' by ${plural(ahead, 'commit')}.\n  (use "git push" to publish your local commits)`;
+        if (behind) return `Your branch is behind '${upstream}' by ${plural(behind, 'commit')}, and can be fast-forwarded.\n  (use "git pull" to update your local branch)`;
+        return `Your branch is up to date with '${upstream}'.`;
+    }
+
+    /** Short `[origin/main: ahead 1, behind 2]` form used by `git branch -vv`. */
+    function formatTrackingShort(tracking) {
+        const counts = [tracking.ahead && `ahead ${tracking.ahead}`, tracking.behind && `behind ${tracking.behind}`].filter(Boolean);
+        const detail = tracking.gone ? ': gone' : counts.length ? `: ${counts.join(', ')}` : '';
+        return `[${colorize(escapeHtml(tracking.upstream), '#58a6ff')}${detail}]`;
+    }
+
+    /**
+     * Fire scripted teammate pushes whose trigger (`after: '<git subcommand>'`) just
+     * ran. The remote moves on silently, as it would in real life; only a dim note
+     * tells the learner something happened.
+     */
+    function runRemoteEvents(subCmd) {
+        const due = state.remoteEvents.filter(e => e.after === subCmd);
+        if (!due.length) return;
+        state.remoteEvents = state.remoteEvents.filter(e => !due.includes(e));
+        due.forEach(e => {
+            const pushed = GitEngine.remoteCommit(state.repo, e.remote || 'origin', e.branch || GitEngine.DEFAULT_BRANCH, { message: e.message, files: e.files, author: e.author });
+            const who = pushed.author.split(' <')[0];
+            addOutput(`<span style="color: #8b949e; font-size: 0.85em;">[Meanwhile] ${escapeHtml(who)} pushed "${escapeHtml(pushed.message)}" to ${escapeHtml(`${pushed.remote}/${pushed.branch}`)}.</span>`);
+        });
+    }
+
+    /**
+     * Print the outcome of a rebase, cherry-pick or revert run: the picks it made since
+     * `printed`, then either the finish line or the reason it stopped.
+     */
+    function reportSequencer(type, result, printed) {
+        const repo = state.repo;
+        const picks = (result.picks || result.replayed || (repo.operation && repo.operation.picked) || []).slice(printed);
+        if (type !== 'rebase' && picks.length) {
+            const where = GitEngine.currentBranch(repo) || 'detached HEAD';
+            addOutput(formatText(picks.map(p => {
+                const commit = repo.commits[p.to];
+                return [`[${where} ${GitEngine.shortHash(p.to)}] ${commit.message.split('\n')[0]}`, ` Date: ${formatDate(commit.timestamp)}`, formatChangeSummary(p.changes)].filter(Boolean).join('\n');
+            }).join('\n')), 'success');
+        }
+
+        if (result.type === 'conflict') {
+            const subject = `${GitEngine.shortHash(result.hash)}... ${repo.commits[result.hash].message.split('\n')[0]}`;
+            const hints = type === 'rebase'
+                ? ['Resolve all conflicts manually, mark them as resolved with', '"git add/rm <conflicted_files>", then run "git rebase --continue".', 'You can instead skip this commit: run "git rebase --skip".', 'To abort and get back to the state before "git rebase", run "git rebase --abort".']
+                : ['After resolving the conflicts, mark them with', '"git add/rm <pathspec>", then run', `"git ${type} --continue".`, `You can instead skip this commit with "git ${type} --skip".`, `To abort and get back to the state before "git ${type}",`, `run "git ${type} --abort".`];
+            const lines = [formatConflicts(result, GitEngine.shortHash(result.hash)), `error: could not ${type === 'revert' ? 'revert' : 'apply'} ${subject}`, ...hints.map(h => `hint: ${h}`)];
+            if (type === 'rebase') lines.push(`Could not apply ${subject}`);
+            addOutput(formatText(lines.join('\n')), 'error');
+            return false;
+        }
+        if (result.type === 'empty') {
+            addOutput(formatText(`The previous ${type} is now empty, possibly due to conflict resolution.\nIf you wish to commit it anyway, use:\n\n    git commit --allow-empty\n\nOtherwise, please use 'git ${type} --skip'`), 'info');
+            return false;
+        }
+        if (type === 'rebase') {
+            const ref = result.branch ? `refs/heads/${result.branch}` : 'detached HEAD';
+            addOutput(escapeHtml(`Successfully rebased and updated ${ref}.`), 'success');
+        }
+    }
+
+    // --- Git subcommands (each receives the args after `git <subcommand>`) ---
+
+    const GIT_VERSION = '2.43.0';
+
+    // Subcommands that also work in a plain directory, before `git init`
+    const OUTSIDE_REPO_COMMANDS = ['init', 'clone', 'help', '--version', 'config'];
+
+    // Real git commands the playground has no model for: recognised, but they say so and change nothing
+    const UNSUPPORTED_COMMANDS = ['bisect', 'submodule', 'worktree', 'bundle',
+        'gc', 'fsck', 'count-objects', 'verify-pack', 'cat-file', 'show-ref', 'archive',
+        'describe', 'filter-branch', 'rerere', 'check-ignore', 'range-diff',
+        'prune-packed', 'update-index', 'grep', 'shortlog', 'blame'];
+
+    const gitCommands = {
+        init(args) {
+            const repo = state.repo;
+            if (repo.initialized !== false && (GitEngine.headCommit(repo) || Object.keys(repo.branches).length)) {
+                addOutput(`Reinitialized existing Git repository in ${repo.path}/.git/`, 'info');
                 return;
-            } else if (trimmed === 'clear') {
-                terminalOutput.innerHTML = '';
-                if (state.activeScenario) {
-                    addOutput(`<div class="welcome-msg"><p>Scenario Active: <strong>${state.activeScenario.title}</strong></p></div>`);
-                } else {
-                    addOutput(`<div class="welcome-msg"><p>Terminal cleared.</p></div>`);
+            }
+            const bIndex = args.indexOf('-b');
+            const initialFlag = args.find(a => a.startsWith('--initial-branch='));
+            const branch = bIndex !== -1 ? args[bIndex + 1] : initialFlag ? initialFlag.split('=')[1] : GitEngine.DEFAULT_BRANCH;
+            state.repo = GitEngine.createRepository({ branch, globalConfig: repo.config && repo.config.global });
+            state.repo.workdir = { ...repo.workdir };
+            addOutput(`Initialized empty Git repository in ${repo.path}/.git/`, 'success');
+        },
+
+        clone(args) {
+            const repo = args[0] || 'repo';
+            addOutput(`Cloning into '${repo}'...<br>remote: Enumerating objects: 15, done.<br>remote: Total 15 (delta 2), reused 10 (delta 1)<br>Receiving objects: 100% (15/15), done.`, 'success');
+        },
+
+        status(args) {
+            const st = GitEngine.status(state.repo);
+
+            if (args.includes('-s') || args.includes('--short') || args.includes('-sb')) {
+                const rows = {};
+                st.staged.forEach(c => { rows[c.path] = [c.status, ' ']; });
+                st.unstaged.forEach(c => { rows[c.path] = [(rows[c.path] || [' '])[0], c.status]; });
+                st.unmerged.forEach(c => { rows[c.path] = UNMERGED_CODES[c.kind].split(''); });
+                const lines = Object.keys(rows).sort().map(p =>
+                    `${colorize(rows[p][0], '#27c93f')}${colorize(rows[p][1], '#f85149')} ${escapeHtml(p)}`);
+                st.untracked.forEach(p => lines.push(`${colorize('??', '#f85149')} ${escapeHtml(p)}`));
+                if (args.includes('-b') || args.includes('--branch') || args.includes('-sb')) {
+                    const t = st.tracking;
+                    const counts = t ? [t.ahead && `ahead ${t.ahead}`, t.behind && `behind ${t.behind}`].filter(Boolean) : [];
+                    const upstream = t ? `...${colorize(escapeHtml(t.upstream), '#f85149')}${t.gone ? ' [gone]' : counts.length ? ` [${counts.join(', ')}]` : ''}` : '';
+                    lines.unshift(`## ${colorize(escapeHtml(st.branch || 'HEAD (no branch)'), '#27c93f')}${upstream}`);
                 }
+                addOutput(lines.join('<br>'));
                 return;
-            } else if (mainCmd !== 'git') {
-                addOutput(`bash: ${mainCmd}: command not found`, 'error');
-                return;
             }
 
-            // 2. Handle Git Commands
-            if (!subCmd) {
-                addOutput(`usage: git [--version] [--help] <command> [<args>]`, 'info');
+            const parts = [];
+            const op = st.operation;
+            if (op && op.type === 'rebase') parts.push(formatText(`rebase in progress; onto ${GitEngine.shortHash(op.onto)}`));
+            else parts.push(formatText(st.detached ? `HEAD detached at ${GitEngine.shortHash(st.detached)}` : `On branch ${st.branch}`));
+            if (st.tracking && !op) parts.push(formatText(formatTracking(st.tracking)));
+            if (!GitEngine.headCommit(state.repo)) parts.push('<br>No commits yet');
+            if (op) parts.push(formatText(formatOperationStatus(op, !st.unmerged.length)));
+            if (st.staged.length) {
+                parts.push(`<br>${formatText('Changes to be committed:\n  (use "git restore --staged <file>..." to unstage)')}`);
+                parts.push(colorize(st.staged.map(formatStatusLine).join('\n'), '#27c93f'));
+            }
+            if (st.unstaged.length) {
+                parts.push(`<br>${formatText('Changes not staged for commit:\n  (use "git add <file>..." to update what will be committed)\n  (use "git restore <file>..." to discard changes in working directory)')}`);
+                parts.push(colorize(st.unstaged.map(formatStatusLine).join('\n'), '#f85149'));
+            }
+            if (st.unmerged.length) {
+                const deletion = st.unmerged.some(c => c.kind.startsWith('deleted'));
+                parts.push(`<br>${formatText(`Unmerged paths:\n  (use "git ${deletion ? 'add/rm <file>..." as appropriate' : 'add <file>..."'} to mark resolution)`)}`);
+                parts.push(colorize(st.unmerged.map(c => `\t${`${c.kind}:`.padEnd(17)}${c.path}`).join('\n'), '#f85149'));
+            }
+            if (st.untracked.length) {
+                parts.push(`<br>${formatText('Untracked files:\n  (use "git add <file>..." to include in what will be committed)')}`);
+                parts.push(colorize(st.untracked.map(p => `\t${p}`).join('\n'), '#f85149'));
+            }
+            if (!st.staged.length && !st.unstaged.length && !st.untracked.length && !st.unmerged.length) {
+                parts.push('<br>nothing to commit, working tree clean');
+            }
+            addOutput(parts.join('<br>'), 'info');
+        },
+
+        add(args) {
+            if (!args.length) {
+                addOutput(`Nothing specified, nothing added.`, 'info');
+                return false;
+            }
+            if (['-i', '--interactive', '-p', '--patch'].some(f => args.includes(f))) {
+                const st = GitEngine.status(state.repo);
+                const paths = [...new Set([...st.staged, ...st.unstaged].map(c => c.path))].sort();
+                const rows = paths.map((p, i) => {
+                    const staged = st.staged.some(c => c.path === p) ? 'staged' : 'unchanged';
+                    const unstaged = st.unstaged.some(c => c.path === p) ? 'modified' : 'nothing';
+                    return `${String(i + 1).padStart(3)}: ${staged.padStart(12)} ${unstaged.padStart(12)} ${p}`;
+                });
+                addOutput(formatText([
+                    `${'staged'.padStart(17)} ${'unstaged'.padStart(12)} path`, ...rows, '',
+                    '*** Commands ***',
+                    '  1: status      2: update      3: revert      4: add untracked',
+                    '  5: patch       6: diff        7: quit        8: help',
+                    'What now> 7', 'Bye.'
+                ].join('\n')) + `<br><span style="color: #8b949e; font-size: 0.85em;">(Interactive prompts are simplified, so nothing was staged)</span>`);
                 return;
             }
+            GitEngine.addPaths(state.repo, args.filter(a => a !== '--'));
+            addOutput(``); // Silent success
+        },
+
+        commit(args, command) {
+            const message = parseMessageFlag(command.words);
+            const amend = args.includes('--amend');
+            // A stopped merge or pick already has a message prepared, like MERGE_MSG
+            const op = state.repo.operation;
+            const prepared = op && (op.type === 'merge' || op.current);
+            if (!(message || '').trim() && !amend && !prepared) {
+                addOutput(`Aborting commit due to empty commit message.`, 'error');
+                return false;
+            }
+            reportCommit(GitEngine.commit(state.repo, message || undefined, {
+                all: args.includes('-a') || args.includes('--all'),
+                allowEmpty: args.includes('--allow-empty'),
+                amend
+            }));
+        },
+
+        branch(args) {
+            const repo = state.repo;
+            const { flags, operands } = splitArgs(args);
 
-            // Execute Logic based on mock state
-            let success = true; // tracking for scenario validation
+            const upstreamFlag = args.findIndex(a => a === '-u' || a === '--set-upstream-to' || a.startsWith('--set-upstream-to='));
 
-            if (subCmd === 'init') {
-                addOutput(`Initialized empty Git repository in /home/user/projects/.git/`, 'success');
-                state.currentBranch = 'main';
-                state.branches = ['main'];
+            if (flags.includes('--show-current')) {
+                addOutput(escapeHtml(GitEngine.currentBranch(repo) || ''));
             }
-            else if (subCmd === 'clone') {
-                const repo = args[2] || 'repo';
-                addOutput(`Cloning into '${repo}'...<br>remote: Enumerating objects: 15, done.<br>remote: Total 15 (delta 2), reused 10 (delta 1)<br>Receiving objects: 100% (15/15), done.`, 'success');
+            else if (upstreamFlag !== -1) {
+                const inline = args[upstreamFlag].split('=')[1];
+                const ref = inline || args[upstreamFlag + 1];
+                const name = operands.find(o => o !== ref) || GitEngine.currentBranch(repo);
+                const tracking = GitEngine.setUpstream(repo, name, ref);
+                addOutput(formatText(`branch '${name}' set up to track '${tracking}'.`));
             }
-            else if (subCmd === 'status') {
-                if (state.staged.length > 0) {
-                    addOutput(`On branch ${state.currentBranch}<br>Changes to be committed:<br>  (use "git restore --staged <file>..." to unstage)<br><span style="color:#27c93f">\tmodified:   ${state.staged.join(' ')}</span>`, 'info');
-                } else {
-                    addOutput(`On branch ${state.currentBranch}<br>Your branch is up to date with 'origin/${state.currentBranch}'.<br><br>nothing to commit, working tree clean`, 'info');
-                }
+            else if (flags.includes('--unset-upstream')) {
+                GitEngine.setUpstream(repo, operands[0] || GitEngine.currentBranch(repo), null);
+                addOutput(``);
             }
-            else if (subCmd === 'add') {
-                if (args[2]) {
-                    const file = args[2];
-                    if (file === '.') {
-                        state.staged = ['index.html', 'app.js', 'style.css']; // Mock all
-                    } else {
-                        state.staged.push(file);
-                    }
-                    addOutput(``); // Silent success
-                } else {
-                    addOutput(`Nothing specified, nothing added.`, 'info');
-                    success = false;
+            else if (flags.some(f => ['-d', '-D', '--delete'].includes(f))) {
+                if (!operands.length) {
+                    addOutput(`fatal: branch name required`, 'error');
+                    return false;
                 }
+                const force = flags.includes('-D') || flags.includes('--force') || flags.includes('-f');
+                const lines = operands.map(name => {
+                    const { hash } = GitEngine.deleteBranch(repo, name, { force });
+                    return `Deleted branch ${name} (was ${GitEngine.shortHash(hash)}).`;
+                });
+                addOutput(formatText(lines.join('\n')));
             }
-            else if (subCmd === 'commit') {
-                const msgIndex = args.indexOf('-m');
-                let msg = 'commit';
-                if (msgIndex !== -1 && args[msgIndex + 1]) {
-                    // Start from msgIndex + 1, join rest, then cleanup quotes
-                    // Simple parsing: just take the whole string after -m
-                    const rawMsg = trimmed.substring(trimmed.indexOf('-m') + 3);
-                    msg = rawMsg.replace(/^["']|["']$/g, "");
+            else if (flags.some(f => ['-m', '-M', '--move'].includes(f))) {
+                const [oldName, newName] = operands.length > 1 ? operands : [GitEngine.currentBranch(repo), operands[0]];
+                if (!newName) {
+                    addOutput(`fatal: branch name required`, 'error');
+                    return false;
                 }
-                const newHash = Math.random().toString(16).substr(2, 7);
-                state.commits.unshift({ hash: newHash, msg: msg, author: 'User', date: new Date().toDateString() });
-                state.staged = []; // Clear staged
-                addOutput(`[${state.currentBranch} ${newHash}] ${msg}<br> 1 file changed, 10 insertions(+)`, 'success');
-            }
-            else if (subCmd === 'push') {
-                addOutput(`To https://github.com/user/repo.git<br> * [new branch]      ${state.currentBranch} -> ${state.currentBranch}`, 'success');
-            }
-            else if (subCmd === 'pull') {
-                addOutput(`Updating 8f23a1..${state.commits[0] ? state.commits[0].hash : 'HEAD'}<br>Fast-forward<br> README.md | 2 ++<br> 1 file changed, 2 insertions(+)`, 'success');
-            }
-            else if (subCmd === 'branch') {
-                if (args[2] && !args[2].startsWith('-')) {
-                    // Create branch
-                    if (!state.branches.includes(args[2])) {
-                        state.branches.push(args[2]);
-                        addOutput(``); // Success
-                    } else {
-                        addOutput(`fatal: A branch named '${args[2]}' already exists.`, 'error');
-                        success = false;
-                    }
-                }
-                else if (args[2] === '-d' || args[2] === '-D') {
-                    const b = args[3];
-                    if (state.branches.includes(b)) {
-                        state.branches = state.branches.filter(br => br !== b);
-                        addOutput(`Deleted branch ${b} (was 8f23a1).`);
-                    } else {
-                        addOutput(`error: branch '${b}' not found.`, 'error');
-                        success = false;
-                    }
+                GitEngine.renameBranch(repo, oldName, newName, { force: flags.includes('-M') });
+                addOutput(``);
+            }
+            else if (operands.length) {
+                GitEngine.createBranch(repo, operands[0], operands[1] || 'HEAD', { force: flags.includes('-f') || flags.includes('--force') });
+                addOutput(``); // Success
+            }
+            else {
+                // List branches
+                const current = GitEngine.currentBranch(repo);
+                const lines = [];
+                if (repo.head.detached) {
+                    lines.push(`* <span style="color: #3fb950">(HEAD detached at ${GitEngine.shortHash(repo.head.detached)})</span>`);
                 }
-                else if (args[2] === '-m') {
-                    const newName = args[3];
-                    const oldIndex = state.branches.indexOf(state.currentBranch);
-                    if (oldIndex !== -1) {
-                        state.branches[oldIndex] = newName;
-                        state.currentBranch = newName;
-                        addOutput(``);
-                    }
+                const verbose = flags.includes('-v') || flags.includes('-vv');
+                const remoteOnly = flags.includes('-r') || flags.includes('--remotes');
+                const describe = (hash, tracking) => (verbose
+                    ? ` ${GitEngine.shortHash(hash)}${tracking ? ` ${formatTrackingShort(tracking)}` : ''} ${escapeHtml(repo.commits[hash].message.split('\n')[0])}`
+                    : '');
+                if (!remoteOnly) {
+                    Object.keys(repo.branches).sort().forEach(b => {
+                        const tracking = flags.includes('-vv') ? GitEngine.trackingStatus(repo, b) : null;
+                        const suffix = describe(repo.branches[b], tracking);
+                        if (b === current) lines.push(`* <span style="color: #3fb950">${escapeHtml(b)}</span>${suffix}`);
+                        else lines.push(`&nbsp;&nbsp;${escapeHtml(b)}${suffix}`);
+                    });
                 }
-                else {
-                    // List branches
-                    let output = '';
-                    state.branches.forEach(b => {
-                        if (b === state.currentBranch) output += `* <span style="color: #3fb950">${b}</span><br>`;
-                        else output += `  ${b}<br>`;
+                if (remoteOnly || flags.includes('-a') || flags.includes('--all')) {
+                    Object.keys(repo.remoteBranches).sort().forEach(ref => {
+                        const label = remoteOnly ? ref : `remotes/${ref}`;
+                        lines.push(`&nbsp;&nbsp;${colorize(escapeHtml(label), '#f85149')}${describe(repo.remoteBranches[ref], null)}`);
                     });
-                    addOutput(output);
                 }
+                addOutput(lines.join('<br>'));
             }
-            else if (subCmd === 'checkout') {
-                if (args[2] === '-b' && args[3]) {
-                    // Create and switch
-                    if (!state.branches.includes(args[3])) {
-                        state.branches.push(args[3]);
-                        state.currentBranch = args[3];
-                        addOutput(`Switched to a new branch '${args[3]}'`);
-                    } else {
-                        addOutput(`fatal: A branch named '${args[3]}' already exists.`, 'error');
-                    }
-                } else if (args[2]) {
-                    // Switch
-                    if (state.branches.includes(args[2])) {
-                        state.currentBranch = args[2];
-                        addOutput(`Switched to branch '${args[2]}'`);
-                    } else if (args[2] === '.') {
-                        addOutput(`Updated 1 path from the index`);
-                    } else if (args[2].includes('.')) {
-                        // Likely a file checkout
-                        addOutput(`Updated 1 path from the index`);
-                    } else {
-                        addOutput(`error: pathspec '${args[2]}' did not match any file(s) known to git`, 'error');
-                        success = false;
-                    }
-                } else {
+        },
+
+        checkout(args) {
+            const repo = state.repo;
+            const { flags, operands, paths } = splitArgs(args);
+            const createIndex = args.findIndex(a => a === '-b' || a === '-B');
+
+            if (args[0] === '-') {
+                const result = GitEngine.checkout(repo, '-');
+                reportSwitch(result, result.branch || GitEngine.shortHash(result.hash));
+                return;
+            }
+
+            if (createIndex !== -1) {
+                const name = args[createIndex + 1];
+                if (!name) {
+                    addOutput(`error: switch \`${args[createIndex].slice(1)}' requires a value`, 'error');
+                    return false;
+                }
+                const startPoint = operands.find(o => o !== name) || 'HEAD';
+                GitEngine.checkout(repo, name, { create: true, startPoint });
+                addOutput(formatText(`Switched to a new branch '${name}'`));
+                return;
+            }
+
+            if (flags.includes('--ours') || flags.includes('--theirs')) {
+                const restored = GitEngine.checkoutConflictSide(repo, [...operands, ...paths], flags.includes('--ours') ? 'ours' : 'theirs');
+                addOutput(`Updated ${plural(restored.length, 'path')} from the index`);
+                return;
+            }
+
+            // File checkout: `git checkout -- file`, `git checkout <rev> -- file`, or a bare path
+            const target = operands[0];
+            const remoteOnly = target && Object.keys(repo.remoteBranches).some(ref => ref.slice(ref.indexOf('/') + 1) === target);
+            if (paths.length || (target && !isRevision(target) && !repo.branches[target] && !remoteOnly)) {
+                const files = paths.length ? paths : operands;
+                const source = paths.length ? target : undefined;
+                if (!files.length) {
                     addOutput(`git checkout: branch name required`, 'error');
-                    success = false;
+                    return false;
+                }
+                if (source) GitEngine.restorePaths(repo, files, { source, staged: true });
+                const restored = GitEngine.restorePaths(repo, files, { source });
+                addOutput(`Updated ${plural(restored.length, 'path')} from ${source ? escapeHtml(GitEngine.shortHash(GitEngine.resolveRevision(repo, source))) : 'the index'}`);
+                return;
+            }
+            if (!target) {
+                addOutput(`git checkout: branch name required`, 'error');
+                return false;
+            }
+            reportSwitch(GitEngine.checkout(repo, target, { detach: flags.includes('--detach') }), target);
+        },
+
+        switch(args) {
+            const { flags, operands } = splitArgs(args);
+            const createIndex = args.findIndex(a => a === '-c' || a === '-C' || a === '--create');
+
+            if (args[0] === '-') {
+                const result = GitEngine.checkout(state.repo, '-');
+                reportSwitch(result, result.branch || GitEngine.shortHash(result.hash));
+                return;
+            }
+
+            if (createIndex !== -1) {
+                const name = args[createIndex + 1];
+                if (!name) {
+                    addOutput(`error: switch \`c' requires a value`, 'error');
+                    return false;
                 }
+                const startPoint = operands.find(o => o !== name) || 'HEAD';
+                GitEngine.checkout(state.repo, name, { create: true, startPoint });
+                addOutput(formatText(`Switched to a new branch '${name}'`));
+                return;
+            }
+            const target = operands[0];
+            if (!target) {
+                addOutput(`fatal: missing branch or commit argument`, 'error');
+                return false;
+            }
+            const detach = flags.includes('--detach') || flags.includes('-d');
+            const remoteOnly = Object.keys(state.repo.remoteBranches).some(ref => ref.slice(ref.indexOf('/') + 1) === target);
+            if (!detach && !state.repo.branches[target] && !remoteOnly) {
+                addOutput(formatText(`fatal: invalid reference: ${target}`), 'error');
+                return false;
+            }
+            reportSwitch(GitEngine.checkout(state.repo, target, { detach }), target);
+        },
+
+        merge(args, command) {
+            const { flags, operands } = splitArgs(args);
+            if (flags.includes('--abort')) {
+                GitEngine.abortOperation(state.repo, 'merge');
+                addOutput(``);
+                return;
+            }
+            if (flags.includes('--continue')) {
+                reportCommit(GitEngine.continueOperation(state.repo, 'merge'));
+                return;
+            }
+            if (!operands.length) {
+                addOutput(`fatal: No branch selected to merge.`, 'error');
+                return false;
+            }
+            const ff = flags.includes('--no-ff') ? 'no' : flags.includes('--ff-only') ? 'only' : 'auto';
+            const before = GitEngine.headCommit(state.repo);
+            const result = GitEngine.merge(state.repo, operands[0], { ff, message: parseMessageFlag(command.words) || undefined, squash: flags.includes('--squash') });
+            return reportMerge(result, before, operands[0]);
+        },
+
+        log(args) {
+            const repo = state.repo;
+            const { flags, operands } = splitArgs(args);
+            const countFlag = args.findIndex(a => a === '-n');
+            const limitFlag = flags.find(f => /^-\d+$/.test(f) || f.startsWith('--max-count='));
+            const limit = countFlag !== -1 ? parseInt(args[countFlag + 1], 10)
+                : limitFlag ? parseInt(limitFlag.replace(/^-|^--max-count=/, ''), 10) : undefined;
+            const revs = operands.filter((o, i) => !(countFlag !== -1 && args.indexOf(o) === countFlag + 1));
+
+            const commits = GitEngine.log(repo, { revs, all: flags.includes('--all'), limit });
+            const labels = GitEngine.decorations(repo);
+
+            if (flags.includes('--oneline')) {
+                addOutput(commits.map(c =>
+                    `<span style="color: #e3b341">${GitEngine.shortHash(c.hash)}</span>${formatDecorations(labels[c.hash])} ${escapeHtml(c.message.split('\n')[0])}`
+                ).join('<br>'));
+                return;
             }
-            else if (subCmd === 'merge') {
-                if (args[2]) {
-                    addOutput(`Updating 8f23a1..${Math.random().toString(16).substr(2, 7)}<br>Fast-forward<br> app.js | 15 +++++++++++++++<br> 1 file changed, 15 insertions(+)`, 'success');
-                } else {
-                    addOutput(`fatal: No branch selected to merge.`, 'error');
-                    success = false;
+            addOutput(commits.map(c => formatCommitHeader(c, labels[c.hash])).join('<br><br>') || 'No commits yet.');
+        },
+
+        reflog(args) {
+            const { flags } = splitArgs(args);
+            const countFlag = args.indexOf('-n');
+            const limitFlag = flags.find(f => /^-\d+$/.test(f));
+            const limit = countFlag !== -1 ? parseInt(args[countFlag + 1], 10) : limitFlag ? parseInt(limitFlag.slice(1), 10) : undefined;
+            const refs = args.filter((a, i) => !a.startsWith('-') && i !== countFlag + 1 && a !== 'show');
+            const labels = GitEngine.decorations(state.repo);
+            addOutput(GitEngine.reflog(state.repo, refs[0] || 'HEAD').slice(0, limit).map(e =>
+                `<span style="color: #e3b341">${GitEngine.shortHash(e.hash)}</span>${formatDecorations(labels[e.hash])} ${escapeHtml(`${e.selector}: ${e.message}`)}`
+            ).join('<br>'));
+        },
+
+        show(args) {
+            const { operands } = splitArgs(args);
+            const target = operands[0] || 'HEAD';
+            const colon = target.indexOf(':');
+            if (colon !== -1) {
+                // `<rev>:<path>` prints the file as stored in that commit; `:<path>` reads the index
+                const rev = target.slice(0, colon);
+                const path = target.slice(colon + 1);
+                const content = rev ? state.repo.commits[GitEngine.resolveRevision(state.repo, rev)].tree[path] : state.repo.index[path];
+                if (content === undefined) {
+                    addOutput(formatText(`fatal: path '${path}' does not exist in '${rev || 'the index'}'`), 'error');
+                    return false;
                 }
+                addOutput(formatText(content.replace(/\n$/, '')));
+                return;
             }
-            else if (subCmd === 'log') {
-                let logHtml = '';
-                (state.commits || []).forEach(c => {
-                    logHtml += `<span style="color: #d2a8ff;">commit ${c.hash}</span><br>Author: ${c.author} &lt;user@example.com&gt;<br>Date:   ${c.date}<br><br>    ${c.msg}<br><br>`;
-                });
-                if (logHtml === '') logHtml = 'No commits yet.';
-                addOutput(logHtml);
+            const hash = GitEngine.resolveRevision(state.repo, target);
+            const commit = state.repo.commits[hash];
+            const parentTree = commit.parents[0] ? state.repo.commits[commit.parents[0]].tree : {};
+            const changes = GitEngine.diffTrees(parentTree, commit.tree);
+            const header = formatCommitHeader(commit, GitEngine.decorations(state.repo)[hash]);
+            const patch = formatPatch(GitEngine.commitDiff(state.repo, hash));
+            addOutput(patch ? `${header}<br><br>${patch}` : header);
+        },
+
+        diff(args) {
+            const { flags, operands, paths } = splitArgs(args);
+            const revs = operands.filter(o => isRevision(o) || (o.includes('..') && o.split('..').every(r => !r || isRevision(r))));
+            const files = [...paths, ...operands.filter(o => !revs.includes(o))];
+            const fileDiffs = GitEngine.diff(state.repo, {
+                staged: flags.includes('--staged') || flags.includes('--cached'),
+                revs,
+                paths: files
+            });
+
+            if (flags.includes('--name-only')) {
+                addOutput(formatText(fileDiffs.map(f => f.path).join('\n')));
+            } else if (flags.includes('--stat')) {
+                const changes = fileDiffs.map(f => ({
+                    ...f,
+                    insertions: f.hunks.reduce((n, h) => n + h.lines.filter(l => l.type === '+').length, 0),
+                    deletions: f.hunks.reduce((n, h) => n + h.lines.filter(l => l.type === '-').length, 0)
+                }));
+                addOutput(formatText(formatDiffStat(changes)));
+            } else {
+                addOutput(formatPatch(fileDiffs));
             }
-            else if (subCmd === 'diff') {
-                addOutput(`diff --git a/file.txt b/file.txt<br>index 83db48f..bf36a31 100644<br>--- a/file.txt<br>+++ b/file.txt<br>@@ -1 +1,2 @@<br> Hello World<br>+Added new feature`);
+        },
+
+        remote(args) {
+            const repo = state.repo;
+            const action = args[0] && !args[0].startsWith('-') ? args[0] : null;
+            const names = Object.keys(repo.remotes).sort();
+
+            if (!action) {
+                const lines = args.includes('-v') || args.includes('--verbose')
+                    ? names.flatMap(n => [`${n}\t${repo.remotes[n].url} (fetch)`, `${n}\t${repo.remotes[n].url} (push)`])
+                    : names;
+                addOutput(formatText(lines.join('\n')));
+            } else if (action === 'add') {
+                if (args.length < 3) {
+                    addOutput(`usage: git remote add &lt;name&gt; &lt;url&gt;`, 'error');
+                    return false;
+                }
+                GitEngine.addRemote(repo, args[1], args[2]);
+                addOutput(``);
+            } else if (action === 'remove' || action === 'rm') {
+                GitEngine.removeRemote(repo, args[1]);
+                addOutput(``);
+            } else if (action === 'rename') {
+                GitEngine.renameRemote(repo, args[1], args[2]);
+                addOutput(``);
+            } else if (action === 'get-url' || action === 'set-url') {
+                if (!repo.remotes[args[1]]) {
+                    addOutput(formatText(`error: No such remote '${args[1] || ''}'`), 'error');
+                    return false;
+                }
+                if (action === 'set-url') repo.remotes[args[1]].url = args[2];
+                addOutput(action === 'get-url' ? escapeHtml(repo.remotes[args[1]].url) : ``);
+            } else if (action === 'show') {
+                const name = args[1] || 'origin';
+                const remote = repo.remotes[name];
+                if (!remote) {
+                    addOutput(formatText(`fatal: '${name}' does not appear to be a git repository`), 'error');
+                    return false;
+                }
+                const fetched = Object.keys(repo.remoteBranches).filter(ref => ref.startsWith(`${name}/`)).map(ref => ref.slice(name.length + 1));
+                const all = [...new Set([...Object.keys(remote.branches), ...fetched])].sort();
+                const head = remote.branches[GitEngine.DEFAULT_BRANCH] ? GitEngine.DEFAULT_BRANCH : Object.keys(remote.branches)[0] || '(unknown)';
+                const lines = [`* remote ${name}`, `  Fetch URL: ${remote.url}`, `  Push  URL: ${remote.url}`, `  HEAD branch: ${head}`];
+                if (all.length) {
+                    lines.push(`  Remote branch${all.length > 1 ? 'es' : ''}:`);
+                    all.forEach(b => {
+                        const status = !remote.branches[b] ? `stale (use 'git remote prune' to remove)`
+                            : fetched.includes(b) ? 'tracked' : `new (next fetch will store in remotes/${name})`;
+                        lines.push(`    ${b.padEnd(12)} ${status}`);
+                    });
+                }
+                const pulls = Object.keys(repo.upstreams).filter(b => repo.upstreams[b].remote === name).sort();
+                if (pulls.length) {
+                    lines.push(`  Local branch${pulls.length > 1 ? 'es' : ''} configured for 'git pull':`);
+                    pulls.forEach(b => lines.push(`    ${b.padEnd(12)} merges with remote ${repo.upstreams[b].branch}`));
+                }
+                addOutput(formatText(lines.join('\n')));
+            } else if (action === 'prune') {
+                const fetched = GitEngine.fetch(repo, args[1] || 'origin', { prune: true });
+                const pruned = fetched.updates.filter(u => u.type === 'deleted');
+                addOutput(formatText(pruned.length ? [`Pruning ${fetched.remote}`, `URL: ${fetched.url}`, ...pruned.map(u => ` * [pruned] ${u.ref}`)].join('\n') : ''));
+            } else {
+                addOutput(formatText(`error: unknown subcommand: ${action}`), 'error');
+                return false;
             }
-            else if (subCmd === 'remote') {
-                if (args[2] === '-v') {
-                    addOutput(`origin  https://github.com/user/repo.git (fetch)<br>origin  https://github.com/user/repo.git (push)`);
-                } else {
-                    addOutput(`origin`);
+        },
+
+        fetch(args) {
+            const { flags, operands } = splitArgs(args);
+            const prune = flags.includes('--prune') || flags.includes('-p');
+            const names = flags.includes('--all') ? Object.keys(state.repo.remotes).sort() : [operands[0] || 'origin'];
+            const output = names.map(name => formatFetch(GitEngine.fetch(state.repo, name, { prune }))).filter(Boolean);
+            addOutput(formatText(output.join('\n')));
+        },
+
+        push(args) {
+            const repo = state.repo;
+            const { flags, operands } = splitArgs(args);
+            const lease = flags.some(f => f.startsWith('--force-with-lease'));
+            const result = GitEngine.push(repo, operands[0], operands.slice(1), {
+                force: flags.includes('-f') || flags.includes('--force'),
+                lease,
+                setUpstream: flags.includes('-u') || flags.includes('--set-upstream'),
+                tags: flags.includes('--tags'),
+                remove: flags.includes('-d') || flags.includes('--delete')
+            });
+            const changed = result.results.filter(r => r.type !== 'up-to-date');
+            if (!changed.length) {
+                addOutput(`Everything up-to-date`, 'info');
+                return;
+            }
+
+            const lines = [`To ${result.url}`, ...changed.map(r => formatRefUpdate(r, r.src || r.dst, r.src ? r.dst : null))];
+            if (result.rejected) {
+                const reasons = result.results.map(r => r.reason);
+                lines.push(`error: failed to push some refs to '${result.url}'`);
+                if (reasons.includes('fetch first')) {
+                    lines.push('hint: Updates were rejected because the remote contains work that you do not', 'hint: have locally. This is usually caused by another repository pushing to', 'hint: the same ref. If you want to integrate the remote changes, use', "hint: 'git pull' before pushing again.");
+                } else if (reasons.includes('non-fast-forward')) {
+                    lines.push('hint: Updates were rejected because the tip of your current branch is behind', 'hint: its remote counterpart. If you want to integrate the remote changes,', "hint: use 'git pull' before pushing again.");
+                } else if (reasons.includes('stale info')) {
+                    lines.push('hint: The remote branch moved since you last fetched it, so --force-with-lease', "hint: refused to overwrite it. Run 'git fetch' and look at what changed first.");
+                } else if (reasons.includes('already exists')) {
+                    lines.push('hint: Updates were rejected because the tag already exists in the remote.');
                 }
+                addOutput(formatText(lines.join('\n')), 'error');
+                return false;
             }
-            else if (subCmd === 'stash') {
-                if (args[2] === 'apply' || args[2] === 'pop') {
-                    addOutput(`On branch ${state.currentBranch}<br>Changes not staged for commit:<br>M	file.txt`);
-                } else {
-                    addOutput(`Saved working directory and index state WIP on ${state.currentBranch}: ${state.commits[0]?.hash || 'HEAD'} ${state.commits[0]?.msg || ''}`);
+            const tracked = changed.filter(r => r.src && repo.upstreams[r.src] && (flags.includes('-u') || flags.includes('--set-upstream')));
+            tracked.forEach(r => lines.push(`branch '${r.src}' set up to track '${result.remote}/${r.dst}'.`));
+            addOutput(formatText(lines.join('\n')), 'success');
+        },
+
+        pull(args) {
+            const { flags, operands } = splitArgs(args);
+            const before = GitEngine.headCommit(state.repo);
+            const pulled = GitEngine.pull(state.repo, operands[0], operands[1], {
+                rebase: flags.includes('--rebase') || flags.includes('-r'),
+                ff: flags.includes('--ff-only') ? 'only' : flags.includes('--no-ff') ? 'no' : 'auto'
+            });
+            const fetchOutput = pulled.fetched ? formatFetch(pulled.fetched) : `From .\n * branch            ${pulled.upstream} -> FETCH_HEAD`;
+            if (fetchOutput) addOutput(formatText(fetchOutput));
+            if (!pulled.rebase) return reportMerge(pulled.result, before, pulled.upstream);
+            if (pulled.result.type === 'up-to-date') {
+                addOutput(escapeHtml(`Current branch ${pulled.result.branch || 'HEAD'} is up to date.`), 'info');
+                return;
+            }
+            return reportSequencer('rebase', pulled.result, 0);
+        },
+
+        stash(args, command) {
+            const repo = state.repo;
+            const action = args[0] && !args[0].startsWith('-') ? args[0] : 'push';
+            const ref = args[1];
+
+            if (action === 'push' || action === 'save') {
+                const entry = GitEngine.stashPush(repo, parseMessageFlag(command.words) || (action === 'save' ? args.slice(1).join(' ') : ''));
+                if (!entry) {
+                    addOutput(`No local changes to save`, 'info');
+                    return;
+                }
+                addOutput(formatText(`Saved working directory and index state ${entry.message}`));
+            } else if (action === 'list') {
+                addOutput(formatText(repo.stashes.map((e, i) => `stash@{${i}}: ${e.message}`).join('\n')));
+            } else if (action === 'apply' || action === 'pop') {
+                const { index } = GitEngine.stashApply(repo, ref, { pop: action === 'pop' });
+                gitCommands.status([]);
+                if (action === 'pop') addOutput(formatText(`Dropped stash@{${index}}`));
+            } else if (action === 'drop') {
+                const { index } = GitEngine.stashDrop(repo, ref);
+                addOutput(formatText(`Dropped stash@{${index}}`));
+            } else if (action === 'clear') {
+                repo.stashes = [];
+                addOutput(``);
+            } else {
+                addOutput(formatText(`error: unknown subcommand: ${action}`), 'error');
+                return false;
+            }
+        },
+
+        reset(args) {
+            const repo = state.repo;
+            const { flags, operands, paths } = splitArgs(args);
+            const mode = flags.includes('--hard') ? 'hard' : flags.includes('--soft') ? 'soft' : 'mixed';
+
+            // `git reset <file>` / `git reset <rev> -- <file>` unstage paths instead of moving HEAD
+            const filesOnly = paths.length || (operands.length && !isRevision(operands[0]));
+            if (filesOnly) {
+                const files = paths.length ? paths : operands;
+                GitEngine.resetPaths(repo, files, paths.length && operands[0] ? operands[0] : 'HEAD');
+            } else {
+                const result = GitEngine.reset(repo, operands[0] || 'HEAD', mode);
+                if (mode === 'hard') {
+                    addOutput(formatText(`HEAD is now at ${GitEngine.shortHash(result.hash)} ${result.message.split('\n')[0]}`));
+                    return;
+                }
+                if (mode === 'soft') {
+                    addOutput(``);
+                    return;
                 }
             }
-            else if (subCmd === 'reset') {
-                if (args.includes('--soft')) addOutput(``);
-                else if (args.includes('--hard')) addOutput(`HEAD is now at ${state.commits[0]?.hash || 'init'} ${state.commits[0]?.msg || ''}`);
-                else addOutput(`Unstaged changes after reset:<br>M	file.php`);
+            const unstaged = GitEngine.status(repo).unstaged;
+            addOutput(unstaged.length ? formatText(`Unstaged changes after reset:\n${unstaged.map(c => `${c.status}\t${c.path}`).join('\n')}`) : ``);
+        },
+
+        rebase(args, command) {
+            const { flags, operands } = splitArgs(args);
+            const ontoIndex = args.indexOf('--onto');
+            const onto = ontoIndex !== -1 ? args[ontoIndex + 1] : undefined;
+            const upstream = operands.find(o => o !== onto);
+            const control = ['--continue', '--skip', '--abort'].find(f => flags.includes(f));
+            if (control) return runControl('rebase', control, command.text);
+            if (!upstream) {
+                addOutput(formatText(`There is no tracking information for the current branch.\nPlease specify which branch you want to rebase against.\n\n    git rebase <branch>`), 'error');
+                return false;
+            }
+            if (flags.includes('-i') || flags.includes('--interactive')) {
+                const todo = GitEngine.rebaseTodo(state.repo, upstream, { onto });
+                showEditor('.git/rebase-merge/git-rebase-todo', todo, text => {
+                    if (text === null) {
+                        addOutput('Rebase cancelled, nothing was changed.', 'info');
+                        resumeChain(false);
+                        return;
+                    }
+                    finishEditorCommand(command.text, () => {
+                        const result = GitEngine.rebase(state.repo, upstream, { onto, todo: text });
+                        if (result.type === 'noop') {
+                            addOutput('Nothing to do', 'info');
+                            return;
+                        }
+                        return reportRebaseStep(result, 0, command.text);
+                    });
+                });
+                return;
+            }
+            const result = GitEngine.rebase(state.repo, upstream, { onto });
+            if (result.type === 'up-to-date') {
+                addOutput(escapeHtml(`Current branch ${result.branch || 'HEAD'} is up to date.`), 'info');
+                return;
+            }
+            return reportSequencer('rebase', result, 0);
+        },
+
+        'cherry-pick'(args, command) {
+            const { flags, operands } = splitArgs(args);
+            const control = ['--continue', '--skip', '--abort'].find(f => flags.includes(f));
+            if (control) return runControl('cherry-pick', control, command.text);
+            if (!operands.length) {
+                addOutput(`fatal: empty commit set passed`, 'error');
+                return false;
+            }
+            return reportSequencer('cherry-pick', GitEngine.cherryPick(state.repo, operands), 0);
+        },
+
+        revert(args, command) {
+            const { flags, operands } = splitArgs(args);
+            const control = ['--continue', '--skip', '--abort'].find(f => flags.includes(f));
+            if (control) return runControl('revert', control, command.text);
+            if (!operands.length) {
+                addOutput(`fatal: empty commit set passed`, 'error');
+                return false;
+            }
+            return reportSequencer('revert', GitEngine.revert(state.repo, operands), 0);
+        },
+
+        config(args) {
+            const repo = state.repo;
+            const { flags, operands } = splitArgs(args);
+            const scope = flags.includes('--global') ? 'global' : flags.includes('--local') ? 'local' : undefined;
+            if (flags.includes('--list') || flags.includes('-l')) {
+                const entries = GitEngine.listConfig(repo, scope);
+                if (entries.length) addOutput(formatText(entries.map(e => `${e.key}=${e.value}`).join('\n')));
+                return;
+            }
+            if (!operands.length) {
+                addOutput(`usage: git config [&lt;options&gt;]`, 'error');
+                return false;
+            }
+            if (flags.includes('--unset')) {
+                // git exits with status 5 and prints nothing when the key was not set
+                return GitEngine.unsetConfig(repo, operands[0], scope || 'local');
+            }
+            if (operands.length === 1 || flags.includes('--get')) {
+                const value = GitEngine.getConfig(repo, operands[0], scope);
+                if (value === undefined) return false;
+                addOutput(escapeHtml(value));
+                return;
             }
-            else if (subCmd === 'rebase') {
-                addOutput(`Successfully rebased and updated refs/heads/${state.currentBranch}.`);
+            GitEngine.setConfig(repo, operands[0], operands[1], scope || 'local');
+        },
+
+        tag(args) {
+            const repo = state.repo;
+            const { flags, operands } = splitArgs(args);
+            if (flags.includes('-d') || flags.includes('--delete')) {
+                const lines = operands.map(name => `Deleted tag '${name}' (was ${GitEngine.shortHash(GitEngine.deleteTag(repo, name).hash)})`);
+                addOutput(formatText(lines.join('\n')));
+            } else if (operands.length) {
+                GitEngine.createTag(repo, operands[0], operands[1] || 'HEAD', { force: flags.includes('-f') });
+                addOutput(``);
+            } else {
+                addOutput(Object.keys(repo.tags).sort().map(escapeHtml).join('<br>'));
             }
-            else if (subCmd === 'cherry-pick') {
-                addOutput(`[${state.currentBranch} ${Math.random().toString(16).substr(2, 7)}] Cherry-picked commit`);
+        },
+
+        clean(args) {
+            const flags = args.filter(a => /^-[a-z]+$/.test(a)).join('');
+            const dryRun = flags.includes('n') || args.includes('--dry-run');
+            if (!dryRun && !flags.includes('f') && !args.includes('--force')) {
+                addOutput(`fatal: clean.requireForce defaults to true and neither -i, -n, nor -f given; refusing to clean`, 'error');
+                return false;
             }
-            else if (subCmd === 'clean') {
-                addOutput(`Removing junk.txt<br>Removing temp/`);
+            const removed = GitEngine.clean(state.repo, { dryRun, directories: flags.includes('d') });
+            addOutput(formatText(removed.map(p => `${dryRun ? 'Would remove' : 'Removing'} ${p}`).join('\n')));
+        },
+
+        restore(args) {
+            const { flags, operands, paths } = splitArgs(args);
+            const sourceFlag = args.find(a => a.startsWith('--source=') || a.startsWith('-s'));
+            const source = sourceFlag ? sourceFlag.replace(/^--source=|^-s/, '') : undefined;
+            const staged = flags.includes('--staged') || flags.includes('-S');
+            const worktree = !staged || flags.includes('--worktree') || flags.includes('-W');
+            const files = [...operands, ...paths];
+            if (!files.length) {
+                addOutput(`fatal: you must specify path(s) to restore`, 'error');
+                return false;
             }
-            else if (subCmd === 'show') {
-                addOutput(`commit ${args[2] || '8f23a1'}<br>Author: User<br>Date: ...<br><br>    Diff content here...`);
+            if (flags.includes('--ours') || flags.includes('--theirs')) {
+                GitEngine.checkoutConflictSide(state.repo, files, flags.includes('--ours') ? 'ours' : 'theirs');
+                addOutput(``);
+                return;
             }
-            else if (['tag', 'fetch', 'mv', 'rm', 'restore', 'bisect', 'submodule', 'worktree', 'bundle',
-                'gc', 'fsck', 'count-objects', 'verify-pack', 'cat-file', 'show-ref', 'archive',
-                'describe', 'filter-branch', 'rerere', 'revert', 'check-ignore', 'range-diff',
-                'prune-packed', 'update-index', 'grep', 'shortlog', 'ls-files', 'blame', 'config', 'switch'].includes(subCmd)) {
-                addOutput(`[Simulation] Command 'git ${subCmd}' executed successfully.<br><span style="color: #8b949e; font-size: 0.85em;">(Visual simulation for this advanced command is simplified)</span>`, 'success');
+            if (staged) GitEngine.restorePaths(state.repo, files, { staged: true, source });
+            if (worktree) GitEngine.restorePaths(state.repo, files, { source });
+            addOutput(``);
+        },
+
+        rm(args) {
+            const { flags, operands, paths } = splitArgs(args);
+            const removed = GitEngine.removeTracked(state.repo, [...operands, ...paths], {
+                cached: flags.includes('--cached'),
+                recursive: flags.some(f => /^-[a-zA-Z]*r/.test(f))
+            });
+            addOutput(formatText(removed.map(p => `rm '${p}'`).join('\n')));
+        },
+
+        mv(args) {
+            const { operands } = splitArgs(args);
+            if (operands.length !== 2) {
+                addOutput(`usage: git mv [&lt;options&gt;] &lt;source&gt; &lt;destination&gt;`, 'error');
+                return false;
             }
+            GitEngine.moveTracked(state.repo, operands[0], operands[1]);
+            addOutput(``);
+        },
+
+        'ls-files'() {
+            addOutput(formatText(Object.keys(state.repo.index).sort().join('\n')));
+        },
+
+        'rev-parse'(args) {
+            const { flags, operands } = splitArgs(args);
+            if (flags.includes('--git-dir')) addOutput(`.git`);
+            else if (flags.includes('--show-toplevel')) addOutput(escapeHtml(state.repo.path));
+            else if (flags.includes('--abbrev-ref')) addOutput(escapeHtml(GitEngine.currentBranch(state.repo) || 'HEAD'));
             else {
-                addOutput(`git: '${subCmd}' is not a git command. See 'git --help'.`, 'error');
-                success = false;
+                const short = flags.includes('--short');
+                const hashes = (operands.length ? operands : ['HEAD']).map(rev => GitEngine.resolveRevision(state.repo, rev));
+                addOutput(hashes.map(h => (short ? GitEngine.shortHash(h) : h)).join('<br>'));
             }
+        },
 
-            // 3. Scenario Validation Check
-            if (state.activeScenario) {
-                checkScenarioSuccess(state.activeScenario, trimmed, state.history);
+        help() {
+            showHelp();
+        },
+
+        '--version'() {
+            addOutput(`git version ${GIT_VERSION}`);
+        }
+    };
+
+    // --- Shell commands for the simulated working directory ---
+
+    /** Drop one layer of matching quotes around an argument. */
+    const shellCommands = {
+        pwd() {
+            addOutput(escapeHtml(state.currentDir.replace(/^~/, '/home/user')));
+        },
+
+        ls(args) {
+            const showAll = args.some(a => /^-[a-zA-Z]*a/.test(a));
+            const targets = args.filter(a => !a.startsWith('-'));
+            const blocks = (targets.length ? targets : ['.']).map(target => {
+                const entries = GitEngine.listDirectory(state.repo, target);
+                const names = entries.map(e => (e.type === 'dir' ? colorize(`${e.name}/`, '#58a6ff') : escapeHtml(e.name)));
+                if (showAll) names.unshift(colorize('./', '#58a6ff'), colorize('../', '#58a6ff'), colorize('.git/', '#58a6ff'));
+                const body = names.join('&nbsp;&nbsp;');
+                return targets.length > 1 ? `${escapeHtml(target)}:<br>${body}` : body;
+            });
+            addOutput(blocks.join('<br><br>'));
+        },
+
+        cat(args) {
+            const files = args.filter(a => !a.startsWith('-'));
+            if (!files.length) {
+                addOutput(`cat: missing file operand`, 'error');
+                return false;
+            }
+            addOutput(formatText(files.map(f => GitEngine.readFile(state.repo, f).replace(/\n$/, '')).join('\n')));
+        },
+
+        echo(args, command) {
+            const noNewline = args[0] === '-n';
+            const text = (noNewline ? args.slice(1) : args).join(' ');
+            if (command.redirect) {
+                GitEngine.writeFile(state.repo, command.redirect.file, `${text}${noNewline ? '' : '\n'}`, { append: command.redirect.op === '>>' });
+                addOutput(``);
+                return;
+            }
+            addOutput(escapeHtml(text));
+        },
+
+        touch(args) {
+            if (!args.length) {
+                addOutput(`touch: missing file operand`, 'error');
+                return false;
             }
+            args.forEach(f => GitEngine.touchFile(state.repo, f));
+            addOutput(``);
+        },
+
+        mkdir(args) {
+            const parents = args.includes('-p');
+            const dirs = args.filter(a => !a.startsWith('-'));
+            if (!dirs.length) {
+                addOutput(`mkdir: missing operand`, 'error');
+                return false;
+            }
+            dirs.forEach(d => GitEngine.makeDirectory(state.repo, d, { parents }));
+            addOutput(``);
+        },
+
+        rm(args) {
+            const flags = args.filter(a => a.startsWith('-')).join('');
+            const targets = args.filter(a => !a.startsWith('-'));
+            if (!targets.length) {
+                addOutput(`rm: missing operand`, 'error');
+                return false;
+            }
+            const options = { recursive: /[rR]/.test(flags), force: flags.includes('f') };
+            targets.forEach(t => GitEngine.removePath(state.repo, t, options));
+            addOutput(``);
+        },
+
+        nano: openEditorCommand,
+        vim: openEditorCommand,
+        edit: openEditorCommand
+    };
+
+    function openEditorCommand(args, command) {
+        const file = args.find(a => !a.startsWith('-'));
+        if (!file) {
+            addOutput(`${escapeHtml(command.words[0])}: missing file name`, 'error');
+            return false;
+        }
+        openEditor(file, command.text);
+    }
+
+    /** `nano <file>`: edit a working-tree file; saving writes it through the engine and re-checks the scenario. */
+    function openEditor(path, cmd) {
+        let content = '';
+        try {
+            content = GitEngine.readFile(state.repo, path);
+        } catch (err) {
+            if (!/No such file/.test(err.message)) throw err;
+        }
+
+        showEditor(path, content, text => {
+            if (text === null) {
+                addOutput(`Edit cancelled, "${escapeHtml(path)}" unchanged.`, 'info');
+                resumeChain(true);
+                return;
+            }
+            finishEditorCommand(cmd, () => {
+                GitEngine.writeFile(state.repo, path, text, { command: cmd.split(/\s+/)[0] });
+                addOutput(`"${escapeHtml(path)}" ${plural(text.split('\n').length - 1, 'line')} written`, 'success');
+            });
+        });
+    }
+
+    /**
+     * Tiny inline editor, also used where git would open $EDITOR (the rebase todo list,
+     * commit messages). `done` gets the saved text, ending in a newline, or `null` on
+     * cancel; afterwards the latest replay snapshot and the graph are refreshed.
+     */
+    function showEditor(title, content, done) {
+        const editor = document.createElement('div');
+        editor.className = 'terminal-editor';
+        editor.innerHTML = `
+            <div class="terminal-editor-bar">
+                <span><i class="fas fa-pen"></i> ${escapeHtml(title)}</span>
+                <span class="terminal-editor-keys">Ctrl+S save &middot; Esc cancel</span>
+            </div>
+            <textarea class="terminal-editor-text" spellcheck="false" rows="8"></textarea>
+            <div class="terminal-editor-actions">
+                <button type="button" class="terminal-editor-btn terminal-editor-save"><i class="fas fa-save"></i> Save</button>
+                <button type="button" class="terminal-editor-btn terminal-editor-cancel">Cancel</button>
+            </div>
+        `;
+        const textarea = editor.querySelector('textarea');
+        textarea.value = content;
+        terminalOutput.appendChild(editor);
+        terminalOutput.scrollTop = terminalOutput.scrollHeight;
+
+        state.editorOpen = true;
+        commandInput.disabled = true;
+        sendBtn.disabled = true;
+        textarea.focus();
+
+        function close(save) {
+            editor.remove();
+            state.editorOpen = false;
+            commandInput.disabled = false;
+            sendBtn.disabled = false;
+
+            const text = textarea.value === '' || textarea.value.endsWith('\n') ? textarea.value : `${textarea.value}\n`;
+            done(save ? text : null);
+            refreshLatestSnapshot();
+            renderGraph();
+            if (!state.editorOpen) commandInput.focus(); // `done` may have opened the next editor
+        }
+
+        editor.querySelector('.terminal-editor-save').addEventListener('click', () => close(true));
+        editor.querySelector('.terminal-editor-cancel').addEventListener('click', () => close(false));
+        textarea.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                close(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close(false);
+            }
+        });
+    }
+
+    /** Run the part of `cmd` that happens after an editor is saved, like a command handler, then re-check the scenario. */
+    function finishEditorCommand(cmd, run) {
+        let success;
+        try {
+            success = run() !== false;
+        } catch (err) {
+            if (err.name !== 'GitError') throw err;
+            addOutput(formatText(err.message), 'error');
+            success = false;
+        }
+        if (state.activeScenario) checkScenarioSuccess(state.activeScenario, cmd, success);
+        trackAttempt(success);
+        resumeChain(success);
+    }
+
+    /**
+     * Report where an interactive rebase got to. A `reword` or `squash` step opens
+     * the commit message in the editor and carries on once it is saved; an `edit`
+     * step hands control back to the learner.
+     */
+    function reportRebaseStep(result, printed, cmd) {
+        const repo = state.repo;
+        if (result.type === 'message') {
+            const header = result.action === 'squash' ? '# This is a combination of commits; edit the message for the new one.\n' : '';
+            const comments = `\n# Please enter the commit message for your changes. Lines starting\n# with '#' will be ignored, and an empty message aborts the commit.\n#\n# interactive rebase in progress; onto ${GitEngine.shortHash(repo.operation.onto)}\n# Last command done: ${result.step} of ${result.total}\n`;
+            showEditor('.git/COMMIT_EDITMSG', `${header}${result.message}\n${comments}`, text => finishEditorCommand(cmd, () => {
+                const done = repo.operation ? repo.operation.picked.length : 0;
+                // Cancelling keeps the message as it was
+                const next = GitEngine.continueOperation(repo, 'rebase', { message: text === null ? undefined : text });
+                return reportRebaseStep(next, done, cmd);
+            }));
+            return;
+        }
+        if (result.type === 'edit') {
+            const subject = repo.commits[result.hash].message.split('\n')[0];
+            addOutput(formatText(`Stopped at ${GitEngine.shortHash(result.hash)}...  ${subject}\nYou can amend the commit now, with\n\n  git commit --amend\n\nOnce you are satisfied with your changes, run\n\n  git rebase --continue`), 'info');
+            return;
+        }
+        return reportSequencer('rebase', result, printed);
+    }
+
+    /** `git rebase` / `git cherry-pick` / `git revert` with `--continue`, `--skip` or `--abort`. */
+    function runControl(type, flag, cmd) {
+        const repo = state.repo;
+        if (flag === '--abort') {
+            GitEngine.abortOperation(repo, type);
+            addOutput(``);
+            return;
+        }
+        const printed = repo.operation && repo.operation.type === type ? repo.operation.picked.length : 0;
+        const result = flag === '--continue' ? GitEngine.continueOperation(repo, type) : GitEngine.skipOperation(repo, type);
+        return type === 'rebase' ? reportRebaseStep(result, printed, cmd) : reportSequencer(type, result, printed);
+    }
+
+    /** Print the result of a branch switch the way `git checkout` / `git switch` does. */
+    function reportSwitch(result, target) {
+        if (result.branch) target = result.branch; // `git checkout -` names the branch it went back to
+        const tracking = result.branch && GitEngine.trackingStatus(state.repo, result.branch);
+        const trackingNote = tracking ? `\n${formatTracking(tracking)}` : '';
+        if (result.type === 'already') {
+            addOutput(formatText(`Already on '${target}'${trackingNote}`), 'info');
+        } else if (result.type === 'new-branch') {
+            addOutput(formatText(`branch '${target}' set up to track '${result.tracking}'.\nSwitched to a new branch '${target}'`));
+        } else if (result.type === 'branch') {
+            addOutput(formatText(`Switched to branch '${target}'${trackingNote}`));
+        } else {
+            addOutput(formatText(`Note: switching to '${target}'.\n\nYou are in 'detached HEAD' state. You can look around, make experimental\nchanges and commit them, and you can discard any commits you make in this\nstate without impacting any branches by switching back to a branch.\n\nHEAD is now at ${GitEngine.shortHash(result.hash)} ${result.message.split('\n')[0]}`), 'info');
+        }
+    }
+
+    function showHelp() {
+        addOutput(`
+            <div style="color: #8b949e">Available Commands:</div>
+            <div style="padding-left: 1rem; color: var(--primary-gold); display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
+                <div>git init</div>
+                <div>git clone [url]</div>
+                <div>git status</div>
+                <div>git add [file]</div>
+                <div>git commit -m "msg"</div>
+                <div>git push [-u] [remote] [branch]</div>
+                <div>git pull [--rebase]</div>
+                <div>git fetch [--prune]</div>
+                <div>git branch [name]</div>
+                <div>git branch -d [branch]</div>
+                <div>git checkout [branch]</div>
+                <div>git switch -c [branch]</div>
+                <div>git merge [branch]</div>
+                <div>git merge --abort</div>
+                <div>git rebase [branch]</div>
+                <div>git rebase --continue</div>
+                <div>git rebase -i [commit]</div>
+                <div>git reflog [branch]</div>
+                <div>git cherry-pick [commit]</div>
+                <div>git revert [commit]</div>
+                <div>git config [--global] [key] [value]</div>
+                <div>git log [--oneline] [--all]</div>
+                <div>git show [commit]</div>
+                <div>git tag [name]</div>
+                <div>git diff [--staged]</div>
+                <div>git restore [--staged] [file]</div>
+                <div>git rm / git mv</div>
+                <div>git remote -v / add / show</div>
+                <div>git stash [pop|list]</div>
+                <div>git reset [--soft|--hard] [commit]</div>
+                <div>ls / cat [file]</div>
+                <div>echo "text" &gt; [file]</div>
+                <div>touch / mkdir / rm</div>
+                <div>nano [file]</div>
+                <div>clear</div>
+            </div>
+        `);
+    }
+
+    // --- Hints & Attempt Scoring ---
+
+    /** Hints are plain text where `backticks` mark commands. */
+    function formatHint(text) {
+        return escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+    }
+
+    /**
+     * Reveal the active scenario's next hint tier: a nudge, then the command to
+     * reach for, then one full solution. Each tier lowers the star rating.
+     */
+    function showHint({ automatic = false } = {}) {
+        const scenario = state.activeScenario;
+        if (!scenario) {
+            addOutput(`No active scenario. Pick one from the Scenarios panel to get hints.`, 'info');
+            return;
+        }
+        if (state.scenarioSolved) {
+            addOutput(`This scenario is already solved. Pick another one, or click it again to retry.`, 'info');
+            return;
+        }
+        const tiers = scenario.hints.length + 1;
+        const intro = automatic ? `<span style="color: #8b949e;">That's ${AUTO_HINT_AFTER} failed commands in a row, so here is some help.</span><br>` : '';
+        if (state.hintsShown < scenario.hints.length) {
+            state.hintsShown += 1;
+            const label = HINT_TIER_LABELS[state.hintsShown - 1];
+            addOutput(`${intro}<span style="color: var(--primary-gold);"><i class="fas fa-lightbulb"></i> Hint ${state.hintsShown}/${tiers} · ${label}:</span> ${formatHint(scenario.hints[state.hintsShown - 1])}`, 'info');
+            return;
+        }
+        state.attempt.answerShown = true;
+        const steps = scenario.solution.map(cmd => `<div style="padding-left: 1rem; color: var(--primary-gold);">${escapeHtml(cmd)}</div>`).join('');
+        addOutput(`<span style="color: var(--primary-gold);"><i class="fas fa-lightbulb"></i> Hint ${tiers}/${tiers} · Answer:</span> <span style="color: #8b949e;">one way to solve it</span>${steps}`, 'info');
+    }
+
+    /**
+     * Count a command towards the active attempt. A run of failures reveals the
+     * next nudge or command hint by itself, but never the full answer.
+     */
+    function trackAttempt(succeeded) {
+        const attempt = state.attempt;
+        if (!state.activeScenario || state.scenarioSolved || !attempt) return;
+        if (succeeded) {
+            attempt.failStreak = 0;
+            return;
+        }
+        attempt.wrongCommands += 1;
+        attempt.failStreak += 1;
+        if (attempt.failStreak >= AUTO_HINT_AFTER && state.hintsShown < state.activeScenario.hints.length) {
+            attempt.failStreak = 0;
+            showHint({ automatic: true });
+        }
+    }
 
+    /** `n` filled stars out of the maximum, as icons. */
+    function starsHtml(n) {
+        const max = window.GitBadgeEngine ? GitBadgeEngine.MAX_STARS : 3;
+        let html = '';
+        for (let i = 1; i <= max; i++) {
+            html += `<i class="${i <= n ? 'fas' : 'far'} fa-star"></i>`;
+        }
+        return html;
+    }
+
+    function formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+
+    /** Stars earned by a finished attempt plus what they were based on, for the completion box. */
+    function attemptSummaryHtml(stars, commandCount, timeMs) {
+        const attempt = state.attempt;
+        const hints = attempt.answerShown ? 'answer shown' : `${state.hintsShown} hint${state.hintsShown === 1 ? '' : 's'}`;
+        return `<div class="scenario-stars scenario-stars-large" title="${stars} of ${GitBadgeEngine.MAX_STARS} stars">${starsHtml(stars)}</div>
+                <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0;">
+                    ${commandCount} command${commandCount === 1 ? '' : 's'} · ${attempt.wrongCommands} wrong · ${hints} · ${formatDuration(timeMs)}
+                </p>`;
+    }
+
+    /** Best stars on a scenario card, added or refreshed in place. */
+    function renderCardStars(card, scenarioId) {
+        const stats = window.GitBadgeEngine ? GitBadgeEngine.getScenarioStats(scenarioId) : null;
+        const existing = card.querySelector('.scenario-stars');
+        if (existing) existing.remove();
+        if (!stats || !stats.best) return;
+        const stars = document.createElement('div');
+        stars.className = 'scenario-stars';
+        stars.title = `Best: ${stats.best.stars} of ${GitBadgeEngine.MAX_STARS} stars · ${stats.attempts} attempt${stats.attempts === 1 ? '' : 's'}`;
+        stars.innerHTML = starsHtml(stats.best.stars);
+        card.appendChild(stars);
+    }
+
+    /** Run a typed line after the usual delay: parsed like bash, then each `&&`-joined command in turn. */
+    function simulateGitCommand(cmd) {
+        setTimeout(() => {
+            let commands;
+            try {
+                commands = GitShell.parse(cmd);
+            } catch (err) {
+                if (err.name !== 'GitError') throw err;
+                addOutput(formatText(err.message), 'error');
+                return;
+            }
+            runChain(commands);
         }, state.commandDelay);
     }
 
-    function checkScenarioSuccess(scenario, lastCmd, history) {
-        let isComplete = false;
+    /** Stop at the first command that fails; one that opens the editor pauses the rest until it is saved. */
+    function runChain(commands) {
+        for (let i = 0; i < commands.length; i++) {
+            const ok = runCommand(commands[i]);
+            if (!state.editorOpen) trackAttempt(ok);
+            if (state.editorOpen) {
+                state.pendingCommands = commands.slice(i + 1);
+                return;
+            }
+            if (!ok) return;
+        }
+    }
+
+    /** Carry on with a chain paused by the editor once the command that opened it has finished. */
+    function resumeChain(succeeded) {
+        if (state.editorOpen) return; // e.g. a rebase step opened the next editor
+        const rest = state.pendingCommands;
+        state.pendingCommands = [];
+        if (succeeded && rest.length) runChain(rest);
+    }
+
+    /** Run one parsed command (`{ words, redirect, text }`) and re-check the scenario; returns whether it succeeded. */
+    function runCommand(command) {
+        const { words, text } = command;
+        const mainCmd = words[0];
+        const subCmd = words[1];
 
-        // Use custom validate function if available
-        if (scenario.validate) {
+        // 1. Handle Non-Git Core Commands
+        if (command.redirect && mainCmd !== 'echo') {
+            addOutput(`bash: output redirection is only simulated for echo`, 'error');
+            return false;
+        }
+        if (text === 'help') {
+            showHelp();
+            return true;
+        } else if (text === 'hint') {
+            showHint();
+            return true;
+        } else if (text === 'clear') {
+            terminalOutput.innerHTML = '';
+            if (state.activeScenario) {
+                addOutput(`<div class="welcome-msg"><p>Scenario Active: <strong>${state.activeScenario.title}</strong></p></div>`);
+            } else {
+                addOutput(`<div class="welcome-msg"><p>Terminal cleared.</p></div>`);
+            }
+            return true;
+        } else if (mainCmd !== 'git') {
+            if (!Object.prototype.hasOwnProperty.call(shellCommands, mainCmd)) {
+                addOutput(`bash: ${escapeHtml(mainCmd)}: command not found`, 'error');
+                return false;
+            }
+            let ok = true;
             try {
-                isComplete = scenario.validate(state, lastCmd, history);
-            } catch (e) {
-                console.error("Validation error", e);
+                ok = shellCommands[mainCmd](words.slice(1), command) !== false;
+            } catch (err) {
+                if (err.name !== 'GitError') throw err;
+                addOutput(formatText(err.message), 'error');
+                ok = false;
+            }
+            if (state.activeScenario) {
+                checkScenarioSuccess(state.activeScenario, text, ok);
             }
+            return ok;
         }
-        // Fallback to strict regex
-        else if (scenario.solutionRegex) {
-            isComplete = scenario.solutionRegex.test(lastCmd);
+
+        // 2. Handle Git Commands
+        if (!subCmd) {
+            addOutput(`usage: git [--version] [--help] <command> [<args>]`, 'info');
+            return true;
         }
 
+        // Execute against the repository model
+        let success = true; // tracking for scenario validation
+        const handler = Object.prototype.hasOwnProperty.call(gitCommands, subCmd) ? gitCommands[subCmd] : null;
+
+        if (state.repo.initialized === false && !OUTSIDE_REPO_COMMANDS.includes(subCmd)) {
+            addOutput(`fatal: not a git repository (or any of the parent directories): .git`, 'error');
+            success = false;
+        }
+        else if (handler) {
+            try {
+                const args = MESSAGE_COMMANDS.includes(subCmd) ? withoutMessage(words) : words;
+                success = handler(args.slice(2), command) !== false;
+            } catch (err) {
+                if (err.name !== 'GitError') throw err;
+                addOutput(formatText(err.message), 'error');
+                success = false;
+            }
+            if (success) runRemoteEvents(subCmd);
+        }
+        else if (UNSUPPORTED_COMMANDS.includes(subCmd)) {
+            // Still a correct git command, so a scenario asking for it counts it; it just doesn't run here
+            addOutput(`'git ${subCmd}' is not supported in the playground yet, so nothing was run.`, 'info');
+        }
+        else {
+            addOutput(`git: '${escapeHtml(subCmd)}' is not a git command. See 'git --help'.`, 'error');
+            success = false;
+        }
+
+        // 3. Scenario Validation Check
+        if (state.activeScenario) {
+            checkScenarioSuccess(state.activeScenario, text, success);
+        }
+        return success;
+    }
+
+    /** Check the scenario's goals against the repository; `succeeded` says whether `lastCmd` ran without error. */
+    function checkScenarioSuccess(scenario, lastCmd, succeeded) {
+        if (state.scenarioSolved) return;
+        const isComplete = GitScenarioLoader.isComplete(scenario, state.repo, { command: succeeded ? lastCmd : null });
+
         if (isComplete) {
+            state.scenarioSolved = true;
+            const commandCount = state.history.length;
+            const timeMs = Date.now() - state.attempt.startedAt;
+            const attempt = {
+                hintsUsed: state.hintsShown,
+                answerShown: state.attempt.answerShown,
+                wrongCommands: state.attempt.wrongCommands,
+                timeMs,
+            };
+            const summary = window.GitBadgeEngine ? attemptSummaryHtml(GitBadgeEngine.rateAttempt(attempt), commandCount, timeMs) : '';
             addOutput(`<br><div style="border: 1px solid #27c93f; background: rgba(39, 201, 63, 0.1); padding: 1rem; border-radius: 8px;">
                 <h4 style="color: #27c93f; margin-top: 0;"><i class="fas fa-check-circle"></i> Scenario Completed!</h4>
                 <p>Great job! You've solved "${scenario.title}".</p>
+                ${summary}
             </div>`);
 
             // Mark completed in UI
@@ -386,8 +1756,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // --- Badge System Integration ---
             if (window.GitBadgeEngine) {
-                const commandCount = state.history.length;
-                const newBadges = GitBadgeEngine.onScenarioComplete(scenario.id, commandCount);
+                const newBadges = GitBadgeEngine.onScenarioComplete(scenario.id, commandCount, allScenarios, attempt);
+                if (card) renderCardStars(card, scenario.id);
 
                 // Show toast for each newly earned badge
                 newBadges.forEach((badge, i) => {
@@ -396,12 +1766,104 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Update badge UI counters
                 updateBadgeUI();
+
+                // Keep the signed-in account up to date (no-op when signed out)
+                if (window.ProgressSync) ProgressSync.sync();
             }
         }
     }
 
+    // --- Input: history, reverse search, completion ---
+
+    function setInput(value, caret = value.length) {
+        commandInput.value = value;
+        commandInput.setSelectionRange(caret, caret);
+    }
+
+    /** Line under the input for completion candidates and the Ctrl+R prompt. */
+    function showAssist(html) {
+        if (!terminalAssist) return;
+        terminalAssist.innerHTML = html;
+        terminalAssist.hidden = false;
+    }
+
+    function hideAssist() {
+        if (terminalAssist) terminalAssist.hidden = true;
+    }
+
+    /** Up / Down walk through earlier commands; going past the newest brings back the unfinished line. */
+    function browseHistory(step) {
+        const history = state.history;
+        if (inputState.cursor === null) {
+            if (step > 0 || !history.length) return;
+            inputState.draft = commandInput.value;
+            inputState.cursor = history.length;
+        }
+        const next = inputState.cursor + step;
+        if (next < 0) return;
+        if (next >= history.length) {
+            inputState.cursor = null;
+            setInput(inputState.draft);
+        } else {
+            inputState.cursor = next;
+            setInput(history[next]);
+        }
+        hideAssist();
+    }
+
+    /** Tab: complete the word before the caret; when several words fit, list them. */
+    function completeInput() {
+        const caret = commandInput.selectionStart ?? commandInput.value.length;
+        const result = GitShell.complete(commandInput.value.slice(0, caret), {
+            repo: state.repo,
+            commands: ['git', 'help', 'hint', 'clear', ...Object.keys(shellCommands)],
+            gitCommands: [...Object.keys(gitCommands).filter(c => !c.startsWith('-')), ...UNSUPPORTED_COMMANDS]
+        });
+        setInput(result.line + commandInput.value.slice(caret), result.line.length);
+        if (result.matches.length) showAssist(result.matches.map(escapeHtml).join('&nbsp;&nbsp;'));
+        else hideAssist();
+    }
+
+    function showSearch() {
+        const { query, index } = inputState.search;
+        const label = index === -1 && query ? 'failed reverse-i-search' : 'reverse-i-search';
+        const match = index !== -1 ? state.history[index] : query ? commandInput.value : ''; // a failed search keeps the last match
+        showAssist(`(${label})\`<span class="terminal-assist-query">${escapeHtml(query)}</span>': ${escapeHtml(match)}`);
+    }
+
+    /** Keys typed during Ctrl+R go into the search; Enter runs the match, Esc puts the line back. */
+    function handleSearchKey(e) {
+        const search = inputState.search;
+        if (e.ctrlKey && e.key.toLowerCase() === 'r') {
+            // Next older match for the same text
+            e.preventDefault();
+            const older = GitShell.searchHistory(state.history, search.query, search.index === -1 ? state.history.length : search.index);
+            if (older !== -1) search.index = older;
+        } else if (e.key === 'Backspace' || (e.key.length === 1 && !e.ctrlKey && !e.metaKey)) {
+            e.preventDefault();
+            search.query = e.key === 'Backspace' ? search.query.slice(0, -1) : search.query + e.key;
+            search.index = search.query ? GitShell.searchHistory(state.history, search.query) : -1;
+        } else if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'g')) {
+            e.preventDefault();
+            inputState.search = null;
+            setInput(inputState.draft);
+            hideAssist();
+            return;
+        } else if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Alt' || e.key === 'Meta') {
+            return;
+        } else {
+            // Any other key keeps the match on the line and then does its usual job
+            inputState.search = null;
+            hideAssist();
+            if (e.key === 'Enter') handleCommand();
+            return;
+        }
+        if (search.index !== -1) setInput(state.history[search.index]);
+        showSearch();
+    }
+
     function handleCommand() {
-        if (replayState.isActive) return; // Block commands during replay
+        if (replayState.isActive || state.editorOpen) return; // Block commands during replay or editing
 
         const cmd = commandInput.value;
         if (!cmd.trim()) return;
@@ -410,6 +1872,11 @@ document.addEventListener('DOMContentLoaded', () => {
         addCommandToHistory(cmd);
         simulateGitCommand(cmd);
         commandInput.value = '';
+        inputState.cursor = null;
+        hideAssist();
+
+        // Same delay as the command itself, so the graph updates right after it runs
+        setTimeout(() => renderGraph(), state.commandDelay);
 
         // Record snapshot for replay AFTER command processes
         setTimeout(() => {
@@ -427,14 +1894,21 @@ document.addEventListener('DOMContentLoaded', () => {
     function cloneState() {
         return {
             currentDir: state.currentDir,
-            currentBranch: state.currentBranch,
-            branches: [...state.branches],
-            staged: [...state.staged],
-            commits: state.commits.map(c => ({ ...c })),
+            repo: GitEngine.cloneRepository(state.repo),
             history: [...state.history]
         };
     }
 
+    /**
+     * Re-capture the latest snapshot after a command finishes asynchronously (e.g. the editor)
+     */
+    function refreshLatestSnapshot() {
+        const latest = replayState.snapshots[replayState.snapshots.length - 1];
+        if (!latest) return;
+        latest.terminalHTML = terminalOutput.innerHTML;
+        latest.state = cloneState();
+    }
+
     /**
      * Record a snapshot after each command execution
      */
@@ -501,12 +1975,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Restore state
         if (replayState.savedState) {
             state.currentDir = replayState.savedState.currentDir;
-            state.currentBranch = replayState.savedState.currentBranch;
-            state.branches = [...replayState.savedState.branches];
-            state.staged = [...replayState.savedState.staged];
-            state.commits = replayState.savedState.commits.map(c => ({ ...c }));
+            state.repo = GitEngine.cloneRepository(replayState.savedState.repo);
             state.history = [...replayState.savedState.history];
         }
+        renderGraph();
 
         // UI Updates
         replayToggleBtn.classList.remove('active');
@@ -540,23 +2012,27 @@ document.addEventListener('DOMContentLoaded', () => {
         const stateBox = document.createElement('div');
         stateBox.className = 'replay-state-box';
         const snap = snapshot.state;
+        const snapHead = GitEngine.headCommit(snap.repo);
+        const snapBranch = snap.repo.head.detached ? `HEAD detached at ${GitEngine.shortHash(snapHead)}` : GitEngine.currentBranch(snap.repo);
+        const snapStaged = GitEngine.status(snap.repo).staged.map(c => c.path);
+        const snapCommits = snapHead ? GitEngine.log(snap.repo) : [];
         stateBox.innerHTML = `
             <div class="state-label"><i class="fas fa-database"></i> Repository State at Step ${index + 1}</div>
             <div class="replay-state-row">
                 <span class="label">Branch:</span>
-                <span class="value">${snap.currentBranch}</span>
+                <span class="value">${escapeHtml(snapBranch)}</span>
             </div>
             <div class="replay-state-row">
                 <span class="label">Branches:</span>
-                <span class="value">${snap.branches.join(', ')}</span>
+                <span class="value">${escapeHtml(Object.keys(snap.repo.branches).join(', ') || 'none')}</span>
             </div>
             <div class="replay-state-row">
                 <span class="label">Staged:</span>
-                <span class="value">${snap.staged.length > 0 ? snap.staged.join(', ') : 'none'}</span>
+                <span class="value">${snapStaged.length > 0 ? escapeHtml(snapStaged.join(', ')) : 'none'}</span>
             </div>
             <div class="replay-state-row">
                 <span class="label">Commits:</span>
-                <span class="value">${snap.commits.length} (latest: ${snap.commits[0]?.msg || 'none'})</span>
+                <span class="value">${snapCommits.length} (latest: ${snapHead ? `${GitEngine.shortHash(snapHead)} ${escapeHtml(snapCommits[0].message)}` : 'none'})</span>
             </div>
             <div class="replay-state-row">
                 <span class="label">Directory:</span>
@@ -565,6 +2041,7 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
         terminalOutput.appendChild(stateBox);
         terminalOutput.scrollTop = terminalOutput.scrollHeight;
+        renderGraph(snap.repo);
 
         // Update controls
         updateReplayControls();
@@ -677,6 +2154,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 </div>
                 <div class="scenario-desc">${scenario.description}</div>
             `;
+            renderCardStars(card, scenario.id);
 
             card.addEventListener('click', () => loadScenario(scenario.id));
             scenarioList.appendChild(card);
@@ -693,6 +2171,19 @@ document.addEventListener('DOMContentLoaded', () => {
         const scenario = allScenarios.find(s => s.id === id);
         if (!scenario) return;
 
+        // Build the scenario's starting repository; the loader only checks the file's shape,
+        // so a setup that names a missing revision surfaces here
+        const setup = scenario.setup || {};
+        let repo;
+        try {
+            repo = GitEngine.fromSetup(setup);
+        } catch (err) {
+            if (err.name !== 'GitError') throw err;
+            console.error(`Scenario ${id} has an invalid setup: ${err.message}`);
+            addOutput(`Could not start scenario "${escapeHtml(scenario.title)}": its setup is broken.`, 'error');
+            return;
+        }
+
         // active class in UI
         document.querySelectorAll('.scenario-card').forEach(c => c.classList.remove('active'));
         const card = document.querySelector(`.scenario-card[data-id="${id}"]`);
@@ -700,17 +2191,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Update State
         state.activeScenario = scenario;
+        state.scenarioSolved = false;
+        state.hintsShown = 0;
+        state.attempt = { startedAt: Date.now(), wrongCommands: 0, failStreak: 0, answerShown: false };
+        if (window.GitBadgeEngine) GitBadgeEngine.onScenarioStart(id);
 
         // Reset Terminal & State properties
         state.history = [];
-        // Apply initial state override
-        if (scenario.initialState) {
-            state.currentDir = scenario.initialState.currentDir || '~/projects';
-            state.currentBranch = scenario.initialState.currentBranch || 'main';
-            state.branches = scenario.initialState.branches || ['main'];
-            state.commits = scenario.initialState.commits ? [...scenario.initialState.commits] : [];
-            state.staged = scenario.initialState.staged || [];
-        }
+        state.currentDir = setup.dir || '~/projects';
+        state.repo = repo;
+        state.remoteEvents = (scenario.remoteEvents || []).map(e => ({ ...e }));
+        renderGraph(repo, { animate: false });
 
         // Output Welcome
         terminalOutput.innerHTML = `
@@ -721,7 +2212,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     <i class="fas fa-tasks"></i>
                     <span><strong>Task:</strong> ${scenario.description}</span>
                 </div>
-                <p style="color: var(--text-secondary); margin-top: 0.5rem;">Enter your commands below to solve this.</p>
+                <p style="color: var(--text-secondary); margin-top: 0.5rem;">Enter your commands below to solve this. Stuck? Type <code>hint</code>, but each hint costs a star.</p>
             </div>
         `;
 
@@ -733,6 +2224,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function quitScenario() {
         state.activeScenario = null;
+        state.remoteEvents = [];
         updateScenarioBanner();
         terminalOutput.innerHTML = `
            <div class="welcome-msg">
@@ -747,17 +2239,44 @@ document.addEventListener('DOMContentLoaded', () => {
     // Terminal Interactions
     commandInput.addEventListener('keydown', (e) => {
         if (replayState.isActive) { e.preventDefault(); return; }
-        if (e.key === 'Enter') handleCommand();
+        if (inputState.search) {
+            handleSearchKey(e);
+            return;
+        }
+        if (e.key === 'Enter') {
+            handleCommand();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            completeInput();
+        } else if (e.ctrlKey && e.key.toLowerCase() === 'r') {
+            e.preventDefault();
+            inputState.draft = commandInput.value;
+            inputState.search = { query: '', index: -1 };
+            showSearch();
+        } else if (e.key === 'Escape') {
+            hideAssist();
+        }
     });
 
     sendBtn.addEventListener('click', () => {
         if (replayState.isActive) return;
         handleCommand();
     });
-    terminalOutput.addEventListener('click', () => {
-        if (!replayState.isActive) commandInput.focus();
+    terminalOutput.addEventListener('click', (e) => {
+        if (!replayState.isActive && !e.target.closest('.terminal-editor')) commandInput.focus();
     });
 
+    // --- Commit Graph Toggle ---
+    if (graphToggleBtn) {
+        graphToggleBtn.addEventListener('click', () => {
+            const hidden = terminalSection.classList.toggle('graph-hidden');
+            graphToggleBtn.classList.toggle('active', !hidden);
+        });
+    }
+
     // --- Replay Mode Event Listeners ---
     if (replayToggleBtn) {
         replayToggleBtn.addEventListener('click', () => {
@@ -938,11 +2457,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
             state.history = [];
             state.currentDir = '~/projects';
-            state.currentBranch = 'main';
-            state.branches = ['main'];
-            state.staged = [];
-            state.commits = [{ hash: '8f23a1', msg: 'Initial commit', author: 'User', date: new Date().toDateString() }];
+            state.repo = createDefaultRepo();
             state.activeScenario = null;
+            renderGraph(state.repo, { animate: false });
+            state.remoteEvents = [];
             updateScenarioBanner();
 
             terminalOutput.innerHTML = `
@@ -960,8 +2478,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Initialization ---
+    renderGraph(state.repo, { animate: false });
+
     // Default View: Scenarios
-    renderScenarios();
+    scenarioList.innerHTML = '<div style="color: var(--text-secondary); padding: 1rem; text-align: center;">Loading scenarios...</div>';
+    Promise.all([GitScenarioLoader.loadScenarios(), window.GitBadgeEngine && GitBadgeEngine.ready])
+        .then(([scenarios]) => {
+            allScenarios = scenarios;
+            const activeFilter = document.querySelector('.filter-tag.active');
+            renderScenarios(activeFilter ? activeFilter.dataset.level : 'all', scenarioSearch.value);
+        })
+        .catch(err => {
+            console.error(err.message);
+            scenarioList.innerHTML = '<div style="color: var(--text-secondary); padding: 1rem; text-align: center;">Scenarios could not be loaded.</div>';
+        });
 
     // --- Badge Modal & Toast System ---
 
@@ -1082,11 +2612,15 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // Badge share button
+    // Badge share button: copies a verified link, or opens the profile page (which explains signing in or verifying)
     const badgeShareBtn = document.getElementById('badge-share-btn');
-    if (badgeShareBtn && window.GitBadgeEngine) {
-        badgeShareBtn.addEventListener('click', () => {
-            const url = GitBadgeEngine.getShareableURL();
+    if (badgeShareBtn && window.GitBadgeEngine && window.ProgressSync) {
+        badgeShareBtn.addEventListener('click', async () => {
+            const { url } = await ProgressSync.getShareURL();
+            if (!url) {
+                window.open('badges.html', '_blank');
+                return;
+            }
             navigator.clipboard.writeText(url).then(() => {
                 badgeShareBtn.innerHTML = '<i class="fas fa-check"></i> Link Copied!';
                 setTimeout(() => {
@@ -1099,8 +2633,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Initialize badge UI on load
-    updateBadgeUI();
+    // Initialize badge UI once the badge definitions are loaded
+    if (window.GitBadgeEngine) GitBadgeEngine.ready.then(updateBadgeUI);
 
 });
 
@@ -0,0 +1,426 @@
+// ============================================================
+// Git Playground — Scenario Loader
+// Loads the declarative scenarios in data/git_scenarios.json, rejects
+// malformed files, and checks each scenario's goals against the
+// simulated repository rather than the exact command that was typed.
+// ============================================================
+
+const GitScenarioLoader = (() => {
+    // --------------- CONSTANTS ---------------
+    const DATA_URL = '../data/git_scenarios.json';
+    const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+    const HINT_COUNT = 2; // a nudge, then the command; the playground shows the solution as the last tier
+
+    // Field specs: a type name, or an array of allowed values. A trailing '?' marks the field optional.
+    const SCENARIO_FIELDS = {
+        id: 'string',
+        title: 'string',
+        level: LEVELS,
+        description: 'string',
+        'setup?': 'object',
+        goals: 'array',
+        hints: 'array',
+        solution: 'array',
+        'remoteEvents?': 'array'
+    };
+
+    const SETUP_FIELDS = {
+        'init?': 'boolean',
+        'dir?': 'string',
+        'branch?': 'string',
+        'commits?': 'array',
+        'branches?': 'array',
+        'tags?': 'object',
+        'head?': 'string',
+        'resetTo?': 'string',
+        'deletedBranches?': 'array',
+        'files?': 'object',
+        'staged?': 'object',
+        'stashes?': 'array',
+        'remote?': 'object|false',
+        'inProgress?': 'object'
+    };
+
+    const COMMIT_FIELDS = { message: 'string', 'files?': 'object', 'branch?': 'string', 'from?': 'string', 'author?': 'string' };
+    const STASH_FIELDS = { 'message?': 'string', files: 'object' };
+    const REMOTE_FIELDS = { 'url?': 'string', 'branches?': 'array', 'unpushed?': 'number', 'commits?': 'array', 'stale?': 'array' };
+    const REMOTE_COMMIT_FIELDS = { message: 'string', 'files?': 'object', 'branch?': 'string', 'author?': 'string' };
+    const IN_PROGRESS_FIELDS = { 'merge?': 'string', 'rebase?': 'string', 'cherryPick?': 'string' };
+    const REMOTE_EVENT_FIELDS = { after: 'string', message: 'string', 'remote?': 'string', 'branch?': 'string', 'files?': 'object', 'author?': 'string' };
+
+    // --------------- GOAL TYPES ---------------
+
+    function resolve(repo, rev) {
+        try {
+            return GitEngine.resolveRevision(repo, rev);
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function subject(repo, hash) {
+        return repo.commits[hash].message.split('\n')[0];
+    }
+
+    function history(repo, from = 'HEAD') {
+        const tip = resolve(repo, from);
+        return tip ? GitEngine.log(repo, { revs: [tip] }) : [];
+    }
+
+    function fileIn(repo, path, where = 'workdir') {
+        if (where === 'HEAD') return GitEngine.headTree(repo)[path];
+        return repo[where][path];
+    }
+
+    /**
+     * Every goal is `{ type, ...fields }` plus an optional `"not": true` that inverts it.
+     * `check(repo, goal, context)` sees the repository after the command; `context.command`
+     * is the command that just ran, or null when it failed.
+     */
+    const GOAL_TYPES = {
+        initialized: {
+            fields: { 'branch?': 'string' },
+            check: (repo, g) => repo.initialized !== false && (!g.branch || repo.head.branch === g.branch)
+        },
+        currentBranch: {
+            fields: { branch: 'string' },
+            check: (repo, g) => GitEngine.currentBranch(repo) === g.branch
+        },
+        detachedHead: {
+            fields: { 'message?': 'string' },
+            check: (repo, g) => !!repo.head.detached && (!g.message || subject(repo, repo.head.detached) === g.message)
+        },
+        branchExists: {
+            fields: { branch: 'string' },
+            check: (repo, g) => Object.prototype.hasOwnProperty.call(repo.branches, g.branch)
+        },
+        tagExists: {
+            fields: { tag: 'string', 'at?': 'string', 'remote?': 'string' },
+            check: (repo, g) => {
+                const tags = g.remote ? (repo.remotes[g.remote] || { tags: {} }).tags : repo.tags;
+                return !!tags[g.tag] && (!g.at || tags[g.tag] === resolve(repo, g.at));
+            }
+        },
+        headMessage: {
+            fields: { message: 'string' },
+            check: (repo, g) => !!GitEngine.headCommit(repo) && subject(repo, GitEngine.headCommit(repo)) === g.message
+        },
+        commitReachable: {
+            fields: { message: 'string', 'from?': 'string' },
+            check: (repo, g) => history(repo, g.from).some(c => c.message.split('\n')[0] === g.message)
+        },
+        commitCount: {
+            fields: { count: 'number', 'from?': 'string' },
+            check: (repo, g) => history(repo, g.from).length === g.count
+        },
+        mergeCommit: {
+            fields: { 'from?': 'string' },
+            check: (repo, g) => {
+                const tip = resolve(repo, g.from || 'HEAD');
+                return !!tip && repo.commits[tip].parents.length > 1;
+            }
+        },
+        linearHistory: {
+            fields: { 'from?': 'string' },
+            check: (repo, g) => history(repo, g.from).every(c => c.parents.length <= 1)
+        },
+        ancestor: {
+            fields: { ancestor: 'string', descendant: 'string' },
+            check: (repo, g) => {
+                const a = resolve(repo, g.ancestor);
+                const d = resolve(repo, g.descendant);
+                return !!a && !!d && GitEngine.isAncestor(repo, a, d);
+            }
+        },
+        staged: {
+            fields: { path: 'string' },
+            check: (repo, g) => GitEngine.status(repo).staged.some(c => c.path === g.path)
+        },
+        unstaged: {
+            fields: { path: 'string' },
+            check: (repo, g) => GitEngine.status(repo).unstaged.some(c => c.path === g.path)
+        },
+        untracked: {
+            fields: { path: 'string' },
+            check: (repo, g) => GitEngine.status(repo).untracked.includes(g.path)
+        },
+        tracked: {
+            fields: { path: 'string' },
+            check: (repo, g) => repo.index[g.path] !== undefined
+        },
+        fileExists: {
+            fields: { path: 'string' },
+            check: (repo, g) => repo.workdir[g.path] !== undefined
+        },
+        fileContent: {
+            fields: { path: 'string', 'contains?': 'string', 'equals?': 'string', 'in?': ['workdir', 'index', 'HEAD'] },
+            validate: g => (g.contains === undefined && g.equals === undefined ? 'needs "contains" or "equals"' : null),
+            check: (repo, g) => {
+                const content = fileIn(repo, g.path, g.in);
+                if (content === undefined) return false;
+                return g.equals !== undefined ? content === g.equals : content.includes(g.contains);
+            }
+        },
+        cleanWorkingTree: {
+            fields: { 'ignoreUntracked?': 'boolean' },
+            check: (repo, g) => {
+                const st = GitEngine.status(repo);
+                return !st.staged.length && !st.unstaged.length && !st.unmerged.length &&
+                    (g.ignoreUntracked || !st.untracked.length);
+            }
+        },
+        stashCount: {
+            fields: { count: 'number' },
+            check: (repo, g) => repo.stashes.length === g.count
+        },
+        remoteExists: {
+            fields: { remote: 'string', 'url?': 'string' },
+            check: (repo, g) => !!repo.remotes[g.remote] && (!g.url || repo.remotes[g.remote].url === g.url)
+        },
+        remoteBranch: {
+            fields: { branch: 'string', 'remote?': 'string', 'at?': 'string' },
+            check: (repo, g) => {
+                const remote = repo.remotes[g.remote || 'origin'];
+                const hash = remote && remote.branches[g.branch];
+                return !!hash && (!g.at || hash === resolve(repo, g.at));
+            }
+        },
+        remoteTrackingRef: {
+            fields: { ref: 'string' },
+            check: (repo, g) => Object.prototype.hasOwnProperty.call(repo.remoteBranches, g.ref)
+        },
+        upstream: {
+            fields: { branch: 'string', upstream: 'string' },
+            check: (repo, g) => {
+                const tracking = GitEngine.trackingStatus(repo, g.branch);
+                return !!tracking && tracking.upstream === g.upstream;
+            }
+        },
+        upToDate: {
+            fields: { 'branch?': 'string' },
+            check: (repo, g) => {
+                const tracking = GitEngine.trackingStatus(repo, g.branch || GitEngine.currentBranch(repo));
+                return !!tracking && !tracking.gone && !tracking.ahead && !tracking.behind;
+            }
+        },
+        operation: {
+            fields: { operation: ['none', 'merge', 'rebase', 'cherry-pick', 'revert'] },
+            check: (repo, g) => (repo.operation ? repo.operation.type : 'none') === g.operation
+        },
+        configValue: {
+            fields: { key: 'string', value: 'string', 'scope?': ['global', 'local'] },
+            validate: g => (typeof g.key === 'string' && !g.key.includes('.') ? 'key needs a section, like "user.name"' : null),
+            check: (repo, g) => (g.scope !== 'local' || repo.initialized !== false) && GitEngine.getConfig(repo, g.key, g.scope) === g.value
+        },
+        // For read-only commands (log, diff, help...) and unsupported ones, which leave no trace in the repository
+        command: {
+            fields: { command: 'string|array' },
+            check: (repo, g, context) => !!context.command &&
+                [].concat(g.command).some(pattern => commandMatches(context.command, pattern))
+        }
+    };
+
+    // --------------- COMMAND MATCHING ---------------
+
+    /** Split a command into words, dropping quotes and expanding short flag clusters (-fd -> -f -d). */
+    function commandWords(command) {
+        const words = command.trim().match(/"[^"]*"|'[^']*'|\S+/g) || [];
+        return words.flatMap(w => {
+            if (/^(["']).*\1$/.test(w)) return [w.slice(1, -1)];
+            if (/^-[a-zA-Z]{2,}$/.test(w)) return w.slice(1).split('').map(f => `-${f}`);
+            return [w];
+        });
+    }
+
+    /**
+     * A command satisfies a pattern when the program and subcommand agree and every other
+     * word of the pattern appears somewhere in it, so flag order and extra flags don't matter.
+     */
+    function commandMatches(command, pattern) {
+        const words = commandWords(command);
+        const wanted = commandWords(pattern);
+        if (words[0] !== wanted[0] || (wanted[0] === 'git' && words[1] !== wanted[1])) return false;
+        const remaining = words.slice(1);
+        return wanted.slice(1).every(w => {
+            const i = remaining.indexOf(w);
+            if (i === -1) return false;
+            remaining.splice(i, 1);
+            return true;
+        });
+    }
+
+    // --------------- VALIDATION ---------------
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /** Check `obj` against a field spec; problems are pushed onto `errors` prefixed with `where`. */
+    function checkFields(obj, spec, where, errors) {
+        if (typeOf(obj) !== 'object') {
+            errors.push(`${where}: expected an object`);
+            return false;
+        }
+        const known = {};
+        Object.keys(spec).forEach(key => {
+            const optional = key.endsWith('?');
+            const name = optional ? key.slice(0, -1) : key;
+            known[name] = true;
+            const value = obj[name];
+            if (value === undefined) {
+                if (!optional) errors.push(`${where}: missing required field "${name}"`);
+                return;
+            }
+            const type = spec[key];
+            if (Array.isArray(type)) {
+                if (!type.includes(value)) errors.push(`${where}: "${name}" must be one of ${type.join(', ')}`);
+            } else if (!type.split('|').some(t => (t === 'false' ? value === false : t === typeOf(value)))) {
+                errors.push(`${where}: "${name}" must be ${type.replace('|', ' or ')}`);
+            }
+        });
+        Object.keys(obj).forEach(name => {
+            if (!known[name]) errors.push(`${where}: unknown field "${name}"`);
+        });
+        return true;
+    }
+
+    function checkFileMap(files, where, errors) {
+        if (typeOf(files) !== 'object') return;
+        Object.keys(files).forEach(path => {
+            if (typeof files[path] !== 'string' && files[path] !== null) {
+                errors.push(`${where}: content of "${path}" must be a string, or null to delete it`);
+            }
+        });
+    }
+
+    function checkList(list, spec, where, errors, extra) {
+        if (!Array.isArray(list)) return;
+        list.forEach((item, i) => {
+            if (checkFields(item, spec, `${where}[${i}]`, errors) && extra) extra(item, `${where}[${i}]`);
+        });
+    }
+
+    function checkSetup(setup, where, errors) {
+        if (!checkFields(setup, SETUP_FIELDS, where, errors)) return;
+        const withFiles = (item, at) => checkFileMap(item.files, `${at}.files`, errors);
+        checkList(setup.commits, COMMIT_FIELDS, `${where}.commits`, errors, withFiles);
+        checkList(setup.stashes, STASH_FIELDS, `${where}.stashes`, errors, withFiles);
+        checkFileMap(setup.files, `${where}.files`, errors);
+        checkFileMap(setup.staged, `${where}.staged`, errors);
+        ['branches', 'deletedBranches'].forEach(field => (setup[field] || []).forEach((b, i) => {
+            if (typeof b !== 'string') errors.push(`${where}.${field}[${i}]: expected a branch name`);
+        }));
+        if (typeOf(setup.remote) === 'object' && checkFields(setup.remote, REMOTE_FIELDS, `${where}.remote`, errors)) {
+            checkList(setup.remote.commits, REMOTE_COMMIT_FIELDS, `${where}.remote.commits`, errors, withFiles);
+        }
+        if (setup.inProgress !== undefined && checkFields(setup.inProgress, IN_PROGRESS_FIELDS, `${where}.inProgress`, errors) &&
+            Object.keys(setup.inProgress).length !== 1) {
+            errors.push(`${where}.inProgress: name exactly one of merge, rebase or cherryPick`);
+        }
+    }
+
+    function checkGoal(goal, where, errors) {
+        if (typeOf(goal) !== 'object') {
+            errors.push(`${where}: expected an object`);
+            return;
+        }
+        const type = GOAL_TYPES[goal.type];
+        if (!type) {
+            errors.push(`${where}: unknown goal type "${goal.type}"`);
+            return;
+        }
+        checkFields(goal, { type: 'string', 'not?': 'boolean', ...type.fields }, where, errors);
+        const problem = type.validate && type.validate(goal);
+        if (problem) errors.push(`${where}: ${problem}`);
+    }
+
+    function checkStrings(list, where, errors) {
+        if (!Array.isArray(list)) return;
+        if (!list.length) errors.push(`${where}: must not be empty`);
+        list.forEach((item, i) => {
+            if (typeof item !== 'string' || !item.trim()) errors.push(`${where}[${i}]: expected a non-empty string`);
+        });
+    }
+
+    /** Validate a parsed scenario file. Returns a list of problems; an empty list means it is usable. */
+    function validateScenarioFile(data) {
+        const errors = [];
+        if (typeOf(data) !== 'object' || !Array.isArray(data.scenarios)) {
+            return ['scenario file must be an object with a "scenarios" array'];
+        }
+        const seen = {};
+        data.scenarios.forEach((scenario, i) => {
+            const where = scenario && typeof scenario.id === 'string' ? `scenario "${scenario.id}"` : `scenarios[${i}]`;
+            if (!checkFields(scenario, SCENARIO_FIELDS, where, errors)) return;
+            if (seen[scenario.id]) errors.push(`${where}: duplicate id`);
+            seen[scenario.id] = true;
+
+            if (scenario.setup !== undefined) checkSetup(scenario.setup, `${where}.setup`, errors);
+            if (Array.isArray(scenario.goals)) {
+                if (!scenario.goals.length) errors.push(`${where}.goals: must not be empty`);
+                scenario.goals.forEach((goal, j) => checkGoal(goal, `${where}.goals[${j}]`, errors));
+            }
+            checkStrings(scenario.hints, `${where}.hints`, errors);
+            if (Array.isArray(scenario.hints) && scenario.hints.length !== HINT_COUNT) {
+                errors.push(`${where}.hints: expected ${HINT_COUNT} hints (a nudge, then the command)`);
+            }
+            checkStrings(scenario.solution, `${where}.solution`, errors);
+            checkList(scenario.remoteEvents, REMOTE_EVENT_FIELDS, `${where}.remoteEvents`, errors,
+                (event, at) => checkFileMap(event.files, `${at}.files`, errors));
+        });
+        return errors;
+    }
+
+    function scenarioFileError(errors) {
+        const err = new Error(`Invalid scenario file:\n${errors.join('\n')}`);
+        err.name = 'ScenarioFileError';
+        err.errors = errors;
+        return err;
+    }
+
+    // --------------- PUBLIC API ---------------
+
+    /** Fetch and validate the scenario file. Rejects with a ScenarioFileError listing every problem. */
+    async function loadScenarios(url = DATA_URL) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Could not load scenarios (HTTP ${res.status})`);
+        const data = await res.json();
+        const errors = validateScenarioFile(data);
+        if (errors.length) throw scenarioFileError(errors);
+        return data.scenarios;
+    }
+
+    /** Check each goal of a scenario against the repository: [{ goal, met }]. */
+    function evaluateGoals(scenario, repo, context = {}) {
+        return scenario.goals.map(goal => {
+            let met = false;
+            try {
+                met = GOAL_TYPES[goal.type].check(repo, goal, { command: context.command || null });
+            } catch (err) {
+                if (err.name !== 'GitError') throw err;
+            }
+            return { goal, met: goal.not ? !met : met };
+        });
+    }
+
+    /** True once every goal of the scenario holds. */
+    function isComplete(scenario, repo, context) {
+        return evaluateGoals(scenario, repo, context).every(r => r.met);
+    }
+
+    return {
+        LEVELS,
+        GOAL_TYPES,
+        loadScenarios,
+        validateScenarioFile,
+        evaluateGoals,
+        isComplete,
+        commandMatches,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GitScenarioLoader = GitScenarioLoader;
+}
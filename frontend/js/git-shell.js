@@ -0,0 +1,278 @@
+// ============================================================
+// Git Playground — Shell Input
+// Turns a line typed into the playground terminal into commands the
+// way bash would: quotes, backslash escapes, `>` / `>>` redirects and
+// `&&` chains. Also completes the word under the cursor from the
+// simulated repository (subcommands, flags, refs, file names).
+// ============================================================
+
+const GitShell = (() => {
+    // --------------- CONSTANTS ---------------
+
+    // Flags the playground understands, offered when completing a word that starts with `-`
+    const GIT_FLAGS = {
+        init: ['-b', '--initial-branch='],
+        status: ['-s', '--short', '-b', '--branch'],
+        add: ['-A', '--all'],
+        commit: ['-m', '-a', '--all', '--amend', '--allow-empty', '--message='],
+        branch: ['-a', '--all', '-d', '-D', '-f', '--force', '-m', '-M', '-r', '--remotes', '-u', '--set-upstream-to=', '--unset-upstream', '--show-current', '-v', '-vv'],
+        checkout: ['-b', '-B', '--detach', '--ours', '--theirs'],
+        switch: ['-c', '-C', '--create', '-d', '--detach'],
+        merge: ['--abort', '--continue', '--no-ff', '--ff-only', '--squash', '-m'],
+        log: ['--oneline', '--all', '-n', '--max-count='],
+        reflog: ['-n'],
+        diff: ['--staged', '--cached', '--name-only', '--stat'],
+        remote: ['-v', '--verbose'],
+        fetch: ['--all', '--prune', '-p'],
+        push: ['-u', '--set-upstream', '-f', '--force', '--force-with-lease', '--tags', '-d', '--delete'],
+        pull: ['--rebase', '-r', '--ff-only', '--no-ff'],
+        stash: ['-m'],
+        reset: ['--soft', '--mixed', '--hard'],
+        rebase: ['-i', '--interactive', '--onto', '--continue', '--skip', '--abort'],
+        'cherry-pick': ['--continue', '--skip', '--abort'],
+        revert: ['--no-edit', '--continue', '--skip', '--abort'],
+        config: ['--global', '--local', '--get', '--unset', '--list', '-l'],
+        tag: ['-a', '-d', '--delete', '-f', '-m'],
+        clean: ['-n', '--dry-run', '-f', '--force', '-d'],
+        restore: ['--staged', '-S', '--worktree', '-W', '--source=', '--ours', '--theirs'],
+        rm: ['--cached', '-r', '-f'],
+        'rev-parse': ['--abbrev-ref', '--short', '--git-dir', '--show-toplevel'],
+    };
+
+    // Words that come right after `git <subcommand>`
+    const GIT_ACTIONS = {
+        remote: ['add', 'get-url', 'prune', 'remove', 'rename', 'set-url', 'show'],
+        stash: ['apply', 'clear', 'drop', 'list', 'pop', 'push', 'save'],
+        reflog: ['show'],
+    };
+
+    const REF_ARGS = ['branch', 'checkout', 'cherry-pick', 'diff', 'log', 'merge', 'rebase', 'reflog', 'reset', 'rev-parse', 'revert', 'show', 'switch', 'tag'];
+    const PATH_ARGS = ['add', 'checkout', 'diff', 'mv', 'reset', 'restore', 'rm'];
+    const REMOTE_ARGS = ['fetch', 'pull', 'push'];
+
+    // --------------- ERRORS ---------------
+
+    /** Same shape as the engine's errors, so the terminal prints it like any failed command. */
+    function shellError(message) {
+        const err = new Error(message);
+        err.name = 'GitError';
+        return err;
+    }
+
+    const unexpectedToken = token => shellError(`bash: syntax error near unexpected token \`${token}'`);
+
+    // --------------- PARSING ---------------
+
+    /**
+     * Split a line into commands joined by `&&`. Each is `{ words, redirect, text }`:
+     * `words` with quotes and escapes removed, an optional `{ op: '>' | '>>', file }`,
+     * and the command's own slice of the line. With `partial`, a line that stops
+     * mid-command (while completing) is returned as far as it goes instead of failing,
+     * and the last command's `expectFile` says a redirect is still missing its file.
+     */
+    function parse(line, { partial = false } = {}) {
+        const commands = [];
+        let current = { words: [], redirect: null, start: 0 };
+        let word = null; // null until the word has any character, so "" still counts as a word
+        let expectFile = false;
+
+        function endWord() {
+            if (word === null) return;
+            if (expectFile) current.redirect.file = word;
+            else current.words.push(word);
+            expectFile = false;
+            word = null;
+        }
+
+        function endCommand(end) {
+            commands.push({ words: current.words, redirect: current.redirect, text: line.slice(current.start, end).trim() });
+        }
+
+        let i = 0;
+        while (i < line.length) {
+            const c = line[i];
+            if (/\s/.test(c)) {
+                endWord();
+                i += 1;
+            } else if (c === "'") {
+                const close = line.indexOf("'", i + 1);
+                if (close === -1) {
+                    if (!partial) throw shellError("bash: unexpected EOF while looking for matching `''");
+                    word = (word || '') + line.slice(i + 1);
+                    break;
+                }
+                word = (word || '') + line.slice(i + 1, close);
+                i = close + 1;
+            } else if (c === '"') {
+                word = word || '';
+                i += 1;
+                while (i < line.length && line[i] !== '"') {
+                    // Inside double quotes a backslash only escapes ", \, $ and `
+                    if (line[i] === '\\' && '"\\$`'.includes(line[i + 1])) i += 1;
+                    word += line[i];
+                    i += 1;
+                }
+                if (i >= line.length && !partial) throw shellError('bash: unexpected EOF while looking for matching `"\'');
+                i += 1;
+            } else if (c === '\\') {
+                if (i + 1 < line.length) word = (word || '') + line[i + 1];
+                i += 2;
+            } else if (c === '&' && line[i + 1] === '&') {
+                endWord();
+                if (expectFile || !current.words.length) throw unexpectedToken('&&');
+                endCommand(i);
+                current = { words: [], redirect: null, start: i + 2 };
+                i += 2;
+            } else if (c === '>') {
+                endWord();
+                const op = line[i + 1] === '>' ? '>>' : '>';
+                if (expectFile) throw unexpectedToken(op);
+                current.redirect = { op, file: null };
+                expectFile = true;
+                i += op.length;
+            } else {
+                word = (word || '') + c;
+                i += 1;
+            }
+        }
+        endWord();
+
+        if (!partial) {
+            if (expectFile) throw unexpectedToken('newline');
+            if (!current.words.length) {
+                if (commands.length) throw shellError('bash: syntax error: unexpected end of file');
+                return commands;
+            }
+        }
+        endCommand(line.length);
+        commands[commands.length - 1].expectFile = expectFile;
+        return commands;
+    }
+
+    // --------------- COMPLETION ---------------
+
+    /** Where the word being typed at the end of `line` starts: after the last unquoted space, `&&` or `>`. */
+    function wordStart(line) {
+        let start = 0;
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quote) {
+                if (c === quote) quote = null;
+                else if (c === '\\' && quote === '"') i += 1;
+            } else if (c === '\\') {
+                i += 1;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (/[\s>&]/.test(c)) {
+                start = i + 1;
+            }
+        }
+        return start;
+    }
+
+    function commonPrefix(words) {
+        return words.reduce((prefix, w) => {
+            let n = 0;
+            while (n < prefix.length && prefix[n] === w[n]) n++;
+            return prefix.slice(0, n);
+        });
+    }
+
+    function refNames(repo) {
+        return ['HEAD', ...Object.keys(repo.branches), ...Object.keys(repo.tags), ...Object.keys(repo.remoteBranches)];
+    }
+
+    /** Files and directories matching `prefix`, completed one path segment at a time like bash. */
+    function pathNames(repo, prefix, { tracked = false } = {}) {
+        const paths = new Set([...Object.keys(repo.workdir), ...repo.directories.map(d => `${d}/`)]);
+        if (tracked) Object.keys(repo.index).forEach(p => paths.add(p));
+        const names = new Set();
+        paths.forEach(p => {
+            if (!p.startsWith(prefix)) return;
+            const slash = p.indexOf('/', prefix.length);
+            names.add(slash === -1 ? p : p.slice(0, slash + 1));
+        });
+        return [...names];
+    }
+
+    /** Everything that could go where the word being completed is. */
+    function candidates(words, partial, { repo, commands, gitCommands }, expectFile) {
+        if (expectFile) return pathNames(repo, partial);
+        if (!words.length) return commands;
+        if (words[0] !== 'git') return words[0] === 'echo' ? [] : pathNames(repo, partial);
+        if (words.length === 1) return gitCommands;
+
+        const sub = words[1];
+        if (partial.startsWith('-')) return GIT_FLAGS[sub] || [];
+        if (repo.initialized === false) return [];
+        const operands = words.slice(2).filter(w => !w.startsWith('-'));
+        if (GIT_ACTIONS[sub] && !operands.length) return GIT_ACTIONS[sub];
+        if (REMOTE_ARGS.includes(sub)) return operands.length ? Object.keys(repo.branches) : Object.keys(repo.remotes);
+        const names = [];
+        if (REF_ARGS.includes(sub)) names.push(...refNames(repo));
+        if (PATH_ARGS.includes(sub)) names.push(...pathNames(repo, partial, { tracked: true }));
+        return names;
+    }
+
+    /** Quote a completed word so it parses back to itself; an opening quote the learner typed is kept. */
+    function quoteWord(text, quote, finished) {
+        if (quote) return `${quote}${text}${finished ? quote : ''}`;
+        return text.replace(/[\s'"\\&>]/g, '\\$&');
+    }
+
+    /**
+     * Tab completion for the end of `line`. Returns the completed line and, when
+     * several words still fit, the `matches` to show. `context` holds the `repo` and
+     * the names of the shell `commands` and `gitCommands` the terminal knows.
+     */
+    function complete(line, context) {
+        const start = wordStart(line);
+        const raw = line.slice(start);
+        const quote = /^["']/.test(raw) ? raw[0] : null;
+        let before;
+        let partial;
+        try {
+            before = parse(line.slice(0, start), { partial: true });
+            const parsed = parse(raw, { partial: true });
+            partial = parsed.length ? parsed[0].words[0] || '' : '';
+        } catch (err) {
+            if (err.name !== 'GitError') throw err;
+            return { line, matches: [] };
+        }
+
+        // After `&&` the last command is still empty, so the word is a command name again
+        const last = before[before.length - 1];
+        const matches = [...new Set(candidates(last.words, partial, context, last.expectFile))]
+            .filter(w => w.startsWith(partial))
+            .sort();
+        if (!matches.length) return { line, matches: [] };
+
+        if (matches.length === 1) {
+            const word = matches[0];
+            const finished = !word.endsWith('/') && !word.endsWith('=');
+            return { line: `${line.slice(0, start)}${quoteWord(word, quote, finished)}${finished ? ' ' : ''}`, matches: [] };
+        }
+        return { line: `${line.slice(0, start)}${quoteWord(commonPrefix(matches), quote, false)}`, matches };
+    }
+
+    // --------------- HISTORY ---------------
+
+    /** Ctrl+R: the newest entry before index `before` that contains `query`, or -1. */
+    function searchHistory(history, query, before = history.length) {
+        for (let i = Math.min(before, history.length) - 1; i >= 0; i--) {
+            if (history[i].includes(query)) return i;
+        }
+        return -1;
+    }
+
+    return {
+        parse,
+        complete,
+        searchHistory,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GitShell = GitShell;
+}
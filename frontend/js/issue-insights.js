@@ -8,40 +8,55 @@ document.addEventListener('DOMContentLoaded', () => {
     const resultSection = document.getElementById('insightsResultSection');
     const resultContent = document.getElementById('insightsResultContent');
 
+    const buttonText = submitBtn ? submitBtn.querySelector('.btn-text') : null;
+    const idleLabel = buttonText ? buttonText.textContent : '';
+    let controller = null; // set while a report is streaming in; submitting again stops it
+
+    function setStreaming(streaming) {
+        submitBtn.classList.toggle('streaming', streaming);
+        if (buttonText) buttonText.textContent = streaming ? '■ Stop generating' : idleLabel;
+    }
+
     if (form) {
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
+            if (controller) {
+                controller.abort();
+                return;
+            }
+
             const issueUrl = document.getElementById('issueUrl').value.trim();
 
             if (!issueUrl) return;
 
-            // Loading state
-            submitBtn.disabled = true;
-            submitBtn.classList.add('loading');
-            resultSection.classList.remove('active');
+            controller = new AbortController();
+            setStreaming(true);
+            resultContent.textContent = 'Reading the issue...';
+            resultSection.classList.add('active');
+            resultSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
+            let received = false;
             try {
-                const response = await fetch('http://localhost:5000/api/issue/analyze', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ issueUrl })
+                // The report is written into the page as the model produces it
+                const data = await AIStream.post('http://localhost:5000/api/issue/analyze/stream', { issueUrl }, {
+                    signal: controller.signal,
+                    onToken: (_, text) => {
+                        received = true;
+                        resultContent.textContent = text;
+                    }
                 });
-
-                const data = await response.json();
-
-                if (response.ok) {
-                    resultContent.innerText = data.analysis;
-                    resultSection.classList.add('active');
-                    resultSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                } else {
-                    alert('Error: ' + (data.error || 'Failed to analyze issue.'));
-                }
+                resultContent.textContent = data.analysis;
             } catch (err) {
-                console.error(err);
-                alert('Something went wrong. Please check if the backend is running.');
+                if (!AIStream.isAbort(err)) {
+                    console.error(err);
+                    if (!received) resultSection.classList.remove('active');
+                    alert(err instanceof TypeError
+                        ? 'Something went wrong. Please check if the backend is running.'
+                        : 'Error: ' + (err.message || 'Failed to analyze issue.'));
+                }
             } finally {
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
+                controller = null;
+                setStreaming(false);
             }
         });
     }
@@ -47,7 +47,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         } catch (error) {
             console.error('Error:', error);
-            resultContent.innerHTML = `<div style="color: #ef4444;">Error: ${error.message}</div>`;
+            resultContent.innerHTML = `<div style="color: #ef4444;">Error: ${escapeHTML(error.message)}</div>`;
             resultSection.classList.add('active');
         } finally {
             submitBtn.classList.remove('loading');
@@ -55,10 +55,22 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    function escapeHTML(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /** Feedback may use <b> for emphasis; anything else the model or an issue title contains is shown as text. */
+    function formatFeedback(text) {
+        return escapeHTML(text).replace(/&lt;(\/?)b&gt;/g, '<$1b>');
+    }
+
+    /**
+     * Render the report. The backend checks it against ISSUE_VALIDATION_SCHEMA
+     * (backend/schemas/aiResponses.js), so every field below is present.
+     */
     function displayResult(data) {
         let statusColor = '#e2e8f0';
         let statusIcon = '';
-        let headlineText = data.headline || data.status;
 
         // Map status to colors/icons
         switch (data.status) {
@@ -68,14 +80,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 statusIcon = '⚠️';
                 break;
             case 'Unique':
-            case 'Good':
                 statusColor = '#22c55e'; // Green
                 statusIcon = '✅';
                 break;
-            case 'Needs Improvement':
-                statusColor = '#f59e0b'; // Orange
-                statusIcon = '🔧';
-                break;
             default:
                 statusColor = '#94a3b8'; // Grey
                 statusIcon = 'ℹ️';
@@ -84,26 +91,24 @@ document.addEventListener('DOMContentLoaded', () => {
         let html = `
             <div style="margin-bottom: 1.5rem; padding-bottom: 0.5rem; border-bottom: 1px solid rgba(255,255,255,0.1);">
                 <h3 style="color: ${statusColor}; margin: 0; font-family: 'Playfair Display', serif; font-size: 1.1rem; display: flex; align-items: center; gap: 0.5rem;">
-                    <span>${statusIcon}</span> ${headlineText}
+                    <span>${statusIcon}</span> ${escapeHTML(data.headline)}
                 </h3>
             </div>
         `;
 
         // 1. Uniqueness Feedback (Primary)
-        if (data.uniqueness_feedback) {
-            html += `
+        html += `
                 <div style="margin-bottom: 1.2rem;">
                     <h5 style="color: #94a3b8; text-transform: uppercase; letter-spacing: 1px; font-size: 0.75rem; margin-bottom: 0.5rem;">Uniqueness Check</h5>
                     <p style="margin: 0; color: #e2e8f0; line-height: 1.5; font-size: 0.95rem; background: rgba(15, 23, 42, 0.4); padding: 0.8rem; border-radius: 6px; border: 1px solid rgba(255,255,255,0.05);">
-                        ${data.uniqueness_feedback}
+                        ${formatFeedback(data.uniqueness_feedback)}
                     </p>
                 </div>
             `;
-        }
 
         // 2. Related Issues List
-        if (data.related_issues && data.related_issues.length > 0) {
-            const repoUrl = document.getElementById('validatorRepo').value.trim();
+        if (data.related_issues.length > 0) {
+            const repoUrl = escapeHTML(document.getElementById('validatorRepo').value.trim().replace(/\/+$/, ''));
             html += `
                 <div style="margin-bottom: 1.2rem;">
                      <h5 style="color: #d4af37; text-transform: uppercase; letter-spacing: 1px; font-size: 0.75rem; margin-bottom: 0.5rem;">Related Issues</h5>
@@ -116,10 +121,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                         <span style="font-size: 0.7rem; padding: 1px 6px; border-radius: 100px; background: ${issue.status === 'open' ? '#22c55e' : '#a855f7'}; color: white;">${issue.status}</span>
                                         <span style="font-size: 0.75rem; color: #94a3b8;">${issue.date}</span>
                                     </div>
-                                    <div style="color: #e2e8f0; font-size: 0.9rem; line-height: 1.3;">${issue.title}</div>
+                                    <div style="color: #e2e8f0; font-size: 0.9rem; line-height: 1.3;">${escapeHTML(issue.title)}</div>
                                 </div>
                                 <div style="font-size: 0.75rem; color: #d4af37; border: 1px solid rgba(212, 175, 55, 0.3); padding: 2px 6px; border-radius: 4px; white-space: nowrap; margin-left: 0.5rem;">
-                                    ${issue.relevance || 'Related'}
+                                    ${issue.relevance}
                                 </div>
                             </div>
                         `).join('')}
@@ -129,16 +134,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // 3. Project Context Feedback
-        if (data.project_context_feedback || data.feedback) {
-            html += `
+        html += `
                 <div style="margin-bottom: 1.2rem;">
                     <h5 style="color: #94a3b8; text-transform: uppercase; letter-spacing: 1px; font-size: 0.75rem; margin-bottom: 0.5rem;">Code Context</h5>
                     <p style="margin: 0; color: #cbd5e1; font-size: 0.9rem; line-height: 1.4;">
-                        ${data.project_context_feedback || data.feedback}
+                        ${formatFeedback(data.project_context_feedback)}
                     </p>
                 </div>
             `;
-        }
 
         resultContent.innerHTML = html;
         resultSection.classList.add('active');
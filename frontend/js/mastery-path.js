@@ -0,0 +1,452 @@
+// ============================================================
+// Mastery Path — roadmap and quiz UI for Resources.html
+// Draws the level roadmap, runs rounds built by QuizEngine and
+// awards XP / unlocks levels in localStorage (osc_totalXP,
+// osc_unlockedLevel), which ProgressSync merges into the account.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- Elements ---
+    const levelContainer = document.getElementById('level-chain-container');
+    if (!levelContainer || !window.QuizEngine) return;
+
+    const levelWrapper = document.getElementById('level-chain-wrapper');
+    const roadmapProgressLine = document.getElementById('roadmap-progress-line');
+    const insightsPanel = document.getElementById('quiz-insights');
+    const quizContainer = document.getElementById('quiz-container');
+    const quizHeader = document.getElementById('quiz-header');
+    const quizTitle = document.getElementById('level-title');
+    const progressBar = document.getElementById('progress-bar');
+    const quizQuestion = document.getElementById('quiz-question');
+    const questionText = document.getElementById('question-text');
+    const questionHint = document.getElementById('question-hint');
+    const optionsContainer = document.getElementById('options-container');
+    const quizActions = document.getElementById('quiz-actions');
+    const explanationBox = document.getElementById('explanation-box');
+    const explanationText = document.getElementById('explanation-text');
+    const nextQBtn = document.getElementById('next-question-btn');
+    const xpDisplay = document.getElementById('total-xp');
+
+    const resultDiv = document.getElementById('quiz-result');
+    const resultIcon = document.getElementById('result-icon');
+    const resultTitle = document.getElementById('result-title');
+    const resultMsg = document.getElementById('result-message');
+    const scoreSpan = document.getElementById('score');
+    const scoreTotal = document.getElementById('score-total');
+    const earnedXPDisplay = document.getElementById('earned-xp');
+    const restartBtn = document.getElementById('restart-btn');
+    const nextBtn = document.getElementById('next-level-btn');
+
+    const TYPE_HINTS = {
+        multi: 'Select all that apply.',
+        order: 'Use the arrows to put the steps in order.',
+        command: 'Type the command as you would in the Git Playground terminal.'
+    };
+    const WEAK_ACCURACY = 80; // concepts answered correctly less often than this (%) are flagged
+
+    // --- State ---
+    let levels = [];
+    let round = [];
+    let mode = 'level'; // 'level' or 'review'
+    let currentLevel = null;
+    let currentQuestionIndex = 0;
+    let currentScore = 0;
+    let currentLevelXP = 0;
+
+    let unlockedLevel = parseInt(localStorage.getItem('osc_unlockedLevel') || 1);
+    let totalXP = parseInt(localStorage.getItem('osc_totalXP') || 0);
+
+    xpDisplay.innerText = totalXP;
+
+    QuizEngine.loadQuiz()
+        .then(data => {
+            levels = data;
+            renderLevels();
+        })
+        .catch(err => {
+            console.error('Mastery Path quiz failed to load:', err);
+            const message = document.createElement('p');
+            message.className = 'quiz-load-error';
+            message.textContent = 'The Mastery Path could not be loaded. Please refresh the page to try again.';
+            levelContainer.appendChild(message);
+        });
+
+    // --------------- ROADMAP ---------------
+
+    function renderLevels() {
+        // Remove only level items, keep roadmap track and progress line
+        levelContainer.querySelectorAll('.level-item').forEach(el => el.remove());
+
+        const totalLevels = levels.length;
+        if (totalLevels > 1) {
+            setTimeout(() => {
+                const progressPct = ((unlockedLevel - 1) / (totalLevels - 1)) * 100;
+                roadmapProgressLine.style.width = `${Math.min(progressPct, 100)}%`;
+            }, 300);
+        }
+
+        levels.forEach((level, index) => {
+            const isLocked = level.id > unlockedLevel;
+            const isCompleted = level.id < unlockedLevel;
+            const item = document.createElement('div');
+            let statusClass = '';
+            let iconClass = level.icon;
+
+            if (isLocked) { statusClass = 'locked'; iconClass = 'fas fa-lock'; }
+            else if (isCompleted) { statusClass = 'completed'; iconClass = 'fas fa-check'; }
+            else { statusClass = 'unlocked'; }
+
+            item.className = `level-item ${statusClass}`;
+            item.style.animationDelay = `${index * 0.1}s`;
+
+            if (!isLocked) {
+                item.onclick = () => startLevel(level.id);
+            } else {
+                item.onclick = () => {
+                    item.classList.remove('shake-animation');
+                    void item.offsetWidth;
+                    item.classList.add('shake-animation');
+                };
+            }
+
+            item.innerHTML = `
+                <div class="xp-pill"><i class="fas fa-bolt" style="margin-right:4px;"></i>${QuizEngine.levelXP(level)} XP</div>
+                <div class="level-node"><i class="${iconClass}"></i></div>
+                <div class="level-meta">
+                    <span class="level-id">Level ${level.id}</span>
+                    <div class="level-title">${level.title}</div>
+                </div>
+            `;
+            levelContainer.appendChild(item);
+        });
+
+        renderInsights();
+    }
+
+    /** Questions due for review and the concepts the learner gets wrong most often. */
+    function renderInsights() {
+        if (!insightsPanel) return;
+        const due = QuizEngine.dueQuestions(levels, unlockedLevel).length;
+        const weak = QuizEngine.getConceptStats(levels).filter(c => c.accuracy < WEAK_ACCURACY).slice(0, 3);
+
+        insightsPanel.innerHTML = '';
+        insightsPanel.style.display = due || weak.length ? 'flex' : 'none';
+
+        if (due) {
+            const reviewBtn = document.createElement('button');
+            reviewBtn.className = 'quiz-review-btn';
+            reviewBtn.innerHTML = `<i class="fas fa-rotate"></i> Review ${due} missed question${due === 1 ? '' : 's'}`;
+            reviewBtn.onclick = startReview;
+            insightsPanel.appendChild(reviewBtn);
+        }
+
+        if (weak.length) {
+            const list = document.createElement('div');
+            list.className = 'quiz-weak-concepts';
+            list.innerHTML = '<span class="quiz-weak-label">Needs practice:</span>';
+            weak.forEach(c => {
+                const chip = document.createElement('span');
+                chip.className = 'quiz-concept-chip';
+                chip.title = `${c.correct} of ${c.seen} answers correct`;
+                chip.textContent = `${c.concept} · ${c.accuracy}%`;
+                list.appendChild(chip);
+            });
+            insightsPanel.appendChild(list);
+        }
+    }
+
+    // --------------- ROUNDS ---------------
+
+    function openQuiz(title) {
+        levelWrapper.style.display = 'none';
+        if (insightsPanel) insightsPanel.style.display = 'none';
+        quizContainer.style.display = 'block';
+        resultDiv.style.display = 'none';
+        quizQuestion.style.display = 'block';
+        quizHeader.style.display = 'block';
+        quizTitle.innerText = title;
+
+        currentQuestionIndex = 0;
+        currentScore = 0;
+        currentLevelXP = 0;
+        loadQuestion();
+    }
+
+    function startLevel(id) {
+        mode = 'level';
+        currentLevel = levels.find(level => level.id === id);
+        round = QuizEngine.buildRound(currentLevel);
+        openQuiz(`Level ${id}: ${currentLevel.title}`);
+    }
+
+    function startReview() {
+        mode = 'review';
+        currentLevel = null;
+        round = QuizEngine.buildReviewRound(levels, unlockedLevel);
+        if (!round.length) return;
+        openQuiz('Review: Missed Questions');
+    }
+
+    // --------------- QUESTIONS ---------------
+
+    function loadQuestion() {
+        const item = round[currentQuestionIndex];
+        questionText.innerText = item.question.q;
+        questionHint.textContent = TYPE_HINTS[item.type] || '';
+        questionHint.style.display = TYPE_HINTS[item.type] ? 'block' : 'none';
+        optionsContainer.innerHTML = '';
+        quizActions.innerHTML = '';
+        explanationBox.style.display = 'none';
+        progressBar.style.width = `${(currentQuestionIndex / round.length) * 100}%`;
+
+        if (item.type === 'single') renderSingle(item);
+        else if (item.type === 'multi') renderMulti(item);
+        else if (item.type === 'order') renderOrder(item);
+        else renderCommand(item);
+    }
+
+    function optionButton(option) {
+        const btn = document.createElement('button');
+        btn.className = 'quiz-option';
+        btn.innerText = option.text;
+        btn.dataset.index = option.index;
+        optionsContainer.appendChild(btn);
+        return btn;
+    }
+
+    function checkButton(onCheck) {
+        const btn = document.createElement('button');
+        btn.className = 'quiz-check-btn';
+        btn.innerHTML = 'Check Answer <i class="fas fa-check"></i>';
+        btn.onclick = onCheck;
+        quizActions.appendChild(btn);
+        return btn;
+    }
+
+    function mark(el, correct) {
+        el.classList.add(correct ? 'correct' : 'wrong');
+        el.insertAdjacentHTML('beforeend', correct
+            ? ' <i class="fas fa-check quiz-mark"></i>'
+            : ' <i class="fas fa-times quiz-mark"></i>');
+    }
+
+    function renderSingle(item) {
+        item.options.forEach(option => {
+            const btn = optionButton(option);
+            btn.onclick = () => {
+                const correct = submit(item, option.index);
+                optionsContainer.querySelectorAll('.quiz-option').forEach(b => {
+                    b.disabled = true;
+                    const index = Number(b.dataset.index);
+                    if (index === item.question.a) mark(b, true);
+                    else if (b === btn) mark(b, false);
+                });
+                showExplanation(item, correct);
+            };
+        });
+    }
+
+    function renderMulti(item) {
+        const buttons = item.options.map(option => {
+            const btn = optionButton(option);
+            btn.setAttribute('aria-pressed', 'false');
+            btn.onclick = () => {
+                const selected = btn.classList.toggle('selected');
+                btn.setAttribute('aria-pressed', String(selected));
+            };
+            return btn;
+        });
+
+        const check = checkButton(() => {
+            const chosen = buttons.filter(b => b.classList.contains('selected')).map(b => Number(b.dataset.index));
+            if (!chosen.length) return;
+            const correct = submit(item, chosen);
+            buttons.forEach(b => {
+                b.disabled = true;
+                const index = Number(b.dataset.index);
+                const shouldPick = item.question.a.includes(index);
+                if (shouldPick) mark(b, true);
+                else if (b.classList.contains('selected')) mark(b, false);
+            });
+            check.remove();
+            showExplanation(item, correct);
+        });
+    }
+
+    function renderOrder(item) {
+        const list = document.createElement('ol');
+        list.className = 'quiz-order-list';
+        optionsContainer.appendChild(list);
+
+        const move = (row, offset) => {
+            const sibling = offset < 0 ? row.previousElementSibling : row.nextElementSibling;
+            if (!sibling) return;
+            if (offset < 0) list.insertBefore(row, sibling);
+            else list.insertBefore(sibling, row);
+        };
+
+        item.steps.forEach(step => {
+            const row = document.createElement('li');
+            row.className = 'quiz-order-step';
+            row.dataset.index = step.index;
+
+            const text = document.createElement('span');
+            text.className = 'quiz-step-text';
+            text.textContent = step.text;
+
+            const controls = document.createElement('span');
+            controls.className = 'quiz-step-controls';
+            controls.innerHTML = `
+                <button class="quiz-step-move" data-offset="-1" aria-label="Move up"><i class="fas fa-arrow-up"></i></button>
+                <button class="quiz-step-move" data-offset="1" aria-label="Move down"><i class="fas fa-arrow-down"></i></button>
+            `;
+            controls.querySelectorAll('button').forEach(btn => {
+                btn.onclick = () => move(row, Number(btn.dataset.offset));
+            });
+
+            row.append(text, controls);
+            list.appendChild(row);
+        });
+
+        const check = checkButton(() => {
+            const rows = [...list.children];
+            const correct = submit(item, rows.map(row => Number(row.dataset.index)));
+            rows.forEach((row, position) => {
+                row.querySelector('.quiz-step-controls').remove();
+                mark(row, Number(row.dataset.index) === position);
+            });
+            check.remove();
+            const order = item.question.steps.map((step, i) => `${i + 1}. ${step}`).join('\n');
+            showExplanation(item, correct, correct ? '' : `Correct order:\n${order}`);
+        });
+    }
+
+    function renderCommand(item) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'quiz-command-input';
+        input.placeholder = item.question.placeholder || 'git ...';
+        input.setAttribute('aria-label', 'Your command');
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        optionsContainer.appendChild(input);
+
+        const submitCommand = () => {
+            if (!input.value.trim()) return;
+            const correct = submit(item, input.value);
+            input.disabled = true;
+            input.classList.add(correct ? 'correct' : 'wrong');
+            check.remove();
+            showExplanation(item, correct, correct ? '' : `Expected: ${item.question.answers[0]}`);
+        };
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') submitCommand();
+        });
+
+        const check = checkButton(submitCommand);
+        input.focus();
+    }
+
+    // --------------- ANSWERS ---------------
+
+    /** Score the response and record it for spaced repetition. */
+    function submit(item, response) {
+        const correct = QuizEngine.checkAnswer(item.question, response);
+        QuizEngine.recordAnswer(item.question, correct);
+        if (correct) {
+            currentScore++;
+            currentLevelXP += (item.question.xp || 10);
+        }
+        return correct;
+    }
+
+    function showExplanation(item, correct, extra = '') {
+        explanationText.innerText = extra ? `${item.question.explanation}\n\n${extra}` : item.question.explanation;
+        explanationBox.style.display = 'block';
+        nextQBtn.innerHTML = currentQuestionIndex + 1 < round.length
+            ? 'Next Question <i class="fas fa-arrow-right"></i>'
+            : 'See Results <i class="fas fa-arrow-right"></i>';
+        nextQBtn.onclick = () => {
+            currentQuestionIndex++;
+            if (currentQuestionIndex < round.length) { loadQuestion(); } else { showResult(); }
+        };
+    }
+
+    // --------------- RESULTS ---------------
+
+    function showResult() {
+        quizQuestion.style.display = 'none';
+        quizHeader.style.display = 'none';
+        resultDiv.style.display = 'block';
+        scoreSpan.innerText = currentScore;
+        scoreTotal.innerText = round.length;
+
+        if (mode === 'review') {
+            showReviewResult();
+            return;
+        }
+
+        const passed = currentScore >= QuizEngine.passScore(currentLevel);
+        earnedXPDisplay.innerText = passed ? currentLevelXP : 0;
+
+        if (passed) {
+            resultTitle.innerText = "Level Complete!";
+            resultTitle.style.color = "var(--success-emerald)";
+            resultMsg.innerText = "Great job! You've mastered this topic.";
+            resultIcon.innerHTML = '<i class="fas fa-trophy" style="color: var(--primary-gold);"></i>';
+            if (currentLevel.id === unlockedLevel) {
+                totalXP += currentLevelXP;
+                localStorage.setItem('osc_totalXP', totalXP);
+                xpDisplay.innerText = totalXP;
+            }
+            if (currentLevel.id === unlockedLevel && unlockedLevel < levels.length) {
+                unlockedLevel++;
+                localStorage.setItem('osc_unlockedLevel', unlockedLevel);
+                resultMsg.innerText += " Next level unlocked!";
+            }
+            if (window.ProgressSync) ProgressSync.sync();
+            if (currentLevel.id < levels.length) {
+                nextBtn.style.display = 'inline-block';
+                const nextId = currentLevel.id + 1;
+                nextBtn.onclick = () => startLevel(nextId);
+            } else {
+                nextBtn.style.display = 'none';
+                resultMsg.innerText = "Congratulations! You have completed all levels!";
+            }
+        } else {
+            resultTitle.innerText = "Level Failed";
+            resultTitle.style.color = "#e74c3c";
+            resultMsg.innerText = `You need at least ${QuizEngine.passScore(currentLevel)} correct answers to proceed. Missed questions will come back for review.`;
+            resultIcon.innerHTML = '<i class="far fa-face-frown" style="color: #e74c3c;"></i>';
+            nextBtn.style.display = 'none';
+        }
+
+        const levelId = currentLevel.id;
+        restartBtn.innerText = 'Try Again';
+        restartBtn.style.display = 'inline-block';
+        restartBtn.onclick = () => startLevel(levelId);
+    }
+
+    /** Review rounds only reschedule questions: no XP, nothing unlocked. */
+    function showReviewResult() {
+        const due = QuizEngine.dueQuestions(levels, unlockedLevel).length;
+        earnedXPDisplay.innerText = 0;
+        nextBtn.style.display = 'none';
+        resultIcon.innerHTML = '<i class="fas fa-rotate" style="color: var(--primary-gold);"></i>';
+        resultTitle.innerText = "Review Complete";
+        resultTitle.style.color = "var(--success-emerald)";
+        resultMsg.innerText = due
+            ? `${due} question${due === 1 ? ' is' : 's are'} still due. Questions you got right come back less often.`
+            : "You're all caught up. Questions you got right will come back in a few days.";
+        restartBtn.innerText = 'Keep Reviewing';
+        restartBtn.style.display = due ? 'inline-block' : 'none';
+        restartBtn.onclick = startReview;
+    }
+
+    document.getElementById('back-to-levels').onclick = () => {
+        quizContainer.style.display = 'none';
+        resultDiv.style.display = 'none';
+        levelWrapper.style.display = 'block';
+        renderLevels();
+    };
+});
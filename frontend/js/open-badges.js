@@ -0,0 +1,87 @@
+// ============================================================
+// Open Badges Export
+// Downloads earned Git Playground badges as Open Badges 2.0
+// assertions: the JSON-LD document, or the badge's SVG image with
+// the assertion baked in, which backpacks and LinkedIn can import.
+// The server hosts the Issuer, BadgeClass and Assertion documents
+// so anyone can verify them.
+// ============================================================
+
+const OpenBadges = (() => {
+    // --------------- CONSTANTS ---------------
+    const API_URL = 'http://localhost:5000/api';
+    const OPEN_BADGES_NS = 'http://openbadges.org';
+
+    let assertions = null; // cached for the page, keyed by badge id
+
+    // --------------- HELPERS ---------------
+
+    /** The signed-in learner's assertions, after syncing so newly earned badges are included. */
+    async function loadAssertions() {
+        if (assertions) return assertions;
+        await ProgressSync.sync();
+        const response = await fetch(`${API_URL}/open-badges/assertions`, { credentials: 'include' });
+        if (response.status === 401) throw exportError('Log in to export verifiable Open Badges.');
+        if (response.status === 403) throw exportError('Verify your email to export verifiable Open Badges. Check your inbox for the link.');
+        if (!response.ok) throw exportError('Could not reach OpenSource Compass. Try again later.');
+        const data = await response.json();
+        assertions = {};
+        data.assertions.forEach(a => {
+            assertions[a.badge.split('/').pop()] = a;
+        });
+        return assertions;
+    }
+
+    function exportError(message) {
+        const err = new Error(message);
+        err.name = 'OpenBadgesError';
+        return err;
+    }
+
+    function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // --------------- PUBLIC API ---------------
+
+    /** Bake an assertion into an SVG the way the Open Badges spec describes: an `openbadges:assertion` element. */
+    function bakeSvg(svg, assertion) {
+        const json = JSON.stringify(assertion, null, 2);
+        return svg.replace(/<svg\b([^>]*)>/, (tag, attrs) =>
+            `<svg xmlns:openbadges="${OPEN_BADGES_NS}"${attrs}>\n  <openbadges:assertion verify="${assertion.id}"><![CDATA[${json}]]></openbadges:assertion>`);
+    }
+
+    /**
+     * Download one earned badge as a baked SVG (`format` 'svg') or its assertion JSON ('json').
+     * Rejects with an OpenBadgesError whose message can be shown as is.
+     */
+    async function exportBadge(badgeId, format = 'svg') {
+        if (!localStorage.getItem('currentUser')) throw exportError('Log in to export verifiable Open Badges.');
+        const assertion = (await loadAssertions())[badgeId];
+        if (!assertion) throw exportError('This badge is not on your account yet. It syncs once you are logged in.');
+
+        if (format === 'json') {
+            download(`${badgeId}.json`, JSON.stringify(assertion, null, 2), 'application/ld+json');
+            return;
+        }
+        const response = await fetch(assertion.image);
+        if (!response.ok) throw exportError('Could not download the badge image.');
+        download(`${badgeId}.svg`, bakeSvg(await response.text(), assertion), 'image/svg+xml');
+    }
+
+    return {
+        bakeSvg,
+        exportBadge,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.OpenBadges = OpenBadges;
+}
@@ -194,11 +194,19 @@ function setupAIAssistControls() {
 // ==========================================
 // Per-Field AI Improve
 // ==========================================
+const improveControllers = new Map(); // field id -> AbortController while its rewrite streams in
+
 async function handleFieldImprove(btn) {
     const targetId = btn.dataset.target;
     const field = document.getElementById(targetId);
     if (!field) return;
 
+    // Clicking again while the rewrite is streaming stops it
+    if (improveControllers.has(targetId)) {
+        improveControllers.get(targetId).abort();
+        return;
+    }
+
     const text = field.value.trim();
     if (!text) {
         showAIToast('Please enter some text first before improving.', 'warning');
@@ -210,43 +218,54 @@ async function handleFieldImprove(btn) {
     btn.classList.add('improving');
     if (parentGroup) parentGroup.classList.add('ai-improving');
     const originalHTML = btn.innerHTML;
-    btn.innerHTML = '<i class="fas fa-spinner"></i> Improving...';
+    btn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+    const originalTitle = btn.title;
+    btn.title = 'Stop improving';
+
+    const originalValue = field.value;
+    const controller = new AbortController();
+    improveControllers.set(targetId, controller);
+    field.readOnly = true;
 
     try {
-        const response = await fetch('http://localhost:5000/api/pr/improve-section', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                text,
-                fieldName: targetId,
-                creativity: aiAssistState.creativity,
-                strictness: aiAssistState.strictness,
-            }),
+        // The improved text replaces the original as it is written
+        const data = await AIStream.post('http://localhost:5000/api/pr/improve-section/stream', {
+            text,
+            fieldName: targetId,
+            creativity: aiAssistState.creativity,
+            strictness: aiAssistState.strictness,
+        }, {
+            signal: controller.signal,
+            onToken: (_, improved) => { field.value = improved.trimStart(); },
         });
 
-        const data = await response.json();
-
-        if (data.improvedText) {
-            field.value = data.improvedText;
-            // Trigger input event for any watchers
-            field.dispatchEvent(new Event('input', { bubbles: true }));
+        if (!data.improvedText) throw new Error('Failed to improve section.');
+        field.value = data.improvedText;
+        // Trigger input event for any watchers
+        field.dispatchEvent(new Event('input', { bubbles: true }));
 
-            btn.innerHTML = '<i class="fas fa-check"></i> Improved!';
-            btn.classList.add('success');
-            showAIToast('Section improved successfully!', 'success');
+        btn.innerHTML = '<i class="fas fa-check"></i> Improved!';
+        btn.classList.add('success');
+        showAIToast('Section improved successfully!', 'success');
 
-            setTimeout(() => {
-                btn.innerHTML = originalHTML;
-                btn.classList.remove('success');
-            }, 2500);
-        } else {
-            throw new Error(data.error || 'Failed to improve section.');
-        }
+        setTimeout(() => {
+            btn.innerHTML = originalHTML;
+            btn.classList.remove('success');
+        }, 2500);
     } catch (error) {
-        console.error('AI Improve Error:', error);
-        showAIToast(`AI improvement failed: ${error.message}`, 'error');
+        // A half-written rewrite is worse than the original, so put it back
+        field.value = originalValue;
         btn.innerHTML = originalHTML;
+        if (AIStream.isAbort(error)) {
+            showAIToast('Improvement stopped. Your original text is unchanged.', 'info');
+        } else {
+            console.error('AI Improve Error:', error);
+            showAIToast(`AI improvement failed: ${error.message}`, 'error');
+        }
     } finally {
+        improveControllers.delete(targetId);
+        field.readOnly = false;
+        btn.title = originalTitle;
         btn.classList.remove('improving');
         if (parentGroup) parentGroup.classList.remove('ai-improving');
     }
@@ -296,6 +315,11 @@ function setupFormLogic(form) {
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
+        // Submitting again while a description streams in stops it
+        if (prGenerationController) {
+            prGenerationController.abort();
+            return;
+        }
         await handlePRGeneration(submitBtn, previewSection, textarea);
     });
 
@@ -304,6 +328,8 @@ function setupFormLogic(form) {
     }
 }
 
+let prGenerationController = null; // set while a description is streaming in
+
 async function handlePRGeneration(submitBtn, previewSection, textarea) {
     const prLink = document.getElementById('prLink')?.value || "";
     const problem = document.getElementById('prProblem').value;
@@ -332,56 +358,67 @@ async function handlePRGeneration(submitBtn, previewSection, textarea) {
     // Get structure settings from toggles
     const structureSettings = getStructureSettings();
 
-    // Visual feedback
-    submitBtn.disabled = true;
-    submitBtn.classList.add('loading');
-    previewSection.classList.remove('active');
+    // Visual feedback: the button becomes a stop button while the description streams in
+    const buttonText = submitBtn.querySelector('.btn-text');
+    const idleLabel = buttonText ? buttonText.textContent : '';
+    submitBtn.classList.add('streaming');
+    if (buttonText) buttonText.textContent = '■ Stop generating';
+    prGenerationController = new AbortController();
+
+    textarea.value = '';
+    textarea.readOnly = true;
+    updateWordCount(textarea);
+    previewSection.classList.add('active');
+    previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
     try {
-        const response = await fetch('http://localhost:5000/api/pr/generate-pr', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
+        const data = await AIStream.post('http://localhost:5000/api/pr/generate-pr/stream', {
+            prLink,
+            problem,
+            changes,
+            testing,
+            limitations,
+            projectRequirements,
+            structureSettings,
+            // AI Assist parameters
+            aiAssist: {
+                creativity: aiAssistState.creativity,
+                strictness: aiAssistState.strictness,
+                autoSummarize: aiAssistState.autoSummarize,
+                autoDetectType: aiAssistState.autoDetectType,
+                rewriteInput: aiAssistState.rewriteInput,
+            },
+        }, {
+            signal: prGenerationController.signal,
+            onToken: (_, text) => {
+                textarea.value = text;
+                updateWordCount(textarea);
+                textarea.scrollTop = textarea.scrollHeight;
             },
-            body: JSON.stringify({
-                prLink,
-                problem,
-                changes,
-                testing,
-                limitations,
-                projectRequirements,
-                structureSettings,
-                // AI Assist parameters
-                aiAssist: {
-                    creativity: aiAssistState.creativity,
-                    strictness: aiAssistState.strictness,
-                    autoSummarize: aiAssistState.autoSummarize,
-                    autoDetectType: aiAssistState.autoDetectType,
-                    rewriteInput: aiAssistState.rewriteInput,
-                },
-            }),
         });
 
-        const data = await response.json();
-
-        if (data.prDescription) {
-            // Load into editable textarea
-            textarea.value = data.prDescription;
-            previewSection.classList.add('active');
-            // Update word count
-            updateWordCount(textarea);
-            // Scroll to preview
-            previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            showAIToast('PR description generated successfully!', 'success');
+        if (!data.prDescription) throw new Error('Failed to generate PR.');
+        // Load into editable textarea
+        textarea.value = data.prDescription;
+        updateWordCount(textarea);
+        showAIToast('PR description generated successfully!', 'success');
+    } catch (error) {
+        if (AIStream.isAbort(error)) {
+            // Keep what was written so far; it can be edited like any other draft
+            showAIToast('Generation stopped. You can edit what was written so far.', 'info');
+        } else if (error instanceof TypeError) {
+            console.error('PR Generation Error:', error);
+            alert(`Something went wrong: ${error.message}. Please check if the backend is running on port 5000.`);
         } else {
-            alert('Error: ' + (data.error || 'Failed to generate PR.'));
+            console.error('PR Generation Error:', error);
+            alert('Error: ' + (error.message || 'Failed to generate PR.'));
         }
-    } catch (error) {
-        console.error('PR Generation Error:', error);
-        alert(`Something went wrong: ${error.message}. Please check if the backend is running on port 5000.`);
+        if (!textarea.value) previewSection.classList.remove('active');
     } finally {
-        submitBtn.disabled = false;
-        submitBtn.classList.remove('loading');
+        prGenerationController = null;
+        textarea.readOnly = false;
+        submitBtn.classList.remove('streaming');
+        if (buttonText) buttonText.textContent = idleLabel;
     }
 }
 
@@ -0,0 +1,156 @@
+// ============================================================
+// Learning Progress Sync
+// Git Playground badges and the roadmap quiz XP live in localStorage.
+// When someone is signed in, this merges them into their account and
+// writes the merged copy back, so progress follows them across devices
+// and shows up on the dashboard. Badge share links point at that
+// account copy, so they can be verified by whoever opens them.
+// ============================================================
+
+const ProgressSync = (() => {
+    // --------------- CONSTANTS ---------------
+    const API_URL = 'http://localhost:5000/api';
+    const XP_KEY = 'osc_totalXP';
+    const LEVEL_KEY = 'osc_unlockedLevel';
+    const OWNER_KEY = 'osc_progressOwner'; // account the local progress was last merged into
+
+    // --------------- HELPERS ---------------
+
+    function currentUser() {
+        try {
+            return JSON.parse(localStorage.getItem('currentUser'));
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /** What this browser has: badge data when the badge engine is loaded, and the quiz XP. */
+    function collectLocal() {
+        return {
+            playground: window.GitBadgeEngine ? GitBadgeEngine.exportData() : undefined,
+            quiz: {
+                totalXP: parseInt(localStorage.getItem(XP_KEY) || 0, 10),
+                unlockedLevel: parseInt(localStorage.getItem(LEVEL_KEY) || 1, 10),
+            },
+        };
+    }
+
+    /**
+     * Store the merged progress locally, unless the learner earned more while the
+     * request was in flight: then local stays ahead and the next sync catches up.
+     */
+    function applyLocal(progress, sent) {
+        const now = collectLocal();
+        if (window.GitBadgeEngine && JSON.stringify(now.playground) === JSON.stringify(sent.playground)) {
+            GitBadgeEngine.importData(progress.playground);
+        }
+        if (JSON.stringify(now.quiz) === JSON.stringify(sent.quiz)) {
+            localStorage.setItem(XP_KEY, progress.quiz.totalXP);
+            localStorage.setItem(LEVEL_KEY, progress.quiz.unlockedLevel);
+        }
+    }
+
+    // --------------- PUBLIC API ---------------
+
+    /**
+     * Merge local progress into the signed-in account and store the result locally.
+     * Progress left behind by a different account is not merged, only replaced.
+     * Resolves to the merged progress, or null when signed out or offline.
+     */
+    async function sync() {
+        const user = currentUser();
+        if (!user) return null;
+        const userId = String(user.id || user._id);
+        const owner = localStorage.getItem(OWNER_KEY);
+        const local = collectLocal();
+        const body = owner && owner !== userId ? {} : local;
+
+        try {
+            const response = await fetch(`${API_URL}/learning-progress`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body),
+            });
+            if (!response.ok) return null;
+            const data = await response.json();
+            applyLocal(data.progress, local);
+            localStorage.setItem(OWNER_KEY, userId);
+            return data.progress;
+        } catch (error) {
+            console.error('Progress sync failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Verified share link for the signed-in learner's badges, after syncing so the
+     * public profile matches what they see. Resolves to `{ url }`, or `{ error }` with
+     * 'SIGNED_OUT', 'EMAIL_NOT_VERIFIED' (the server only shares verified accounts)
+     * or 'OFFLINE'.
+     */
+    async function getShareURL() {
+        if (!currentUser()) return { error: 'SIGNED_OUT' };
+        await sync();
+        try {
+            const response = await fetch(`${API_URL}/badge-profile/share`, {
+                method: 'POST',
+                credentials: 'include',
+            });
+            if (response.status === 401) return { error: 'SIGNED_OUT' };
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                return { error: data.code === 'EMAIL_NOT_VERIFIED' ? data.code : 'OFFLINE' };
+            }
+            const { shareId } = await response.json();
+            const base = window.location.origin + window.location.pathname.replace(/[^/]*$/, '');
+            return { url: `${base}badges.html?share=${encodeURIComponent(shareId)}` };
+        } catch (error) {
+            console.error('Could not create share link:', error);
+            return { error: 'OFFLINE' };
+        }
+    }
+
+    /** Emails the signed-in learner a new verification link. Resolves to the server's message. */
+    async function requestVerificationEmail() {
+        try {
+            const response = await fetch(`${API_URL}/auth/verify-email/request`, {
+                method: 'POST',
+                credentials: 'include',
+            });
+            const data = await response.json();
+            return data.message || (response.ok ? 'Verification email sent.' : 'Could not send the email.');
+        } catch (_) {
+            return 'Server error. Please try again later.';
+        }
+    }
+
+    /**
+     * Look up a shared badge profile on the server. Resolves to
+     * `{ status: 'verified', profile }`, `{ status: 'invalid' }` for an unknown id,
+     * or `{ status: 'offline' }` when the server can't be reached.
+     */
+    async function fetchSharedProfile(shareId) {
+        try {
+            const response = await fetch(`${API_URL}/badge-profile/${encodeURIComponent(shareId)}`);
+            if (response.status === 404) return { status: 'invalid' };
+            if (!response.ok) return { status: 'offline' };
+            const { profile } = await response.json();
+            return { status: 'verified', profile };
+        } catch (_) {
+            return { status: 'offline' };
+        }
+    }
+
+    return {
+        sync,
+        collectLocal,
+        getShareURL,
+        requestVerificationEmail,
+        fetchSharedProfile,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.ProgressSync = ProgressSync;
+}
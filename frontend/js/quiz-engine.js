@@ -0,0 +1,355 @@
+// ============================================================
+// Mastery Path — Quiz Engine
+// Loads the levels in data/quiz_data.json, draws a randomised round
+// of questions per level, checks answers for every question type, and
+// schedules missed questions for review with spaced repetition. Keeps
+// per-question statistics so weak concepts can be surfaced. No DOM
+// code here; mastery-path.js renders it.
+// ============================================================
+
+const QuizEngine = (() => {
+    // --------------- CONSTANTS ---------------
+    const DATA_URL = '../data/quiz_data.json';
+    const STORAGE_KEY = 'osc_quizProgress';
+    const ROUND_SIZE = 5; // questions per attempt unless a level sets `roundSize`
+    const PASS_SCORE = 3; // correct answers needed unless a level sets `passScore`
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Leitner boxes: a missed question comes back next session, then after 1, 3, 7 and 16 days;
+    // answering it right in the last box takes it out of review.
+    const REVIEW_INTERVALS = [0, 1, 3, 7, 16];
+
+    const QUESTION_TYPES = ['single', 'multi', 'order', 'command'];
+
+    // Field specs: a type name, or an array of allowed values. A trailing '?' marks the field optional.
+    const LEVEL_FIELDS = {
+        id: 'number',
+        title: 'string',
+        icon: 'string',
+        'roundSize?': 'number',
+        'passScore?': 'number',
+        questions: 'array'
+    };
+
+    const QUESTION_FIELDS = {
+        id: 'string',
+        'type?': QUESTION_TYPES,
+        q: 'string',
+        concept: 'string',
+        xp: 'number',
+        explanation: 'string',
+        'options?': 'array',
+        'a?': 'number|array',
+        'steps?': 'array',
+        'answers?': 'array',
+        'placeholder?': 'string'
+    };
+
+    // --------------- VALIDATION ---------------
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /** Check `obj` against a field spec; problems are pushed onto `errors` prefixed with `where`. */
+    function checkFields(obj, spec, where, errors) {
+        if (typeOf(obj) !== 'object') {
+            errors.push(`${where}: expected an object`);
+            return false;
+        }
+        Object.keys(spec).forEach(key => {
+            const optional = key.endsWith('?');
+            const name = optional ? key.slice(0, -1) : key;
+            const value = obj[name];
+            if (value === undefined) {
+                if (!optional) errors.push(`${where}: missing required field "${name}"`);
+                return;
+            }
+            const type = spec[key];
+            if (Array.isArray(type)) {
+                if (!type.includes(value)) errors.push(`${where}: "${name}" must be one of ${type.join(', ')}`);
+            } else if (!type.split('|').includes(typeOf(value))) {
+                errors.push(`${where}: "${name}" must be ${type.replace('|', ' or ')}`);
+            }
+        });
+        return true;
+    }
+
+    function checkStrings(list, where, errors, min = 1) {
+        if (!Array.isArray(list)) {
+            errors.push(`${where}: missing`);
+            return;
+        }
+        if (list.length < min) errors.push(`${where}: needs at least ${min} entries`);
+        list.forEach((item, i) => {
+            if (typeof item !== 'string' || !item.trim()) errors.push(`${where}[${i}]: expected a non-empty string`);
+        });
+    }
+
+    const isIndex = (value, list) => Number.isInteger(value) && value >= 0 && value < list.length;
+
+    /** What each question type needs beyond the common fields. */
+    function checkQuestion(question, where, errors) {
+        const type = question.type || 'single';
+        if (type === 'single' || type === 'multi') {
+            checkStrings(question.options, `${where}.options`, errors, 2);
+            const options = question.options || [];
+            if (type === 'single' && !isIndex(question.a, options)) {
+                errors.push(`${where}.a: expected the index of the correct option`);
+            }
+            if (type === 'multi' && !(Array.isArray(question.a) && question.a.length && question.a.every(i => isIndex(i, options)))) {
+                errors.push(`${where}.a: expected a non-empty list of correct option indexes`);
+            }
+        } else if (type === 'order') {
+            checkStrings(question.steps, `${where}.steps`, errors, 2);
+        } else if (type === 'command') {
+            checkStrings(question.answers, `${where}.answers`, errors);
+        }
+    }
+
+    /** Validate a parsed quiz file. Returns a list of problems; an empty list means it is usable. */
+    function validateQuizFile(data) {
+        const errors = [];
+        if (!Array.isArray(data) || !data.length) return ['quiz file must be a non-empty array of levels'];
+        const seen = {};
+        data.forEach((level, i) => {
+            const where = level && typeof level.id === 'number' ? `level ${level.id}` : `levels[${i}]`;
+            if (!checkFields(level, LEVEL_FIELDS, where, errors)) return;
+            if (level.id !== i + 1) errors.push(`${where}: levels must be numbered 1, 2, 3... in order`);
+            if (!Array.isArray(level.questions)) return;
+            if (level.questions.length < roundSize(level)) {
+                errors.push(`${where}: has ${level.questions.length} questions but a round needs ${roundSize(level)}`);
+            }
+            level.questions.forEach((question, j) => {
+                const at = question && typeof question.id === 'string' ? `question "${question.id}"` : `${where}.questions[${j}]`;
+                if (!checkFields(question, QUESTION_FIELDS, at, errors)) return;
+                if (seen[question.id]) errors.push(`${at}: duplicate id`);
+                seen[question.id] = true;
+                checkQuestion(question, at, errors);
+            });
+        });
+        return errors;
+    }
+
+    function quizFileError(errors) {
+        const err = new Error(`Invalid quiz file:\n${errors.join('\n')}`);
+        err.name = 'QuizFileError';
+        err.errors = errors;
+        return err;
+    }
+
+    // --------------- STORAGE ---------------
+
+    function loadProgress() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            if (raw) return JSON.parse(raw);
+        } catch (_) { /* corrupt data */ }
+        return { questions: {} };
+    }
+
+    function saveProgress(progress) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    }
+
+    // --------------- ROUNDS ---------------
+
+    const roundSize = level => level.roundSize || ROUND_SIZE;
+    const passScore = level => level.passScore || PASS_SCORE;
+
+    /** Fisher–Yates shuffle of a copy. */
+    function shuffle(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /** Entries keep their index in the data file, so answers are checked against it, not the shuffled position. */
+    function shuffled(texts, { avoidIdentity = false } = {}) {
+        const entries = texts.map((text, index) => ({ text, index }));
+        let result = shuffle(entries);
+        // An order-the-steps question that happens to start solved would be no question at all
+        while (avoidIdentity && entries.length > 1 && result.every((e, i) => e.index === i)) result = shuffle(entries);
+        return result;
+    }
+
+    /** A question ready to show: options or steps in a fresh random order. */
+    function prepare(question, levelId) {
+        const type = question.type || 'single';
+        const item = { question, type, levelId };
+        if (type === 'single' || type === 'multi') item.options = shuffled(question.options);
+        if (type === 'order') item.steps = shuffled(question.steps, { avoidIdentity: true });
+        return item;
+    }
+
+    const isDue = (record, now) => !!record && record.box !== null && record.box !== undefined && record.due <= now;
+
+    /**
+     * A round for one level: questions due for review come first, the rest are drawn at
+     * random from the level's pool, so two attempts rarely look the same.
+     */
+    function buildRound(level, now = Date.now()) {
+        const records = loadProgress().questions;
+        const due = shuffle(level.questions.filter(q => isDue(records[q.id], now)));
+        const rest = shuffle(level.questions.filter(q => !due.includes(q)));
+        return [...due, ...rest].slice(0, roundSize(level)).map(q => prepare(q, level.id));
+    }
+
+    /** Questions due for review across the levels the learner has reached. */
+    function dueQuestions(levels, unlockedLevel, now = Date.now()) {
+        const records = loadProgress().questions;
+        const due = [];
+        levels.filter(level => level.id <= unlockedLevel).forEach(level => {
+            level.questions.forEach(q => {
+                if (isDue(records[q.id], now)) due.push({ question: q, levelId: level.id });
+            });
+        });
+        return due;
+    }
+
+    /** A review-only round built from due questions; it earns no XP and unlocks nothing. */
+    function buildReviewRound(levels, unlockedLevel, now = Date.now()) {
+        return shuffle(dueQuestions(levels, unlockedLevel, now))
+            .slice(0, ROUND_SIZE)
+            .map(({ question, levelId }) => prepare(question, levelId));
+    }
+
+    // --------------- ANSWERS ---------------
+
+    /** Words of a typed command as the playground terminal would parse them; null if it doesn't parse. */
+    function commandWords(line) {
+        if (!window.GitShell) return line.trim().split(/\s+/);
+        try {
+            const commands = GitShell.parse(line);
+            return commands.length === 1 && !commands[0].redirect ? commands[0].words : null;
+        } catch (err) {
+            if (err.name !== 'GitError') throw err;
+            return null;
+        }
+    }
+
+    /**
+     * Accepted answers are plain space-separated words, where `<name>` stands for any
+     * single word, e.g. a branch name or a quoted commit message.
+     */
+    function matchesCommand(typed, answer) {
+        const expected = answer.trim().split(/\s+/);
+        if (!typed || typed.length !== expected.length) return false;
+        return expected.every((word, i) => /^<[^>]+>$/.test(word) || word === typed[i]);
+    }
+
+    /**
+     * Whether `response` answers `question`. Responses use indexes into the data file:
+     * an option index (single), a list of option indexes (multi), step indexes in the
+     * chosen order (order), or the typed command line (command).
+     */
+    function checkAnswer(question, response) {
+        switch (question.type || 'single') {
+            case 'single':
+                return response === question.a;
+            case 'multi': {
+                const chosen = [...new Set(response)].sort();
+                const correct = [...question.a].sort();
+                return chosen.length === correct.length && chosen.every((index, i) => index === correct[i]);
+            }
+            case 'order':
+                return response.length === question.steps.length && response.every((index, i) => index === i);
+            case 'command': {
+                const typed = commandWords(response);
+                return question.answers.some(answer => matchesCommand(typed, answer));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /** Count the answer and move the question between review boxes. */
+    function recordAnswer(question, correct, now = Date.now()) {
+        const progress = loadProgress();
+        const record = progress.questions[question.id] || { seen: 0, correct: 0, box: null, due: null };
+        record.seen += 1;
+        record.lastSeen = now;
+        if (correct) {
+            record.correct += 1;
+            if (record.box !== null) {
+                record.box += 1;
+                if (record.box >= REVIEW_INTERVALS.length) {
+                    record.box = null; // learnt: out of review
+                    record.due = null;
+                } else {
+                    record.due = now + REVIEW_INTERVALS[record.box] * DAY;
+                }
+            }
+        } else {
+            record.box = 0;
+            record.due = now;
+        }
+        progress.questions[question.id] = record;
+        saveProgress(progress);
+    }
+
+    // --------------- STATISTICS ---------------
+
+    /** Answers per concept, weakest first: [{ concept, seen, correct, accuracy }]. */
+    function getConceptStats(levels) {
+        const records = loadProgress().questions;
+        const concepts = {};
+        levels.forEach(level => level.questions.forEach(q => {
+            const record = records[q.id];
+            if (!record || !record.seen) return;
+            const entry = concepts[q.concept] || (concepts[q.concept] = { concept: q.concept, seen: 0, correct: 0 });
+            entry.seen += record.seen;
+            entry.correct += record.correct;
+        }));
+        return Object.values(concepts)
+            .map(entry => ({ ...entry, accuracy: Math.round((entry.correct / entry.seen) * 100) }))
+            .sort((a, b) => a.accuracy - b.accuracy || b.seen - a.seen);
+    }
+
+    /** Seen / correct counts and review box of one question, or null if never answered. */
+    function getQuestionStats(questionId) {
+        return loadProgress().questions[questionId] || null;
+    }
+
+    /** XP a full round of the level is worth. */
+    function levelXP(level) {
+        const average = level.questions.reduce((sum, q) => sum + q.xp, 0) / level.questions.length;
+        return Math.round(average * roundSize(level));
+    }
+
+    // --------------- PUBLIC API ---------------
+
+    /** Fetch and validate the quiz file; rejects with a QuizFileError listing every problem. */
+    async function loadQuiz(url = DATA_URL) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Could not load the quiz (HTTP ${res.status})`);
+        const data = await res.json();
+        const errors = validateQuizFile(data);
+        if (errors.length) throw quizFileError(errors);
+        return data;
+    }
+
+    return {
+        loadQuiz,
+        validateQuizFile,
+        buildRound,
+        buildReviewRound,
+        dueQuestions,
+        checkAnswer,
+        recordAnswer,
+        getConceptStats,
+        getQuestionStats,
+        levelXP,
+        roundSize,
+        passScore,
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.QuizEngine = QuizEngine;
+}
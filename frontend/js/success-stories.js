@@ -1,6 +1,8 @@
 // Success Stories Page JavaScript
 
-// Sample stories data (in production, this would come from backend)
+const STORIES_API_URL = 'http://localhost:5000/api/success-stories';
+
+// Sample stories; approved community stories from the backend are added in front of these
 const storiesData = [
     {
         id: 1,
@@ -87,6 +89,40 @@ function getBadgeIcon(badgeType) {
     return icons[badgeType] || 'fa-star';
 }
 
+// Stories come from the community, so their text is escaped before rendering
+function escapeHTML(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Load stories a moderator has approved
+async function loadApprovedStories() {
+    try {
+        const response = await fetch(STORIES_API_URL);
+        if (!response.ok) return;
+        const data = await response.json();
+
+        let nextId = Math.max(...storiesData.map(s => s.id)) + 1;
+        const approved = data.stories.map(story => ({
+            id: nextId++,
+            name: story.name,
+            role: story.role || 'Open Source Contributor',
+            story: story.story,
+            prs: story.prs,
+            year: story.year,
+            avatar: story.avatar || `https://api.dicebear.com/7.x/avataaars/svg?seed=${encodeURIComponent(story.name)}`,
+            badge: 'star',
+            likes: 0,
+            comments: []
+        }));
+
+        storiesData.unshift(...approved);
+        renderStories();
+    } catch (error) {
+        // Backend unavailable: the sample stories are still shown
+        console.error('Failed to load success stories:', error);
+    }
+}
+
 // Render stories
 function renderStories() {
     const container = document.getElementById('storiesContainer');
@@ -95,17 +131,17 @@ function renderStories() {
     <div class="story-card-full fade-in">
       <div class="story-header">
         <div class="story-avatar">
-          <img src="${story.avatar}" alt="${story.name}" />
+          <img src="${escapeHTML(story.avatar)}" alt="${escapeHTML(story.name)}" />
           <div class="story-badge">
             <i class="fas ${getBadgeIcon(story.badge)}"></i>
           </div>
         </div>
         <div class="story-meta">
-          <h4>${story.name}</h4>
-          <p class="story-role">${story.role}</p>
+          <h4>${escapeHTML(story.name)}</h4>
+          <p class="story-role">${escapeHTML(story.role)}</p>
         </div>
       </div>
-      <p class="story-text">"${story.story}"</p>
+      <p class="story-text">"${escapeHTML(story.story)}"</p>
       <div class="story-stats">
         <div class="story-stat">
           <i class="fas fa-code-branch"></i>
@@ -220,6 +256,7 @@ function renderComments(comments) {
 // Form Submissions
 document.addEventListener('DOMContentLoaded', () => {
     renderStories();
+    loadApprovedStories();
 
     // Character counter for story textarea
     const storyTextarea = document.getElementById('storyText');
@@ -241,30 +278,47 @@ document.addEventListener('DOMContentLoaded', () => {
     // Submit story form
     const submitForm = document.getElementById('submitStoryForm');
     if (submitForm) {
-        submitForm.addEventListener('submit', (e) => {
+        submitForm.addEventListener('submit', async (e) => {
             e.preventDefault();
 
             const formData = new FormData(submitForm);
-            const newStory = {
-                id: storiesData.length + 1,
-                name: formData.get('name'),
-                role: formData.get('role'),
-                story: formData.get('story'),
-                prs: parseInt(formData.get('prs')) || 0,
-                year: parseInt(formData.get('year')) || new Date().getFullYear(),
-                avatar: formData.get('avatar') || `https://api.dicebear.com/7.x/avataaars/svg?seed=${encodeURIComponent(formData.get('name') || '')}`,
-                badge: 'star',
-                likes: 0,
-                comments: []
-            };
-
-            // In production, this would be sent to backend
-            storiesData.unshift(newStory);
-            renderStories();
-            closeSubmitModal();
-
-            // Show success message
-            showNotification('Success! Your story has been submitted and will be reviewed soon.');
+            const submitBtn = submitForm.querySelector('button[type="submit"]');
+            if (submitBtn) submitBtn.disabled = true;
+
+            try {
+                // Stories are held for moderation, so nothing is added to the page yet
+                const response = await fetch(STORIES_API_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({
+                        name: formData.get('name'),
+                        role: formData.get('role'),
+                        story: formData.get('story'),
+                        prs: parseInt(formData.get('prs')) || 0,
+                        year: parseInt(formData.get('year')) || new Date().getFullYear(),
+                        avatar: formData.get('avatar') || undefined
+                    })
+                });
+                const data = await response.json();
+
+                if (response.status === 401) {
+                    showNotification('Please log in to share your story.');
+                    return;
+                }
+                if (!response.ok) {
+                    showNotification(data.message || 'Could not submit your story. Please try again.');
+                    return;
+                }
+
+                closeSubmitModal();
+                showNotification(data.message);
+            } catch (error) {
+                console.error('Story submission failed:', error);
+                showNotification('Could not reach the server. Please try again later.');
+            } finally {
+                if (submitBtn) submitBtn.disabled = false;
+            }
         });
     }
 